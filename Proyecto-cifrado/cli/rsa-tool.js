@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * RSA-TOOL - Herramienta de línea de comandos
+ * ============================================================================
+ *
+ * Genera claves, cifra y descifra desde la terminal con las mismas funciones
+ * que usan las páginas web (la API de js/api.js). Lo que produce se puede pegar en
+ * el Decodificador y lo que produce el Codificador se puede descifrar aquí.
+ *
+ * Uso:
+ *     rsa-tool keygen [--bits 2048] [--exponent 65537] [--out nombre] [--password-file archivo]
+ *     rsa-tool encrypt --pub clave.pub.pem [--pub otra.pub.pem ...] [--mode auto|rsa|hybrid] [--file [--type tipo/mime]] [--in archivo] [--out archivo]
+ *     rsa-tool decrypt --priv clave.pem [--password-file archivo] [--in archivo] [--out archivo]
+ *
+ * Sin --in se lee de la entrada estándar y sin --out se escribe en la
+ * salida estándar. Requiere Node.js 20 o superior (WebCrypto global).
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+
+import {
+    generateKeyPair,
+    encrypt,
+    decrypt,
+    extractPublicKeys,
+    isProtectedPrivateKey,
+    formatFingerprint,
+    KEY_SIZES,
+    PUBLIC_EXPONENTS
+} from '../js/api.js';
+
+/** Texto de ayuda */
+const AYUDA = `Uso:
+  rsa-tool keygen  [--bits 2048] [--exponent 65537] [--out nombre] [--password-file archivo]
+  rsa-tool encrypt --pub clave.pub.pem [--pub otra.pub.pem ...] [--mode auto|rsa|hybrid] [--file [--type tipo/mime]] [--in archivo] [--out archivo]
+  rsa-tool decrypt --priv clave.pem [--password-file archivo] [--in archivo] [--out archivo]
+
+keygen   Genera un par de claves RSA. Con --out escribe nombre.pem (privada)
+         y nombre.pub.pem (pública); si no, muestra ambas claves.
+encrypt  Cifra la entrada para una o varias claves públicas y devuelve el
+         sobre "RSA-DEMO MESSAGE". Con --file se cifra como archivo (.enc),
+         conservando el nombre de --in y el tipo MIME de --type.
+decrypt  Descifra un sobre, un texto cifrado o un archivo .enc generado
+         aquí o en las páginas web.
+
+--password-file  Archivo con la contraseña que protege la clave privada
+                 (keygen la cifra; decrypt la usa para desbloquearla).
+--type           Con encrypt --file, tipo MIME que se guarda con el archivo
+                 (p. ej. image/jpeg); por defecto, ninguno.`;
+
+/**
+ * Error de uso: se muestra la ayuda y se sale con código 2
+ */
+class ErrorUso extends Error {}
+
+/**
+ * Lee un archivo o la entrada estándar
+ *
+ * @param {string|undefined} ruta - Ruta del archivo, o undefined para stdin
+ * @returns {Buffer} - Contenido leído
+ */
+function leerEntrada(ruta) {
+    return fs.readFileSync(ruta === undefined ? 0 : ruta);
+}
+
+/**
+ * Escribe en un archivo o en la salida estándar
+ *
+ * Se escribe exactamente el mismo texto que producen las páginas web; solo
+ * se añade un salto de línea final si la salida es una terminal.
+ *
+ * @param {string|undefined} ruta - Ruta del archivo, o undefined para stdout
+ * @param {string|Uint8Array} contenido - Contenido a escribir
+ * @returns {void}
+ */
+function escribirSalida(ruta, contenido) {
+    if (ruta !== undefined) {
+        fs.writeFileSync(ruta, contenido);
+        return;
+    }
+
+    process.stdout.write(contenido);
+    if (process.stdout.isTTY && typeof contenido === 'string') {
+        process.stdout.write('\n');
+    }
+}
+
+/**
+ * Lee la contraseña de un archivo (sin el salto de línea final)
+ *
+ * @param {string|undefined} ruta - Ruta del archivo de contraseña
+ * @returns {string|undefined} - Contraseña, o undefined si no se indicó
+ */
+function leerContrasena(ruta) {
+    return ruta === undefined ? undefined : fs.readFileSync(ruta, 'utf8').replace(/\r?\n$/, '');
+}
+
+/**
+ * Comando keygen: equivalente a generarClaves() del Generador
+ *
+ * @param {Object} opciones - Opciones de la línea de comandos
+ * @returns {Promise<void>}
+ */
+async function generar(opciones) {
+    const bits = Number(opciones.bits || 2048);
+    const exponente = Number(opciones.exponent || 65537);
+
+    if (!KEY_SIZES.includes(bits)) {
+        throw new ErrorUso(`--bits debe ser ${KEY_SIZES.join(', ')}`);
+    }
+    if (!PUBLIC_EXPONENTS.includes(exponente)) {
+        throw new ErrorUso(`--exponent debe ser ${PUBLIC_EXPONENTS.join(' o ')}`);
+    }
+
+    const claves = await generateKeyPair({
+        bits,
+        exponent: exponente,
+        password: leerContrasena(opciones['password-file'])
+    });
+
+    console.error(`Par de claves RSA de ${claves.bits} bits (e = ${claves.exponent})`);
+    console.error(`Huella: ${formatFingerprint(claves.fingerprint)}`);
+
+    if (opciones.out === undefined) {
+        escribirSalida(undefined, `${claves.privateKey}\n${claves.publicKey}\n`);
+        return;
+    }
+
+    fs.writeFileSync(`${opciones.out}.pem`, `${claves.privateKey}\n`, { mode: 0o600 });
+    fs.writeFileSync(`${opciones.out}.pub.pem`, `${claves.publicKey}\n`);
+    console.error(`Clave privada: ${opciones.out}.pem`);
+    console.error(`Clave pública: ${opciones.out}.pub.pem`);
+}
+
+/**
+ * Comando encrypt: equivalente a ejecutarCifrado() del Codificador
+ *
+ * @param {Object} opciones - Opciones de la línea de comandos
+ * @returns {Promise<void>}
+ */
+async function cifrar(opciones) {
+    if (!opciones.pub || !opciones.pub.length) {
+        throw new ErrorUso('encrypt necesita al menos una clave pública (--pub)');
+    }
+
+    // Cada archivo puede contener una o varias claves públicas
+    const clavesPublicas = opciones.pub.flatMap((ruta) => extractPublicKeys(fs.readFileSync(ruta, 'utf8')));
+    if (!clavesPublicas.length) {
+        throw new Error('Los archivos de --pub no contienen ninguna clave pública RSA (PEM, JWK u OpenSSH ssh-rsa)');
+    }
+
+    const modo = opciones.mode || 'auto';
+    if (!['auto', 'rsa', 'hybrid'].includes(modo)) {
+        throw new ErrorUso('--mode debe ser auto, rsa o hybrid');
+    }
+
+    // Con --file se cifran los bytes tal cual y se conserva el nombre
+    const entrada = leerEntrada(opciones.in);
+    const datos = opciones.file ? new Uint8Array(entrada) : entrada.toString('utf8');
+    const resultado = await encrypt(clavesPublicas, datos, {
+        mode: modo,
+        fileName: opciones.in === undefined ? 'entrada.bin' : path.basename(opciones.in),
+        fileType: opciones.type || ''
+    });
+
+    escribirSalida(opciones.out, resultado.ciphertext);
+    console.error(`Cifrado con ${resultado.scheme}`);
+}
+
+/**
+ * Comando decrypt: equivalente a ejecutarDescifrado() del Decodificador
+ *
+ * @param {Object} opciones - Opciones de la línea de comandos
+ * @returns {Promise<void>}
+ */
+async function descifrar(opciones) {
+    if (!opciones.priv) {
+        throw new ErrorUso('decrypt necesita la clave privada (--priv)');
+    }
+
+    // PASO 1: Leer la clave privada y el texto cifrado
+    const clavePrivada = fs.readFileSync(opciones.priv, 'utf8');
+    if (isProtectedPrivateKey(clavePrivada) && opciones['password-file'] === undefined) {
+        throw new Error('La clave privada está protegida con contraseña: indícala con --password-file');
+    }
+    const textoCifrado = leerEntrada(opciones.in).toString('utf8');
+
+    // PASO 2: Descifrar (se desbloquea la clave si está protegida y se
+    // comprueba que sea la de un destinatario del sobre)
+    const resultado = await decrypt(clavePrivada, textoCifrado, {
+        password: leerContrasena(opciones['password-file'])
+    });
+
+    // PASO 3: Los archivos se restauran tal cual
+    if (resultado.file) {
+        const { name, type, data } = resultado.file;
+        escribirSalida(opciones.out, data);
+        console.error(`Archivo original: ${name} (${type || 'tipo desconocido'}, ${data.length} bytes)`);
+        return;
+    }
+
+    escribirSalida(opciones.out, resultado.text);
+}
+
+/**
+ * Punto de entrada
+ *
+ * @returns {Promise<void>}
+ */
+async function principal() {
+    const [comando, ...argumentos] = process.argv.slice(2);
+    const comandos = { keygen: generar, encrypt: cifrar, decrypt: descifrar };
+
+    try {
+        if (!comandos[comando]) {
+            throw new ErrorUso(comando && !['-h', '--help', 'help'].includes(comando) ? `Comando desconocido: ${comando}` : '');
+        }
+
+        const { values: opciones } = parseArgs({
+            args: argumentos,
+            options: {
+                bits: { type: 'string' },
+                exponent: { type: 'string' },
+                pub: { type: 'string', multiple: true },
+                priv: { type: 'string' },
+                mode: { type: 'string' },
+                file: { type: 'boolean' },
+                type: { type: 'string' },
+                in: { type: 'string' },
+                out: { type: 'string' },
+                'password-file': { type: 'string' }
+            }
+        });
+
+        await comandos[comando](opciones);
+
+    } catch (error) {
+        if (error instanceof ErrorUso || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+            if (error.message) {
+                console.error(`rsa-tool: ${error.message}\n`);
+            }
+            console.error(AYUDA);
+            process.exitCode = 2;
+            return;
+        }
+
+        console.error(`rsa-tool: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+principal();
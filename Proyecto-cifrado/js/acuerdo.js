@@ -0,0 +1,402 @@
+/**
+ * ============================================================================
+ * ACUERDO DE CLAVES - ECDH entre dos partes y mensajes con AES-GCM
+ * ============================================================================
+ *
+ * Este script simula a las dos partes de un acuerdo de claves, Alicia (A) y
+ * Bruno (B): cada una genera su par de claves ECDH, recibe la clave pública
+ * de la otra, deriva la clave compartida y cifra y descifra mensajes con
+ * ella. Se muestran las huellas de las dos claves derivadas para comprobar
+ * que son la misma. La lógica está en ecdh.js; las claves se muestran con
+ * los mismos campos copiables que el Generador.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import {
+    CURVAS_ECDH,
+    generarParECDH,
+    derivarClaveCompartida,
+    cifrarConClaveCompartida,
+    descifrarConClaveCompartida
+} from './ecdh.js';
+import { formatFingerprint } from './api.js';
+import {
+    exponerEnPagina,
+    escaparHTML,
+    mostrarNotificacion,
+    mostrarResultado,
+    mostrarError as mostrarErrorEn,
+    mostrarProcesando,
+    activarAtajoEnvio,
+    seleccionarTexto,
+    copiarCampo,
+    crearCampoCopiable
+} from './ui.js';
+
+/** Sugerencias que acompañan a los errores de esta página */
+const SUGERENCIAS_ERROR = [
+    'Las dos partes deben generar sus claves con la misma curva',
+    'Pega la clave pública de la otra parte completa, con las líneas BEGIN y END',
+    'Si alguien genera claves nuevas, hay que volver a intercambiar las claves públicas y derivar de nuevo'
+];
+
+/** Las dos partes: nombre, emoji y quién es la otra */
+const PARTES = {
+    A: { nombre: 'Alicia', emoji: '👩', otra: 'B' },
+    B: { nombre: 'Bruno', emoji: '🧔', otra: 'A' }
+};
+
+/** Estado de cada parte: su par de claves, la clave compartida y su huella */
+const estado = {
+    A: { par: null, claveCompartida: null, huella: null },
+    B: { par: null, claveCompartida: null, huella: null }
+};
+
+/**
+ * Genera el par de claves ECDH de una parte
+ *
+ * Flujo del proceso:
+ * 1. Leer la curva elegida
+ * 2. Generar el par de claves
+ * 3. Olvidar la clave compartida anterior (ya no corresponde a estas claves)
+ * 4. Mostrar las claves
+ *
+ * @param {string} parte - 'A' (Alicia) o 'B' (Bruno)
+ * @returns {Promise<void>}
+ */
+async function generarClavesParte(parte) {
+    const { nombre } = PARTES[parte];
+    const idResultado = `claves${parte}`;
+
+    try {
+        // PASO 1: Curva
+        const curva = document.getElementById('curvaAcuerdo').value;
+
+        // PASO 2: Par de claves
+        mostrarProcesando(`Generando las claves de ${nombre}...`, idResultado);
+        const par = await generarParECDH(curva);
+
+        // PASO 3: La clave compartida anterior ya no vale
+        estado[parte] = { par, claveCompartida: null, huella: null };
+        document.getElementById(`secreto${parte}`).style.display = 'none';
+        actualizarComparacion();
+
+        // PASO 4: Mostrar
+        mostrarClavesParte(parte);
+
+        console.log(`✅ Claves ${curva} de ${nombre} generadas`);
+
+    } catch (error) {
+        console.error('❌ Error al generar las claves:', error);
+        mostrarError(`No se pudieron generar las claves: ${escaparHTML(error.message)}`, idResultado);
+    }
+}
+
+/**
+ * Muestra las claves de una parte con sus botones de copiar
+ *
+ * @param {string} parte - 'A' o 'B'
+ * @returns {void}
+ */
+function mostrarClavesParte(parte) {
+    const { nombre, emoji, otra } = PARTES[parte];
+    const { par } = estado[parte];
+
+    mostrarResultado(`
+        <h3>${emoji} Claves de ${nombre}</h3>
+        <p style="color: #666; margin: 5px 0;">📈 ${CURVAS_ECDH[par.curva].nombre}</p>
+
+        <div class="output-box">
+            <span class="output-label">📤 Clave pública</span>
+            <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
+                Se la envía a ${PARTES[otra].nombre}: no es secreta.
+            </p>
+            ${crearCampoCopiable(`clavePublica${parte}Output`, par.clavePublica, 'Clave pública', { clase: 'acuerdo', multilinea: true })}
+            <button
+                onclick="pasarClavePublica('${parte}')"
+                class="acuerdo"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                📨 Pasar a ${PARTES[otra].nombre}
+            </button>
+            <small style="display: block; margin-top: 8px; color: #666; word-break: break-all;">
+                🔏 Huella: <code>${formatFingerprint(par.huella, { short: true })}</code>
+            </small>
+        </div>
+
+        <div class="output-box">
+            <span class="output-label">🔐 Clave privada</span>
+            <div class="warning">
+                <strong>⚠️ IMPORTANTE:</strong>
+                Nunca sale del dispositivo de ${nombre}: con ella y la clave pública de la otra parte se calcula el secreto.
+            </div>
+            ${crearCampoCopiable(`clavePrivada${parte}Output`, par.clavePrivada, 'Clave privada', { clase: 'acuerdo', multilinea: true })}
+        </div>
+    `, 'success', `claves${parte}`);
+}
+
+/**
+ * Pega la clave pública de una parte en el campo de la otra
+ *
+ * @param {string} parte - Parte cuya clave pública se envía
+ * @returns {boolean} - false si esa parte todavía no tiene claves
+ */
+function pasarClavePublica(parte) {
+    const { par } = estado[parte];
+    if (!par) {
+        return false;
+    }
+
+    const { otra } = PARTES[parte];
+    document.getElementById(`clavePublicaAjena${otra}`).value = par.clavePublica;
+    mostrarNotificacion(`📨 Clave pública de ${PARTES[parte].nombre} entregada a ${PARTES[otra].nombre}`);
+    return true;
+}
+
+/**
+ * Entrega a cada parte la clave pública de la otra
+ *
+ * @returns {void}
+ */
+function intercambiarClavesPublicas() {
+    if (!estado.A.par || !estado.B.par) {
+        mostrarNotificacion('❌ Genera primero las claves de Alicia y de Bruno', 'error');
+        return;
+    }
+
+    pasarClavePublica('A');
+    pasarClavePublica('B');
+    mostrarNotificacion('🔄 Claves públicas intercambiadas');
+}
+
+/**
+ * Deriva la clave compartida de una parte con la clave pública recibida
+ *
+ * Flujo del proceso:
+ * 1. Comprobar que la parte tiene claves y ha recibido la pública de la otra
+ * 2. ECDH + HKDF: clave AES-GCM compartida
+ * 3. Mostrar la huella y compararla con la de la otra parte
+ *
+ * @param {string} parte - 'A' o 'B'
+ * @returns {Promise<void>}
+ */
+async function derivarSecretoParte(parte) {
+    const { nombre, otra } = PARTES[parte];
+    const idResultado = `secreto${parte}`;
+
+    try {
+        // PASO 1: Claves
+        const { par } = estado[parte];
+        if (!par) {
+            mostrarError(`Genera primero las claves de ${nombre} (paso 1)`, idResultado);
+            return;
+        }
+        const clavePublicaAjena = document.getElementById(`clavePublicaAjena${parte}`).value.trim();
+        if (!clavePublicaAjena) {
+            mostrarError(`${nombre} todavía no ha recibido la clave pública de ${PARTES[otra].nombre} (paso 2)`, idResultado);
+            return;
+        }
+
+        // PASO 2: Clave compartida
+        const { clave, huella, curva } = await derivarClaveCompartida(par.clavePrivada, clavePublicaAjena);
+        estado[parte].claveCompartida = clave;
+        estado[parte].huella = huella;
+
+        // PASO 3: Huella
+        mostrarResultado(`
+            <h3>🤝 Clave compartida de ${nombre}</h3>
+            <div class="info-box">
+                🧮 ECDH ${curva} + HKDF-SHA-256 → AES-256-GCM<br>
+                🔏 <strong>Huella de la clave:</strong>
+                <code style="word-break: break-all;">${formatFingerprint(huella)}</code>
+            </div>
+            <small style="display: block; margin-top: 8px; color: #666;">
+                💡 Es el SHA-256 de la clave derivada: se puede comparar en voz alta sin revelar la clave
+            </small>
+        `, 'success', idResultado);
+        actualizarComparacion();
+
+        console.log(`🤝 Clave compartida de ${nombre} derivada`);
+
+    } catch (error) {
+        console.error('❌ Error al derivar la clave compartida:', error);
+        estado[parte].claveCompartida = null;
+        estado[parte].huella = null;
+        actualizarComparacion();
+        mostrarError(`No se pudo derivar la clave: ${escaparHTML(error.message)}`, idResultado);
+    }
+}
+
+/**
+ * Compara las huellas de las claves derivadas por las dos partes
+ *
+ * Solo se muestra cuando las dos han derivado su clave.
+ *
+ * @returns {void}
+ */
+function actualizarComparacion() {
+    const { A, B } = estado;
+    if (!A.huella || !B.huella) {
+        document.getElementById('comparacionHuellas').style.display = 'none';
+        return;
+    }
+
+    const huellas = `
+        <div style="margin-top: 10px; line-height: 1.8;">
+            👩 <strong>Alicia:</strong> <code style="word-break: break-all;">${formatFingerprint(A.huella)}</code><br>
+            🧔 <strong>Bruno:</strong> <code style="word-break: break-all;">${formatFingerprint(B.huella)}</code>
+        </div>
+    `;
+
+    if (A.huella === B.huella) {
+        mostrarResultado(`
+            <h3>✅ Alicia y Bruno tienen la misma clave</h3>
+            <p>Cada uno la ha calculado por su cuenta, sin que la clave viajara entre ellos.</p>
+            ${huellas}
+        `, 'success', 'comparacionHuellas');
+    } else {
+        mostrarResultado(`
+            <h3>❌ Las huellas no coinciden</h3>
+            <p>
+                Alicia y Bruno tienen claves distintas: alguno generó claves nuevas después del intercambio,
+                o una clave pública no es la de la otra parte. No podrán descifrar los mensajes del otro.
+            </p>
+            ${huellas}
+        `, 'error', 'comparacionHuellas');
+    }
+}
+
+/**
+ * Cifra el mensaje de una parte para la otra con la clave compartida
+ *
+ * @param {string} parte - Parte que envía el mensaje
+ * @returns {Promise<void>}
+ */
+async function cifrarParte(parte) {
+    const { nombre, otra } = PARTES[parte];
+    const idResultado = `resultado${parte}`;
+
+    try {
+        const { claveCompartida } = estado[parte];
+        if (!claveCompartida) {
+            mostrarError(`${nombre} todavía no tiene la clave compartida: deriva su clave (paso 3)`, idResultado);
+            return;
+        }
+        const mensaje = document.getElementById(`mensaje${parte}`).value;
+        if (!mensaje.trim()) {
+            mostrarError(`Escribe el mensaje de ${nombre} para ${PARTES[otra].nombre}`, idResultado);
+            return;
+        }
+
+        const textoCifrado = await cifrarConClaveCompartida(claveCompartida, mensaje);
+
+        mostrarResultado(`
+            <h3>🔒 Mensaje cifrado</h3>
+            <div class="output-box">
+                <span class="output-label">📨 Para ${PARTES[otra].nombre}</span>
+                ${crearCampoCopiable(`cifrado${parte}Output`, textoCifrado, 'Texto cifrado', { clase: 'acuerdo', multilinea: true })}
+                <button
+                    onclick="pasarTextoCifrado('${parte}')"
+                    class="acuerdo"
+                    style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+                >
+                    📨 Pasar a ${PARTES[otra].nombre}
+                </button>
+            </div>
+        `, 'success', idResultado);
+
+    } catch (error) {
+        console.error('❌ Error al cifrar:', error);
+        mostrarError(`No se pudo cifrar: ${escaparHTML(error.message)}`, idResultado);
+    }
+}
+
+/**
+ * Pega el último mensaje cifrado por una parte en el campo de la otra
+ *
+ * @param {string} parte - Parte que envía el mensaje
+ * @returns {void}
+ */
+function pasarTextoCifrado(parte) {
+    const { otra } = PARTES[parte];
+    document.getElementById(`textoCifrado${otra}`).value = document.getElementById(`cifrado${parte}Output`).value;
+    mostrarNotificacion(`📨 Mensaje entregado a ${PARTES[otra].nombre}`);
+}
+
+/**
+ * Descifra con la clave compartida el mensaje que ha recibido una parte
+ *
+ * @param {string} parte - Parte que recibe el mensaje
+ * @returns {Promise<void>}
+ */
+async function descifrarParte(parte) {
+    const { nombre } = PARTES[parte];
+    const idResultado = `resultado${parte}`;
+
+    try {
+        const { claveCompartida } = estado[parte];
+        if (!claveCompartida) {
+            mostrarError(`${nombre} todavía no tiene la clave compartida: deriva su clave (paso 3)`, idResultado);
+            return;
+        }
+        const textoCifrado = document.getElementById(`textoCifrado${parte}`).value.trim();
+        if (!textoCifrado) {
+            mostrarError(`Pega el mensaje cifrado que ha recibido ${nombre}`, idResultado);
+            return;
+        }
+
+        const mensaje = await descifrarConClaveCompartida(claveCompartida, textoCifrado);
+
+        mostrarResultado(`
+            <h3>🔓 Mensaje descifrado</h3>
+            <div class="output-box">
+                <span class="output-label">💬 Lo que lee ${nombre}</span>
+                <textarea readonly>${escaparHTML(mensaje)}</textarea>
+            </div>
+        `, 'success', idResultado);
+
+    } catch (error) {
+        console.error('❌ Error al descifrar:', error);
+        mostrarError(`No se pudo descifrar: ${escaparHTML(error.message)}`, idResultado);
+    }
+}
+
+/**
+ * Muestra un mensaje de error con las sugerencias de esta página
+ *
+ * @param {string} mensaje - Mensaje de error
+ * @param {string} idResultado - ID del área de resultados
+ * @returns {void}
+ */
+function mostrarError(mensaje, idResultado) {
+    mostrarErrorEn(mensaje, SUGERENCIAS_ERROR, idResultado);
+}
+
+/**
+ * Inicialización
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('🤝 Acuerdo de claves ECDH inicializado');
+
+    // Ctrl/Cmd + Enter para cifrar o descifrar
+    Object.keys(PARTES).forEach((parte) => {
+        activarAtajoEnvio([`mensaje${parte}`], () => cifrarParte(parte));
+        activarAtajoEnvio([`textoCifrado${parte}`], () => descifrarParte(parte));
+    });
+});
+
+// Funciones usadas desde los atributos onclick del HTML
+exponerEnPagina({
+    generarClavesParte,
+    pasarClavePublica,
+    intercambiarClavesPublicas,
+    derivarSecretoParte,
+    cifrarParte,
+    pasarTextoCifrado,
+    descifrarParte,
+    seleccionarTexto,
+    copiarCampo
+});
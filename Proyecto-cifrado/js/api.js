@@ -0,0 +1,695 @@
+/**
+ * ============================================================================
+ * API - Interfaz pública del sistema de cifrado RSA
+ * ============================================================================
+ *
+ * Módulo ES con las operaciones del sistema listas para usarse desde otras
+ * aplicaciones. Las páginas (Generador, Codificador, Decodificador,
+ * Firmador y Registro), el Web Worker y la herramienta rsa-tool solo usan
+ * estas funciones; cripto.js y secp256k1.js quedan como detalle de
+ * implementación.
+ *
+ * Además de RSA incluye claves secp256k1, la curva de Bitcoin y Ethereum,
+ * con sus direcciones y firmas ECDSA.
+ *
+ * Las funciones asíncronas devuelven promesas y, si fallan, las rechazan con
+ * un error de las clases exportadas (CryptoError y sus derivadas), que se
+ * distinguen con instanceof o por su propiedad code:
+ *
+ *     import { encrypt, decrypt, WrongKeyError } from './js/api.js';
+ *
+ *     const { ciphertext } = await encrypt(clavePublica, 'Hola');
+ *     try {
+ *         const { text } = await decrypt(clavePrivada, ciphertext);
+ *     } catch (error) {
+ *         if (error instanceof WrongKeyError) { ... }
+ *     }
+ *
+ * Las claves RSA se generan en PEM pero se aceptan también en PKCS#1, JWK
+ * u OpenSSH (ver convertKey), y los textos cifrados se intercambian en el
+ * sobre "RSA-DEMO MESSAGE", así que lo que produce una aplicación se puede
+ * descifrar en las páginas y con rsa-tool, y al revés. inspectKeys revisa
+ * las claves antes de usarlas y explica qué les falla.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import {
+    ESQUEMAS_CIFRADO,
+    ETIQUETA_SOBRE,
+    VERSION_SOBRE,
+    identificarEsquema,
+    cifrarTexto,
+    cifrarTextoVarios,
+    cifrarArchivo,
+    descifrarTexto,
+    descifrarArchivo,
+    generarParClaves,
+    generarParClavesDesdeSemilla,
+    derivarClavePublica,
+    firmarMensaje,
+    verificarFirma,
+    esClavePrivadaCifrada,
+    cifrarClavePrivada,
+    descifrarClavePrivada,
+    calcularHuella,
+    formatearHuella,
+    normalizarHuella,
+    comprobarHuella,
+    esSobre,
+    crearSobre,
+    abrirSobre,
+    FormatError,
+    InvalidKeyError,
+    UnsupportedError,
+    WrongKeyError,
+    WrongPasswordError
+} from './cripto.js';
+import {
+    RUTAS_BIP44,
+    generarClaveSecp256k1,
+    describirClaveSecp256k1,
+    describirClavePublicaSecp256k1,
+    derivarClaveBIP32,
+    firmarSecp256k1,
+    verificarFirmaSecp256k1
+} from './secp256k1.js';
+import { LONGITUDES_FRASE, generarFrase, comprobarFrase, fraseASemilla } from './bip39.js';
+import {
+    NOMBRES_FORMATO,
+    detectarFormatoClave,
+    convertirClave,
+    normalizarClave,
+    buscarClavesPublicas,
+    separarClaves,
+    diagnosticarClave
+} from './formatos.js';
+
+export {
+    CryptoError,
+    InvalidKeyError,
+    WrongKeyError,
+    WrongPasswordError,
+    FormatError,
+    IntegrityError,
+    MessageTooLongError,
+    UnsupportedError,
+    InvalidMnemonicError
+} from './cripto.js';
+
+/** Tamaños de clave admitidos, en bits */
+export const KEY_SIZES = [1024, 2048, 3072, 4096];
+
+/** Exponentes públicos admitidos por WebCrypto */
+export const PUBLIC_EXPONENTS = [3, 65537];
+
+/** Número de palabras admitidas en una frase de recuperación BIP39 */
+export const MNEMONIC_LENGTHS = LONGITUDES_FRASE;
+
+/** Rutas de derivación BIP44 de la primera dirección de Bitcoin y de Ethereum */
+export const BIP44_PATHS = RUTAS_BIP44;
+
+/** Algoritmo de firma con claves secp256k1 (ECDSA sobre SHA-256) */
+export const SECP256K1_ALGORITHM = 'ECDSA-secp256k1';
+
+/** Formatos de clave RSA admitidos por convertKey: 'pkcs1', 'pkcs8' (SPKI en las públicas), 'jwk' y 'openssh' */
+export const KEY_FORMATS = Object.keys(NOMBRES_FORMATO);
+
+/** Modos de cifrado de texto y su nombre en cripto.js */
+const MODOS = { auto: 'auto', rsa: 'rsa', hybrid: 'hibrido' };
+
+/** Etiqueta de las líneas BEGIN/END del sobre */
+export const ENVELOPE_LABEL = ETIQUETA_SOBRE;
+
+/** Versión del sobre que se genera */
+export const ENVELOPE_VERSION = VERSION_SOBRE;
+
+/**
+ * Comprueba que el entorno tenga WebCrypto (navegador moderno o Node.js 20+)
+ *
+ * @returns {void}
+ * @throws {UnsupportedError} Si crypto.subtle no está disponible
+ */
+function comprobarWebCrypto() {
+    if (!globalThis.crypto || !globalThis.crypto.subtle) {
+        throw new UnsupportedError('Este entorno no admite la API WebCrypto necesaria para cifrar y descifrar.', 'webcrypto');
+    }
+}
+
+/* ==========================================================================
+   CLAVES
+   ========================================================================== */
+
+/**
+ * Genera un par de claves RSA
+ *
+ * Con una semilla (ver mnemonicToSeed) el par es determinista: la misma
+ * semilla, tamaño y exponente dan siempre las mismas claves. Esta
+ * generación no usa WebCrypto y tarda más (segundos con 2048 bits).
+ *
+ * @param {Object} [opciones]
+ * @param {number} [opciones.bits=2048] - Tamaño del módulo (ver KEY_SIZES)
+ * @param {number} [opciones.exponent=65537] - Exponente público (ver PUBLIC_EXPONENTS)
+ * @param {string} [opciones.password] - Si se indica, la clave privada se devuelve protegida (PKCS#8 cifrado)
+ * @param {Uint8Array} [opciones.seed] - Semilla para generar el par de forma determinista
+ * @param {function(number): void} [opciones.onProgress] - Con semilla, recibe los candidatos a primo probados
+ * @returns {Promise<{privateKey: string, publicKey: string, bits: number, exponent: number, fingerprint: string}>}
+ *          Claves en PEM y huella SHA-256 en hexadecimal
+ * @throws {UnsupportedError} Si el tamaño o el exponente no se admiten
+ */
+export async function generateKeyPair({ bits = 2048, exponent = 65537, password, seed, onProgress } = {}) {
+    comprobarWebCrypto();
+
+    if (!KEY_SIZES.includes(bits)) {
+        throw new UnsupportedError(`Tamaño de clave no admitido: ${bits}. Usa ${KEY_SIZES.join(', ')} bits.`,
+            'key-size', { bits, admitidos: KEY_SIZES.join(', ') });
+    }
+    if (!PUBLIC_EXPONENTS.includes(exponent)) {
+        throw new UnsupportedError(`Exponente público no admitido: ${exponent}. Usa ${PUBLIC_EXPONENTS.join(' o ')}.`,
+            'exponent', { exponente: exponent, admitidos: PUBLIC_EXPONENTS.join(', ') });
+    }
+
+    const claves = seed
+        ? await generarParClavesDesdeSemilla(seed, bits, exponent, onProgress)
+        : await generarParClaves(bits, exponent);
+    return {
+        privateKey: password === undefined ? claves.privada : await cifrarClavePrivada(claves.privada, password),
+        publicKey: claves.publica,
+        bits: claves.bits,
+        exponent: claves.exponente,
+        fingerprint: await calcularHuella(claves.publica)
+    };
+}
+
+/**
+ * Convierte el resultado de secp256k1.js a los nombres de la API
+ *
+ * @param {Object} claves - Resultado de describirClaveSecp256k1
+ * @returns {{privateKey: string, wif: string, publicKey: string, uncompressedPublicKey: string,
+ *            addresses: {p2pkh: string, bech32: string, ethereum: string}}}
+ */
+function clavesSecp256k1(claves) {
+    return {
+        privateKey: claves.privada,
+        wif: claves.wif,
+        publicKey: claves.publica,
+        uncompressedPublicKey: claves.publicaSinComprimir,
+        addresses: { ...claves.direcciones }
+    };
+}
+
+/**
+ * Genera una clave privada secp256k1 (la curva de Bitcoin y Ethereum)
+ *
+ * Con una semilla la clave se deriva con BIP32 en la ruta indicada, como
+ * en los monederos que usan la misma frase de recuperación.
+ *
+ * @param {Object} [opciones]
+ * @param {Uint8Array} [opciones.seed] - Semilla (ver mnemonicToSeed); sin ella la clave es aleatoria
+ * @param {string} [opciones.path=BIP44_PATHS.bitcoin] - Ruta de derivación BIP32 (solo con semilla)
+ * @returns {Promise<{privateKey: string, wif: string, publicKey: string, uncompressedPublicKey: string,
+ *            addresses: {p2pkh: string, bech32: string, ethereum: string}}>}
+ *          Claves en hexadecimal (la pública, comprimida y sin comprimir), WIF y direcciones
+ * @throws {InvalidKeyError} Si la ruta de derivación no es válida
+ */
+export async function generateSecp256k1KeyPair({ seed, path = RUTAS_BIP44.bitcoin } = {}) {
+    comprobarWebCrypto();
+    if (seed) {
+        return clavesSecp256k1(await describirClaveSecp256k1(await derivarClaveBIP32(seed, path)));
+    }
+    return clavesSecp256k1(await generarClaveSecp256k1());
+}
+
+/**
+ * Obtiene las claves públicas y las direcciones de una clave privada secp256k1
+ *
+ * @param {string} clavePrivada - Clave privada en hexadecimal (64 caracteres) o WIF
+ * @returns {Promise<Object>} - Mismo resultado que generateSecp256k1KeyPair
+ * @throws {InvalidKeyError} Si la clave privada no es válida
+ */
+export async function describeSecp256k1Key(clavePrivada) {
+    comprobarWebCrypto();
+    return clavesSecp256k1(await describirClaveSecp256k1(clavePrivada));
+}
+
+/**
+ * Obtiene las dos codificaciones y las direcciones de una clave pública secp256k1
+ *
+ * @param {string} clavePublica - Clave pública en hexadecimal (comprimida o sin comprimir)
+ * @returns {Promise<{publicKey: string, uncompressedPublicKey: string,
+ *            addresses: {p2pkh: string, bech32: string, ethereum: string}}>}
+ * @throws {InvalidKeyError} Si la clave no es un punto de la curva
+ */
+export async function describeSecp256k1PublicKey(clavePublica) {
+    comprobarWebCrypto();
+    const claves = await describirClavePublicaSecp256k1(clavePublica);
+    return {
+        publicKey: claves.publica,
+        uncompressedPublicKey: claves.publicaSinComprimir,
+        addresses: { ...claves.direcciones }
+    };
+}
+
+/* ==========================================================================
+   FRASES DE RECUPERACIÓN (BIP39)
+   ========================================================================== */
+
+/**
+ * Genera una frase de recuperación BIP39 aleatoria (lista de palabras en inglés)
+ *
+ * @param {Object} [opciones]
+ * @param {number} [opciones.words=12] - Número de palabras (ver MNEMONIC_LENGTHS)
+ * @returns {Promise<string>} - Palabras separadas por espacios
+ * @throws {UnsupportedError} Si el número de palabras no se admite
+ */
+export async function generateMnemonic({ words = 12 } = {}) {
+    comprobarWebCrypto();
+    if (!LONGITUDES_FRASE.includes(words)) {
+        throw new UnsupportedError(`Número de palabras no admitido: ${words}. Usa ${LONGITUDES_FRASE.slice(0, -1).join(', ')} o ${LONGITUDES_FRASE.at(-1)}.`,
+            'word-count', { palabras: words, admitidos: LONGITUDES_FRASE.join(', ') });
+    }
+    return generarFrase(words);
+}
+
+/**
+ * Comprueba una frase de recuperación y la devuelve normalizada
+ *
+ * @param {string} frase - Frase escrita por el usuario (se ignoran mayúsculas y espacios de más)
+ * @returns {Promise<string>} - Frase normalizada
+ * @throws {InvalidMnemonicError} Si el número de palabras, alguna palabra o el código de control no son válidos
+ */
+export async function validateMnemonic(frase) {
+    comprobarWebCrypto();
+    return comprobarFrase(frase);
+}
+
+/**
+ * Calcula la semilla de 64 bytes de una frase de recuperación
+ *
+ * @param {string} frase - Frase de recuperación
+ * @param {Object} [opciones]
+ * @param {string} [opciones.passphrase=''] - Contraseña adicional de BIP39 (otra contraseña da otras claves)
+ * @returns {Promise<Uint8Array>} - Semilla para generateKeyPair o generateSecp256k1KeyPair
+ * @throws {InvalidMnemonicError} Si la frase no es válida
+ */
+export async function mnemonicToSeed(frase, { passphrase = '' } = {}) {
+    comprobarWebCrypto();
+    return fraseASemilla(frase, passphrase);
+}
+
+/**
+ * Extrae todas las claves públicas RSA de un texto
+ *
+ * @param {string} texto - Bloques PEM (PUBLIC KEY o RSA PUBLIC KEY) y líneas ssh-rsa,
+ *                         o JSON con una JWK, una lista de JWK o un conjunto {"keys": [...]}
+ * @returns {string[]} - Claves públicas en PEM (SPKI)
+ */
+export function extractPublicKeys(texto) {
+    return buscarClavesPublicas(texto);
+}
+
+/**
+ * Reconoce el formato de una clave sin leerla entera
+ *
+ * @param {string} clave - Clave en cualquier formato
+ * @returns {{format: string, private: boolean, protected: boolean}|null}
+ *          format: uno de KEY_FORMATS; null si el texto no parece una clave
+ */
+export function detectKeyFormat(clave) {
+    const tipo = detectarFormatoClave(clave);
+    return tipo && { format: tipo.formato, private: tipo.privada, protected: tipo.protegida };
+}
+
+/**
+ * Analiza una o varias claves RSA y explica los problemas de cada una
+ *
+ * Lee cada clave entera (armadura PEM, Base64, DER, JWK u OpenSSH, módulo
+ * y exponente) sin usarla, así que sirve para avisar antes de cifrar o
+ * descifrar. Los errores impiden usar la clave; los avisos (módulo de
+ * menos de 2048 bits, exponente poco habitual) no. errorDetails y
+ * warningDetails dan, en el mismo orden, el código estable de cada problema
+ * y sus parámetros, para mostrarlos en otro idioma.
+ *
+ * @param {string} texto - Una o varias claves en cualquier formato
+ * @param {Object} [opciones]
+ * @param {string} [opciones.expected] - 'public' o 'private': el otro tipo de clave se da como error
+ * @returns {Array<{text: string, format: string|null, formatName: string, private: boolean,
+ *          protected: boolean, bits: number|null, exponent: bigint|null, comment: string,
+ *          line: number, errors: string[], warnings: string[],
+ *          errorDetails: Array<{code: string, params: Object}>,
+ *          warningDetails: Array<{code: string, params: Object}>}>} - Un informe por clave, en orden
+ */
+export function inspectKeys(texto, { expected } = {}) {
+    const esperada = { public: 'publica', private: 'privada' }[expected];
+    return separarClaves(texto).map(({ texto: clave, linea }) => {
+        const informe = diagnosticarClave(clave, { esperada, primeraLinea: linea });
+        return {
+            text: clave,
+            format: informe.formato,
+            formatName: NOMBRES_FORMATO[informe.formato] || 'Formato desconocido',
+            private: informe.privada,
+            protected: informe.protegida,
+            bits: informe.bits,
+            exponent: informe.exponente,
+            comment: informe.comentario,
+            line: linea,
+            errors: informe.errores.map((problema) => problema.mensaje),
+            warnings: informe.avisos.map((problema) => problema.mensaje),
+            errorDetails: informe.errores.map(({ codigo, datos }) => ({ code: codigo, params: datos })),
+            warningDetails: informe.avisos.map(({ codigo, datos }) => ({ code: codigo, params: datos }))
+        };
+    });
+}
+
+/**
+ * Convierte una clave RSA a otro formato
+ *
+ * @param {string} clave - Clave pública o privada en PKCS#1, PKCS#8/SPKI, JWK u OpenSSH
+ * @param {string} formato - Uno de KEY_FORMATS
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.publicOnly=false] - true para obtener la clave pública de una clave privada
+ * @param {string} [opciones.comment] - Comentario (OpenSSH) o "kid" (JWK); por defecto, el de la clave
+ * @param {string} [opciones.password] - Contraseña, si es una clave PKCS#8 protegida
+ * @returns {Promise<string>} - Clave en el formato pedido (JWK en JSON)
+ * @throws {InvalidKeyError} Si la clave no se reconoce o está dañada
+ * @throws {WrongPasswordError} Si falta la contraseña o no es correcta
+ * @throws {UnsupportedError} Si el formato no existe, no es una clave RSA o es una clave OpenSSH cifrada
+ */
+export async function convertKey(clave, formato, { publicOnly = false, comment, password } = {}) {
+    comprobarWebCrypto();
+    let texto = clave.trim();
+    if (esClavePrivadaCifrada(texto)) {
+        if (password === undefined || password === '') {
+            throw new WrongPasswordError('Esta clave privada está protegida con contraseña. Indica la contraseña para usarla.', 'password-required');
+        }
+        texto = await descifrarClavePrivada(texto, password);
+    }
+    return convertirClave(texto, formato, { publica: publicOnly, ...(comment === undefined ? {} : { comentario: comment }) });
+}
+
+/**
+ * Obtiene la clave pública que corresponde a una clave privada
+ *
+ * @param {string} clavePrivada - Clave privada sin proteger (PEM, JWK u OpenSSH)
+ * @returns {Promise<string>} - Clave pública en PEM (SPKI)
+ * @throws {InvalidKeyError} Si la clave privada no es válida
+ */
+export async function derivePublicKey(clavePrivada) {
+    return derivarClavePublica(normalizarClave(clavePrivada));
+}
+
+/**
+ * Indica si una clave privada está protegida con contraseña
+ *
+ * @param {string} clavePrivada - Clave privada en PEM
+ * @returns {boolean} - true si es PKCS#8 cifrado (BEGIN ENCRYPTED PRIVATE KEY)
+ */
+export function isProtectedPrivateKey(clavePrivada) {
+    return esClavePrivadaCifrada(clavePrivada);
+}
+
+/**
+ * Protege una clave privada con contraseña (PBKDF2 + AES-256-CBC)
+ *
+ * @param {string} clavePrivada - Clave privada sin proteger (PEM, JWK u OpenSSH)
+ * @param {string} contrasena - Contraseña de protección
+ * @returns {Promise<string>} - Clave en PEM (BEGIN ENCRYPTED PRIVATE KEY)
+ */
+export async function protectPrivateKey(clavePrivada, contrasena) {
+    comprobarWebCrypto();
+    return cifrarClavePrivada(normalizarClave(clavePrivada), contrasena);
+}
+
+/**
+ * Quita la protección con contraseña de una clave privada
+ *
+ * @param {string} clavePrivada - Clave en PEM (BEGIN ENCRYPTED PRIVATE KEY)
+ * @param {string} contrasena - Contraseña de protección
+ * @returns {Promise<string>} - Clave privada en PEM (BEGIN PRIVATE KEY)
+ * @throws {WrongPasswordError} Si la contraseña no es correcta
+ */
+export async function unlockPrivateKey(clavePrivada, contrasena) {
+    comprobarWebCrypto();
+    return descifrarClavePrivada(clavePrivada, contrasena);
+}
+
+/* ==========================================================================
+   HUELLAS
+   ========================================================================== */
+
+/**
+ * Calcula la huella SHA-256 de una clave (la misma para la pública y la privada)
+ *
+ * La huella no depende del formato: es la misma en PEM, JWK u OpenSSH.
+ *
+ * @param {string} clave - Clave pública o privada sin proteger (PEM, JWK u OpenSSH)
+ * @returns {Promise<string>} - Huella en hexadecimal (64 caracteres)
+ */
+export async function fingerprint(clave) {
+    comprobarWebCrypto();
+    return calcularHuella(normalizarClave(clave));
+}
+
+/**
+ * Da formato legible a una huella
+ *
+ * @param {string} huella - Huella en hexadecimal
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.short=false] - true para mostrar solo los primeros 8 bytes
+ * @returns {string} - Huella formateada (p. ej. 'SHA256:3f:9a:12:...')
+ */
+export function formatFingerprint(huella, { short = false } = {}) {
+    return formatearHuella(huella, short);
+}
+
+/**
+ * Lee una huella escrita por el usuario (SHA256:3f:9a:... o hexadecimal)
+ *
+ * @param {string} texto - Huella en cualquiera de los dos formatos
+ * @returns {string|null} - Huella en hexadecimal, o null si no es válida
+ */
+export function parseFingerprint(texto) {
+    return normalizarHuella(texto);
+}
+
+/* ==========================================================================
+   CIFRADO Y DESCIFRADO
+   ========================================================================== */
+
+/**
+ * Describe un texto cifrado sin descifrarlo
+ *
+ * @param {string} textoCifrado - Sobre o texto cifrado sin sobre
+ * @returns {{scheme: string, hybrid: boolean, legacy: boolean, file: boolean, multiRecipient: boolean,
+ *            padding: string, envelope: {version: number, fingerprints: string[], created: Date|null}|null}}
+ * @throws {FormatError} Si el formato no se reconoce o el sobre está dañado
+ * @throws {UnsupportedError} Si la versión del sobre no se admite
+ */
+export function inspect(textoCifrado) {
+    const texto = textoCifrado.trim();
+
+    // abrirSobre explica qué le falta a un sobre dañado
+    const sobre = esSobre(texto) ? abrirSobre(texto) : null;
+    const esquema = sobre ? sobre.esquema : identificarEsquema(texto);
+    if (!esquema) {
+        throw new FormatError(`El texto cifrado no tiene un formato válido. Debe ser un sobre "-----BEGIN ${ETIQUETA_SOBRE}-----", empezar por RSA-OAEP., RSA-OAEP-AES., RSA-OAEP-FILE. o RSA-OAEP-MULTI., o ser Base64 (formato antiguo)`,
+            'invalid-ciphertext');
+    }
+
+    const datos = ESQUEMAS_CIFRADO[esquema];
+    return {
+        scheme: esquema,
+        hybrid: datos.hibrido,
+        legacy: datos.heredado,
+        file: datos.archivo,
+        multiRecipient: datos.varios,
+        padding: datos.relleno,
+        envelope: sobre && { version: sobre.version, fingerprints: sobre.huellas, created: sobre.fecha }
+    };
+}
+
+/**
+ * Cifra un texto o un archivo para uno o varios destinatarios
+ *
+ * Los textos se cifran con RSA-OAEP directo si caben en un bloque y, si no,
+ * en modo híbrido (AES-256-GCM). Con varias claves públicas, o con datos
+ * binarios, siempre se usa el modo híbrido.
+ *
+ * @param {string|string[]} clavesPublicas - Una o varias claves públicas (también varias en un mismo texto; ver extractPublicKeys)
+ * @param {string|Uint8Array|ArrayBuffer} datos - Texto, o contenido de un archivo
+ * @param {Object} [opciones]
+ * @param {string} [opciones.mode='auto'] - Para textos: 'auto', 'rsa' o 'hybrid'
+ * @param {string} [opciones.fileName='datos.bin'] - Para archivos: nombre que se restaurará al descifrar
+ * @param {string} [opciones.fileType=''] - Para archivos: tipo MIME
+ * @param {boolean} [opciones.armor=true] - false para devolver el texto cifrado sin sobre
+ * @returns {Promise<{ciphertext: string, scheme: string, hybrid: boolean, padding: string, fingerprints: string[], limit: number|null}>}
+ *          limit es el máximo de bytes de RSA directo con esa clave (solo con un destinatario y texto)
+ * @throws {InvalidKeyError} Si no hay claves públicas o alguna no es válida
+ * @throws {MessageTooLongError} Si el modo 'rsa' no admite un mensaje tan largo
+ * @throws {UnsupportedError} Si el modo no admite la combinación pedida
+ */
+export async function encrypt(clavesPublicas, datos, { mode = 'auto', fileName = 'datos.bin', fileType = '', armor = true } = {}) {
+    comprobarWebCrypto();
+
+    // PASO 1: Reunir las claves públicas de los destinatarios
+    const claves = [].concat(clavesPublicas).flatMap((texto) => buscarClavesPublicas(texto));
+    if (!claves.length) {
+        throw new InvalidKeyError('No se ha indicado ninguna clave pública. Se admiten claves PEM ("-----BEGIN PUBLIC KEY-----" o "-----BEGIN RSA PUBLIC KEY-----"), JWK y OpenSSH (ssh-rsa).', 'no-public-key');
+    }
+
+    if (!(mode in MODOS)) {
+        throw new UnsupportedError(`Modo de cifrado no admitido: ${mode}. Usa ${Object.keys(MODOS).join(', ')}.`,
+            'mode', { modo: mode, admitidos: Object.keys(MODOS).join(', ') });
+    }
+
+    // PASO 2: Cifrar según el tipo de datos y el número de destinatarios
+    let resultado;
+    if (typeof datos !== 'string') {
+        if (claves.length > 1) {
+            throw new UnsupportedError('Los archivos se cifran para un único destinatario.', 'file-single-recipient');
+        }
+        resultado = await cifrarArchivo(claves[0], new Uint8Array(datos), fileName, fileType);
+    } else if (claves.length > 1) {
+        if (mode === 'rsa') {
+            throw new UnsupportedError('RSA directo solo admite un destinatario. Para varios destinatarios usa el modo automático o híbrido.', 'rsa-single-recipient');
+        }
+        resultado = await cifrarTextoVarios(claves, datos);
+    } else {
+        resultado = await cifrarTexto(claves[0], datos, MODOS[mode]);
+    }
+
+    // PASO 3: Meter el resultado en un sobre que describe cómo se cifró
+    const huellas = [];
+    for (const clave of claves) {
+        const huella = await calcularHuella(clave);
+        if (!huellas.includes(huella)) {
+            huellas.push(huella);
+        }
+    }
+
+    return {
+        ciphertext: armor ? await crearSobre(resultado.textoCifrado, claves) : resultado.textoCifrado,
+        scheme: resultado.esquema,
+        hybrid: ESQUEMAS_CIFRADO[resultado.esquema].hibrido,
+        padding: ESQUEMAS_CIFRADO[resultado.esquema].relleno,
+        fingerprints: huellas,
+        limit: resultado.limite === undefined ? null : resultado.limite
+    };
+}
+
+/**
+ * Descifra un texto o un archivo cifrado
+ *
+ * Antes de descifrar se comprueba que la clave privada sea la de uno de los
+ * destinatarios: los indicados en expectedFingerprints o, si no se indican,
+ * los que declara el sobre.
+ *
+ * @param {string} clavePrivada - Clave privada en PEM (protegida o no), JWK u OpenSSH
+ * @param {string} textoCifrado - Sobre o texto cifrado sin sobre
+ * @param {Object} [opciones]
+ * @param {string} [opciones.password] - Contraseña, si la clave privada está protegida
+ * @param {string[]} [opciones.expectedFingerprints] - Huellas (hexadecimal) de los destinatarios esperados
+ * @returns {Promise<{text: string|null, file: {name: string, type: string, data: Uint8Array}|null,
+ *            scheme: string, fingerprint: string, envelope: Object|null}>}
+ *          text para los mensajes y file para los archivos; fingerprint es la huella de la clave usada
+ * @throws {WrongPasswordError} Si falta la contraseña o no es correcta
+ * @throws {WrongKeyError} Si la clave privada no es la de ningún destinatario
+ * @throws {FormatError} Si el texto cifrado no tiene un formato reconocido
+ * @throws {IntegrityError} Si los datos cifrados fueron modificados
+ */
+export async function decrypt(clavePrivada, textoCifrado, { password, expectedFingerprints } = {}) {
+    comprobarWebCrypto();
+
+    // PASO 1: Desbloquear la clave privada si está protegida
+    let clave = clavePrivada.trim();
+    if (esClavePrivadaCifrada(clave)) {
+        if (password === undefined || password === '') {
+            throw new WrongPasswordError('Esta clave privada está protegida con contraseña. Indica la contraseña para usarla.', 'password-required');
+        }
+        clave = await descifrarClavePrivada(clave, password);
+    }
+    clave = normalizarClave(clave);
+
+    // PASO 2: Identificar el formato y los destinatarios
+    const texto = textoCifrado.trim();
+    const descripcion = inspect(texto);
+    const esperadas = expectedFingerprints || (descripcion.envelope ? descripcion.envelope.fingerprints : []);
+
+    // PASO 3: Comprobar que la clave es la de un destinatario
+    const { coincide, huella } = await comprobarHuella(clave, esperadas);
+    if (esperadas.length && !coincide) {
+        throw new WrongKeyError(
+            `Clave incorrecta: la clave privada (${formatearHuella(huella, true)}) no corresponde a ningún destinatario del mensaje.`,
+            huella,
+            esperadas,
+            'not-a-recipient',
+            { huella: formatearHuella(huella, true) }
+        );
+    }
+
+    // PASO 4: Descifrar (los archivos conservan su nombre y tipo)
+    const resultado = {
+        text: null,
+        file: null,
+        scheme: descripcion.scheme,
+        fingerprint: huella,
+        envelope: descripcion.envelope
+    };
+
+    if (descripcion.file) {
+        const archivo = await descifrarArchivo(clave, texto);
+        resultado.file = { name: archivo.nombre, type: archivo.tipo, data: archivo.contenido };
+    } else {
+        resultado.text = (await descifrarTexto(clave, texto)).texto;
+    }
+
+    return resultado;
+}
+
+/* ==========================================================================
+   FIRMAS
+   ========================================================================== */
+
+/** Estados de verificación de cripto.js y su nombre en la API */
+const ESTADOS_FIRMA = { valida: 'valid', manipulada: 'tampered', invalida: 'invalid' };
+
+/**
+ * Firma un mensaje (firma separada sobre SHA-256)
+ *
+ * @param {string} clavePrivada - Clave privada sin proteger en PEM, JWK u OpenSSH (RSA), o en hexadecimal o WIF (secp256k1)
+ * @param {string} mensaje - Mensaje a firmar
+ * @param {Object} [opciones]
+ * @param {string} [opciones.algorithm='RSA-PSS'] - 'RSA-PSS', 'RSASSA-PKCS1-v1_5' o 'ECDSA-secp256k1'
+ * @returns {Promise<string>} - Firma en Base64 (DER con ECDSA)
+ * @throws {InvalidKeyError} Si la clave privada no es válida
+ */
+export async function sign(clavePrivada, mensaje, { algorithm = 'RSA-PSS' } = {}) {
+    comprobarWebCrypto();
+    if (algorithm === SECP256K1_ALGORITHM) {
+        return firmarSecp256k1(clavePrivada, mensaje);
+    }
+    return firmarMensaje(normalizarClave(clavePrivada), mensaje, algorithm);
+}
+
+/**
+ * Verifica una firma y explica el resultado
+ *
+ * @param {string} clavePublica - Clave pública del firmante en PEM, JWK u OpenSSH (RSA) o en hexadecimal (secp256k1)
+ * @param {string} mensaje - Mensaje recibido
+ * @param {string} firma - Firma en Base64
+ * @param {Object} [opciones]
+ * @param {string} [opciones.algorithm='RSA-PSS'] - 'RSA-PSS', 'RSASSA-PKCS1-v1_5' o 'ECDSA-secp256k1'
+ * @returns {Promise<{valid: boolean, status: string, reason: string}>}
+ *          status: 'valid', 'tampered' (mensaje modificado) o 'invalid'; con ECDSA no se
+ *          puede distinguir un mensaje modificado de otra clave y nunca es 'tampered'
+ * @throws {InvalidKeyError} Si la clave pública no es válida
+ */
+export async function verify(clavePublica, mensaje, firma, { algorithm = 'RSA-PSS' } = {}) {
+    comprobarWebCrypto();
+    const { estado, motivo } = algorithm === SECP256K1_ALGORITHM
+        ? await verificarFirmaSecp256k1(clavePublica, mensaje, firma)
+        : await verificarFirma(normalizarClave(clavePublica), mensaje, firma, algorithm);
+    return { valid: estado === 'valida', status: ESTADOS_FIRMA[estado], reason: motivo };
+}
@@ -0,0 +1,376 @@
+/**
+ * ============================================================================
+ * ÁRBOL DE MERKLE - Raíz, niveles y pruebas de inclusión de una lista de mensajes
+ * ============================================================================
+ *
+ * Este script construye el árbol de Merkle de los mensajes o textos cifrados
+ * pegados por el usuario (o enviados desde el Codificador), muestra la raíz
+ * y todos los niveles, genera la prueba de inclusión de cualquier hoja y
+ * verifica una prueba contra una raíz. La lógica está en merkle.js.
+ *
+ * La lista de mensajes se guarda en sessionStorage para que el Codificador
+ * pueda añadir textos cifrados uno a uno.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import {
+    separarMensajes,
+    construirArbol,
+    esNodoPromovido,
+    generarPrueba,
+    verificarPrueba,
+    exportarPrueba,
+    importarPrueba,
+    CLAVE_MENSAJES_ARBOL
+} from './merkle.js';
+import {
+    exponerEnPagina,
+    escaparHTML,
+    mostrarNotificacion,
+    mostrarResultado,
+    mostrarError as mostrarErrorEn,
+    mostrarProcesando,
+    activarAtajoEnvio,
+    seleccionarTexto,
+    copiarTexto
+} from './ui.js';
+
+/** Sugerencias que acompañan a los errores de esta página */
+const SUGERENCIAS_ERROR = [
+    'Escribe un mensaje por línea, o pega sobres cifrados completos (de la línea BEGIN a la línea END)',
+    'Copia la prueba completa, desde la primera llave { hasta la última }',
+    'La raíz son 64 caracteres hexadecimales; cópiala de una fuente de confianza'
+];
+
+/** Caracteres del hash que se muestran en cada nodo (el hash completo está en el título) */
+const CARACTERES_NODO = 10;
+
+/** Último árbol construido */
+let arbolActual = null;
+
+/**
+ * Construye el árbol de los mensajes del formulario
+ *
+ * Flujo del proceso:
+ * 1. Separar los mensajes (un sobre cifrado o una línea cada uno)
+ * 2. Calcular las hojas y los niveles hasta la raíz
+ * 3. Mostrar el árbol y preparar el selector de hojas
+ *
+ * @returns {Promise<void>}
+ */
+async function construirArbolMensajes() {
+    try {
+        // PASO 1: Mensajes
+        const mensajes = separarMensajes(document.getElementById('mensajes').value);
+        if (!mensajes.length) {
+            mostrarError('Escribe al menos un mensaje (uno por línea) o pega un texto cifrado', 'resultadoArbol');
+            return;
+        }
+
+        // PASO 2: Árbol
+        mostrarProcesando(`Calculando el árbol de ${mensajes.length} mensajes...`, 'resultadoArbol');
+        arbolActual = await construirArbol(mensajes);
+
+        // PASO 3: Mostrar
+        mostrarArbol();
+        prepararSelectorHojas();
+        document.getElementById('resultadoPrueba').style.display = 'none';
+
+        console.log('✅ Árbol de Merkle construido');
+        console.log('🌳 Raíz:', arbolActual.raiz);
+
+    } catch (error) {
+        console.error('❌ Error al construir el árbol:', error);
+        mostrarError(`No se pudo construir el árbol: ${escaparHTML(error.message)}`, 'resultadoArbol');
+    }
+}
+
+/**
+ * Resume un mensaje para mostrarlo bajo su hoja
+ *
+ * Los sobres cifrados empiezan todos igual, así que se muestra el final del cuerpo.
+ *
+ * @param {string} mensaje - Mensaje de una hoja
+ * @returns {string} - Texto corto (sin escapar)
+ */
+function resumirMensaje(mensaje) {
+    const lineas = mensaje.split('\n');
+    if (lineas.length > 2 && lineas[0].startsWith('-----BEGIN ')) {
+        return `🔒 …${lineas[lineas.length - 2].slice(-8)}`;
+    }
+    return mensaje.length > 16 ? `${mensaje.slice(0, 15)}…` : mensaje;
+}
+
+/**
+ * Muestra la raíz y todos los niveles del árbol actual
+ *
+ * Si se indica una hoja, se resalta su camino hasta la raíz y los hashes
+ * hermanos que forman su prueba.
+ *
+ * @param {number|null} [hojaResaltada=null] - Posición de la hoja resaltada
+ * @returns {void}
+ */
+function mostrarArbol(hojaResaltada = null) {
+    const { raiz, niveles, mensajes } = arbolActual;
+
+    const filas = niveles.map((nivel, numNivel) => {
+        const camino = hojaResaltada === null ? -1 : Math.floor(hojaResaltada / 2 ** numNivel);
+        const hermano = camino % 2 === 1 ? camino - 1 : camino + 1;
+
+        const nodos = nivel.map((hash, indice) => {
+            const clases = ['nodo-merkle'];
+            if (esNodoPromovido(niveles, numNivel, indice)) {
+                clases.push('promovido');
+            }
+            if (indice === camino) {
+                clases.push('camino');
+            } else if (camino >= 0 && indice === hermano) {
+                clases.push('hermano');
+            }
+
+            const corto = `${hash.slice(0, CARACTERES_NODO)}…`;
+            if (numNivel > 0) {
+                return `<span class="${clases.join(' ')}" title="${hash}">${corto}</span>`;
+            }
+            return `
+                <button type="button" class="${clases.join(' ')}" title="${hash}" onclick="generarPruebaHoja(${indice})">
+                    ${corto}<small>#${indice} ${escaparHTML(resumirMensaje(mensajes[indice]))}</small>
+                </button>`;
+        });
+
+        const nombre = numNivel === niveles.length - 1 ? '🌳 Raíz' : numNivel === 0 ? '🍃 Hojas' : `Nivel ${numNivel}`;
+        return `<div class="nivel-merkle"><span>${nombre}</span>${nodos.join('')}</div>`;
+    });
+
+    mostrarResultado(`
+        <h3>✅ Árbol de Merkle Construido</h3>
+
+        <div class="info-box">
+            <strong>📊 Resumen:</strong>
+            <div style="margin-top: 8px; line-height: 1.8;">
+                🍃 <strong>Hojas:</strong> ${niveles[0].length} ·
+                📶 <strong>Niveles:</strong> ${niveles.length} ·
+                🧾 <strong>Pasos por prueba:</strong> ${niveles.length - 1} como máximo
+            </div>
+        </div>
+
+        <div class="output-box">
+            <span class="output-label">🌳 RAÍZ (SHA-256):</span>
+            <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
+                Publica solo la raíz: resume todos los mensajes y cambia si cambia cualquiera de ellos.
+            </p>
+            <textarea
+                readonly
+                id="raizOutput"
+                rows="2"
+                onclick="seleccionarTexto('raizOutput')"
+            >${raiz}</textarea>
+            <button
+                onclick="copiarTexto('raizOutput', '✅ Raíz copiada al portapapeles')"
+                class="merkle"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                📋 Copiar Raíz
+            </button>
+        </div>
+
+        <div class="arbol-merkle">${filas.reverse().join('')}</div>
+        <p style="font-size: 0.9rem; color: #666;">
+            💡 Pulsa una hoja para generar su prueba. Los nodos con borde discontinuo no tenían pareja y
+            subieron sin cambios${hojaResaltada === null ? '' : '; en verde, el camino de la hoja y, en amarillo, los hashes de su prueba'}.
+        </p>
+    `, 'success', 'resultadoArbol');
+}
+
+/**
+ * Rellena el selector de hojas con las del árbol actual
+ *
+ * @returns {void}
+ */
+function prepararSelectorHojas() {
+    const selector = document.getElementById('indiceHoja');
+    selector.innerHTML = arbolActual.mensajes
+        .map((mensaje, indice) => `<option value="${indice}">#${indice} · ${escaparHTML(resumirMensaje(mensaje))}</option>`)
+        .join('');
+    document.getElementById('grupoPrueba').style.display = 'block';
+}
+
+/**
+ * Genera y muestra la prueba de inclusión de una hoja
+ *
+ * @param {number} [indice] - Posición de la hoja (por defecto, la del selector)
+ * @returns {void}
+ */
+function generarPruebaHoja(indice = Number(document.getElementById('indiceHoja').value)) {
+    if (!arbolActual) {
+        mostrarNotificacion('❌ Construye primero el árbol', 'error');
+        return;
+    }
+
+    const prueba = generarPrueba(arbolActual, indice);
+    document.getElementById('indiceHoja').value = indice;
+    mostrarArbol(indice);
+
+    mostrarResultado(`
+        <h3>🧾 Prueba de Inclusión de la Hoja #${indice}</h3>
+
+        <div class="info-box">
+            ${prueba.pasos.length} hash${prueba.pasos.length === 1 ? '' : 'es'} hermano${prueba.pasos.length === 1 ? '' : 's'}
+            bastan para recalcular la raíz a partir del mensaje, sin conocer los otros
+            ${prueba.total - 1} mensaje${prueba.total === 2 ? '' : 's'}.
+        </div>
+
+        <div class="output-box">
+            <span class="output-label">📦 PRUEBA (JSON):</span>
+            <textarea
+                readonly
+                id="pruebaOutput"
+                class="large"
+                onclick="seleccionarTexto('pruebaOutput')"
+            >${escaparHTML(exportarPrueba(prueba))}</textarea>
+            <button
+                onclick="copiarTexto('pruebaOutput', '✅ Prueba copiada al portapapeles')"
+                class="merkle"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                📋 Copiar Prueba
+            </button>
+        </div>
+
+        <button
+            onclick="usarPruebaEnVerificacion(${indice})"
+            class="merkle"
+            style="margin-top: 10px;"
+        >
+            🔍 Verificar Esta Prueba
+        </button>
+    `, 'success', 'resultadoPrueba');
+}
+
+/**
+ * Copia el mensaje, la prueba y la raíz al formulario de verificación
+ *
+ * @param {number} indice - Posición de la hoja de la prueba
+ * @returns {void}
+ */
+function usarPruebaEnVerificacion(indice) {
+    document.getElementById('mensajeVerificar').value = arbolActual.mensajes[indice];
+    document.getElementById('pruebaVerificar').value = document.getElementById('pruebaOutput').value;
+    document.getElementById('raizVerificar').value = arbolActual.raiz;
+    document.getElementById('mensajeVerificar').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    mostrarNotificacion('✅ Datos copiados. Prueba a cambiar un carácter del mensaje antes de verificar.');
+}
+
+/**
+ * Verifica que el mensaje del formulario está incluido en el árbol de la raíz indicada
+ *
+ * @returns {Promise<void>}
+ */
+async function verificarInclusion() {
+    const mensaje = document.getElementById('mensajeVerificar').value;
+    const json = document.getElementById('pruebaVerificar').value.trim();
+    const raiz = document.getElementById('raizVerificar').value.trim();
+
+    if (!mensaje.trim() || !json || !raiz) {
+        mostrarError('Rellena el mensaje, la prueba y la raíz de confianza', 'resultadoVerificacion');
+        return;
+    }
+
+    try {
+        const prueba = importarPrueba(json);
+
+        mostrarProcesando('Recalculando la raíz a partir del mensaje...', 'resultadoVerificacion');
+        const resultado = await verificarPrueba(mensaje, prueba, raiz);
+        mostrarVerificacion(resultado);
+
+        console.log('🔍 Verificación de la prueba:', resultado.valida ? 'válida' : 'inválida');
+
+    } catch (error) {
+        console.error('❌ Error al verificar la prueba:', error);
+        mostrarError(`No se pudo verificar la prueba: ${escaparHTML(error.message)}`, 'resultadoVerificacion');
+    }
+}
+
+/**
+ * Muestra el resultado de la verificación con el recálculo paso a paso
+ *
+ * @param {{valida: boolean, motivo: string, calculos: Object[]}} resultado - Resultado de verificarPrueba
+ * @returns {void}
+ */
+function mostrarVerificacion(resultado) {
+    mostrarResultado(`
+        <h3>${resultado.valida ? '✅ El Mensaje Está en el Árbol' : '❌ Prueba Inválida'}</h3>
+        <p style="font-size: 1.1rem; margin: 15px 0;">${escaparHTML(resultado.motivo)}</p>
+        ${resultado.calculos.length ? `
+        <div class="output-box">
+            <span class="output-label">🧮 RECÁLCULO DE LA RAÍZ:</span>
+            <ol style="margin: 10px 0 0 20px; line-height: 1.8; word-break: break-all; font-size: 0.9rem;">
+                ${resultado.calculos.map(({ lado, hermano, resultado: hash }) => `
+                <li>
+                    Hermano a la ${lado}: <code>${hermano.slice(0, CARACTERES_NODO)}…</code>
+                    → <code>${hash}</code>
+                </li>`).join('')}
+            </ol>
+        </div>` : ''}
+    `, resultado.valida ? 'success' : 'error', 'resultadoVerificacion');
+}
+
+/**
+ * Vacía la lista de mensajes y el árbol
+ *
+ * @returns {void}
+ */
+function vaciarMensajes() {
+    document.getElementById('mensajes').value = '';
+    sessionStorage.removeItem(CLAVE_MENSAJES_ARBOL);
+    arbolActual = null;
+    document.getElementById('resultadoArbol').style.display = 'none';
+    document.getElementById('resultadoPrueba').style.display = 'none';
+    document.getElementById('grupoPrueba').style.display = 'none';
+    mostrarNotificacion('🗑️ Lista de mensajes vaciada');
+}
+
+/**
+ * Muestra un mensaje de error con las sugerencias de esta página
+ *
+ * @param {string} mensaje - Mensaje de error
+ * @param {string} idResultado - ID del área de resultados
+ * @returns {void}
+ */
+function mostrarError(mensaje, idResultado) {
+    mostrarErrorEn(mensaje, SUGERENCIAS_ERROR, idResultado);
+}
+
+/**
+ * Inicialización
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('🌳 Árbol de Merkle inicializado');
+
+    // Mensajes de esta sesión, incluidos los textos cifrados enviados desde el Codificador
+    const entrada = document.getElementById('mensajes');
+    const guardados = sessionStorage.getItem(CLAVE_MENSAJES_ARBOL);
+    if (guardados) {
+        entrada.value = guardados;
+        construirArbolMensajes();
+    }
+    entrada.addEventListener('input', () => sessionStorage.setItem(CLAVE_MENSAJES_ARBOL, entrada.value));
+
+    // Ctrl/Cmd + Enter para construir o verificar
+    activarAtajoEnvio(['mensajes'], construirArbolMensajes);
+    activarAtajoEnvio(['mensajeVerificar', 'pruebaVerificar', 'raizVerificar'], verificarInclusion);
+});
+
+// Funciones usadas desde los atributos onclick del HTML
+exponerEnPagina({
+    construirArbolMensajes,
+    generarPruebaHoja,
+    usarPruebaEnVerificacion,
+    verificarInclusion,
+    vaciarMensajes,
+    seleccionarTexto,
+    copiarTexto
+});
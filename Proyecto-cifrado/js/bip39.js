@@ -0,0 +1,175 @@
+/**
+ * ============================================================================
+ * BIP39 - Frases de recuperación
+ * ============================================================================
+ *
+ * Convierte entropía aleatoria en una frase de 12 a 24 palabras que se
+ * puede escribir en papel, y la frase en una semilla de la que se derivan
+ * las claves de forma determinista (BIP 39):
+ *
+ *     entropía (128-256 bits) + primeros bits de SHA-256(entropía)
+ *         → grupos de 11 bits → palabras de la lista (bip39-palabras.js)
+ *
+ *     semilla = PBKDF2-HMAC-SHA512(frase, "mnemonic" + contraseña, 2048 iteraciones, 64 bytes)
+ *
+ * Los bits finales de SHA-256 actúan como código de control: una palabra
+ * cambiada o dos palabras intercambiadas se detectan al recuperar. Las
+ * frases son compatibles con las de los monederos de Bitcoin y Ethereum.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { PALABRAS_BIP39 } from './bip39-palabras.js';
+import { InvalidMnemonicError, bytesABigInt, bigIntABytes } from './cripto.js';
+
+/** Número de palabras admitidas y bits de entropía que representan (11 · palabras = entropía + control) */
+export const LONGITUDES_FRASE = [12, 15, 18, 21, 24];
+
+/** Las longitudes admitidas, para los mensajes de error */
+const TEXTO_LONGITUDES = `${LONGITUDES_FRASE.slice(0, -1).join(', ')} o ${LONGITUDES_FRASE.at(-1)}`;
+
+/** Iteraciones de PBKDF2 que fija BIP 39 */
+const ITERACIONES_SEMILLA = 2048;
+
+/**
+ * Normaliza una frase: minúsculas, NFKD y un único espacio entre palabras
+ *
+ * @param {string} texto - Frase tal como la escribe el usuario
+ * @returns {string} - Frase normalizada
+ */
+export function normalizarFrase(texto) {
+    return texto.normalize('NFKD').toLowerCase().trim().split(/\s+/).join(' ');
+}
+
+/**
+ * Calcula los bits de control de una entropía
+ *
+ * @param {Uint8Array} entropia - Entropía (16 a 32 bytes)
+ * @returns {Promise<bigint>} - Primeros entropía/32 bits de SHA-256(entropía)
+ */
+async function calcularControl(entropia) {
+    const bitsControl = BigInt(entropia.length / 4);
+    const resumen = new Uint8Array(await crypto.subtle.digest('SHA-256', entropia));
+    return BigInt(resumen[0]) >> (8n - bitsControl);
+}
+
+/**
+ * Genera una frase de recuperación aleatoria
+ *
+ * @param {number} [numPalabras=12] - 12, 15, 18, 21 o 24 palabras
+ * @returns {Promise<string>} - Palabras separadas por espacios
+ * @throws {RangeError} Si el número de palabras no es válido
+ */
+export async function generarFrase(numPalabras = 12) {
+    if (!LONGITUDES_FRASE.includes(numPalabras)) {
+        throw new RangeError(`Una frase BIP39 tiene ${TEXTO_LONGITUDES} palabras`);
+    }
+
+    // PASO 1: Entropía aleatoria (12 palabras = 128 bits, 24 palabras = 256 bits)
+    const entropia = crypto.getRandomValues(new Uint8Array(numPalabras * 4 / 3));
+
+    // PASO 2: Añadir los bits de control al final
+    const bitsControl = BigInt(numPalabras / 3);
+    let valor = (bytesABigInt(entropia) << bitsControl) | await calcularControl(entropia);
+
+    // PASO 3: Cada grupo de 11 bits es una palabra
+    const palabras = [];
+    for (let i = 0; i < numPalabras; i++) {
+        palabras.unshift(PALABRAS_BIP39[Number(valor & 0x7ffn)]);
+        valor >>= 11n;
+    }
+    return palabras.join(' ');
+}
+
+/**
+ * Sugiere la palabra de la lista que empieza igual (basta con 4 letras)
+ *
+ * @param {string} palabra - Palabra desconocida
+ * @returns {string|null} - Palabra sugerida, o null si no hay ninguna
+ */
+function sugerirPalabra(palabra) {
+    if (palabra.length < 4) {
+        return null;
+    }
+    return PALABRAS_BIP39.find((candidata) => candidata.startsWith(palabra.slice(0, 4))) || null;
+}
+
+/**
+ * Comprueba una frase de recuperación: número de palabras, lista y código de control
+ *
+ * @param {string} texto - Frase escrita por el usuario
+ * @returns {Promise<string>} - Frase normalizada
+ * @throws {InvalidMnemonicError} Si la frase no es válida (ver su propiedad reason)
+ */
+export async function comprobarFrase(texto) {
+    const frase = normalizarFrase(texto);
+    const palabras = frase ? frase.split(' ') : [];
+
+    // PASO 1: Número de palabras
+    if (!LONGITUDES_FRASE.includes(palabras.length)) {
+        throw new InvalidMnemonicError(
+            `La frase tiene ${palabras.length} palabras y debe tener ${TEXTO_LONGITUDES}.`,
+            'length',
+            [],
+            { palabras: palabras.length }
+        );
+    }
+
+    // PASO 2: Todas las palabras deben estar en la lista
+    const desconocidas = palabras.filter((palabra) => !PALABRAS_BIP39.includes(palabra));
+    if (desconocidas.length) {
+        const sugerencias = desconocidas.map(sugerirPalabra);
+        const detalles = desconocidas.map((palabra, i) =>
+            (sugerencias[i] ? `"${palabra}" (¿quizá "${sugerencias[i]}"?)` : `"${palabra}"`));
+        throw new InvalidMnemonicError(
+            `Estas palabras no están en la lista BIP39 (inglés): ${detalles.join(', ')}.`,
+            'unknown-word',
+            desconocidas,
+            { sugerencias }
+        );
+    }
+
+    // PASO 3: Los últimos bits deben coincidir con el SHA-256 de la entropía
+    const bitsControl = BigInt(palabras.length / 3);
+    const valor = palabras.reduce((total, palabra) => (total << 11n) | BigInt(PALABRAS_BIP39.indexOf(palabra)), 0n);
+    const entropia = bigIntABytes(valor >> bitsControl, palabras.length * 4 / 3);
+    if ((valor & ((1n << bitsControl) - 1n)) !== await calcularControl(entropia)) {
+        throw new InvalidMnemonicError(
+            'El código de control de la frase no coincide: alguna palabra está cambiada o fuera de orden.',
+            'checksum'
+        );
+    }
+
+    return frase;
+}
+
+/**
+ * Calcula la semilla de 64 bytes de una frase de recuperación
+ *
+ * La contraseña opcional cambia por completo la semilla (y las claves): la
+ * misma frase con otra contraseña da otras claves, sin ningún error.
+ *
+ * @param {string} texto - Frase de recuperación
+ * @param {string} [contrasena=''] - Contraseña adicional de BIP 39
+ * @returns {Promise<Uint8Array>} - Semilla
+ * @throws {InvalidMnemonicError} Si la frase no es válida
+ */
+export async function fraseASemilla(texto, contrasena = '') {
+    const frase = await comprobarFrase(texto);
+    const codificador = new TextEncoder();
+
+    const clave = await crypto.subtle.importKey('raw', codificador.encode(frase), 'PBKDF2', false, ['deriveBits']);
+    const semilla = await crypto.subtle.deriveBits(
+        {
+            name: 'PBKDF2',
+            salt: codificador.encode('mnemonic' + contrasena.normalize('NFKD')),
+            iterations: ITERACIONES_SEMILLA,
+            hash: 'SHA-512'
+        },
+        clave,
+        512
+    );
+    return new Uint8Array(semilla);
+}
@@ -0,0 +1,40 @@
+/**
+ * ============================================================================
+ * CADENA DE BLOQUES - Web Worker de minería
+ * ============================================================================
+ *
+ * Busca el nonce de la prueba de trabajo en un hilo separado para que la
+ * página siga respondiendo (con dificultad 5 o 6 puede tardar bastante).
+ * La página puede cancelar la minería terminando el worker.
+ *
+ * Se crea como worker de tipo módulo: new Worker(url, { type: 'module' }).
+ *
+ * Mensajes recibidos:  { bloque }  (creado con crearBloque, sin minar)
+ * Mensajes enviados:   { tipo: 'progreso', intentos }
+ *                      { tipo: 'bloque', bloque }
+ *                      { tipo: 'error', mensaje }
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { minarBloque } from './cadena.js';
+
+/**
+ * Recibe el bloque que hay que minar desde la página
+ *
+ * @param {MessageEvent} evento - evento.data = { bloque }
+ * @returns {Promise<void>}
+ */
+self.onmessage = async function(evento) {
+    try {
+        const bloque = await minarBloque(evento.data.bloque, (intentos) => {
+            self.postMessage({ tipo: 'progreso', intentos });
+        });
+        self.postMessage({ tipo: 'bloque', bloque });
+
+    } catch (error) {
+        self.postMessage({ tipo: 'error', mensaje: error.message });
+    }
+};
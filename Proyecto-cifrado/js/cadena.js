@@ -0,0 +1,392 @@
+/**
+ * ============================================================================
+ * CADENA DE BLOQUES - Registro local de mensajes cifrados
+ * ============================================================================
+ *
+ * Cada bloque guarda un texto cifrado (el sobre que produce el Codificador)
+ * encadenado al anterior por su hash SHA-256:
+ *
+ *     { indice, marcaTiempo, hashAnterior, dificultad, nonce, textoCifrado, hash }
+ *
+ * - hash = SHA-256 del contenido del bloque (ver contenidoBloque).
+ * - hashAnterior = hash del bloque anterior (64 ceros en el primero).
+ * - Prueba de trabajo: se busca un nonce con el que el hash empiece por
+ *   tantos ceros hexadecimales como indique la dificultad.
+ *
+ * Modificar un bloque cambia su hash, así que deja de cumplir la prueba de
+ * trabajo y rompe el enlace con el bloque siguiente. La cadena se guarda en
+ * IndexedDB y se puede exportar e importar como JSON.
+ *
+ * Módulo ES; depende de cripto.js. Funciona también en Web Workers y en
+ * Node.js 20 o superior (sin persistencia).
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { FormatError } from './cripto.js';
+
+/** Hash anterior del primer bloque de la cadena */
+export const HASH_INICIAL = '0'.repeat(64);
+
+/** Dificultades admitidas (ceros hexadecimales al inicio del hash) */
+export const DIFICULTAD_MINIMA = 1;
+export const DIFICULTAD_MAXIMA = 6;
+
+/** Identificador y versión del formato de exportación JSON */
+export const FORMATO_EXPORTACION = 'cadena-rsa';
+export const VERSION_EXPORTACION = 1;
+
+/** Clave de sessionStorage con la que el Codificador pasa un texto cifrado al Registro */
+export const CLAVE_TEXTO_PENDIENTE = 'registro-texto-pendiente';
+
+/** Cada cuántos intentos se informa del progreso de la minería */
+const INTERVALO_PROGRESO = 2000;
+
+/** Nombre y versión de la base de datos IndexedDB */
+const BASE_DATOS_CADENA = 'cadena-rsa';
+const VERSION_CADENA = 1;
+
+// ============================================================================
+// BLOQUES Y PRUEBA DE TRABAJO
+// ============================================================================
+
+/**
+ * Serializa los campos del bloque que protege el hash
+ *
+ * Se usa un array JSON para que el orden de los campos sea fijo y no haya
+ * ambigüedad entre ellos.
+ *
+ * @param {Object} bloque - Bloque (el campo hash se ignora)
+ * @returns {string} - Contenido que se resume con SHA-256
+ */
+export function contenidoBloque(bloque) {
+    return JSON.stringify([
+        bloque.indice,
+        bloque.marcaTiempo,
+        bloque.hashAnterior,
+        bloque.dificultad,
+        bloque.nonce,
+        bloque.textoCifrado
+    ]);
+}
+
+/**
+ * Calcula el hash SHA-256 de un bloque
+ *
+ * @param {Object} bloque - Bloque a resumir
+ * @returns {Promise<string>} - Hash en hexadecimal (64 caracteres)
+ */
+export async function calcularHashBloque(bloque) {
+    const resumen = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(contenidoBloque(bloque)));
+    return Array.from(new Uint8Array(resumen), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Comprueba si un hash cumple la prueba de trabajo
+ *
+ * @param {string} hash - Hash en hexadecimal
+ * @param {number} dificultad - Ceros hexadecimales exigidos al inicio
+ * @returns {boolean} - true si el hash empieza por esos ceros
+ */
+export function cumpleDificultad(hash, dificultad) {
+    return hash.startsWith('0'.repeat(dificultad));
+}
+
+/**
+ * Número medio de intentos para minar un bloque con una dificultad
+ *
+ * @param {number} dificultad - Ceros hexadecimales exigidos
+ * @returns {number} - 16 elevado a la dificultad
+ */
+export function intentosEsperados(dificultad) {
+    return 16 ** dificultad;
+}
+
+/**
+ * Prepara el siguiente bloque de una cadena (sin minar)
+ *
+ * @param {Object[]} bloques - Cadena actual
+ * @param {string} textoCifrado - Texto cifrado que guardará el bloque
+ * @param {number} dificultad - Dificultad de la prueba de trabajo
+ * @returns {Object} - Bloque con nonce 0 y sin hash
+ * @throws {RangeError} Si la dificultad no está entre DIFICULTAD_MINIMA y DIFICULTAD_MAXIMA
+ */
+export function crearBloque(bloques, textoCifrado, dificultad) {
+    if (!Number.isInteger(dificultad) || dificultad < DIFICULTAD_MINIMA || dificultad > DIFICULTAD_MAXIMA) {
+        throw new RangeError(`La dificultad debe estar entre ${DIFICULTAD_MINIMA} y ${DIFICULTAD_MAXIMA}.`);
+    }
+
+    const anterior = bloques[bloques.length - 1];
+    return {
+        indice: bloques.length,
+        marcaTiempo: new Date().toISOString(),
+        hashAnterior: anterior ? anterior.hash : HASH_INICIAL,
+        dificultad,
+        nonce: 0,
+        textoCifrado
+    };
+}
+
+/**
+ * Mina un bloque: busca un nonce cuyo hash cumpla la dificultad
+ *
+ * @param {Object} bloque - Bloque creado con crearBloque
+ * @param {function(number): void} [alProgresar] - Recibe el número de intentos cada cierto tiempo
+ * @returns {Promise<Object>} - Bloque con el nonce encontrado y su hash
+ */
+export async function minarBloque(bloque, alProgresar) {
+    const candidato = { ...bloque, nonce: 0 };
+
+    for (;;) {
+        const hash = await calcularHashBloque(candidato);
+        if (cumpleDificultad(hash, candidato.dificultad)) {
+            return { ...candidato, hash };
+        }
+
+        candidato.nonce++;
+        if (alProgresar && candidato.nonce % INTERVALO_PROGRESO === 0) {
+            alProgresar(candidato.nonce);
+        }
+    }
+}
+
+/**
+ * Verifica la cadena completa e indica qué bloques fallan y por qué
+ *
+ * Comprobaciones de cada bloque:
+ * 1. Su índice coincide con su posición
+ * 2. hashAnterior coincide con el hash del bloque anterior
+ * 3. Su dificultad está dentro de los límites admitidos
+ * 4. El hash guardado es el de su contenido
+ * 5. El hash cumple la prueba de trabajo
+ * 6. Su fecha no es anterior a la del bloque anterior
+ *
+ * @param {Object[]} bloques - Cadena a verificar
+ * @returns {Promise<{valida: boolean, problemas: {indice: number, motivo: string}[]}>}
+ *          problemas en orden de bloque; vacío si la cadena está intacta
+ */
+export async function verificarCadena(bloques) {
+    const problemas = [];
+
+    for (let i = 0; i < bloques.length; i++) {
+        const bloque = bloques[i];
+        const anterior = bloques[i - 1];
+        const anotar = (motivo) => problemas.push({ indice: i, motivo });
+
+        if (bloque.indice !== i) {
+            anotar(`El índice del bloque (${bloque.indice}) no coincide con su posición en la cadena.`);
+        }
+
+        if (bloque.hashAnterior !== (anterior ? anterior.hash : HASH_INICIAL)) {
+            anotar(anterior
+                ? `El enlace está roto: hashAnterior no coincide con el hash del bloque #${i - 1}, que fue modificado o sustituido.`
+                : 'El primer bloque debe tener como hashAnterior 64 ceros.');
+        }
+
+        // Rebajar la dificultad abarataría volver a minar un bloque modificado
+        if (!(bloque.dificultad >= DIFICULTAD_MINIMA && bloque.dificultad <= DIFICULTAD_MAXIMA)) {
+            anotar(`La dificultad (${bloque.dificultad}) no está entre ${DIFICULTAD_MINIMA} y ${DIFICULTAD_MAXIMA}.`);
+        }
+
+        if (await calcularHashBloque(bloque) !== bloque.hash) {
+            anotar('El contenido fue modificado: el hash guardado no coincide con el hash de los datos del bloque.');
+        } else if (!cumpleDificultad(bloque.hash, bloque.dificultad)) {
+            anotar(`El hash no cumple la prueba de trabajo: debería empezar por ${bloque.dificultad} ceros.`);
+        }
+
+        if (anterior && new Date(bloque.marcaTiempo) < new Date(anterior.marcaTiempo)) {
+            anotar('La fecha del bloque es anterior a la del bloque anterior.');
+        }
+    }
+
+    return { valida: problemas.length === 0, problemas };
+}
+
+// ============================================================================
+// EXPORTACIÓN E IMPORTACIÓN JSON
+// ============================================================================
+
+/**
+ * Convierte la cadena en un documento JSON para exportarla
+ *
+ * @param {Object[]} bloques - Cadena a exportar
+ * @returns {string} - JSON con formato, versión, fecha y bloques
+ */
+export function exportarCadena(bloques) {
+    return JSON.stringify({
+        formato: FORMATO_EXPORTACION,
+        version: VERSION_EXPORTACION,
+        exportada: new Date().toISOString(),
+        bloques: bloques.map((bloque) => ({
+            indice: bloque.indice,
+            marcaTiempo: bloque.marcaTiempo,
+            hashAnterior: bloque.hashAnterior,
+            dificultad: bloque.dificultad,
+            nonce: bloque.nonce,
+            textoCifrado: bloque.textoCifrado,
+            hash: bloque.hash
+        }))
+    }, null, 2);
+}
+
+/**
+ * Lee una cadena exportada con exportarCadena
+ *
+ * Solo se comprueba la estructura; para saber si la cadena está intacta hay
+ * que llamar a verificarCadena.
+ *
+ * @param {string} json - Contenido del archivo JSON
+ * @returns {Object[]} - Bloques de la cadena
+ * @throws {FormatError} Si el JSON no es una cadena exportada o algún bloque está incompleto
+ */
+export function importarCadena(json) {
+    let documento;
+    try {
+        documento = JSON.parse(json);
+    } catch (error) {
+        throw new FormatError('El archivo no contiene JSON válido.');
+    }
+
+    if (!documento || documento.formato !== FORMATO_EXPORTACION || !Array.isArray(documento.bloques)) {
+        throw new FormatError(`El archivo no es una cadena exportada (falta "formato": "${FORMATO_EXPORTACION}" o la lista de bloques).`);
+    }
+    if (documento.version !== VERSION_EXPORTACION) {
+        throw new FormatError(`Versión de cadena no admitida: esta aplicación admite la versión ${VERSION_EXPORTACION}.`);
+    }
+
+    const esHash = (valor) => typeof valor === 'string' && /^[0-9a-f]{64}$/.test(valor);
+    const indices = new Set();
+    return documento.bloques.map((bloque, i) => {
+        const completo = bloque &&
+            Number.isInteger(bloque.indice) &&
+            typeof bloque.marcaTiempo === 'string' && !isNaN(new Date(bloque.marcaTiempo)) &&
+            esHash(bloque.hashAnterior) &&
+            Number.isInteger(bloque.dificultad) &&
+            Number.isInteger(bloque.nonce) &&
+            typeof bloque.textoCifrado === 'string' &&
+            esHash(bloque.hash);
+        if (!completo) {
+            throw new FormatError(`El bloque en la posición ${i} está incompleto o tiene campos con un formato incorrecto.`);
+        }
+        if (indices.has(bloque.indice)) {
+            throw new FormatError(`El índice ${bloque.indice} está repetido en la cadena.`);
+        }
+        indices.add(bloque.indice);
+
+        const { indice, marcaTiempo, hashAnterior, dificultad, nonce, textoCifrado, hash } = bloque;
+        return { indice, marcaTiempo, hashAnterior, dificultad, nonce, textoCifrado, hash };
+    });
+}
+
+// ============================================================================
+// PERSISTENCIA (IndexedDB)
+// ============================================================================
+
+/**
+ * Convierte una petición de IndexedDB en una promesa
+ *
+ * @param {IDBRequest} peticion - Petición de IndexedDB
+ * @returns {Promise<*>} - Resultado de la petición
+ */
+function peticionAPromesa(peticion) {
+    return new Promise((resolver, rechazar) => {
+        peticion.onsuccess = () => resolver(peticion.result);
+        peticion.onerror = () => rechazar(peticion.error);
+    });
+}
+
+/**
+ * Abre (y crea si hace falta) la base de datos de la cadena
+ *
+ * Almacén: bloques, con el índice del bloque como clave.
+ *
+ * @returns {Promise<IDBDatabase>} - Base de datos abierta
+ */
+function abrirCadena() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('Tu navegador no admite IndexedDB; la cadena no se puede guardar.'));
+    }
+
+    const peticion = indexedDB.open(BASE_DATOS_CADENA, VERSION_CADENA);
+    peticion.onupgradeneeded = () => {
+        peticion.result.createObjectStore('bloques', { keyPath: 'indice' });
+    };
+    return peticionAPromesa(peticion);
+}
+
+/**
+ * Ejecuta varias operaciones sobre los bloques en una misma transacción
+ *
+ * @param {string} modo - 'readonly' o 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operacion - Operaciones a ejecutar; devuelve la petición cuyo resultado interesa
+ * @returns {Promise<*>} - Resultado de esa petición, cuando la transacción termina
+ */
+async function operarCadena(modo, operacion) {
+    const db = await abrirCadena();
+    try {
+        const transaccion = db.transaction('bloques', modo);
+        const peticion = operacion(transaccion.objectStore('bloques'));
+        await new Promise((resolver, rechazar) => {
+            transaccion.oncomplete = resolver;
+            transaccion.onerror = () => rechazar(transaccion.error);
+            transaccion.onabort = () => rechazar(transaccion.error || new Error('Se canceló la operación sobre la cadena.'));
+        });
+        return peticion.result;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Obtiene la cadena guardada, ordenada por índice
+ *
+ * @returns {Promise<Object[]>} - Bloques guardados
+ */
+export async function obtenerBloques() {
+    const bloques = await operarCadena('readonly', (almacen) => almacen.getAll());
+    return bloques.sort((a, b) => a.indice - b.indice);
+}
+
+/**
+ * Añade un bloque minado al final de la cadena guardada
+ *
+ * @param {Object} bloque - Bloque minado
+ * @returns {Promise<void>}
+ * @throws {Error} Si la cadena cambió mientras se minaba (el bloque ya no es el siguiente)
+ */
+export async function anadirBloque(bloque) {
+    const bloques = await obtenerBloques();
+    const anterior = bloques[bloques.length - 1];
+
+    if (bloque.indice !== bloques.length || bloque.hashAnterior !== (anterior ? anterior.hash : HASH_INICIAL)) {
+        throw new Error('La cadena ha cambiado mientras se minaba el bloque (¿otra pestaña?). Vuelve a minarlo.');
+    }
+
+    // add (y no put) falla si otra pestaña guardó ese índice entretanto
+    await operarCadena('readwrite', (almacen) => almacen.add(bloque));
+}
+
+/**
+ * Sustituye la cadena guardada por otra (por ejemplo, una importada)
+ *
+ * @param {Object[]} bloques - Nueva cadena
+ * @returns {Promise<void>}
+ */
+export async function reemplazarCadena(bloques) {
+    await operarCadena('readwrite', (almacen) => {
+        const peticion = almacen.clear();
+        bloques.forEach((bloque) => almacen.put(bloque));
+        return peticion;
+    });
+}
+
+/**
+ * Borra todos los bloques guardados
+ *
+ * @returns {Promise<void>}
+ */
+export async function vaciarCadena() {
+    await reemplazarCadena([]);
+}
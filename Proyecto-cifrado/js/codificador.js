@@ -12,17 +12,52 @@
  * @version 1.0.0
  */
 
-'use strict';
+import { encrypt, extractPublicKeys, inspectKeys, fingerprint, formatFingerprint, ENVELOPE_LABEL, ENVELOPE_VERSION } from './api.js';
+import { listarClaves, obtenerEntrada, guardarContacto, eliminarClave, describirEntrada } from './llavero.js';
+import { CLAVE_TEXTO_PENDIENTE } from './cadena.js';
+import { CLAVE_MENSAJES_ARBOL } from './merkle.js';
+import {
+    exponerEnPagina,
+    escaparHTML,
+    mostrarNotificacion,
+    mostrarResultado,
+    mostrarError,
+    describirError,
+    mostrarErroresClaves,
+    describirInformeClave,
+    mostrarProcesando,
+    activarAtajoEnvio,
+    seleccionarTexto,
+    copiarCampo,
+    descargarArchivo,
+    formatearTamano,
+    prepararZonaArchivo,
+    mostrarCodigosQR,
+    leerCodigosQR
+} from './ui.js';
+import { t, iniciarIdioma, EVENTO_CAMBIO_IDIOMA } from './i18n.js';
+import { crearEnlace, recibirEnlace, mostrarEnlace, PARAMETRO_TEXTO_CIFRADO, PARAMETRO_CLAVE_PUBLICA } from './enlaces.js';
+
+/** Tamaño máximo de los archivos que se cifran en el navegador (50 MB) */
+const TAMANO_MAXIMO_ARCHIVO = 50 * 1024 * 1024;
+
+/** Archivo elegido para cifrar */
+let archivoSeleccionado = null;
+
+/** Resultado del último archivo cifrado, listo para descargar */
+let archivoCifrado = null;
+
+/** Partes leídas de una clave pública repartida en varios códigos QR */
+const partesQRClave = [];
 
 /**
  * Cifra un mensaje de texto usando la clave pública RSA
  *
  * Flujo del proceso:
  * 1. Validar que todos los campos estén completos
- * 2. Verificar que JSEncrypt esté disponible
- * 3. Cargar la clave pública
- * 4. Cifrar el mensaje
- * 5. Mostrar el resultado
+ * 2. Cifrar el mensaje con RSA-OAEP (directo o híbrido, para uno o varios destinatarios)
+ * 3. Calcular las estadísticas
+ * 4. Mostrar el resultado
  *
  * @returns {void}
  */
@@ -31,95 +66,140 @@ function cifrar() {
         // PASO 1: Obtener valores de los campos
         const clavePublica = document.getElementById('clavePublica').value.trim();
         const textoOriginal = document.getElementById('textoOriginal').value.trim();
-        const resultado = document.getElementById('resultado');
 
-        // PASO 2: Validar clave pública
-        if (!clavePublica) {
-            mostrarError('Debes ingresar la clave pública');
-            return;
-        }
-
-        // Verificar formato básico de la clave pública
-        if (!clavePublica.includes('BEGIN PUBLIC KEY')) {
-            mostrarError('La clave pública no tiene un formato válido. Debe comenzar con "-----BEGIN PUBLIC KEY-----"');
+        // PASO 2: Validar clave pública (puede haber varias, una por destinatario)
+        if (!validarClavePublica(clavePublica)) {
             return;
         }
+        const clavesPublicas = extractPublicKeys(clavePublica);
 
         // PASO 3: Validar texto a cifrar
         if (!textoOriginal) {
-            mostrarError('Debes ingresar un texto para cifrar');
+            mostrarError(t('codificador.errores.textoVacio'), t('codificador.sugerencias'));
             return;
         }
 
-        // Verificar longitud del mensaje (RSA tiene límites)
-        if (textoOriginal.length > 200) {
-            mostrarAdvertencia('El mensaje es muy largo. Para mensajes extensos, considera dividirlo en partes más pequeñas.');
-        }
+        // Modo de cifrado elegido (automático, RSA directo o híbrido)
+        const modo = document.getElementById('modoCifrado').value;
 
-        // PASO 4: Verificar que JSEncrypt esté disponible
-        if (typeof JSEncrypt === 'undefined') {
-            mostrarError('La biblioteca JSEncrypt no está disponible. Verifica tu conexión a internet.');
+        if (modo === 'rsa' && clavesPublicas.length > 1) {
+            mostrarError(t('codificador.errores.rsaVariosDestinatarios'), t('codificador.sugerencias'));
             return;
         }
 
-        // PASO 5: Mostrar indicador de procesamiento
-        mostrarProcesando();
+        // PASO 4: Mostrar indicador de procesamiento
+        mostrarProcesando(t('codificador.procesando.mensaje'));
 
-        // PASO 6: Ejecutar cifrado (con pequeño delay para mostrar indicador)
+        // PASO 5: Ejecutar cifrado (con pequeño delay para mostrar indicador)
         setTimeout(() => {
-            ejecutarCifrado(clavePublica, textoOriginal);
+            ejecutarCifrado(clavesPublicas, textoOriginal, modo);
         }, 100);
 
     } catch (error) {
         console.error('❌ Error en función cifrar():', error);
-        mostrarError(`Error inesperado: ${error.message}`);
+        mostrarError(t('codificador.errores.inesperado', { mensaje: escaparHTML(describirError(error)) }), t('codificador.sugerencias'));
+    }
+}
+
+/**
+ * Comprueba que se haya introducido una clave pública con formato válido
+ *
+ * Cada clave se lee entera (armadura PEM, Base64, DER, módulo y
+ * exponente) y, si alguna falla, se explica qué le pasa y en qué línea.
+ *
+ * @param {string} clavePublica - Contenido del campo de clave pública
+ * @returns {boolean} - true si la clave es válida (si no, se muestra el error)
+ */
+function validarClavePublica(clavePublica) {
+    if (!clavePublica) {
+        mostrarError(t('codificador.errores.claveVacia'), t('codificador.sugerencias'));
+        return false;
+    }
+
+    // Verificar la estructura de cada clave pública
+    const informes = inspectKeys(clavePublica, { expected: 'public' });
+    if (informes.some((informe) => informe.errors.length)) {
+        mostrarErroresClaves(informes, t('codificador.sugerencias'));
+        return false;
+    }
+    if (!extractPublicKeys(clavePublica).length) {
+        mostrarError(t('codificador.errores.claveNoValida'), t('codificador.sugerencias'));
+        return false;
     }
+
+    return true;
 }
 
 /**
  * Ejecuta el proceso de cifrado RSA
  *
- * @param {string} clavePublica - Clave pública en formato PEM
+ * El cifrado usa RSA-OAEP con SHA-256 (WebCrypto). RSA solo puede cifrar
+ * directamente mensajes más cortos que su clave (190 bytes con una clave de
+ * 2048 bits). Para mensajes más largos se usa el modo híbrido: AES-GCM
+ * cifra el mensaje y RSA cifra la clave AES.
+ *
+ * Con varias claves públicas, el mensaje se cifra una sola vez y la clave
+ * AES se envuelve para cada destinatario (siempre en modo híbrido).
+ *
+ * @param {string[]} clavesPublicas - Claves públicas en formato PEM (una por destinatario)
  * @param {string} textoOriginal - Texto plano a cifrar
- * @returns {void}
+ * @param {string} modo - 'auto', 'rsa' o 'hybrid'
+ * @returns {Promise<void>}
  */
-function ejecutarCifrado(clavePublica, textoOriginal) {
+async function ejecutarCifrado(clavesPublicas, textoOriginal, modo = 'auto') {
     try {
-        // PASO 1: Crear instancia de JSEncrypt
-        const crypt = new JSEncrypt();
-
-        // PASO 2: Cargar la clave PÚBLICA
+        // PASO 1: CIFRAR el texto con la clave pública de cada destinatario y meterlo
+        // en un sobre que describe cómo se cifró
         // En RSA estándar: se cifra con la clave pública y se descifra con la privada
-        crypt.setPublicKey(clavePublica);
-
-        // PASO 3: CIFRAR el texto con la clave pública
-        const textoCifrado = crypt.encrypt(textoOriginal);
-
-        // PASO 4: Verificar que el cifrado fue exitoso
-        if (!textoCifrado) {
-            throw new Error('No se pudo cifrar el texto. Verifica que la clave sea válida y corresponda a una clave pública RSA.');
+        const resultadoCifrado = await encrypt(clavesPublicas, textoOriginal, { mode: modo });
+        if (modo === 'auto' && resultadoCifrado.limit !== null && resultadoCifrado.hybrid) {
+            mostrarAdvertencia(t('codificador.advertencia.hibrido', { limite: resultadoCifrado.limit }));
         }
+        const textoCifrado = resultadoCifrado.ciphertext;
 
-        // PASO 5: Calcular estadísticas
+        // PASO 2: Calcular estadísticas
         const stats = {
+            formato: t('comun.sobre', { etiqueta: ENVELOPE_LABEL, version: ENVELOPE_VERSION }),
+            destinatarios: await describirDestinatarios(resultadoCifrado.fingerprints),
+            modo: resultadoCifrado.hybrid ? t('comun.modoHibrido') : t('comun.modoRSA'),
+            relleno: resultadoCifrado.padding,
             longitudOriginal: textoOriginal.length,
             longitudCifrada: textoCifrado.length,
             expansion: ((textoCifrado.length / textoOriginal.length) * 100).toFixed(2)
         };
 
-        // PASO 6: Mostrar resultado exitoso
+        // PASO 3: Mostrar resultado exitoso
         mostrarExito(textoOriginal, textoCifrado, stats);
 
         // Log para depuración
         console.log('✅ Cifrado exitoso');
+        console.log('👥 Destinatarios:', stats.destinatarios.length);
+        console.log('🧩 Modo:', stats.modo);
+        console.log('🧱 Relleno:', stats.relleno);
         console.log('📏 Longitud original:', stats.longitudOriginal, 'caracteres');
         console.log('📏 Longitud cifrada:', stats.longitudCifrada, 'caracteres');
         console.log('📊 Expansión:', stats.expansion + '%');
 
     } catch (error) {
         console.error('❌ Error al cifrar:', error);
-        mostrarError(`Error al cifrar: ${error.message}`);
+        mostrarError(t('codificador.errores.cifrar', { mensaje: escaparHTML(describirError(error)) }), t('codificador.sugerencias'));
+    }
+}
+
+/**
+ * Describe cada destinatario por su nombre en el llavero (si lo tiene) y su huella
+ *
+ * @param {string[]} huellas - Huellas de los destinatarios, sin repetidos
+ * @returns {Promise<string[]>} - Descripciones en HTML
+ */
+async function describirDestinatarios(huellas) {
+    const descripciones = [];
+    for (const huella of huellas) {
+        const entrada = await obtenerEntrada(huella).catch(() => null);
+        const nombre = entrada ? `<strong>${escaparHTML(entrada.nombre)}</strong> ` : '';
+        descripciones.push(`${nombre}<code style="word-break: break-all;">${formatFingerprint(huella)}</code>`);
     }
+    return descripciones;
 }
 
 /**
@@ -131,31 +211,36 @@ function ejecutarCifrado(clavePublica, textoOriginal) {
  * @returns {void}
  */
 function mostrarExito(textoOriginal, textoCifrado, stats) {
-    const resultado = document.getElementById('resultado');
-
-    resultado.innerHTML = `
-        <h3>✅ Texto Cifrado Exitosamente</h3>
+    mostrarResultado(`
+        <h3>${t('codificador.cifrado.titulo')}</h3>
 
         <div class="info-box">
-            <strong>📊 Estadísticas del cifrado:</strong>
+            <strong>${t('codificador.cifrado.estadisticas')}</strong>
             <div style="margin-top: 8px; line-height: 1.8;">
-                📝 <strong>Longitud original:</strong> ${stats.longitudOriginal} caracteres<br>
-                🔐 <strong>Longitud cifrada:</strong> ${stats.longitudCifrada} caracteres<br>
-                📈 <strong>Expansión:</strong> ${stats.expansion}%
+                ✉️ <strong>${t('comun.estadisticas.formato')}</strong> ${stats.formato}<br>
+                👥 <strong>${t('codificador.cifrado.destinatarios', { total: stats.destinatarios.length })}</strong>
+                <ul style="margin: 0 0 0 20px;">
+                    ${stats.destinatarios.map((destinatario) => `<li>${destinatario}</li>`).join('')}
+                </ul>
+                🧩 <strong>${t('comun.estadisticas.modo')}</strong> ${stats.modo}<br>
+                🧱 <strong>${t('comun.estadisticas.relleno')}</strong> ${stats.relleno}<br>
+                📝 <strong>${t('codificador.cifrado.longitudOriginal')}</strong> ${t('comun.estadisticas.caracteres', { total: stats.longitudOriginal })}<br>
+                🔐 <strong>${t('comun.estadisticas.longitudCifrada')}</strong> ${t('comun.estadisticas.caracteres', { total: stats.longitudCifrada })}<br>
+                📈 <strong>${t('codificador.cifrado.expansion')}</strong> ${stats.expansion}%
             </div>
         </div>
 
         <div class="output-box">
-            <span class="output-label">📝 TEXTO ORIGINAL:</span>
+            <span class="output-label">${t('codificador.cifrado.original')}</span>
             <textarea readonly class="large">${textoOriginal}</textarea>
         </div>
 
         <div class="divider"></div>
 
         <div class="output-box">
-            <span class="output-label">🔒 TEXTO CIFRADO (Base64):</span>
+            <span class="output-label">${t('codificador.cifrado.cifrado')}</span>
             <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
-                Este es el texto cifrado. Cópialo y úsalo en el Decodificador junto con la clave privada.
+                ${t('codificador.cifrado.ayuda')}
             </p>
             <textarea 
                 readonly 
@@ -164,21 +249,48 @@ function mostrarExito(textoOriginal, textoCifrado, stats) {
                 onclick="seleccionarTexto('textoCifradoOutput')"
             >${textoCifrado}</textarea>
             <button 
-                onclick="copiarTexto('textoCifradoOutput')" 
+                onclick="copiarCampo('textoCifradoOutput', 'codificador.cifrado.copiado')\" 
+                class="codificador"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('codificador.cifrado.copiar')}
+            </button>
+            <button
+                onclick="enviarAlRegistro()"
+                class="registro"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('codificador.cifrado.registro')}
+            </button>
+            <button
+                onclick="enviarAlArbol()"
+                class="merkle"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('codificador.cifrado.merkle')}
+            </button>
+            <button
+                onclick="mostrarQRTextoCifrado()"
+                class="codificador"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('comun.mostrarQR')}
+            </button>
+            <button
+                onclick="crearEnlaceTextoCifrado()"
                 class="codificador"
                 style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
             >
-                📋 Copiar Texto Cifrado
+                ${t('codificador.enlace.boton')}
             </button>
+            <div id="qrTextoCifrado" style="display: none;"></div>
+            <div id="enlaceTextoCifrado" style="display: none;"></div>
         </div>
 
         <div class="info-box" style="margin-top: 20px;">
-            <strong>📝 Próximos pasos:</strong>
+            <strong>${t('comun.proximosPasos')}</strong>
             <ol style="margin: 10px 0 0 20px; line-height: 1.8;">
-                <li>Copia el texto cifrado usando el botón de arriba</li>
-                <li>Abre el programa <strong>Decodificador</strong></li>
-                <li>Pega la <strong>clave privada</strong> correspondiente</li>
-                <li>Pega el <strong>texto cifrado</strong> para recuperar el mensaje original</li>
+                ${t('codificador.cifrado.pasos')}
             </ol>
         </div>
 
@@ -187,41 +299,149 @@ function mostrarExito(textoOriginal, textoCifrado, stats) {
             class="codificador"
             style="margin-top: 20px; background: #6c757d;"
         >
-            🔄 Cifrar Otro Mensaje
+            ${t('codificador.cifrado.otro')}
         </button>
-    `;
+    `);
+}
+
+/**
+ * Cifra el archivo elegido usando la clave pública RSA
+ *
+ * Flujo del proceso:
+ * 1. Validar la clave pública y el archivo
+ * 2. Cifrar el archivo en modo híbrido
+ *
+ * @returns {void}
+ */
+function cifrarArchivoSeleccionado() {
+    // PASO 1: Validar clave pública y archivo
+    const clavePublica = document.getElementById('clavePublica').value.trim();
+    if (!validarClavePublica(clavePublica)) {
+        return;
+    }
 
-    resultado.className = 'resultado success';
-    resultado.style.display = 'block';
+    if (extractPublicKeys(clavePublica).length > 1) {
+        mostrarError(t('codificador.errores.archivoVariosDestinatarios'), t('codificador.sugerencias'));
+        return;
+    }
 
-    // Scroll suave hacia el resultado
+    if (!archivoSeleccionado) {
+        mostrarError(t('codificador.errores.sinArchivo'), t('codificador.sugerencias'));
+        return;
+    }
+
+    if (archivoSeleccionado.size > TAMANO_MAXIMO_ARCHIVO) {
+        mostrarError(t('codificador.errores.archivoGrande', {
+            tamano: formatearTamano(archivoSeleccionado.size),
+            maximo: formatearTamano(TAMANO_MAXIMO_ARCHIVO)
+        }), t('codificador.sugerencias'));
+        return;
+    }
+
+    // PASO 2: Cifrar (con pequeño delay para mostrar indicador)
+    mostrarProcesando(t('codificador.procesando.archivo'));
     setTimeout(() => {
-        resultado.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        ejecutarCifradoArchivo(clavePublica, archivoSeleccionado);
     }, 100);
 }
 
 /**
- * Muestra un mensaje de error
- * 
- * @param {string} mensaje - Mensaje de error
+ * Ejecuta el cifrado de un archivo
+ *
+ * Los archivos siempre se cifran en modo híbrido (RSA-OAEP + AES-256-GCM).
+ * El nombre y el tipo MIME originales viajan cifrados junto al contenido.
+ *
+ * @param {string} clavePublica - Clave pública en formato PEM
+ * @param {File} archivo - Archivo a cifrar
+ * @returns {Promise<void>}
+ */
+async function ejecutarCifradoArchivo(clavePublica, archivo) {
+    try {
+        // PASO 1: Leer el contenido binario del archivo
+        const contenido = new Uint8Array(await archivo.arrayBuffer());
+
+        // PASO 2: Cifrar el contenido junto con el nombre y el tipo MIME
+        const resultadoCifrado = await encrypt(clavePublica, contenido, { fileName: archivo.name, fileType: archivo.type });
+        const textoCifrado = resultadoCifrado.ciphertext;
+        archivoCifrado = { textoCifrado, nombre: `${archivo.name}.enc` };
+
+        // PASO 3: Mostrar resultado con el enlace de descarga
+        mostrarArchivoCifrado(archivo, {
+            modo: t('comun.modoHibrido'),
+            relleno: resultadoCifrado.padding,
+            tamanoOriginal: formatearTamano(archivo.size),
+            tamanoCifrado: formatearTamano(textoCifrado.length)
+        });
+
+        console.log('✅ Archivo cifrado:', archivo.name);
+
+    } catch (error) {
+        console.error('❌ Error al cifrar el archivo:', error);
+        mostrarError(t('codificador.errores.cifrarArchivo', { mensaje: escaparHTML(describirError(error)) }), t('codificador.sugerencias'));
+    }
+}
+
+/**
+ * Muestra el resultado del cifrado de un archivo
+ *
+ * @param {File} archivo - Archivo original
+ * @param {Object} stats - Estadísticas del cifrado
  * @returns {void}
  */
-function mostrarError(mensaje) {
-    const resultado = document.getElementById('resultado');
-    resultado.innerHTML = `
-        <h3>❌ Error</h3>
-        <p style="font-size: 1.1rem; margin: 15px 0;">${mensaje}</p>
-        <div class="info-box" style="margin-top: 20px;">
-            <strong>💡 Sugerencias:</strong>
-            <ul style="margin: 10px 0 0 20px; line-height: 1.8;">
-                <li>Verifica que hayas copiado la clave pública completa (incluyendo las líneas BEGIN y END)</li>
-                <li>Asegúrate de que el texto no esté vacío</li>
-                <li>Si el problema persiste, genera un nuevo par de claves</li>
-            </ul>
+function mostrarArchivoCifrado(archivo, stats) {
+    mostrarResultado(`
+        <h3>${t('codificador.archivoCifrado.titulo')}</h3>
+
+        <div class="info-box">
+            <strong>${t('codificador.cifrado.estadisticas')}</strong>
+            <div style="margin-top: 8px; line-height: 1.8;">
+                📄 <strong>${t('codificador.archivoCifrado.archivo')}</strong> ${escaparHTML(archivo.name)} (${escaparHTML(archivo.type || t('codificador.archivoCifrado.tipoDesconocido'))})<br>
+                🧩 <strong>${t('comun.estadisticas.modo')}</strong> ${stats.modo}<br>
+                🧱 <strong>${t('comun.estadisticas.relleno')}</strong> ${stats.relleno}<br>
+                📝 <strong>${t('codificador.archivoCifrado.tamanoOriginal')}</strong> ${stats.tamanoOriginal}<br>
+                🔐 <strong>${t('codificador.archivoCifrado.tamanoCifrado')}</strong> ${stats.tamanoCifrado}
+            </div>
         </div>
-    `;
-    resultado.className = 'resultado error';
-    resultado.style.display = 'block';
+
+        <div class="output-box">
+            <span class="output-label">${t('codificador.archivoCifrado.etiqueta')}</span>
+            <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
+                ${t('codificador.archivoCifrado.ayuda')}
+            </p>
+            <button
+                onclick="descargarArchivoCifrado()"
+                class="codificador"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('comun.descargarArchivo', { nombre: escaparHTML(archivoCifrado.nombre) })}
+            </button>
+        </div>
+    `);
+}
+
+/**
+ * Descarga el último archivo cifrado
+ *
+ * @returns {void}
+ */
+function descargarArchivoCifrado() {
+    if (archivoCifrado) {
+        descargarArchivo(archivoCifrado.textoCifrado, archivoCifrado.nombre, 'application/octet-stream');
+    }
+}
+
+/**
+ * Registra el archivo elegido y lo muestra en la zona de archivos
+ *
+ * @param {File} archivo - Archivo elegido o soltado
+ * @returns {void}
+ */
+function elegirArchivo(archivo) {
+    const descripcion = document.getElementById('descripcionArchivo');
+    archivoSeleccionado = archivo;
+    // Sin data-i18n, para que un cambio de idioma no borre el nombre del archivo
+    delete descripcion.dataset.i18n;
+    descripcion.textContent = `📄 ${archivo.name} (${formatearTamano(archivo.size)})`;
 }
 
 /**
@@ -233,7 +453,7 @@ function mostrarError(mensaje) {
 function mostrarAdvertencia(mensaje) {
     const advertencia = document.createElement('div');
     advertencia.className = 'warning';
-    advertencia.innerHTML = `<strong>⚠️ Advertencia:</strong> ${mensaje}`;
+    advertencia.innerHTML = `<strong>${t('comun.advertencia')}</strong> ${mensaje}`;
     
     const container = document.querySelector('.container');
     const resultado = document.getElementById('resultado');
@@ -246,93 +466,106 @@ function mostrarAdvertencia(mensaje) {
 }
 
 /**
- * Muestra indicador de procesamiento
- * 
+ * Lleva el texto cifrado al Registro para guardarlo en la cadena de bloques
+ *
  * @returns {void}
  */
-function mostrarProcesando() {
-    const resultado = document.getElementById('resultado');
-    resultado.innerHTML = `
-        <div class="text-center">
-            <div class="loading" style="display: inline-block; margin: 20px auto;"></div>
-            <p style="color: #666;">Cifrando mensaje con RSA...</p>
-        </div>
-    `;
-    resultado.className = 'resultado info';
-    resultado.style.display = 'block';
+function enviarAlRegistro() {
+    sessionStorage.setItem(CLAVE_TEXTO_PENDIENTE, document.getElementById('textoCifradoOutput').value);
+    window.location.href = '../Registro/index.html';
 }
 
 /**
- * Selecciona todo el texto de un elemento
- * 
- * @param {string} elementId - ID del elemento
+ * Añade el texto cifrado a la lista de mensajes del Árbol de Merkle
+ *
+ * Los textos se acumulan durante la sesión, así que se pueden cifrar varios
+ * mensajes y añadirlos uno a uno antes de ver el árbol.
+ *
  * @returns {void}
  */
-function seleccionarTexto(elementId) {
-    const elemento = document.getElementById(elementId);
-    if (elemento) {
-        elemento.select();
-    }
+function enviarAlArbol() {
+    const mensajes = (sessionStorage.getItem(CLAVE_MENSAJES_ARBOL) || '').trim();
+    const textoCifrado = document.getElementById('textoCifradoOutput').value;
+    sessionStorage.setItem(CLAVE_MENSAJES_ARBOL, mensajes ? `${mensajes}\n\n${textoCifrado}` : textoCifrado);
+    window.location.href = '../Merkle/index.html';
 }
 
 /**
- * Copia texto al portapapeles
- * 
- * @param {string} elementId - ID del elemento a copiar
+ * Muestra el texto cifrado como uno o varios códigos QR
+ *
+ * @returns {Promise<void>}
+ */
+async function mostrarQRTextoCifrado() {
+    await mostrarCodigosQR(document.getElementById('textoCifradoOutput').value, 'qrTextoCifrado', 'texto-cifrado');
+}
+
+/**
+ * Muestra un enlace que abre el Decodificador con el texto cifrado ya pegado
+ *
  * @returns {void}
  */
-function copiarTexto(elementId) {
-    const elemento = document.getElementById(elementId);
-    
-    if (!elemento) {
-        console.error('Elemento no encontrado:', elementId);
+function crearEnlaceTextoCifrado() {
+    const enlace = crearEnlace('Decodificador', PARAMETRO_TEXTO_CIFRADO, document.getElementById('textoCifradoOutput').value);
+    mostrarEnlace(enlace, 'enlaceTextoCifrado', t('codificador.enlace.ayuda'), 'codificador');
+}
+
+/**
+ * Pega la clave pública de un enlace "envíame mensajes cifrados" del Generador
+ *
+ * @param {string} texto - Contenido del enlace
+ * @returns {void}
+ */
+function recibirClavePublica(texto) {
+    const claves = extractPublicKeys(texto);
+    if (!claves.length) {
+        mostrarNotificacion(t('enlace.invalido'), 'error');
         return;
     }
 
-    try {
-        elemento.select();
-        elemento.setSelectionRange(0, 99999);
-        document.execCommand('copy');
-        
-        mostrarNotificacion('✅ Texto cifrado copiado al portapapeles');
-    } catch (error) {
-        console.error('Error al copiar:', error);
-        mostrarNotificacion('❌ Error al copiar. Selecciona y copia manualmente.', 'error');
-    }
+    document.getElementById('clavePublica').value = claves.join('\n');
+    actualizarDetallesClavePublica();
+    document.getElementById('textoOriginal').focus();
+    mostrarNotificacion(t('codificador.enlace.claveRecibida'));
 }
 
 /**
- * Muestra una notificación temporal
- * 
- * @param {string} mensaje - Mensaje a mostrar
- * @param {string} tipo - Tipo de notificación
- * @returns {void}
+ * Añade la clave pública leída de uno o varios códigos QR
+ *
+ * Si la clave estaba repartida en varios códigos, se van acumulando las
+ * partes hasta tenerlas todas. La clave se añade a las que ya hubiera en el
+ * campo, como al elegirla del llavero.
+ *
+ * @param {HTMLInputElement} entrada - Selector de imágenes
+ * @returns {Promise<void>}
  */
-function mostrarNotificacion(mensaje, tipo = 'success') {
-    const notificacion = document.createElement('div');
-    notificacion.textContent = mensaje;
-    notificacion.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        padding: 15px 25px;
-        background: ${tipo === 'success' ? '#667eea' : '#f44336'};
-        color: white;
-        border-radius: 8px;
-        box-shadow: 0 4px 15px rgba(0,0,0,0.3);
-        z-index: 9999;
-        animation: slideInRight 0.3s ease-out;
-        font-weight: 600;
-    `;
-
-    document.body.appendChild(notificacion);
+async function importarClaveDesdeQR(entrada) {
+    const estado = document.getElementById('estadoQRClave');
+    estado.style.display = 'block';
+    estado.textContent = t('qr.leyendo');
 
-    setTimeout(() => {
-        notificacion.style.animation = 'fadeOut 0.3s ease-out';
-        setTimeout(() => {
-            document.body.removeChild(notificacion);
-        }, 300);
-    }, 3000);
+    try {
+        const lectura = await leerCodigosQR(entrada.files, partesQRClave);
+        estado.textContent = lectura.mensaje;
+        if (lectura.texto === null) {
+            return;
+        }
+
+        const nuevas = extractPublicKeys(lectura.texto);
+        if (!nuevas.length) {
+            estado.textContent = t('codificador.qr.sinClave');
+            return;
+        }
+
+        const campo = document.getElementById('clavePublica');
+        campo.value = [...extractPublicKeys(campo.value), ...nuevas].join('\n');
+        actualizarDetallesClavePublica();
+        mostrarNotificacion(t('codificador.qr.leida'));
+    } catch (error) {
+        console.error('❌ Error al leer los códigos QR:', error);
+        estado.textContent = `❌ ${describirError(error)}`;
+    } finally {
+        entrada.value = '';
+    }
 }
 
 /**
@@ -345,37 +578,194 @@ function limpiarFormulario() {
     document.getElementById('resultado').style.display = 'none';
     document.getElementById('textoOriginal').focus();
     
-    mostrarNotificacion('✅ Formulario limpiado. Puedes cifrar otro mensaje.');
+    mostrarNotificacion(t('codificador.limpiado'));
+}
+
+/**
+ * Rellena el selector con las claves públicas del llavero
+ *
+ * Se listan tanto los contactos como los pares propios (de ambos se
+ * conoce la clave pública).
+ *
+ * @returns {Promise<void>}
+ */
+async function cargarLlavero() {
+    const selector = document.getElementById('selectorLlavero');
+
+    try {
+        const claves = await listarClaves();
+        selector.innerHTML = `<option value="" data-i18n="comun.llavero.elegir">${t('comun.llavero.elegir')}</option>`;
+        claves.forEach((entrada) => {
+            const opcion = document.createElement('option');
+            opcion.value = entrada.huella;
+            opcion.textContent = describirEntrada(entrada);
+            selector.appendChild(opcion);
+        });
+    } catch (error) {
+        console.warn('⚠️ Llavero no disponible:', error);
+        selector.disabled = true;
+    }
+}
+
+/**
+ * Añade al formulario la clave pública elegida en el selector
+ *
+ * Si ya hay claves en el campo, la nueva se añade como otro destinatario.
+ *
+ * @returns {Promise<void>}
+ */
+async function usarClaveLlavero() {
+    const huella = document.getElementById('selectorLlavero').value;
+    if (!huella) {
+        return;
+    }
+
+    const entrada = await obtenerEntrada(huella);
+    if (!entrada) {
+        return;
+    }
+
+    const campo = document.getElementById('clavePublica');
+    const claves = extractPublicKeys(campo.value);
+    const huellas = await Promise.all(claves.map((clave) => fingerprint(clave).catch(() => null)));
+    if (!huellas.includes(huella)) {
+        campo.value = [...claves, entrada.clavePublica].join('\n');
+    }
+    actualizarDetallesClavePublica();
+}
+
+/**
+ * Muestra los detalles y la huella SHA-256 de cada clave pública introducida
+ *
+ * Así se puede comprobar, antes de cifrar, que las claves son las de los
+ * destinatarios (su huella debe coincidir con la que muestra el Generador)
+ * y ver su formato, tamaño y exponente, o qué les falla.
+ *
+ * @returns {Promise<void>}
+ */
+async function actualizarDetallesClavePublica() {
+    const texto = document.getElementById('clavePublica').value;
+    const elemento = document.getElementById('detallesClavePublica');
+    const informes = texto.trim() ? inspectKeys(texto, { expected: 'public' }) : [];
+
+    if (!informes.length) {
+        elemento.style.display = 'none';
+        return;
+    }
+
+    const bloques = [];
+    for (const [indice, informe] of informes.entries()) {
+        const lineas = describirInformeClave(informe);
+        if (!informe.errors.length) {
+            try {
+                lineas.splice(1, 0, t('clave.huella', { huella: formatFingerprint(await fingerprint(informe.text)) }));
+            } catch (error) {
+                lineas.push(t('clave.sinHuella'));
+            }
+        }
+        if (informes.length > 1) {
+            lineas.unshift(t('clave.numero', { numero: indice + 1, linea: informe.line }));
+        }
+        bloques.push(lineas.join('\n'));
+    }
+
+    elemento.style.display = 'block';
+    elemento.style.whiteSpace = 'pre-line';
+    elemento.textContent = (informes.length > 1 ? `${t('codificador.destinatarios', { total: informes.length })}\n\n` : '') + bloques.join('\n\n');
+}
+
+/**
+ * Guarda la clave pública del formulario como contacto del llavero
+ *
+ * @returns {Promise<void>}
+ */
+async function guardarContactoLlavero() {
+    const nombre = document.getElementById('nombreContacto').value.trim();
+    const claves = extractPublicKeys(document.getElementById('clavePublica').value);
+
+    if (!nombre) {
+        mostrarNotificacion(t('codificador.llavero.sinNombre'), 'error');
+        return;
+    }
+
+    if (claves.length !== 1) {
+        mostrarNotificacion(t('codificador.llavero.unaClave'), 'error');
+        return;
+    }
+    const clavePublica = claves[0];
+
+    try {
+        const entrada = await guardarContacto(nombre, clavePublica);
+        document.getElementById('nombreContacto').value = '';
+        await cargarLlavero();
+        document.getElementById('selectorLlavero').value = entrada.huella;
+        mostrarNotificacion(t('comun.llavero.guardado', { nombre }));
+    } catch (error) {
+        console.error('❌ Error al guardar el contacto:', error);
+        mostrarNotificacion(`❌ ${describirError(error)}`, 'error');
+    }
+}
+
+/**
+ * Elimina del llavero la clave elegida en el selector
+ *
+ * @returns {Promise<void>}
+ */
+async function eliminarDelLlavero() {
+    const selector = document.getElementById('selectorLlavero');
+    if (!selector.value) {
+        mostrarNotificacion(t('comun.llavero.sinSeleccion'), 'error');
+        return;
+    }
+
+    const descripcion = selector.options[selector.selectedIndex].textContent;
+    if (!confirm(t('comun.llavero.confirmarEliminar', { descripcion }))) {
+        return;
+    }
+
+    await eliminarClave(selector.value);
+    await cargarLlavero();
+    mostrarNotificacion(t('comun.llavero.eliminada'));
 }
 
 /**
  * Inicialización
  */
 document.addEventListener('DOMContentLoaded', function() {
+    iniciarIdioma();
     console.log('🔒 Codificador RSA inicializado');
+
+    // Cargar las claves guardadas en el llavero
+    cargarLlavero();
+
+    // Arrastrar y soltar archivos para cifrar
+    prepararZonaArchivo('zonaArchivo', 'archivoOriginal', elegirArchivo);
+
+    // Mostrar los detalles y la huella de la clave pública al pegarla
+    document.getElementById('clavePublica').addEventListener('input', actualizarDetallesClavePublica);
+    document.addEventListener(EVENTO_CAMBIO_IDIOMA, actualizarDetallesClavePublica);
+
+    // Clave pública que llega en un enlace del Generador
+    recibirEnlace(PARAMETRO_CLAVE_PUBLICA, recibirClavePublica);
     
-    // Añadir event listener para Enter en el textarea
-    const textoOriginal = document.getElementById('textoOriginal');
-    if (textoOriginal) {
-        textoOriginal.addEventListener('keydown', function(e) {
-            // Ctrl/Cmd + Enter para cifrar
-            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-                cifrar();
-            }
-        });
-    }
+    // Ctrl/Cmd + Enter para cifrar
+    activarAtajoEnvio(['textoOriginal'], cifrar);
 });
 
-// Estilos de animación
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes slideInRight {
-        from { transform: translateX(400px); opacity: 0; }
-        to { transform: translateX(0); opacity: 1; }
-    }
-    @keyframes fadeOut {
-        from { opacity: 1; }
-        to { opacity: 0; }
-    }
-`;
-document.head.appendChild(style);
\ No newline at end of file
+// Funciones usadas desde los atributos onclick del HTML
+exponerEnPagina({
+    cifrar,
+    cifrarArchivoSeleccionado,
+    descargarArchivoCifrado,
+    enviarAlRegistro,
+    enviarAlArbol,
+    mostrarQRTextoCifrado,
+    crearEnlaceTextoCifrado,
+    importarClaveDesdeQR,
+    limpiarFormulario,
+    usarClaveLlavero,
+    guardarContactoLlavero,
+    eliminarDelLlavero,
+    seleccionarTexto,
+    copiarCampo
+});
@@ -0,0 +1,1743 @@
+/**
+ * ============================================================================
+ * CRIPTO - Utilidades criptográficas compartidas
+ * ============================================================================
+ *
+ * Funciones comunes al Generador, al Codificador, al Decodificador y al
+ * Firmador. Todo el cifrado nuevo usa la API WebCrypto (crypto.subtle) con
+ * RSA-OAEP y SHA-256. JSEncrypt solo se usa para descifrar textos antiguos
+ * cifrados con relleno PKCS#1 v1.5.
+ *
+ * Para mensajes largos se usa cifrado híbrido: una clave AES-GCM aleatoria
+ * cifra el mensaje y RSA solo cifra (envuelve) esa clave, de modo que la
+ * longitud del mensaje deja de estar limitada por el tamaño de la clave RSA.
+ *
+ * Formatos de texto cifrado (campos en Base64 separados por puntos):
+ *
+ *     RSA-OAEP.<bloque RSA>                              RSA directo
+ *     RSA-OAEP-AES.<clave AES envuelta>.<IV>.<datos>     Híbrido
+ *     <bloque RSA>                                       PKCS#1 v1.5 (heredado)
+ *     RSA-AES.<clave AES envuelta>.<IV>.<datos>          Híbrido PKCS#1 v1.5 (heredado)
+ *     RSA-OAEP-FILE.<clave AES envuelta>.<IV>.<datos>    Archivo (híbrido)
+ *     RSA-OAEP-MULTI.<destinatarios>.<IV>.<datos>        Varios destinatarios (híbrido)
+ *
+ * Con varios destinatarios, el mensaje se cifra una sola vez con AES-GCM y
+ * la clave AES se envuelve con la clave pública de cada uno. El campo
+ * <destinatarios> contiene, para cada uno, la huella SHA-256 de su clave
+ * pública (32 bytes), la longitud de la clave envuelta (2 bytes) y la clave
+ * envuelta; así cada destinatario encuentra su entrada.
+ *
+ * En los archivos, los datos cifrados incluyen el nombre y el tipo MIME
+ * originales, de modo que el Decodificador puede restaurar el archivo tal cual.
+ *
+ * El Codificador entrega cualquiera de estos formatos dentro de un sobre con
+ * armadura que describe cómo se cifró (ver crearSobre):
+ *
+ *     -----BEGIN RSA-DEMO MESSAGE-----
+ *     Version: 1
+ *     Algorithm: RSA-OAEP-AES
+ *     Key-Fingerprint: SHA256:3f:9a:...   (una por destinatario, separadas por comas)
+ *     Created: 2025-11-20T10:00:00.000Z
+ *
+ *     RSA-OAEP-AES.<clave AES envuelta>.<IV>.<datos>
+ *     -----END RSA-DEMO MESSAGE-----
+ *
+ * También incluye la firma y verificación de mensajes con RSA sobre SHA-256.
+ * Es un módulo ES sin acceso al DOM: lo importan api.js (la interfaz pública
+ * que usan las páginas, el Web Worker y la herramienta de línea de comandos)
+ * y llavero.js. Los errores que lanza son de las clases de ERRORES TIPADOS.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+/** Parámetros de RSA-OAEP usados para cifrar */
+const ALGORITMO_OAEP = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+/** Bytes que ocupa el relleno OAEP con SHA-256: 2 * 32 + 2 */
+const RELLENO_OAEP = 66;
+
+/** Esquemas de texto cifrado reconocidos, indexados por su prefijo */
+export const ESQUEMAS_CIFRADO = {
+    'RSA-OAEP': { campos: 1, hibrido: false, heredado: false, archivo: false, varios: false, relleno: 'RSA-OAEP con SHA-256' },
+    'RSA-OAEP-AES': { campos: 3, hibrido: true, heredado: false, archivo: false, varios: false, relleno: 'RSA-OAEP con SHA-256' },
+    'PKCS1': { campos: 1, hibrido: false, heredado: true, archivo: false, varios: false, relleno: 'PKCS#1 v1.5 (heredado)' },
+    'RSA-AES': { campos: 3, hibrido: true, heredado: true, archivo: false, varios: false, relleno: 'PKCS#1 v1.5 (heredado)' },
+    'RSA-OAEP-FILE': { campos: 3, hibrido: true, heredado: false, archivo: true, varios: false, relleno: 'RSA-OAEP con SHA-256' },
+    'RSA-OAEP-MULTI': { campos: 3, hibrido: true, heredado: false, archivo: false, varios: true, relleno: 'RSA-OAEP con SHA-256' }
+};
+
+/** Bytes de la huella SHA-256 que identifica a cada destinatario */
+const TAMANO_HUELLA = 32;
+
+/** Tamaño de la clave AES-GCM en bits */
+const TAMANO_CLAVE_AES = 256;
+
+/** Tamaño del vector de inicialización de AES-GCM en bytes (recomendado: 12) */
+const TAMANO_IV = 12;
+
+/* ==========================================================================
+   ERRORES TIPADOS
+   ========================================================================== */
+
+/**
+ * Error base de todas las operaciones criptográficas
+ *
+ * Los mensajes están pensados para mostrarse al usuario; para decidir qué
+ * hacer con un error se comprueba su clase (instanceof) o su código (code).
+ * reason distingue, dentro de un código, cada caso concreto, y params trae
+ * los valores de su mensaje: con ellos la interfaz lo muestra en otro idioma.
+ */
+export class CryptoError extends Error {
+    /**
+     * @param {string} mensaje - Descripción del error para el usuario
+     * @param {string} [codigo='CRYPTO_ERROR'] - Código estable del error
+     * @param {string|null} [motivo=null] - Caso concreto ('envelope-missing-end', 'file-header'...)
+     * @param {Object} [datos={}] - Valores del mensaje
+     */
+    constructor(mensaje, codigo = 'CRYPTO_ERROR', motivo = null, datos = {}) {
+        super(mensaje);
+        this.name = new.target.name;
+        this.code = codigo;
+        this.reason = motivo;
+        this.params = datos;
+    }
+}
+
+/** La clave no se puede leer: PEM o DER dañado, o no es una clave RSA */
+export class InvalidKeyError extends CryptoError {
+    constructor(mensaje, motivo = null, datos = {}) {
+        super(mensaje, 'INVALID_KEY', motivo, datos);
+    }
+}
+
+/**
+ * La clave privada no es la del destinatario del mensaje
+ *
+ * fingerprint es la huella de la clave usada y expectedFingerprints las de
+ * los destinatarios, si se conocen (todas en hexadecimal).
+ */
+export class WrongKeyError extends CryptoError {
+    /**
+     * @param {string} mensaje - Descripción del error
+     * @param {string|null} [huella=null] - Huella de la clave privada usada
+     * @param {string[]} [huellasEsperadas=[]] - Huellas de los destinatarios
+     * @param {string|null} [motivo=null] - Caso concreto
+     * @param {Object} [datos={}] - Valores del mensaje
+     */
+    constructor(mensaje, huella = null, huellasEsperadas = [], motivo = null, datos = {}) {
+        super(mensaje, 'WRONG_KEY', motivo, datos);
+        this.fingerprint = huella;
+        this.expectedFingerprints = huellasEsperadas;
+    }
+}
+
+/** La contraseña de la clave privada (o del llavero) no es correcta */
+export class WrongPasswordError extends CryptoError {
+    constructor(mensaje, motivo = null, datos = {}) {
+        super(mensaje, 'WRONG_PASSWORD', motivo, datos);
+    }
+}
+
+/** El texto cifrado o el sobre no tienen un formato reconocido */
+export class FormatError extends CryptoError {
+    constructor(mensaje, motivo = null, datos = {}) {
+        super(mensaje, 'INVALID_FORMAT', motivo, datos);
+    }
+}
+
+/** Los datos cifrados fueron modificados (falló la verificación de AES-GCM) */
+export class IntegrityError extends CryptoError {
+    constructor(mensaje, motivo = null, datos = {}) {
+        super(mensaje, 'INTEGRITY', motivo, datos);
+    }
+}
+
+/** El mensaje no cabe en un bloque RSA directo (limit y length en bytes) */
+export class MessageTooLongError extends CryptoError {
+    /**
+     * @param {string} mensaje - Descripción del error
+     * @param {number} longitud - Bytes del mensaje
+     * @param {number} limite - Bytes que admite la clave
+     */
+    constructor(mensaje, longitud, limite) {
+        super(mensaje, 'MESSAGE_TOO_LONG', 'message-too-long', { longitud, limite });
+        this.length = longitud;
+        this.limit = limite;
+    }
+}
+
+/**
+ * La frase de recuperación (BIP39) no es válida
+ *
+ * reason indica el motivo: 'length' (número de palabras), 'unknown-word'
+ * (las palabras de unknownWords no están en la lista; params.sugerencias da
+ * para cada una la de la lista que empieza igual, o null) o 'checksum' (las
+ * palabras existen pero alguna está cambiada o fuera de orden).
+ */
+export class InvalidMnemonicError extends CryptoError {
+    /**
+     * @param {string} mensaje - Descripción del error
+     * @param {string} motivo - 'length', 'unknown-word' o 'checksum'
+     * @param {string[]} [palabrasDesconocidas=[]] - Palabras que no están en la lista
+     * @param {Object} [datos={}] - Valores del mensaje
+     */
+    constructor(mensaje, motivo, palabrasDesconocidas = [], datos = {}) {
+        super(mensaje, 'INVALID_MNEMONIC', motivo, datos);
+        this.unknownWords = palabrasDesconocidas;
+    }
+}
+
+/** La operación o el formato existen, pero esta versión no los admite */
+export class UnsupportedError extends CryptoError {
+    constructor(mensaje, motivo = null, datos = {}) {
+        super(mensaje, 'UNSUPPORTED', motivo, datos);
+    }
+}
+
+/**
+ * Convierte un array de bytes a una cadena Base64
+ *
+ * @param {Uint8Array} bytes - Bytes a convertir
+ * @returns {string} - Cadena en Base64
+ */
+export function bytesABase64(bytes) {
+    let binario = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binario += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binario);
+}
+
+/**
+ * Convierte una cadena Base64 a un array de bytes
+ *
+ * @param {string} base64 - Cadena en Base64 (se ignoran los espacios)
+ * @returns {Uint8Array} - Bytes decodificados
+ */
+export function base64ABytes(base64) {
+    const binario = atob(base64.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binario.length);
+    for (let i = 0; i < binario.length; i++) {
+        bytes[i] = binario.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Calcula cuántos bytes caben en un único bloque RSA-OAEP con SHA-256
+ *
+ * Para una clave de 2048 bits el límite es 256 - 66 = 190 bytes.
+ *
+ * @param {CryptoKey} clave - Clave RSA importada en WebCrypto
+ * @returns {number} - Número máximo de bytes cifrables directamente
+ */
+function calcularLimiteOAEP(clave) {
+    return Math.ceil(clave.algorithm.modulusLength / 8) - RELLENO_OAEP;
+}
+
+/**
+ * Identifica el esquema de un texto cifrado a partir de su prefijo
+ *
+ * @param {string} textoCifrado - Texto cifrado a comprobar
+ * @returns {string|null} - Clave de ESQUEMAS_CIFRADO, o null si el formato no es válido
+ */
+export function identificarEsquema(textoCifrado) {
+    // Sobre con armadura: el esquema es el de su contenido
+    if (esSobre(textoCifrado)) {
+        try {
+            return abrirSobre(textoCifrado).esquema;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const partes = textoCifrado.replace(/\s/g, '').split('.');
+    const esBase64 = (parte) => /^[A-Za-z0-9+/=]+$/.test(parte);
+
+    // Sin prefijo: bloque RSA en Base64 generado por versiones anteriores
+    if (partes.length === 1) {
+        return esBase64(partes[0]) ? 'PKCS1' : null;
+    }
+
+    const esquema = ESQUEMAS_CIFRADO[partes[0]];
+    if (!esquema || partes[0] === 'PKCS1' || partes.length !== esquema.campos + 1) {
+        return null;
+    }
+
+    return partes.slice(1).every(esBase64) ? partes[0] : null;
+}
+
+/**
+ * Cifra un texto con RSA-OAEP, directamente o en modo híbrido
+ *
+ * RSA solo puede cifrar directamente mensajes más cortos que su clave
+ * (190 bytes con una clave de 2048 bits y OAEP). Para mensajes más largos
+ * se usa el modo híbrido.
+ *
+ * @param {string} clavePublica - Clave pública RSA en formato PEM
+ * @param {string} textoOriginal - Texto plano a cifrar
+ * @param {string} modo - 'auto', 'rsa' o 'hibrido'
+ * @returns {Promise<{textoCifrado: string, esquema: string, limite: number}>}
+ */
+export async function cifrarTexto(clavePublica, textoOriginal, modo) {
+    // PASO 1: Importar la clave pública para RSA-OAEP
+    const clave = await importarClavePublica(clavePublica, ALGORITMO_OAEP, ['encrypt']);
+
+    // PASO 2: Decidir el modo según lo que cabe en un bloque RSA
+    const datos = new TextEncoder().encode(textoOriginal);
+    const limite = calcularLimiteOAEP(clave);
+
+    if (modo === 'rsa' && datos.length > limite) {
+        throw new MessageTooLongError(`El mensaje ocupa ${datos.length} bytes y RSA directo solo admite ${limite} bytes con esta clave. Usa el modo híbrido.`, datos.length, limite);
+    }
+
+    const esquema = modo === 'hibrido' || (modo === 'auto' && datos.length > limite)
+        ? 'RSA-OAEP-AES'
+        : 'RSA-OAEP';
+
+    // PASO 3: Cifrar
+    let campos;
+    if (esquema === 'RSA-OAEP-AES') {
+        campos = await cifrarHibrido(clave, datos);
+    } else {
+        campos = [new Uint8Array(await crypto.subtle.encrypt(ALGORITMO_OAEP, clave, datos))];
+    }
+
+    return {
+        textoCifrado: [esquema, ...campos.map(bytesABase64)].join('.'),
+        esquema,
+        limite
+    };
+}
+
+/**
+ * Cifra datos en modo híbrido: AES-GCM para los datos y RSA-OAEP para la clave
+ *
+ * Proceso:
+ * 1. Generar una clave AES-GCM aleatoria de 256 bits
+ * 2. Cifrar los datos con AES-GCM y un IV aleatorio
+ * 3. Envolver la clave AES con la clave pública RSA
+ *
+ * @param {CryptoKey} clavePublica - Clave pública RSA-OAEP importada
+ * @param {Uint8Array} datos - Datos a cifrar (sin límite de longitud)
+ * @returns {Promise<Uint8Array[]>} - [clave envuelta, IV, datos cifrados + etiqueta]
+ */
+async function cifrarHibrido(clavePublica, datos) {
+    // PASO 1 y 2: Cifrar los datos con una clave AES-GCM de un solo uso
+    const { claveAESCruda, iv, cifrado } = await cifrarAES(datos);
+
+    // PASO 3: Envolver la clave AES con RSA-OAEP (la clave cabe en un solo bloque)
+    const claveEnvuelta = await crypto.subtle.encrypt(ALGORITMO_OAEP, clavePublica, claveAESCruda);
+
+    return [new Uint8Array(claveEnvuelta), iv, cifrado];
+}
+
+/**
+ * Cifra datos con una clave AES-GCM aleatoria de 256 bits
+ *
+ * @param {Uint8Array} datos - Datos a cifrar
+ * @returns {Promise<{claveAESCruda: Uint8Array, iv: Uint8Array, cifrado: Uint8Array}>}
+ */
+async function cifrarAES(datos) {
+    const claveAES = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: TAMANO_CLAVE_AES },
+        true,
+        ['encrypt', 'decrypt']
+    );
+
+    const iv = crypto.getRandomValues(new Uint8Array(TAMANO_IV));
+    const cifrado = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, claveAES, datos);
+
+    return {
+        claveAESCruda: new Uint8Array(await crypto.subtle.exportKey('raw', claveAES)),
+        iv,
+        cifrado: new Uint8Array(cifrado)
+    };
+}
+
+/**
+ * Cifra un texto para varios destinatarios a la vez
+ *
+ * El texto se cifra una sola vez con AES-GCM y la clave AES se envuelve con
+ * la clave pública de cada destinatario, junto a la huella de esa clave.
+ * Las claves repetidas se incluyen una sola vez.
+ *
+ * @param {string[]} clavesPublicas - Claves públicas RSA en formato PEM
+ * @param {string} textoOriginal - Texto plano a cifrar
+ * @returns {Promise<{textoCifrado: string, esquema: string, huellas: string[]}>}
+ */
+export async function cifrarTextoVarios(clavesPublicas, textoOriginal) {
+    // PASO 1: Cifrar el texto con una clave AES de un solo uso
+    const { claveAESCruda, iv, cifrado } = await cifrarAES(new TextEncoder().encode(textoOriginal));
+
+    // PASO 2: Envolver la clave AES para cada destinatario
+    const entradas = [];
+    const huellas = [];
+    for (const clavePublica of clavesPublicas) {
+        const huella = await calcularHuella(clavePublica);
+        if (huellas.includes(huella)) {
+            continue;
+        }
+
+        const clave = await importarClavePublica(clavePublica, ALGORITMO_OAEP, ['encrypt']);
+        const claveEnvuelta = new Uint8Array(await crypto.subtle.encrypt(ALGORITMO_OAEP, clave, claveAESCruda));
+        entradas.push(hexABytes(huella), bigIntABytes(BigInt(claveEnvuelta.length), 2), claveEnvuelta);
+        huellas.push(huella);
+    }
+
+    return {
+        textoCifrado: ['RSA-OAEP-MULTI', ...[concatenarBytes(...entradas), iv, cifrado].map(bytesABase64)].join('.'),
+        esquema: 'RSA-OAEP-MULTI',
+        huellas
+    };
+}
+
+/**
+ * Separa la lista de destinatarios de un texto cifrado para varios
+ *
+ * @param {Uint8Array} bytes - Campo <destinatarios> decodificado
+ * @returns {{huella: string, claveEnvuelta: Uint8Array}[]} - Entradas de la lista
+ * @throws {FormatError} Si la lista está dañada
+ */
+function leerDestinatarios(bytes) {
+    const destinatarios = [];
+    let posicion = 0;
+
+    while (posicion < bytes.length) {
+        if (posicion + TAMANO_HUELLA + 2 > bytes.length) {
+            throw new FormatError('La lista de destinatarios del texto cifrado está dañada.', 'recipients-damaged');
+        }
+
+        const huella = bytesAHex(bytes.subarray(posicion, posicion + TAMANO_HUELLA));
+        const longitud = (bytes[posicion + TAMANO_HUELLA] << 8) | bytes[posicion + TAMANO_HUELLA + 1];
+        const inicio = posicion + TAMANO_HUELLA + 2;
+
+        if (inicio + longitud > bytes.length) {
+            throw new FormatError('La lista de destinatarios del texto cifrado está dañada.', 'recipients-damaged');
+        }
+
+        destinatarios.push({ huella, claveEnvuelta: bytes.subarray(inicio, inicio + longitud) });
+        posicion = inicio + longitud;
+    }
+
+    return destinatarios;
+}
+
+/**
+ * Busca la clave AES envuelta para una clave privada en la lista de destinatarios
+ *
+ * @param {string} clavePrivada - Clave privada sin cifrar en formato PEM
+ * @param {Uint8Array} bytes - Campo <destinatarios> decodificado
+ * @returns {Promise<Uint8Array>} - Clave AES envuelta para esa clave privada
+ * @throws {WrongKeyError} Si la clave privada no está entre los destinatarios
+ */
+async function buscarClaveEnvuelta(clavePrivada, bytes) {
+    const huella = await calcularHuella(clavePrivada);
+    const destinatarios = leerDestinatarios(bytes);
+    const entrada = destinatarios.find((destinatario) => destinatario.huella === huella);
+
+    if (!entrada) {
+        throw new WrongKeyError(`Clave incorrecta: la clave privada (${formatearHuella(huella, true)}) no está entre los destinatarios del mensaje.`, huella, destinatarios.map((destinatario) => destinatario.huella),
+            'not-a-recipient', { huella: formatearHuella(huella, true) });
+    }
+
+    return entrada.claveEnvuelta;
+}
+
+/**
+ * Cifra un archivo en modo híbrido conservando su nombre y tipo MIME
+ *
+ * Antes de cifrar, el contenido se empaqueta así:
+ *
+ *     [longitud de la cabecera: 4 bytes][cabecera JSON { nombre, tipo }][contenido]
+ *
+ * @param {string} clavePublica - Clave pública RSA en formato PEM
+ * @param {Uint8Array} contenido - Contenido binario del archivo
+ * @param {string} nombre - Nombre original del archivo
+ * @param {string} tipo - Tipo MIME original (puede estar vacío)
+ * @returns {Promise<{textoCifrado: string, esquema: string}>}
+ */
+export async function cifrarArchivo(clavePublica, contenido, nombre, tipo) {
+    const clave = await importarClavePublica(clavePublica, ALGORITMO_OAEP, ['encrypt']);
+
+    // PASO 1: Empaquetar la cabecera con el nombre y el tipo MIME
+    const cabecera = new TextEncoder().encode(JSON.stringify({ nombre, tipo }));
+    const longitud = new Uint8Array(4);
+    new DataView(longitud.buffer).setUint32(0, cabecera.length);
+
+    // PASO 2: Cifrar el paquete completo (los metadatos también quedan cifrados)
+    const campos = await cifrarHibrido(clave, concatenarBytes(longitud, cabecera, contenido));
+
+    return {
+        textoCifrado: ['RSA-OAEP-FILE', ...campos.map(bytesABase64)].join('.'),
+        esquema: 'RSA-OAEP-FILE'
+    };
+}
+
+/**
+ * Descifra un archivo cifrado con cifrarArchivo
+ *
+ * @param {string} clavePrivada - Clave privada RSA en formato PEM
+ * @param {string} textoCifrado - Contenido del archivo .enc
+ * @returns {Promise<{contenido: Uint8Array, nombre: string, tipo: string, esquema: string}>}
+ */
+export async function descifrarArchivo(clavePrivada, textoCifrado) {
+    const { datos, esquema } = await descifrarDatos(clavePrivada, textoCifrado);
+    if (!ESQUEMAS_CIFRADO[esquema].archivo) {
+        throw new FormatError('El texto cifrado contiene un mensaje, no un archivo.', 'message-not-file');
+    }
+
+    // Separar la cabecera del contenido (un archivo truncado o dañado no la tiene completa)
+    let longitud, cabecera;
+    try {
+        longitud = new DataView(datos.buffer, datos.byteOffset, datos.byteLength).getUint32(0);
+        if (4 + longitud > datos.length) {
+            throw new RangeError('cabecera incompleta');
+        }
+        cabecera = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(datos.subarray(4, 4 + longitud)));
+        if (!cabecera || typeof cabecera !== 'object') {
+            throw new TypeError('cabecera no válida');
+        }
+    } catch (error) {
+        throw new FormatError('El archivo cifrado está dañado o incompleto: no se puede leer su nombre ni su tipo.', 'file-header');
+    }
+
+    return {
+        contenido: datos.subarray(4 + longitud),
+        nombre: cabecera.nombre,
+        tipo: cabecera.tipo,
+        esquema
+    };
+}
+
+/**
+ * Descifra un texto cifrado con cualquiera de los esquemas de mensaje
+ *
+ * @param {string} clavePrivada - Clave privada RSA en formato PEM
+ * @param {string} textoCifrado - Texto cifrado
+ * @returns {Promise<{texto: string, esquema: string}>} - Texto original y esquema detectado
+ */
+export async function descifrarTexto(clavePrivada, textoCifrado) {
+    const { datos, esquema } = await descifrarDatos(clavePrivada, textoCifrado);
+    if (ESQUEMAS_CIFRADO[esquema].archivo) {
+        throw new FormatError('El texto cifrado contiene un archivo; usa descifrarArchivo para restaurarlo.', 'file-not-message');
+    }
+
+    return { texto: new TextDecoder().decode(datos), esquema };
+}
+
+/**
+ * Descifra los bytes de un texto cifrado con cualquiera de los esquemas admitidos
+ *
+ * @param {string} clavePrivada - Clave privada RSA en formato PEM
+ * @param {string} textoCifrado - Texto cifrado
+ * @returns {Promise<{datos: Uint8Array, esquema: string}>} - Bytes originales y esquema detectado
+ */
+async function descifrarDatos(clavePrivada, textoCifrado) {
+    // PASO 1: Abrir el sobre (si lo hay), identificar el esquema y separar campos
+    if (esSobre(textoCifrado)) {
+        textoCifrado = abrirSobre(textoCifrado).textoCifrado;
+    }
+
+    const esquema = identificarEsquema(textoCifrado);
+    if (!esquema) {
+        throw new FormatError('El texto cifrado no tiene un formato reconocido.', 'unknown-ciphertext');
+    }
+
+    const partes = textoCifrado.replace(/\s/g, '').split('.');
+    const campos = esquema === 'PKCS1' ? partes : partes.slice(1);
+
+    // PASO 2: Recuperar el bloque RSA (mensaje o clave AES)
+    // Con varios destinatarios, el bloque es la entrada de esta clave privada
+    let bloque;
+    if (ESQUEMAS_CIFRADO[esquema].heredado) {
+        bloque = await descifrarPKCS1(clavePrivada, campos[0], ESQUEMAS_CIFRADO[esquema].hibrido);
+    } else if (ESQUEMAS_CIFRADO[esquema].varios) {
+        bloque = await descifrarOAEP(clavePrivada, await buscarClaveEnvuelta(clavePrivada, base64ABytes(campos[0])));
+    } else {
+        bloque = await descifrarOAEP(clavePrivada, base64ABytes(campos[0]));
+    }
+
+    // PASO 3: En modo híbrido, descifrar los datos con la clave AES recuperada
+    const datos = ESQUEMAS_CIFRADO[esquema].hibrido
+        ? await descifrarAES(bloque, base64ABytes(campos[1]), base64ABytes(campos[2]))
+        : bloque;
+
+    return { datos, esquema };
+}
+
+/**
+ * Descifra un bloque RSA-OAEP con la clave privada
+ *
+ * @param {string} clavePrivada - Clave privada RSA en formato PEM
+ * @param {Uint8Array} bloque - Bloque cifrado
+ * @returns {Promise<Uint8Array>} - Bytes descifrados
+ */
+async function descifrarOAEP(clavePrivada, bloque) {
+    const clave = await importarClavePrivada(clavePrivada, ALGORITMO_OAEP, ['decrypt']);
+    try {
+        return new Uint8Array(await crypto.subtle.decrypt(ALGORITMO_OAEP, clave, bloque));
+    } catch (error) {
+        throw new WrongKeyError('No se pudo descifrar el bloque RSA-OAEP. Verifica que la clave privada corresponda a la clave pública usada para cifrar.', null, [], 'oaep-failed');
+    }
+}
+
+/**
+ * Descifra un bloque RSA con relleno PKCS#1 v1.5 (textos antiguos)
+ *
+ * WebCrypto no admite este relleno, así que en el navegador se usa JSEncrypt.
+ * Fuera del navegador (herramienta de línea de comandos) JSEncrypt no está
+ * disponible y se descifra con aritmética RSA (ver descifrarPKCS1SinBiblioteca).
+ * En el modo híbrido antiguo, el bloque contiene la clave AES en Base64.
+ *
+ * @param {string} clavePrivada - Clave privada RSA en formato PEM
+ * @param {string} bloqueBase64 - Bloque cifrado en Base64
+ * @param {boolean} esClaveAES - true si el bloque contiene una clave AES
+ * @returns {Promise<Uint8Array>} - Bytes descifrados
+ */
+async function descifrarPKCS1(clavePrivada, bloqueBase64, esClaveAES) {
+    let datos;
+
+    if (typeof JSEncrypt === 'undefined') {
+        datos = await descifrarPKCS1SinBiblioteca(clavePrivada, base64ABytes(bloqueBase64));
+    } else {
+        const crypt = new JSEncrypt();
+        crypt.setPrivateKey(clavePrivada);
+        const resultado = crypt.decrypt(bloqueBase64);
+        datos = resultado ? new TextEncoder().encode(resultado) : null;
+    }
+
+    if (!datos) {
+        throw new WrongKeyError('No se pudo descifrar el bloque PKCS#1 v1.5. Verifica que la clave privada corresponda a la clave pública usada para cifrar.', null, [], 'pkcs1-failed');
+    }
+
+    return esClaveAES ? base64ABytes(new TextDecoder().decode(datos)) : datos;
+}
+
+/**
+ * Descifra un bloque PKCS#1 v1.5 calculando m = c^d mod n con BigInt
+ *
+ * Solo se usa para leer textos antiguos fuera del navegador: Node.js ya no
+ * admite este relleno para descifrar. No es de tiempo constante, algo
+ * aceptable en una herramienta local pero no en un servidor.
+ *
+ * @param {string} clavePrivada - Clave privada RSA en formato PEM
+ * @param {Uint8Array} bloque - Bloque cifrado
+ * @returns {Promise<Uint8Array|null>} - Mensaje, o null si el relleno no es válido
+ */
+async function descifrarPKCS1SinBiblioteca(clavePrivada, bloque) {
+    // PASO 1: Obtener n y d de la clave privada
+    const clave = await importarClavePrivada(clavePrivada, ALGORITMO_OAEP, ['decrypt']);
+    const jwk = await crypto.subtle.exportKey('jwk', clave);
+    const n = bytesABigInt(base64UrlABytes(jwk.n));
+    const d = bytesABigInt(base64UrlABytes(jwk.d));
+    const longitud = Math.ceil(clave.algorithm.modulusLength / 8);
+
+    // PASO 2: Descifrar el bloque
+    const em = bigIntABytes(potenciaModular(bytesABigInt(bloque), d, n), longitud);
+
+    // PASO 3: Quitar el relleno: 0x00 || 0x02 || PS (8 bytes no nulos o más) || 0x00 || M
+    const separador = em.indexOf(0, 2);
+    if (em[0] !== 0x00 || em[1] !== 0x02 || separador < 10) {
+        return null;
+    }
+
+    return em.slice(separador + 1);
+}
+
+/**
+ * Descifra y verifica datos cifrados con AES-GCM
+ *
+ * @param {Uint8Array} claveAESCruda - Clave AES de 256 bits
+ * @param {Uint8Array} iv - Vector de inicialización
+ * @param {Uint8Array} cifrado - Datos cifrados + etiqueta de autenticación
+ * @returns {Promise<Uint8Array>} - Datos originales
+ */
+async function descifrarAES(claveAESCruda, iv, cifrado) {
+    const claveAES = await crypto.subtle.importKey('raw', claveAESCruda, { name: 'AES-GCM' }, false, ['decrypt']);
+
+    // AES-GCM falla si los datos fueron modificados
+    try {
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, claveAES, cifrado));
+    } catch (error) {
+        throw new IntegrityError('Los datos cifrados fueron modificados o están incompletos (falló la verificación de AES-GCM).', 'aes-gcm');
+    }
+}
+
+/* ==========================================================================
+   GENERACIÓN DE CLAVES
+   ========================================================================== */
+
+/**
+ * Genera un par de claves RSA con WebCrypto y lo exporta en formato PEM
+ *
+ * La clave pública se exporta como SPKI (BEGIN PUBLIC KEY) y la privada
+ * como PKCS#8 (BEGIN PRIVATE KEY).
+ *
+ * @param {number} bits - Tamaño del módulo en bits
+ * @param {number} exponente - Exponente público (3 o 65537)
+ * @returns {Promise<{privada: string, publica: string, bits: number, exponente: number}>}
+ */
+export async function generarParClaves(bits, exponente) {
+    const par = await crypto.subtle.generateKey(
+        {
+            name: 'RSA-OAEP',
+            modulusLength: bits,
+            publicExponent: bigIntABytes(BigInt(exponente), exponente > 0xffff ? 3 : 1),
+            hash: 'SHA-256'
+        },
+        true,
+        ['encrypt', 'decrypt']
+    );
+
+    const spki = new Uint8Array(await crypto.subtle.exportKey('spki', par.publicKey));
+    const pkcs8 = new Uint8Array(await crypto.subtle.exportKey('pkcs8', par.privateKey));
+
+    return {
+        privada: derAPem(pkcs8, 'PRIVATE KEY'),
+        publica: derAPem(spki, 'PUBLIC KEY'),
+        bits: par.publicKey.algorithm.modulusLength,
+        exponente: Number(bytesABigInt(par.publicKey.algorithm.publicExponent))
+    };
+}
+
+/** Rondas de Miller-Rabin: la probabilidad de aceptar un compuesto es menor que 4^-40 */
+const RONDAS_MILLER_RABIN = 40;
+
+/** Primos pequeños para descartar candidatos por división antes de Miller-Rabin */
+const PRIMOS_PEQUENOS = (() => {
+    const limite = 2000;
+    const compuesto = new Uint8Array(limite);
+    const primos = [];
+    for (let i = 2; i < limite; i++) {
+        if (!compuesto[i]) {
+            primos.push(BigInt(i));
+            for (let j = i * i; j < limite; j += i) {
+                compuesto[j] = 1;
+            }
+        }
+    }
+    return primos;
+})();
+
+/**
+ * Crea un generador determinista de bytes a partir de una semilla
+ *
+ * HMAC-SHA256 en modo contador: bloque_i = HMAC(semilla, contexto || i).
+ * La misma semilla y el mismo contexto producen siempre los mismos bytes.
+ *
+ * @param {Uint8Array} semilla - Semilla secreta (p. ej. la de una frase BIP39)
+ * @param {string} contexto - Separa los usos de una misma semilla
+ * @returns {function(number): Promise<Uint8Array>} - Devuelve los siguientes bytes pedidos
+ */
+function crearFlujoDeterminista(semilla, contexto) {
+    const etiqueta = new TextEncoder().encode(contexto);
+    const claveHmac = crypto.subtle.importKey('raw', semilla, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    let contador = 0;
+
+    return async function(longitud) {
+        const clave = await claveHmac;
+        const bloques = [];
+        for (let total = 0; total < longitud; total += 32) {
+            const entrada = concatenarBytes(etiqueta, bigIntABytes(BigInt(contador++), 4));
+            bloques.push(new Uint8Array(await crypto.subtle.sign('HMAC', clave, entrada)));
+        }
+        return concatenarBytes(...bloques).slice(0, longitud);
+    };
+}
+
+/**
+ * Test de primalidad de Miller-Rabin con bases tomadas del flujo
+ *
+ * @param {bigint} n - Candidato impar mayor que 3
+ * @param {function(number): Promise<Uint8Array>} flujo - Generador de bytes
+ * @returns {Promise<boolean>} - true si n es primo con probabilidad abrumadora
+ */
+async function esPrimoProbable(n, flujo) {
+    // n - 1 = 2^r · m con m impar
+    let m = n - 1n;
+    let r = 0;
+    while (!(m & 1n)) {
+        m >>= 1n;
+        r++;
+    }
+
+    const longitud = Math.ceil(n.toString(2).length / 8);
+    for (let ronda = 0; ronda < RONDAS_MILLER_RABIN; ronda++) {
+        const base = bytesABigInt(await flujo(longitud)) % (n - 3n) + 2n;
+        let x = potenciaModular(base, m, n);
+        if (x === 1n || x === n - 1n) {
+            continue;
+        }
+
+        let testigo = true;
+        for (let i = 1; i < r && testigo; i++) {
+            x = (x * x) % n;
+            testigo = x !== n - 1n;
+        }
+        if (testigo) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Busca un primo de bitsPrimo bits tal que p - 1 sea coprimo con el exponente
+ *
+ * Se elige un punto de partida con el flujo (con los dos bits altos a 1,
+ * para que el producto de dos primos tenga exactamente el doble de bits) y
+ * se avanza de dos en dos hasta encontrar un primo.
+ *
+ * @param {function(number): Promise<Uint8Array>} flujo - Generador de bytes
+ * @param {number} bitsPrimo - Tamaño del primo en bits
+ * @param {bigint} e - Exponente público
+ * @param {function(): void} [alProbar] - Se llama con cada candidato que pasa a Miller-Rabin
+ * @returns {Promise<bigint>} - Primo encontrado
+ */
+async function buscarPrimo(flujo, bitsPrimo, e, alProbar) {
+    const limite = 1n << BigInt(bitsPrimo);
+    const bitsAltos = 3n << BigInt(bitsPrimo - 2);
+
+    for (;;) {
+        const inicio = bytesABigInt(await flujo(bitsPrimo / 8));
+        for (let candidato = inicio | bitsAltos | 1n; candidato < limite; candidato += 2n) {
+            if (PRIMOS_PEQUENOS.some((primo) => candidato % primo === 0n) ||
+                mcd(candidato - 1n, e) !== 1n) {
+                continue;
+            }
+            if (alProbar) {
+                alProbar();
+            }
+            if (await esPrimoProbable(candidato, flujo)) {
+                return candidato;
+            }
+        }
+    }
+}
+
+/**
+ * Genera un par de claves RSA determinista a partir de una semilla
+ *
+ * WebCrypto no permite elegir los números aleatorios, así que los primos
+ * se buscan aquí con BigInt usando un flujo HMAC-SHA256 de la semilla. La
+ * misma semilla, tamaño y exponente dan siempre el mismo par de claves, lo
+ * que permite recuperarlo desde una frase BIP39. Es bastante más lento que
+ * generarParClaves.
+ *
+ * @param {Uint8Array} semilla - Semilla de 64 bytes
+ * @param {number} bits - Tamaño del módulo en bits
+ * @param {number} exponente - Exponente público (3 o 65537)
+ * @param {function(number): void} [alProgresar] - Recibe los candidatos probados hasta el momento
+ * @returns {Promise<{privada: string, publica: string, bits: number, exponente: number}>}
+ */
+export async function generarParClavesDesdeSemilla(semilla, bits, exponente, alProgresar) {
+    const flujo = crearFlujoDeterminista(semilla, `RSA-DEMO KEYGEN ${bits} ${exponente}`);
+    const e = BigInt(exponente);
+    let candidatos = 0;
+    const alProbar = () => {
+        candidatos++;
+        if (alProgresar) {
+            alProgresar(candidatos);
+        }
+    };
+
+    // PASO 1: Dos primos distintos de bits / 2 bits
+    const p = await buscarPrimo(flujo, bits / 2, e, alProbar);
+    let q = p;
+    while (q === p) {
+        q = await buscarPrimo(flujo, bits / 2, e, alProbar);
+    }
+
+    // PASO 2: n = p·q y d = e^-1 mod λ(n), con λ(n) = mcm(p - 1, q - 1)
+    const n = p * q;
+    const lambda = (p - 1n) * (q - 1n) / mcd(p - 1n, q - 1n);
+    const d = inversoModular(e, lambda);
+
+    // PASO 3: RSAPrivateKey (PKCS#1) con los parámetros del CRT, convertida a PKCS#8
+    const pkcs1 = codificarDER(0x30, concatenarBytes(
+        ...[0n, n, e, d, p, q, d % (p - 1n), d % (q - 1n), inversoModular(q, p)].map(codificarEnteroDER)
+    ));
+    const rsaPublica = codificarDER(0x30, concatenarBytes(codificarEnteroDER(n), codificarEnteroDER(e)));
+    const spki = codificarDER(0x30, concatenarBytes(
+        IDENTIFICADOR_RSA,
+        codificarDER(0x03, concatenarBytes(new Uint8Array([0x00]), rsaPublica))
+    ));
+
+    return {
+        privada: derAPem(pkcs1APkcs8(pkcs1), 'PRIVATE KEY'),
+        publica: derAPem(spki, 'PUBLIC KEY'),
+        bits,
+        exponente
+    };
+}
+
+
+/* ==========================================================================
+   CLAVES PEM Y ESTRUCTURAS DER
+   ========================================================================== */
+
+/** AlgorithmIdentifier de rsaEncryption (OID 1.2.840.113549.1.1.1 + NULL) */
+export const IDENTIFICADOR_RSA = new Uint8Array([
+    0x30, 0x0d, 0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01, 0x05, 0x00
+]);
+
+/**
+ * Extrae los bytes DER del cuerpo Base64 de una clave PEM
+ *
+ * @param {string} pem - Clave en formato PEM (con líneas BEGIN y END)
+ * @returns {Uint8Array} - Contenido DER
+ */
+export function pemADer(pem) {
+    const cuerpo = pem.replace(/-----(BEGIN|END) [A-Z0-9 ]+-----/g, '');
+    return base64ABytes(cuerpo);
+}
+
+/**
+ * Envuelve bytes DER en formato PEM con líneas de 64 caracteres
+ *
+ * @param {Uint8Array} der - Contenido DER
+ * @param {string} etiqueta - Etiqueta PEM (p. ej. 'PUBLIC KEY')
+ * @returns {string} - Clave en formato PEM
+ */
+export function derAPem(der, etiqueta) {
+    const lineas = bytesABase64(der).match(/.{1,64}/g);
+    return `-----BEGIN ${etiqueta}-----\n${lineas.join('\n')}\n-----END ${etiqueta}-----`;
+}
+
+/**
+ * Concatena varios arrays de bytes en uno solo
+ *
+ * @param {...Uint8Array} partes - Arrays a concatenar
+ * @returns {Uint8Array} - Resultado de la concatenación
+ */
+export function concatenarBytes(...partes) {
+    const total = partes.reduce((suma, parte) => suma + parte.length, 0);
+    const resultado = new Uint8Array(total);
+    let posicion = 0;
+    for (const parte of partes) {
+        resultado.set(parte, posicion);
+        posicion += parte.length;
+    }
+    return resultado;
+}
+
+/**
+ * Codifica un elemento DER (etiqueta + longitud + contenido)
+ *
+ * @param {number} etiqueta - Etiqueta ASN.1 (p. ej. 0x30 para SEQUENCE)
+ * @param {Uint8Array} contenido - Contenido ya codificado
+ * @returns {Uint8Array} - Elemento DER completo
+ */
+export function codificarDER(etiqueta, contenido) {
+    let longitud;
+    if (contenido.length < 0x80) {
+        longitud = new Uint8Array([contenido.length]);
+    } else {
+        const bytesLongitud = [];
+        for (let n = contenido.length; n > 0; n = Math.floor(n / 256)) {
+            bytesLongitud.unshift(n & 0xff);
+        }
+        longitud = new Uint8Array([0x80 | bytesLongitud.length, ...bytesLongitud]);
+    }
+    return concatenarBytes(new Uint8Array([etiqueta]), longitud, contenido);
+}
+
+/**
+ * Codifica un entero no negativo como INTEGER DER
+ *
+ * @param {number|bigint} numero - Entero a codificar
+ * @returns {Uint8Array} - Elemento INTEGER completo
+ */
+export function codificarEnteroDER(numero) {
+    let valor = BigInt(numero);
+    const bytes = [];
+    do {
+        bytes.unshift(Number(valor & 0xffn));
+        valor >>= 8n;
+    } while (valor > 0n);
+
+    // Un bit alto a 1 indicaría un número negativo
+    if (bytes[0] & 0x80) {
+        bytes.unshift(0x00);
+    }
+    return codificarDER(0x02, new Uint8Array(bytes));
+}
+
+/**
+ * Lee un elemento DER a partir de una posición
+ *
+ * @param {Uint8Array} bytes - Datos DER
+ * @param {number} posicion - Posición donde empieza el elemento
+ * @returns {{etiqueta: number, contenido: Uint8Array, fin: number}} - Elemento leído
+ */
+export function leerDER(bytes, posicion = 0) {
+    if (posicion + 2 > bytes.length) {
+        throw new InvalidKeyError('Estructura DER truncada', 'der-truncated');
+    }
+
+    const etiqueta = bytes[posicion];
+    let longitud = bytes[posicion + 1];
+    let inicio = posicion + 2;
+
+    if (longitud & 0x80) {
+        const numBytes = longitud & 0x7f;
+        if (numBytes === 0 || numBytes > 4 || inicio + numBytes > bytes.length) {
+            throw new InvalidKeyError('Longitud DER no válida', 'der-length');
+        }
+        longitud = 0;
+        for (let i = 0; i < numBytes; i++) {
+            longitud = longitud * 256 + bytes[inicio + i];
+        }
+        inicio += numBytes;
+    }
+
+    if (inicio + longitud > bytes.length) {
+        throw new InvalidKeyError('Estructura DER truncada', 'der-truncated');
+    }
+
+    return {
+        etiqueta,
+        contenido: bytes.slice(inicio, inicio + longitud),
+        fin: inicio + longitud
+    };
+}
+
+/**
+ * Lee todos los elementos contenidos en una SEQUENCE DER
+ *
+ * @param {Uint8Array} contenido - Contenido de la SEQUENCE
+ * @returns {Array<{etiqueta: number, contenido: Uint8Array, fin: number}>} - Elementos hijos
+ */
+export function leerElementosDER(contenido) {
+    const elementos = [];
+    for (let posicion = 0; posicion < contenido.length;) {
+        const elemento = leerDER(contenido, posicion);
+        elementos.push(elemento);
+        posicion = elemento.fin;
+    }
+    return elementos;
+}
+
+/**
+ * Compara dos arrays de bytes
+ *
+ * @param {Uint8Array} a - Primer array
+ * @param {Uint8Array} b - Segundo array
+ * @returns {boolean} - true si tienen el mismo contenido
+ */
+function bytesIguales(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Convierte una clave privada PKCS#1 (BEGIN RSA PRIVATE KEY) a PKCS#8
+ *
+ * WebCrypto solo importa claves privadas PKCS#8, mientras que JSEncrypt
+ * genera claves PKCS#1. PKCS#8 añade el identificador del algoritmo:
+ *
+ *     SEQUENCE { INTEGER 0, AlgorithmIdentifier, OCTET STRING { PKCS#1 } }
+ *
+ * @param {Uint8Array} derPkcs1 - Clave privada PKCS#1 en DER
+ * @returns {Uint8Array} - Clave privada PKCS#8 en DER
+ */
+export function pkcs1APkcs8(derPkcs1) {
+    return codificarDER(0x30, concatenarBytes(
+        new Uint8Array([0x02, 0x01, 0x00]),
+        IDENTIFICADOR_RSA,
+        codificarDER(0x04, derPkcs1)
+    ));
+}
+
+/**
+ * Importa una clave privada PEM (PKCS#1 o PKCS#8) en WebCrypto
+ *
+ * @param {string} clavePrivada - Clave privada en formato PEM
+ * @param {Object} algoritmo - Parámetros de importación de WebCrypto
+ * @param {string[]} usos - Usos permitidos (p. ej. ['sign'])
+ * @returns {Promise<CryptoKey>} - Clave importada (exportable)
+ * @throws {InvalidKeyError} Si la clave no se puede leer
+ */
+async function importarClavePrivada(clavePrivada, algoritmo, usos) {
+    try {
+        let der = pemADer(clavePrivada);
+        if (clavePrivada.includes('BEGIN RSA PRIVATE KEY')) {
+            der = pkcs1APkcs8(der);
+        }
+        return await crypto.subtle.importKey('pkcs8', der, algoritmo, true, usos);
+    } catch (error) {
+        throw new InvalidKeyError('La clave privada no es válida. Comprueba que esté completa, incluidas las líneas BEGIN y END.', 'invalid-private-key');
+    }
+}
+
+/**
+ * Importa una clave pública PEM (SPKI) en WebCrypto
+ *
+ * @param {string} clavePublica - Clave pública en formato PEM
+ * @param {Object} algoritmo - Parámetros de importación de WebCrypto
+ * @param {string[]} usos - Usos permitidos (p. ej. ['verify'])
+ * @returns {Promise<CryptoKey>} - Clave importada (exportable)
+ * @throws {InvalidKeyError} Si la clave no se puede leer
+ */
+async function importarClavePublica(clavePublica, algoritmo, usos) {
+    try {
+        return await crypto.subtle.importKey('spki', pemADer(clavePublica), algoritmo, true, usos);
+    } catch (error) {
+        throw new InvalidKeyError('La clave pública no es válida. Comprueba que esté completa, incluidas las líneas BEGIN y END.', 'invalid-public-key');
+    }
+}
+
+/**
+ * Obtiene la clave pública PEM que corresponde a una clave privada
+ *
+ * La clave privada contiene el módulo (n) y el exponente público (e),
+ * así que basta con exportarlos y volver a importarlos como clave pública.
+ *
+ * @param {string} clavePrivada - Clave privada en formato PEM
+ * @returns {Promise<string>} - Clave pública en formato PEM (SPKI)
+ */
+export async function derivarClavePublica(clavePrivada) {
+    const algoritmo = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+    const privada = await importarClavePrivada(clavePrivada, algoritmo, ['sign']);
+    const jwk = await crypto.subtle.exportKey('jwk', privada);
+    const publica = await crypto.subtle.importKey(
+        'jwk',
+        { kty: 'RSA', n: jwk.n, e: jwk.e },
+        algoritmo,
+        true,
+        ['verify']
+    );
+    return derAPem(new Uint8Array(await crypto.subtle.exportKey('spki', publica)), 'PUBLIC KEY');
+}
+
+/* ==========================================================================
+   ARITMÉTICA RSA (BigInt)
+   ========================================================================== */
+
+/**
+ * Convierte Base64URL (formato de JWK) a bytes
+ *
+ * @param {string} base64Url - Cadena Base64URL sin relleno
+ * @returns {Uint8Array} - Bytes decodificados
+ */
+export function base64UrlABytes(base64Url) {
+    const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+    return base64ABytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+/**
+ * Interpreta bytes big-endian como un entero sin signo
+ *
+ * @param {Uint8Array} bytes - Bytes big-endian
+ * @returns {bigint} - Entero resultante
+ */
+export function bytesABigInt(bytes) {
+    let resultado = 0n;
+    for (const byte of bytes) {
+        resultado = (resultado << 8n) | BigInt(byte);
+    }
+    return resultado;
+}
+
+/**
+ * Convierte un entero a bytes big-endian de longitud fija
+ *
+ * @param {bigint} numero - Entero no negativo
+ * @param {number} longitud - Número de bytes del resultado
+ * @returns {Uint8Array} - Bytes big-endian
+ */
+export function bigIntABytes(numero, longitud) {
+    const bytes = new Uint8Array(longitud);
+    for (let i = longitud - 1; i >= 0; i--) {
+        bytes[i] = Number(numero & 0xffn);
+        numero >>= 8n;
+    }
+    return bytes;
+}
+
+/**
+ * Calcula (base ^ exponente) mod modulo por exponenciación binaria
+ *
+ * @param {bigint} base - Base
+ * @param {bigint} exponente - Exponente
+ * @param {bigint} modulo - Módulo
+ * @returns {bigint} - Resultado
+ */
+function potenciaModular(base, exponente, modulo) {
+    let resultado = 1n;
+    base %= modulo;
+    while (exponente > 0n) {
+        if (exponente & 1n) {
+            resultado = (resultado * base) % modulo;
+        }
+        base = (base * base) % modulo;
+        exponente >>= 1n;
+    }
+    return resultado;
+}
+
+/**
+ * Calcula el máximo común divisor (algoritmo de Euclides)
+ *
+ * @param {bigint} a - Entero no negativo
+ * @param {bigint} b - Entero no negativo
+ * @returns {bigint} - mcd(a, b)
+ */
+function mcd(a, b) {
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Calcula el inverso modular con el algoritmo de Euclides extendido
+ *
+ * @param {bigint} a - Entero coprimo con el módulo
+ * @param {bigint} modulo - Módulo
+ * @returns {bigint} - a^-1 mod modulo
+ */
+function inversoModular(a, modulo) {
+    let [r0, r1] = [a % modulo, modulo];
+    let [s0, s1] = [1n, 0n];
+    while (r1 !== 0n) {
+        const cociente = r0 / r1;
+        [r0, r1] = [r1, r0 - cociente * r1];
+        [s0, s1] = [s1, s0 - cociente * s1];
+    }
+    return ((s0 % modulo) + modulo) % modulo;
+}
+
+/* ==========================================================================
+   FIRMAS DIGITALES
+   ========================================================================== */
+
+/** Algoritmos de firma admitidos (ambos sobre SHA-256) */
+const ALGORITMOS_FIRMA = {
+    'RSA-PSS': { name: 'RSA-PSS', hash: 'SHA-256', saltLength: 32 },
+    'RSASSA-PKCS1-v1_5': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+};
+
+/** Prefijo DigestInfo de SHA-256 usado por PKCS#1 v1.5 (RFC 8017, sección 9.2) */
+const DIGEST_INFO_SHA256 = new Uint8Array([
+    0x30, 0x31, 0x30, 0x0d, 0x06, 0x09, 0x60, 0x86, 0x48, 0x01,
+    0x65, 0x03, 0x04, 0x02, 0x01, 0x05, 0x00, 0x04, 0x20
+]);
+
+/**
+ * Firma un mensaje con la clave privada (firma separada en Base64)
+ *
+ * @param {string} clavePrivada - Clave privada en formato PEM
+ * @param {string} mensaje - Mensaje a firmar
+ * @param {string} algoritmo - 'RSA-PSS' o 'RSASSA-PKCS1-v1_5'
+ * @returns {Promise<string>} - Firma en Base64
+ */
+export async function firmarMensaje(clavePrivada, mensaje, algoritmo) {
+    const parametros = ALGORITMOS_FIRMA[algoritmo];
+    const clave = await importarClavePrivada(clavePrivada, parametros, ['sign']);
+    const firma = await crypto.subtle.sign(parametros, clave, new TextEncoder().encode(mensaje));
+    return bytesABase64(new Uint8Array(firma));
+}
+
+/**
+ * Verifica una firma y, si no es válida, diagnostica el motivo
+ *
+ * Al "descifrar" la firma con la clave pública (s^e mod n) se obtiene el
+ * bloque codificado que firmó el autor. Si ese bloque tiene una estructura
+ * correcta, la firma se hizo con esta clave pero sobre otro mensaje, es
+ * decir, el mensaje fue manipulado. Si no, la firma está dañada o pertenece
+ * a otra clave.
+ *
+ * @param {string} clavePublica - Clave pública en formato PEM
+ * @param {string} mensaje - Mensaje recibido
+ * @param {string} firmaBase64 - Firma recibida en Base64
+ * @param {string} algoritmo - 'RSA-PSS' o 'RSASSA-PKCS1-v1_5'
+ * @returns {Promise<{estado: string, motivo: string}>} - estado: 'valida', 'manipulada' o 'invalida'
+ */
+export async function verificarFirma(clavePublica, mensaje, firmaBase64, algoritmo) {
+    const parametros = ALGORITMOS_FIRMA[algoritmo];
+    const clave = await importarClavePublica(clavePublica, parametros, ['verify']);
+    const firma = base64ABytes(firmaBase64);
+
+    const valida = await crypto.subtle.verify(parametros, clave, firma, new TextEncoder().encode(mensaje));
+    if (valida) {
+        return { estado: 'valida', motivo: 'La firma corresponde a este mensaje y a esta clave pública.' };
+    }
+
+    // Recuperar el bloque firmado: em = s^e mod n
+    const jwk = await crypto.subtle.exportKey('jwk', clave);
+    const n = bytesABigInt(base64UrlABytes(jwk.n));
+    const e = bytesABigInt(base64UrlABytes(jwk.e));
+    const longitudModulo = base64UrlABytes(jwk.n).length;
+    const s = bytesABigInt(firma);
+
+    if (firma.length !== longitudModulo || s >= n) {
+        return {
+            estado: 'invalida',
+            motivo: `La firma mide ${firma.length} bytes y una firma de esta clave debe medir ${longitudModulo} bytes.`
+        };
+    }
+
+    const em = bigIntABytes(potenciaModular(s, e, n), longitudModulo);
+    const estructuraCorrecta = algoritmo === 'RSA-PSS'
+        ? await tieneEstructuraPSS(em, n.toString(2).length)
+        : tieneEstructuraPKCS1(em);
+
+    if (estructuraCorrecta) {
+        return {
+            estado: 'manipulada',
+            motivo: 'La firma se hizo con la clave privada de esta clave pública, pero sobre un mensaje distinto. El mensaje fue modificado.'
+        };
+    }
+
+    return {
+        estado: 'invalida',
+        motivo: 'La firma no corresponde a esta clave pública, usa otro algoritmo o fue modificada.'
+    };
+}
+
+/**
+ * Comprueba si un bloque tiene el formato de firma PKCS#1 v1.5 con SHA-256
+ *
+ *     00 01 FF ... FF 00 || DigestInfo(SHA-256) || hash
+ *
+ * @param {Uint8Array} em - Bloque recuperado de la firma
+ * @returns {boolean} - true si la estructura es correcta
+ */
+function tieneEstructuraPKCS1(em) {
+    const inicioDigest = em.length - DIGEST_INFO_SHA256.length - 32;
+    if (em[0] !== 0x00 || em[1] !== 0x01 || em[inicioDigest - 1] !== 0x00) {
+        return false;
+    }
+    for (let i = 2; i < inicioDigest - 1; i++) {
+        if (em[i] !== 0xff) {
+            return false;
+        }
+    }
+    return DIGEST_INFO_SHA256.every((byte, i) => em[inicioDigest + i] === byte);
+}
+
+/**
+ * Comprueba si un bloque tiene el formato de firma RSA-PSS con SHA-256
+ *
+ * Deshace la máscara MGF1 y comprueba que el bloque de datos sea
+ * 00 ... 00 01 || sal y que termine en 0xBC (RFC 8017, sección 9.1.2).
+ *
+ * @param {Uint8Array} em - Bloque recuperado de la firma
+ * @param {number} bitsModulo - Tamaño del módulo en bits
+ * @returns {Promise<boolean>} - true si la estructura es correcta
+ */
+async function tieneEstructuraPSS(em, bitsModulo) {
+    const bitsEM = bitsModulo - 1;
+    const longitudEM = Math.ceil(bitsEM / 8);
+    const bloque = em.slice(em.length - longitudEM);
+    const longitudHash = 32;
+    const longitudSal = ALGORITMOS_FIRMA['RSA-PSS'].saltLength;
+
+    if (bloque[longitudEM - 1] !== 0xbc || em.length - longitudEM > 1 && em[0] !== 0) {
+        return false;
+    }
+
+    const longitudDB = longitudEM - longitudHash - 1;
+    const hash = bloque.slice(longitudDB, longitudDB + longitudHash);
+    const mascara = await generarMascaraMGF1(hash, longitudDB);
+    const db = bloque.slice(0, longitudDB).map((byte, i) => byte ^ mascara[i]);
+    db[0] &= 0xff >> (8 * longitudEM - bitsEM);
+
+    const separador = longitudDB - longitudSal - 1;
+    for (let i = 0; i < separador; i++) {
+        if (db[i] !== 0x00) {
+            return false;
+        }
+    }
+    return db[separador] === 0x01;
+}
+
+/**
+ * Genera una máscara MGF1 con SHA-256
+ *
+ * @param {Uint8Array} semilla - Semilla de la máscara
+ * @param {number} longitud - Longitud deseada en bytes
+ * @returns {Promise<Uint8Array>} - Máscara generada
+ */
+async function generarMascaraMGF1(semilla, longitud) {
+    const bloques = [];
+    for (let contador = 0; bloques.length * 32 < longitud; contador++) {
+        const entrada = concatenarBytes(semilla, bigIntABytes(BigInt(contador), 4));
+        bloques.push(new Uint8Array(await crypto.subtle.digest('SHA-256', entrada)));
+    }
+    return concatenarBytes(...bloques).slice(0, longitud);
+}
+
+/* ==========================================================================
+   CLAVES PRIVADAS PROTEGIDAS CON CONTRASEÑA (PKCS#8 CIFRADO)
+   ========================================================================== */
+
+/** Identificadores de objeto (contenido del OID en DER) usados por PBES2 */
+const OID_PBES2 = new Uint8Array([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x05, 0x0d]);
+const OID_PBKDF2 = new Uint8Array([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x05, 0x0c]);
+
+/** Funciones pseudoaleatorias de PBKDF2 admitidas (SHA-1 es el valor por defecto del estándar) */
+const PRF_PBKDF2 = [
+    { hash: 'SHA-256', oid: new Uint8Array([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x02, 0x09]) },
+    { hash: 'SHA-1', oid: new Uint8Array([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x02, 0x07]) }
+];
+
+/** Cifrados AES-CBC admitidos (OpenSSL usa AES-256-CBC por defecto) */
+const CIFRADOS_PBES2 = [
+    { bits: 256, oid: new Uint8Array([0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x01, 0x2a]) },
+    { bits: 192, oid: new Uint8Array([0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x01, 0x16]) },
+    { bits: 128, oid: new Uint8Array([0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x01, 0x02]) }
+];
+
+/** Iteraciones de PBKDF2 al exportar (recomendación OWASP para HMAC-SHA256) */
+export const ITERACIONES_PBKDF2 = 600000;
+
+/**
+ * Iteraciones de PBKDF2 que se aceptan al importar como máximo
+ *
+ * El número viene dentro del archivo de la clave: sin límite, una clave
+ * manipulada podría pedir miles de millones y bloquear la página o rsa-tool.
+ */
+const MAXIMO_ITERACIONES_PBKDF2 = 10000000;
+
+/**
+ * Indica si una clave PEM es una clave privada cifrada con contraseña
+ *
+ * @param {string} clavePrivada - Clave en formato PEM
+ * @returns {boolean} - true si contiene BEGIN ENCRYPTED PRIVATE KEY
+ */
+export function esClavePrivadaCifrada(clavePrivada) {
+    return clavePrivada.includes('BEGIN ENCRYPTED PRIVATE KEY');
+}
+
+/**
+ * Deriva una clave AES-CBC a partir de una contraseña con PBKDF2
+ *
+ * @param {string} contrasena - Contraseña del usuario
+ * @param {Uint8Array} sal - Sal aleatoria
+ * @param {number} iteraciones - Número de iteraciones
+ * @param {string} hash - Hash de HMAC ('SHA-256' o 'SHA-1')
+ * @param {number} bits - Tamaño de la clave AES
+ * @param {string[]} usos - Usos de la clave derivada
+ * @returns {Promise<CryptoKey>} - Clave AES-CBC derivada
+ */
+export async function derivarClaveContrasena(contrasena, sal, iteraciones, hash, bits, usos) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(contrasena),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: sal, iterations: iteraciones, hash: hash },
+        material,
+        { name: 'AES-CBC', length: bits },
+        false,
+        usos
+    );
+}
+
+/**
+ * Cifra una clave privada con una contraseña (PKCS#8 cifrado, PBES2)
+ *
+ * Estructura generada (RFC 8018), compatible con `openssl pkcs8`:
+ *
+ *     EncryptedPrivateKeyInfo {
+ *         PBES2 { PBKDF2 { sal, iteraciones, HMAC-SHA256 }, AES-256-CBC { IV } },
+ *         clave PKCS#8 cifrada
+ *     }
+ *
+ * @param {string} clavePrivada - Clave privada en formato PEM (PKCS#1 o PKCS#8)
+ * @param {string} contrasena - Contraseña de protección
+ * @returns {Promise<string>} - Clave en formato PEM (BEGIN ENCRYPTED PRIVATE KEY)
+ */
+export async function cifrarClavePrivada(clavePrivada, contrasena) {
+    // PASO 1: Obtener la clave en PKCS#8
+    let pkcs8 = pemADer(clavePrivada);
+    if (clavePrivada.includes('BEGIN RSA PRIVATE KEY')) {
+        pkcs8 = pkcs1APkcs8(pkcs8);
+    }
+
+    // PASO 2: Derivar la clave de cifrado a partir de la contraseña
+    const sal = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(16));
+    const claveAES = await derivarClaveContrasena(contrasena, sal, ITERACIONES_PBKDF2, 'SHA-256', 256, ['encrypt']);
+
+    // PASO 3: Cifrar la clave PKCS#8 con AES-256-CBC
+    const cifrado = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: iv }, claveAES, pkcs8));
+
+    // PASO 4: Construir la estructura EncryptedPrivateKeyInfo
+    const parametrosPBKDF2 = codificarDER(0x30, concatenarBytes(
+        codificarDER(0x04, sal),
+        codificarEnteroDER(ITERACIONES_PBKDF2),
+        codificarDER(0x30, concatenarBytes(codificarDER(0x06, PRF_PBKDF2[0].oid), new Uint8Array([0x05, 0x00])))
+    ));
+    const parametrosPBES2 = codificarDER(0x30, concatenarBytes(
+        codificarDER(0x30, concatenarBytes(codificarDER(0x06, OID_PBKDF2), parametrosPBKDF2)),
+        codificarDER(0x30, concatenarBytes(codificarDER(0x06, CIFRADOS_PBES2[0].oid), codificarDER(0x04, iv)))
+    ));
+    const estructura = codificarDER(0x30, concatenarBytes(
+        codificarDER(0x30, concatenarBytes(codificarDER(0x06, OID_PBES2), parametrosPBES2)),
+        codificarDER(0x04, cifrado)
+    ));
+
+    return derAPem(estructura, 'ENCRYPTED PRIVATE KEY');
+}
+
+/**
+ * Descifra una clave privada protegida con contraseña (PKCS#8 cifrado, PBES2)
+ *
+ * @param {string} claveCifrada - Clave en formato PEM (BEGIN ENCRYPTED PRIVATE KEY)
+ * @param {string} contrasena - Contraseña de protección
+ * @returns {Promise<string>} - Clave privada en formato PEM (BEGIN PRIVATE KEY)
+ */
+export async function descifrarClavePrivada(claveCifrada, contrasena) {
+    // PASO 1: Leer la estructura EncryptedPrivateKeyInfo
+    let sal, iteraciones, prf, cifradoAES, iv, datos;
+    try {
+        const [algoritmo, datosCifrados] = leerElementosDER(leerDER(pemADer(claveCifrada)).contenido);
+        const [oidEsquema, parametros] = leerElementosDER(algoritmo.contenido);
+
+        if (!bytesIguales(oidEsquema.contenido, OID_PBES2)) {
+            throw new Error('esquema');
+        }
+
+        const [kdf, cifrado] = leerElementosDER(parametros.contenido);
+        const [oidKdf, parametrosKdf] = leerElementosDER(kdf.contenido);
+        if (!bytesIguales(oidKdf.contenido, OID_PBKDF2)) {
+            throw new Error('kdf');
+        }
+
+        const camposKdf = leerElementosDER(parametrosKdf.contenido);
+        sal = camposKdf[0].contenido;
+        iteraciones = Number(bytesABigInt(camposKdf[1].contenido));
+
+        // El PRF es opcional; si falta, el estándar indica HMAC-SHA1
+        const campoPrf = camposKdf.find((campo, i) => i >= 2 && campo.etiqueta === 0x30);
+        const oidPrf = campoPrf ? leerDER(campoPrf.contenido).contenido : PRF_PBKDF2[1].oid;
+        prf = PRF_PBKDF2.find((opcion) => bytesIguales(opcion.oid, oidPrf));
+
+        const [oidCifrado, campoIv] = leerElementosDER(cifrado.contenido);
+        cifradoAES = CIFRADOS_PBES2.find((opcion) => bytesIguales(opcion.oid, oidCifrado.contenido));
+        iv = campoIv.contenido;
+        datos = datosCifrados.contenido;
+    } catch (error) {
+        throw new InvalidKeyError('La clave privada cifrada está dañada o no tiene una estructura PKCS#8 válida.', 'pkcs8-damaged');
+    }
+
+    if (!prf || !cifradoAES) {
+        throw new UnsupportedError('La clave privada usa un algoritmo de protección no admitido. Se admiten PBKDF2 (HMAC-SHA1/SHA256) con AES-CBC.', 'pkcs8-algorithm');
+    }
+
+    if (!Number.isSafeInteger(iteraciones) || iteraciones < 1 || iteraciones > MAXIMO_ITERACIONES_PBKDF2) {
+        throw new FormatError(`La clave privada cifrada pide un número de iteraciones de PBKDF2 no válido (se admiten de 1 a ${MAXIMO_ITERACIONES_PBKDF2}).`,
+            'pbkdf2-iterations', { maximo: MAXIMO_ITERACIONES_PBKDF2 });
+    }
+
+    // PASO 2: Derivar la clave y descifrar
+    const claveAES = await derivarClaveContrasena(contrasena, sal, iteraciones, prf.hash, cifradoAES.bits, ['decrypt']);
+    let pkcs8;
+    try {
+        pkcs8 = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv: iv }, claveAES, datos));
+        leerDER(pkcs8);
+    } catch (error) {
+        throw new WrongPasswordError('Contraseña incorrecta: no se pudo descifrar la clave privada.', 'wrong-password');
+    }
+
+    return derAPem(pkcs8, 'PRIVATE KEY');
+}
+
+/* ==========================================================================
+   HUELLAS DE CLAVES
+   ========================================================================== */
+
+/**
+ * Calcula la huella SHA-256 de una clave (hash de la clave pública SPKI)
+ *
+ * Si se recibe una clave privada, se calcula la huella de su clave pública,
+ * de modo que ambas claves de un par tienen la misma huella.
+ *
+ * @param {string} clave - Clave pública o privada (sin cifrar) en formato PEM
+ * @returns {Promise<string>} - Huella en hexadecimal (64 caracteres)
+ */
+export async function calcularHuella(clave) {
+    const clavePublica = clave.includes('PRIVATE KEY') ? await derivarClavePublica(clave) : clave;
+    return bytesAHex(new Uint8Array(await crypto.subtle.digest('SHA-256', pemADer(clavePublica))));
+}
+
+/**
+ * Da formato legible a una huella: pares hexadecimales separados por ':'
+ *
+ * @param {string} huella - Huella en hexadecimal
+ * @param {boolean} [corta=false] - true para mostrar solo los primeros 8 bytes
+ * @returns {string} - Huella formateada (p. ej. 'SHA256:3f:9a:12:...')
+ */
+export function formatearHuella(huella, corta = false) {
+    const hex = corta ? huella.slice(0, 16) : huella;
+    return 'SHA256:' + hex.match(/.{2}/g).join(':');
+}
+
+/**
+ * Convierte una huella formateada (SHA256:3f:9a:...) a hexadecimal
+ *
+ * @param {string} texto - Huella formateada o en hexadecimal
+ * @returns {string|null} - Huella en hexadecimal, o null si no es válida
+ */
+export function normalizarHuella(texto) {
+    const huella = texto.trim().replace(/^SHA256:/i, '').replace(/[:\s]/g, '').toLowerCase();
+    return /^[0-9a-f]{64}$/.test(huella) ? huella : null;
+}
+
+/**
+ * Comprueba si una clave corresponde a alguna de las huellas esperadas
+ *
+ * Sirve para saber, antes de descifrar, si la clave privada es la de uno de
+ * los destinatarios de un mensaje (su huella es la de la clave pública del par).
+ *
+ * @param {string} clave - Clave pública o privada (sin cifrar) en formato PEM
+ * @param {string[]} huellasEsperadas - Huellas en hexadecimal
+ * @returns {Promise<{coincide: boolean, huella: string}>} - Resultado y huella real de la clave
+ */
+export async function comprobarHuella(clave, huellasEsperadas) {
+    const huella = await calcularHuella(clave);
+    return { coincide: huellasEsperadas.includes(huella), huella };
+}
+
+/**
+ * Convierte bytes a hexadecimal
+ *
+ * @param {Uint8Array} bytes - Bytes a convertir
+ * @returns {string} - Cadena hexadecimal en minúsculas
+ */
+export function bytesAHex(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convierte una cadena hexadecimal a bytes
+ *
+ * @param {string} hex - Cadena hexadecimal de longitud par
+ * @returns {Uint8Array} - Bytes decodificados
+ */
+export function hexABytes(hex) {
+    return new Uint8Array(hex.match(/.{2}/g).map((par) => parseInt(par, 16)));
+}
+
+/* ==========================================================================
+   SOBRE CON ARMADURA
+   ========================================================================== */
+
+/** Etiqueta de las líneas BEGIN/END del sobre */
+export const ETIQUETA_SOBRE = 'RSA-DEMO MESSAGE';
+
+/** Versión del formato de sobre que se genera */
+export const VERSION_SOBRE = 1;
+
+/**
+ * Indica si un texto es un sobre con armadura
+ *
+ * @param {string} texto - Texto a comprobar
+ * @returns {boolean} - true si empieza por la línea BEGIN del sobre
+ */
+export function esSobre(texto) {
+    return texto.trim().startsWith(`-----BEGIN ${ETIQUETA_SOBRE}-----`);
+}
+
+/**
+ * Mete un texto cifrado en un sobre con armadura autodescriptivo
+ *
+ * Las cabeceras indican la versión del formato, el esquema de cifrado, la
+ * huella de la clave pública de cada destinatario y la fecha de creación. El
+ * cuerpo es el texto cifrado sin cambios, en líneas de 64 caracteres.
+ *
+ * @param {string} textoCifrado - Texto cifrado en cualquiera de los esquemas nuevos
+ * @param {string|string[]} clavesPublicas - Clave o claves públicas usadas para cifrar (PEM)
+ * @returns {Promise<string>} - Sobre con armadura
+ */
+export async function crearSobre(textoCifrado, clavesPublicas) {
+    const huellas = [];
+    for (const clavePublica of [].concat(clavesPublicas)) {
+        const huella = formatearHuella(await calcularHuella(clavePublica));
+        if (!huellas.includes(huella)) {
+            huellas.push(huella);
+        }
+    }
+
+    const cabeceras = [
+        `Version: ${VERSION_SOBRE}`,
+        `Algorithm: ${identificarEsquema(textoCifrado)}`,
+        `Key-Fingerprint: ${huellas.join(', ')}`,
+        `Created: ${new Date().toISOString()}`
+    ];
+
+    return [
+        `-----BEGIN ${ETIQUETA_SOBRE}-----`,
+        ...cabeceras,
+        '',
+        ...textoCifrado.match(/.{1,64}/g),
+        `-----END ${ETIQUETA_SOBRE}-----`
+    ].join('\n');
+}
+
+/**
+ * Abre un sobre con armadura y comprueba sus cabeceras
+ *
+ * @param {string} sobre - Sobre con armadura
+ * @returns {{version: number, esquema: string, huellas: string[], fecha: Date|null, textoCifrado: string}}
+ * @throws {Error} Si el sobre está incompleto, su versión no se admite o
+ *                 el esquema de las cabeceras no coincide con el contenido
+ */
+export function abrirSobre(sobre) {
+    const lineas = sobre.trim().split(/\r?\n/);
+
+    // PASO 1: Comprobar las líneas BEGIN y END
+    if (lineas[lineas.length - 1].trim() !== `-----END ${ETIQUETA_SOBRE}-----`) {
+        throw new FormatError(`El sobre está incompleto: falta la línea "-----END ${ETIQUETA_SOBRE}-----".`, 'envelope-missing-end', { etiqueta: ETIQUETA_SOBRE });
+    }
+
+    // PASO 2: Leer las cabeceras hasta la primera línea vacía
+    const cabeceras = {};
+    let i = 1;
+    for (; i < lineas.length - 1 && lineas[i].trim() !== ''; i++) {
+        const separador = lineas[i].indexOf(':');
+        if (separador === -1) {
+            throw new FormatError(`La línea ${i + 1} del sobre no es una cabecera válida (falta ":").`, 'envelope-header', { linea: i + 1 });
+        }
+        cabeceras[lineas[i].slice(0, separador).trim()] = lineas[i].slice(separador + 1).trim();
+    }
+
+    // PASO 3: Validar versión y algoritmo
+    // Los mensajes de error no repiten los valores de las cabeceras: vienen de quien envía el sobre
+    const version = Number(cabeceras['Version']);
+    if (!cabeceras['Version']) {
+        throw new FormatError('Al sobre le falta la cabecera Version.', 'envelope-missing-version');
+    }
+    if (version !== VERSION_SOBRE) {
+        throw new UnsupportedError(`La cabecera Version del sobre indica una versión no admitida. Esta aplicación admite la versión ${VERSION_SOBRE}.`,
+            'envelope-version', { version: VERSION_SOBRE });
+    }
+
+    const textoCifrado = lineas.slice(i + 1, -1).join('').replace(/\s/g, '');
+    const esquema = identificarEsquema(textoCifrado);
+    if (!esquema) {
+        throw new FormatError('El contenido del sobre no tiene un formato de texto cifrado reconocido.', 'envelope-content');
+    }
+
+    if (cabeceras['Algorithm'] !== esquema) {
+        throw new FormatError(`La cabecera Algorithm del sobre no coincide con el contenido, que es ${esquema}.`, 'envelope-algorithm', { esquema });
+    }
+
+    const fecha = cabeceras['Created'] ? new Date(cabeceras['Created']) : null;
+
+    return {
+        version,
+        esquema,
+        huellas: (cabeceras['Key-Fingerprint'] || '').split(',').map(normalizarHuella).filter(Boolean),
+        fecha: fecha && !isNaN(fecha) ? fecha : null,
+        textoCifrado
+    };
+}
@@ -0,0 +1,363 @@
+/**
+ * ============================================================================
+ * ECDH - Acuerdo de claves y cifrado simétrico entre dos partes
+ * ============================================================================
+ *
+ * Con RSA solo quien tiene la clave privada puede descifrar, y cada mensaje
+ * va en una sola dirección. Con ECDH (Diffie-Hellman de curva elíptica) las
+ * dos partes llegan a un mismo secreto sin enviarlo nunca:
+ *
+ *     Alicia: privada a, pública A        Bruno: privada b, pública B
+ *                  ── intercambian A y B por un canal público ──
+ *     ECDH(a, B) = ECDH(b, A) = secreto compartido
+ *
+ * El secreto no se usa tal cual: HKDF-SHA-256 lo convierte en una clave
+ * AES-256-GCM, y en la derivación entran las dos claves públicas (ordenadas,
+ * para que ambas partes obtengan lo mismo). Con esa clave los dos cifran y
+ * descifran mensajes en cualquier dirección.
+ *
+ * - Curvas: P-256 (NIST) y X25519 (Curve25519), ambas de WebCrypto.
+ * - Claves: PEM, pública SPKI ("BEGIN PUBLIC KEY") y privada PKCS#8
+ *   ("BEGIN PRIVATE KEY").
+ * - Huella de la clave derivada: SHA-256 de la clave AES. Si las dos partes
+ *   ven la misma huella, tienen la misma clave (sin mostrar la clave).
+ * - Mensajes: "ECDH-AES-GCM." + Base64(IV de 12 bytes ‖ cifrado con etiqueta).
+ *
+ * Módulo ES; depende de cripto.js. Funciona también en Node.js 20 o superior.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import {
+    FormatError,
+    InvalidKeyError,
+    IntegrityError,
+    UnsupportedError,
+    pemADer,
+    derAPem,
+    bytesABase64,
+    base64ABytes,
+    bytesAHex,
+    concatenarBytes
+} from './cripto.js';
+
+/**
+ * Curvas admitidas: nombre para mostrar, parámetros de WebCrypto y OID que
+ * identifica la curva dentro de las claves SPKI y PKCS#8 (en hexadecimal)
+ */
+export const CURVAS_ECDH = {
+    'P-256': {
+        nombre: 'P-256 (NIST, secp256r1)',
+        algoritmo: { name: 'ECDH', namedCurve: 'P-256' },
+        oid: '06082a8648ce3d030107'
+    },
+    X25519: {
+        nombre: 'X25519 (Curve25519)',
+        algoritmo: { name: 'X25519' },
+        oid: '06032b656e'
+    }
+};
+
+/** Etiqueta de HKDF: separa estas claves de cualquier otro uso del mismo secreto */
+const ETIQUETA_HKDF = 'acuerdo-ecdh aes-256-gcm v1';
+
+/** Bits del secreto compartido que se piden a ECDH (los dos tipos de curva dan 256) */
+const BITS_SECRETO = 256;
+
+/** Tamaño de la clave AES-GCM derivada en bits */
+const BITS_CLAVE_AES = 256;
+
+/** Tamaño del vector de inicialización de AES-GCM en bytes */
+const TAMANO_IV = 12;
+
+/** Tamaño de la etiqueta de autenticación de AES-GCM en bytes */
+const TAMANO_ETIQUETA = 16;
+
+/** Prefijo de los mensajes cifrados con la clave compartida */
+export const PREFIJO_MENSAJE_ECDH = 'ECDH-AES-GCM.';
+
+// ============================================================================
+// CLAVES
+// ============================================================================
+
+/**
+ * Averigua la curva de una clave SPKI o PKCS#8 por el OID que contiene
+ *
+ * @param {Uint8Array} der - Clave en DER
+ * @returns {string|null} - Nombre de la curva ('P-256' o 'X25519'), o null si no es ninguna
+ */
+function detectarCurva(der) {
+    const hex = bytesAHex(der);
+    return Object.keys(CURVAS_ECDH).find((curva) => hex.includes(CURVAS_ECDH[curva].oid)) || null;
+}
+
+/**
+ * Convierte el error de WebCrypto de una curva no disponible en UnsupportedError
+ *
+ * @param {Error} error - Error de WebCrypto
+ * @param {string} curva - Curva usada
+ * @returns {Error} - UnsupportedError si el navegador no admite la curva, o el error original
+ */
+function errorCurva(error, curva) {
+    if (error && error.name === 'NotSupportedError') {
+        return new UnsupportedError(`Este navegador no admite ${CURVAS_ECDH[curva].nombre} en WebCrypto. Usa P-256 o actualiza el navegador.`);
+    }
+    return error;
+}
+
+/**
+ * Importa una clave ECDH en PEM
+ *
+ * @param {string} pem - Clave pública (BEGIN PUBLIC KEY) o privada (BEGIN PRIVATE KEY)
+ * @param {boolean} privada - true si se espera una clave privada
+ * @returns {Promise<{clave: CryptoKey, curva: string}>} - Clave importada y su curva
+ * @throws {InvalidKeyError} - Si no es una clave ECDH P-256 o X25519 del tipo esperado
+ * @throws {UnsupportedError} - Si el navegador no admite la curva
+ */
+async function importarClaveECDH(pem, privada) {
+    const etiqueta = privada ? 'PRIVATE KEY' : 'PUBLIC KEY';
+    const tipo = privada ? 'clave privada' : 'clave pública';
+
+    const texto = (pem || '').trim();
+    if (!texto) {
+        throw new InvalidKeyError(`Falta la ${tipo}.`);
+    }
+    if (!texto.includes(`-----BEGIN ${etiqueta}-----`) || !texto.includes(`-----END ${etiqueta}-----`)) {
+        const otraEtiqueta = privada ? 'PUBLIC KEY' : 'PRIVATE KEY';
+        throw new InvalidKeyError(texto.includes(`BEGIN ${otraEtiqueta}`)
+            ? `Se esperaba una ${tipo} y se ha pegado una clave ${privada ? 'pública' : 'privada'}.`
+            : `La ${tipo} debe estar en PEM, entre las líneas "-----BEGIN ${etiqueta}-----" y "-----END ${etiqueta}-----".`);
+    }
+
+    let der;
+    try {
+        der = pemADer(texto);
+    } catch (error) {
+        throw new InvalidKeyError(`La ${tipo} no es Base64 válido: puede que esté mal copiada.`);
+    }
+
+    const curva = detectarCurva(der);
+    if (!curva) {
+        throw new InvalidKeyError(`La ${tipo} no es de una curva P-256 ni X25519 (¿es una clave RSA?).`);
+    }
+
+    try {
+        const clave = await crypto.subtle.importKey(
+            privada ? 'pkcs8' : 'spki',
+            der,
+            CURVAS_ECDH[curva].algoritmo,
+            true,
+            privada ? ['deriveBits'] : []
+        );
+        return { clave, curva };
+    } catch (error) {
+        const convertido = errorCurva(error, curva);
+        if (convertido instanceof UnsupportedError) {
+            throw convertido;
+        }
+        throw new InvalidKeyError(`La ${tipo} ${curva} está dañada o incompleta.`);
+    }
+}
+
+/**
+ * Obtiene la clave pública SPKI de una clave privada ECDH
+ *
+ * La exportación JWK de la clave privada incluye su punto público (x, y).
+ *
+ * @param {CryptoKey} clavePrivada - Clave privada ECDH importada como extraíble
+ * @param {string} curva - Curva de la clave
+ * @returns {Promise<Uint8Array>} - Clave pública en DER (SPKI)
+ */
+async function clavePublicaDePrivada(clavePrivada, curva) {
+    const jwk = await crypto.subtle.exportKey('jwk', clavePrivada);
+    delete jwk.d;
+    delete jwk.key_ops;
+    const clave = await crypto.subtle.importKey('jwk', jwk, CURVAS_ECDH[curva].algoritmo, true, []);
+    return new Uint8Array(await crypto.subtle.exportKey('spki', clave));
+}
+
+/**
+ * Calcula SHA-256 de unos bytes en hexadecimal
+ *
+ * @param {Uint8Array} datos - Datos a resumir
+ * @returns {Promise<string>} - Hash en hexadecimal (64 caracteres)
+ */
+async function sha256Hex(datos) {
+    return bytesAHex(new Uint8Array(await crypto.subtle.digest('SHA-256', datos)));
+}
+
+/**
+ * Genera un par de claves ECDH
+ *
+ * @param {string} [curva='P-256'] - 'P-256' o 'X25519'
+ * @returns {Promise<{curva: string, clavePublica: string, clavePrivada: string, huella: string}>}
+ *          Claves en PEM y huella SHA-256 de la clave pública (hexadecimal)
+ * @throws {UnsupportedError} - Si la curva no existe o el navegador no la admite
+ */
+export async function generarParECDH(curva = 'P-256') {
+    if (!CURVAS_ECDH[curva]) {
+        throw new UnsupportedError(`Curva no admitida: ${curva}. Usa P-256 o X25519.`);
+    }
+
+    let par;
+    try {
+        par = await crypto.subtle.generateKey(CURVAS_ECDH[curva].algoritmo, true, ['deriveBits']);
+    } catch (error) {
+        throw errorCurva(error, curva);
+    }
+
+    const publica = new Uint8Array(await crypto.subtle.exportKey('spki', par.publicKey));
+    const privada = new Uint8Array(await crypto.subtle.exportKey('pkcs8', par.privateKey));
+
+    return {
+        curva,
+        clavePublica: derAPem(publica, 'PUBLIC KEY'),
+        clavePrivada: derAPem(privada, 'PRIVATE KEY'),
+        huella: await sha256Hex(publica)
+    };
+}
+
+// ============================================================================
+// ACUERDO DE CLAVES
+// ============================================================================
+
+/**
+ * Compara dos arrays de bytes en orden lexicográfico
+ *
+ * @param {Uint8Array} a - Primer array
+ * @param {Uint8Array} b - Segundo array
+ * @returns {number} - Negativo si a va antes, positivo si va después, 0 si son iguales
+ */
+function compararBytes(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+            return a[i] - b[i];
+        }
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Deriva la clave AES-GCM compartida con otra parte
+ *
+ * Flujo del proceso:
+ * 1. Importar la clave privada propia y la pública de la otra parte
+ * 2. Calcular el secreto compartido con ECDH
+ * 3. Derivar la clave AES-256-GCM con HKDF-SHA-256 (info = etiqueta ‖
+ *    las dos claves públicas ordenadas)
+ * 4. Calcular la huella de la clave derivada
+ *
+ * Las dos partes obtienen la misma clave (y la misma huella) porque
+ * ECDH(a, B) = ECDH(b, A) y la info de HKDF no depende de quién deriva.
+ *
+ * @param {string} clavePrivada - Clave privada propia (PEM, PKCS#8)
+ * @param {string} clavePublicaAjena - Clave pública de la otra parte (PEM, SPKI)
+ * @returns {Promise<{clave: CryptoKey, huella: string, curva: string}>} - Clave AES-GCM
+ *          (no extraíble), huella SHA-256 de la clave en hexadecimal y curva usada
+ * @throws {InvalidKeyError} - Si una clave no es válida, son de curvas distintas o la pública es la propia
+ * @throws {UnsupportedError} - Si el navegador no admite la curva
+ */
+export async function derivarClaveCompartida(clavePrivada, clavePublicaAjena) {
+    // PASO 1: Importar las dos claves y comprobar que encajan
+    const propia = await importarClaveECDH(clavePrivada, true);
+    const ajena = await importarClaveECDH(clavePublicaAjena, false);
+
+    if (propia.curva !== ajena.curva) {
+        throw new InvalidKeyError(`Las claves son de curvas distintas: la privada es ${propia.curva} y la pública de la otra parte es ${ajena.curva}. Las dos partes deben usar la misma curva.`);
+    }
+
+    const publicaPropia = await clavePublicaDePrivada(propia.clave, propia.curva);
+    const publicaAjena = new Uint8Array(await crypto.subtle.exportKey('spki', ajena.clave));
+    if (compararBytes(publicaPropia, publicaAjena) === 0) {
+        throw new InvalidKeyError('La clave pública es la de tu propio par: pega la clave pública de la otra parte.');
+    }
+
+    // PASO 2: Secreto compartido (X25519 rechaza las claves públicas que lo anularían)
+    let secreto;
+    try {
+        secreto = await crypto.subtle.deriveBits(
+            { name: CURVAS_ECDH[propia.curva].algoritmo.name, public: ajena.clave },
+            propia.clave,
+            BITS_SECRETO
+        );
+    } catch (error) {
+        throw new InvalidKeyError('No se ha podido calcular el secreto compartido: la clave pública de la otra parte no es válida.');
+    }
+
+    // PASO 3: HKDF-SHA-256 ligado a las dos claves públicas
+    const [primera, segunda] = [publicaPropia, publicaAjena].sort(compararBytes);
+    const info = concatenarBytes(new TextEncoder().encode(ETIQUETA_HKDF), primera, segunda);
+    const claveHKDF = await crypto.subtle.importKey('raw', secreto, 'HKDF', false, ['deriveBits']);
+    const claveAESCruda = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info },
+        claveHKDF,
+        BITS_CLAVE_AES
+    ));
+
+    // PASO 4: Clave AES-GCM y su huella
+    const clave = await crypto.subtle.importKey('raw', claveAESCruda, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    const huella = await sha256Hex(claveAESCruda);
+    claveAESCruda.fill(0);
+
+    return { clave, huella, curva: propia.curva };
+}
+
+// ============================================================================
+// MENSAJES
+// ============================================================================
+
+/**
+ * Cifra un mensaje con la clave compartida
+ *
+ * @param {CryptoKey} clave - Clave AES-GCM de derivarClaveCompartida
+ * @param {string} mensaje - Texto a cifrar
+ * @returns {Promise<string>} - "ECDH-AES-GCM." + Base64(IV ‖ cifrado)
+ */
+export async function cifrarConClaveCompartida(clave, mensaje) {
+    const iv = crypto.getRandomValues(new Uint8Array(TAMANO_IV));
+    const cifrado = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        clave,
+        new TextEncoder().encode(mensaje)
+    ));
+    return PREFIJO_MENSAJE_ECDH + bytesABase64(concatenarBytes(iv, cifrado));
+}
+
+/**
+ * Descifra un mensaje cifrado con la clave compartida
+ *
+ * @param {CryptoKey} clave - Clave AES-GCM de derivarClaveCompartida
+ * @param {string} textoCifrado - Texto de cifrarConClaveCompartida
+ * @returns {Promise<string>} - Mensaje original
+ * @throws {FormatError} - Si el texto no tiene el formato de estos mensajes
+ * @throws {IntegrityError} - Si se cifró con otra clave o fue modificado
+ */
+export async function descifrarConClaveCompartida(clave, textoCifrado) {
+    const texto = textoCifrado.trim();
+    if (!texto.startsWith(PREFIJO_MENSAJE_ECDH)) {
+        throw new FormatError(`El texto cifrado debe empezar por ${PREFIJO_MENSAJE_ECDH}`);
+    }
+
+    let datos;
+    try {
+        datos = base64ABytes(texto.slice(PREFIJO_MENSAJE_ECDH.length));
+    } catch (error) {
+        throw new FormatError('El texto cifrado no es Base64 válido: puede que esté mal copiado.');
+    }
+    if (datos.length < TAMANO_IV + TAMANO_ETIQUETA) {
+        throw new FormatError('El texto cifrado está incompleto.');
+    }
+
+    try {
+        const descifrado = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: datos.slice(0, TAMANO_IV) },
+            clave,
+            datos.slice(TAMANO_IV)
+        );
+        return new TextDecoder().decode(descifrado);
+    } catch (error) {
+        throw new IntegrityError('No se puede descifrar: el mensaje se cifró con otra clave compartida o fue modificado (falló la verificación de AES-GCM).');
+    }
+}
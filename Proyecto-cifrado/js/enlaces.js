@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * ENLACES - Enlaces para compartir que rellenan otra página
+ * ============================================================================
+ *
+ * Un enlace lleva un texto (un texto cifrado o una clave pública) en el
+ * fragmento de la URL, lo que va detrás de #:
+ *
+ *     .../Decodificador/index.html#texto=LS0tLS1CRUdJTi...
+ *
+ * El navegador no envía el fragmento al servidor, así que el texto solo
+ * viaja dentro del propio enlace. Va en Base64URL (UTF-8) para que no haya
+ * que escapar saltos de línea, espacios ni símbolos.
+ *
+ * - El Codificador crea enlaces al Decodificador con el texto cifrado.
+ * - El Generador crea enlaces al Codificador con la clave pública, para que
+ *   cualquiera pueda enviarte mensajes cifrados.
+ *
+ * Módulo ES; depende de cripto.js y ui.js.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { bytesABase64, base64UrlABytes, FormatError } from './cripto.js';
+import { mostrarNotificacion, escaparHTML, copiarTexto } from './ui.js';
+import { t } from './i18n.js';
+
+/** Parámetro del fragmento con un texto cifrado (enlaces al Decodificador) */
+export const PARAMETRO_TEXTO_CIFRADO = 'texto';
+
+/** Parámetro del fragmento con una clave pública (enlaces al Codificador) */
+export const PARAMETRO_CLAVE_PUBLICA = 'clave';
+
+/** Longitud a partir de la cual algunos programas de mensajería cortan los enlaces */
+export const LONGITUD_ENLACE_LARGO = 2000;
+
+/**
+ * Crea el enlace a una página con un texto en el fragmento
+ *
+ * @param {string} pagina - Carpeta de la página de destino ('Decodificador', 'Codificador'...)
+ * @param {string} parametro - Nombre del parámetro (PARAMETRO_TEXTO_CIFRADO o PARAMETRO_CLAVE_PUBLICA)
+ * @param {string} texto - Texto que rellenará la página
+ * @returns {string} - URL absoluta del enlace
+ */
+export function crearEnlace(pagina, parametro, texto) {
+    const base64Url = bytesABase64(new TextEncoder().encode(texto.trim()))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+    const enlace = new URL(`../${pagina}/index.html`, window.location.href);
+    enlace.hash = `${parametro}=${base64Url}`;
+    return enlace.href;
+}
+
+/**
+ * Lee el texto de un parámetro del fragmento de la URL actual
+ *
+ * @param {string} parametro - Nombre del parámetro
+ * @returns {string|null} - Texto, o null si el fragmento no lo lleva
+ * @throws {FormatError} - Si el parámetro no es Base64URL de un texto UTF-8 (enlace cortado o modificado)
+ */
+export function leerEnlace(parametro) {
+    const valor = new URLSearchParams(window.location.hash.slice(1)).get(parametro);
+    if (!valor) {
+        return null;
+    }
+
+    if (!/^[A-Za-z0-9_-]+$/.test(valor)) {
+        throw new FormatError(`El parámetro "${parametro}" del enlace no es Base64URL.`);
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(base64UrlABytes(valor));
+    } catch (error) {
+        throw new FormatError(`El parámetro "${parametro}" del enlace no es un texto UTF-8.`);
+    }
+}
+
+/**
+ * Rellena la página con el texto del enlace con el que se ha abierto
+ *
+ * Se comprueba al cargar la página y cada vez que cambia el fragmento (al
+ * abrir otro enlace en la misma pestaña la página no se recarga).
+ *
+ * @param {string} parametro - Nombre del parámetro que espera la página
+ * @param {Function} alRecibir - Recibe el texto del enlace
+ * @returns {void}
+ */
+export function recibirEnlace(parametro, alRecibir) {
+    const comprobar = () => {
+        let texto;
+        try {
+            texto = leerEnlace(parametro);
+        } catch (error) {
+            console.error('❌ Enlace no válido:', error);
+            mostrarNotificacion(t('enlace.invalido'), 'error');
+            return;
+        }
+
+        if (texto) {
+            alRecibir(texto);
+        }
+    };
+
+    comprobar();
+    window.addEventListener('hashchange', comprobar);
+}
+
+/**
+ * Muestra un enlace en un campo de solo lectura con su botón de copiar
+ *
+ * Si es muy largo, avisa de que algunos programas podrían cortarlo.
+ *
+ * @param {string} enlace - URL del enlace
+ * @param {string} idContenedor - ID del elemento donde se muestra (el campo será idContenedor + 'Output')
+ * @param {string} explicacion - Qué verá quien lo abra
+ * @param {string} clase - Clase del botón, con el color de la página ('generador', 'codificador'...)
+ * @returns {void}
+ */
+export function mostrarEnlace(enlace, idContenedor, explicacion, clase) {
+    const idCampo = `${idContenedor}Output`;
+
+    const contenedor = document.getElementById(idContenedor);
+    contenedor.innerHTML = `
+        <p style="font-size: 0.9rem; color: #666; margin: 10px 0;">
+            ${explicacion}
+        </p>
+        <input
+            type="text"
+            readonly
+            id="${idCampo}"
+            value="${escaparHTML(enlace)}"
+            onclick="seleccionarTexto('${idCampo}')"
+            style="background: white; font-size: 12px;"
+        >
+        <button
+            class="${clase}"
+            style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+        >
+            ${t('enlace.copiar')}
+        </button>
+        ${enlace.length > LONGITUD_ENLACE_LARGO ? `
+            <small style="display: block; margin-top: 8px; color: #856404;">
+                ${t('enlace.largo', { total: enlace.length })}
+            </small>
+        ` : ''}
+    `;
+    // El mensaje de la notificación no pasa por un atributo onclick: una traducción con comillas lo rompería
+    contenedor.querySelector('button').addEventListener('click', () => copiarTexto(idCampo, t('enlace.copiado')));
+    contenedor.style.display = 'block';
+}
@@ -0,0 +1,61 @@
+/**
+ * ============================================================================
+ * GENERADOR DE CLAVES RSA - Web Worker
+ * ============================================================================
+ *
+ * Genera el par de claves en un hilo separado para que la página siga
+ * respondiendo mientras se buscan los números primos (con claves de 4096
+ * bits puede tardar bastante). La página puede cancelar la generación
+ * terminando el worker.
+ *
+ * Se crea como worker de tipo módulo: new Worker(url, { type: 'module' }).
+ *
+ * Con una semilla (de una frase BIP39) el par es determinista y los primos
+ * se buscan con BigInt, así que la generación tarda más; el progreso
+ * indica cuántos candidatos se han probado. La página pone el texto de cada
+ * fase en su idioma.
+ *
+ * Mensajes recibidos:  { bits, exponente, semilla }  (semilla opcional, Uint8Array)
+ * Mensajes enviados:   { tipo: 'progreso', fase, candidatos }  (fase: 'semilla', 'candidatos' o 'webcrypto')
+ *                      { tipo: 'claves', privateKey, publicKey, bits, exponent, fingerprint }
+ *                      { tipo: 'error', mensaje }
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { generateKeyPair } from './api.js';
+
+/**
+ * Recibe la petición de generación desde la página
+ *
+ * @param {MessageEvent} evento - evento.data = { bits, exponente, semilla }
+ * @returns {Promise<void>}
+ */
+self.onmessage = async function(evento) {
+    const { bits, exponente, semilla } = evento.data;
+
+    try {
+        // PASO 1: Buscar los primos p y q y calcular el par de claves
+        let claves;
+        if (semilla) {
+            self.postMessage({ tipo: 'progreso', fase: 'semilla' });
+            claves = await generateKeyPair({
+                bits,
+                exponent: exponente,
+                seed: semilla,
+                onProgress: (candidatos) => self.postMessage({ tipo: 'progreso', fase: 'candidatos', candidatos })
+            });
+        } else {
+            self.postMessage({ tipo: 'progreso', fase: 'webcrypto' });
+            claves = await generateKeyPair({ bits, exponent: exponente });
+        }
+
+        // PASO 2: Enviar las claves en formato PEM
+        self.postMessage({ tipo: 'claves', ...claves });
+
+    } catch (error) {
+        self.postMessage({ tipo: 'error', mensaje: error.message, codigo: error.code });
+    }
+};
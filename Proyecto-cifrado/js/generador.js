@@ -4,75 +4,439 @@
  * ============================================================================
  * 
  * Este script genera un par de claves RSA (pública y privada) utilizando
- * la biblioteca JSEncrypt.
+ * la API WebCrypto del navegador (generateKeyPair de api.js).
+ *
+ * También genera claves secp256k1, la curva de Bitcoin y Ethereum, con sus
+ * direcciones (generateSecp256k1KeyPair de api.js). Esas claves se usan
+ * para firmar en el Firmador con ECDSA.
+ *
+ * Opcionalmente las claves se derivan de una frase de recuperación BIP39
+ * (bip39.js), con la que se pueden volver a generar más tarde.
+ *
+ * El conversor de formatos pasa una clave RSA entre PEM (PKCS#1 o PKCS#8/SPKI),
+ * JWK y OpenSSH (convertKey de api.js).
  * 
  * @author [Santiago de Pablo de Castro]
  * @date [Noviembre 2025]
  * @version 1.0.0
  */
 
-'use strict';
+import {
+    generateKeyPair,
+    generateSecp256k1KeyPair,
+    generateMnemonic,
+    validateMnemonic,
+    mnemonicToSeed,
+    protectPrivateKey,
+    detectKeyFormat,
+    convertKey,
+    fingerprint,
+    formatFingerprint,
+    InvalidMnemonicError,
+    WrongPasswordError
+} from './api.js';
+import { guardarParPropio, tieneContrasenaMaestra } from './llavero.js';
+import {
+    exponerEnPagina,
+    mostrarNotificacion,
+    mostrarResultado,
+    mostrarError,
+    describirError,
+    escaparHTML,
+    seleccionarTexto,
+    copiarCampo,
+    copiarAlPortapapeles,
+    crearCampoCopiable,
+    mostrarCodigosQR
+} from './ui.js';
+import { t, formatearFecha, iniciarIdioma, EVENTO_CAMBIO_IDIOMA } from './i18n.js';
+import { iniciarBorradoSecretos, borrarSecretos } from './secretos.js';
+import { crearEnlace, mostrarEnlace, PARAMETRO_CLAVE_PUBLICA } from './enlaces.js';
+
+/** Nombre de cada formato de salida, tal como se muestra en el resultado */
+const NOMBRES_FORMATO = {
+    pkcs1: 'PKCS#1',
+    pkcs8: 'PKCS#8 / SPKI',
+    jwk: 'JWK',
+    openssh: 'OpenSSH'
+};
+
+/** Campos del formulario que guardan secretos: la frase y las contraseñas */
+const CAMPOS_SECRETOS = ['fraseRecuperar', 'contrasenaRecuperar', 'contrasenaFrase', 'contrasenaConvertir'];
+
+/** Worker que está generando claves en este momento (null si no hay ninguno) */
+let workerGeneracion = null;
+
+/** Temporizador que actualiza el tiempo transcurrido durante la generación */
+let temporizadorGeneracion = null;
+
+/** Frase de recuperación que se muestra para copiarla (null si no hay ninguna) */
+let fraseMostrada = null;
 
 /**
- * Genera un par de claves RSA de 2048 bits
- * 
+ * Genera claves nuevas del algoritmo elegido
+ *
+ * Si se ha pedido una frase de recuperación, primero se genera la frase y
+ * las claves se derivan de ella; si no, las claves son aleatorias.
+ *
+ * @returns {Promise<void>}
+ */
+async function generarClaves() {
+    try {
+        const numPalabras = parseInt(document.getElementById('frasePalabras').value, 10);
+        const frase = numPalabras ? await generateMnemonic({ words: numPalabras }) : null;
+        await crearClaves(frase, document.getElementById('contrasenaFrase').value, false);
+
+    } catch (error) {
+        console.error('❌ Error al generar claves:', error);
+        mostrarError(t('generador.errores.generar', { mensaje: escaparHTML(describirError(error)) }), t('generador.sugerencias'));
+    }
+}
+
+/**
+ * Vuelve a generar las claves a partir de una frase de recuperación
+ *
  * Proceso:
- * 1. Crea una instancia de JSEncrypt con tamaño de clave especificado
- * 2. Extrae la clave privada y pública generadas
- * 3. Crea un objeto con metadatos (fecha de creación)
- * 4. Muestra las claves en la interfaz
- * 
- * @returns {void}
+ * 1. Comprobar la frase: número de palabras, lista BIP39 y código de control
+ * 2. Generar las claves con las opciones elegidas en la página, que deben
+ *    ser las mismas que cuando se generaron
+ *
+ * @returns {Promise<void>}
  */
-function generarClaves() {
+async function recuperarClaves() {
+    const texto = document.getElementById('fraseRecuperar').value;
+
+    // PASO 1: Validar la frase
+    if (!texto.trim()) {
+        mostrarError(t('generador.errores.fraseVacia'), t('generador.sugerenciasFrase.length'));
+        return;
+    }
+
     try {
-        // PASO 1: Verificar que JSEncrypt esté disponible
-        if (typeof JSEncrypt === 'undefined') {
-            mostrarError('Error: La biblioteca JSEncrypt no está disponible. Verifica tu conexión a internet.');
+        const frase = await validateMnemonic(texto);
+
+        // PASO 2: Regenerar las claves
+        await crearClaves(frase, document.getElementById('contrasenaRecuperar').value, true);
+
+    } catch (error) {
+        if (error instanceof InvalidMnemonicError) {
+            mostrarError(t('generador.errores.fraseNoValida', { mensaje: escaparHTML(describirError(error)) }), t(`generador.sugerenciasFrase.${error.reason}`));
             return;
         }
+        console.error('❌ Error al recuperar claves:', error);
+        mostrarError(t('generador.errores.recuperar', { mensaje: escaparHTML(describirError(error)) }), t('generador.sugerencias'));
+    }
+}
+
+/**
+ * Genera las claves del algoritmo elegido, a partir de una frase o al azar
+ *
+ * @param {string|null} frase - Frase de recuperación, o null para claves aleatorias
+ * @param {string} contrasena - Contraseña adicional de la frase (puede estar vacía)
+ * @param {boolean} recuperada - true si la frase la ha escrito el usuario para recuperar sus claves
+ * @returns {Promise<void>}
+ */
+async function crearClaves(frase, contrasena, recuperada) {
+    const origen = frase && {
+        frase,
+        semilla: await mnemonicToSeed(frase, { passphrase: contrasena }),
+        conContrasena: contrasena !== '',
+        recuperada
+    };
+
+    if (document.getElementById('algoritmoClave').value === 'secp256k1') {
+        await generarClavesSecp256k1(origen);
+    } else {
+        generarClavesRSA(origen);
+    }
+}
+
+/**
+ * Genera un par de claves RSA del tamaño y exponente elegidos
+ *
+ * Proceso:
+ * 1. Lee el tamaño de clave y el exponente público seleccionados
+ * 2. Lanza la generación en un Web Worker para no congelar la página
+ * 3. Muestra el progreso y permite cancelar
+ * 4. Muestra las claves en la interfaz al terminar
+ *
+ * Si el navegador no permite crear el worker (el worker es un módulo ES)
+ * se genera en el hilo principal.
+ *
+ * @param {Object|null} origen - Frase y semilla de las que derivar el par (null para un par aleatorio)
+ * @returns {void}
+ */
+function generarClavesRSA(origen) {
+    try {
+        // PASO 1: Leer opciones
+        const bits = parseInt(document.getElementById('tamanoClave').value, 10);
+        const exponente = parseInt(document.getElementById('exponentePublico').value, 10);
 
-        // PASO 2: Mostrar indicador de carga
-        mostrarCargando();
+        // PASO 2: Mostrar indicador de progreso
+        mostrarCargando(bits, Boolean(origen));
+        bloquearBotones(true);
 
-        // PASO 3: Generar claves (proceso puede tardar 1-2 segundos)
-        setTimeout(() => {
-            // Crear instancia de JSEncrypt con tamaño de clave de 2048 bits
-            // Nota: 2048 bits es el estándar actual de seguridad
-            const crypt = new JSEncrypt({ default_key_size: 2048 });
+        // PASO 3: Generar en un worker (o en el hilo principal como alternativa)
+        let worker;
+        try {
+            worker = new Worker('../js/generador-worker.js', { type: 'module' });
+        } catch (error) {
+            console.warn('⚠️ No se pudo crear el Web Worker, se generará en el hilo principal:', error);
+            generarEnHiloPrincipal(bits, exponente, origen);
+            return;
+        }
 
-            // PASO 4: Extraer las claves generadas en formato PEM
-            const clavePrivada = crypt.getPrivateKey();
-            const clavePublica = crypt.getPublicKey();
+        workerGeneracion = worker;
 
-            // PASO 5: Verificar que las claves se generaron correctamente
-            if (!clavePrivada || !clavePublica) {
-                throw new Error('No se pudieron generar las claves correctamente');
+        worker.onmessage = function(evento) {
+            const datos = evento.data;
+
+            if (datos.tipo === 'progreso') {
+                actualizarFase(t(`generador.fase.${datos.fase}`, { bits: bits / 2, candidatos: datos.candidatos }));
+                return;
             }
 
-            // PASO 6: Crear objeto con metadatos
-            const claves = {
-                privada: clavePrivada,
-                publica: clavePublica,
-                fechaCreacion: new Date().toISOString(),
-                tamano: '2048 bits',
-                algoritmo: 'RSA'
-            };
+            finalizarGeneracion();
+
+            if (datos.tipo === 'error') {
+                const mensaje = describirError({ message: datos.mensaje, code: datos.codigo });
+                mostrarError(t('generador.errores.generar', { mensaje: escaparHTML(mensaje || t('generador.errores.webcrypto')) }), t('generador.sugerencias'));
+                return;
+            }
 
-            // PASO 7: Mostrar las claves en la interfaz
-            mostrarClaves(claves);
+            mostrarClaves(crearObjetoClaves(datos, origen));
+        };
 
-            // PASO 8: Log para depuración (solo en desarrollo)
-            console.log('✅ Par de claves generado exitosamente');
-            console.log('📅 Fecha:', claves.fechaCreacion);
-            console.log('🔐 Tamaño:', claves.tamano);
+        worker.onerror = function(evento) {
+            evento.preventDefault();
+            finalizarGeneracion();
+            mostrarError(t('generador.errores.worker'), t('generador.sugerencias'));
+        };
 
-        }, 100); // Pequeño delay para permitir que se muestre el indicador de carga
+        worker.postMessage({ bits, exponente, semilla: origen ? origen.semilla : null });
 
     } catch (error) {
         // Manejo de errores
         console.error('❌ Error al generar claves:', error);
-        mostrarError(`Error al generar claves: ${error.message}`);
+        finalizarGeneracion();
+        mostrarError(t('generador.errores.generar', { mensaje: escaparHTML(describirError(error)) }), t('generador.sugerencias'));
+    }
+}
+
+/**
+ * Genera las claves en el hilo principal
+ *
+ * WebCrypto trabaja de forma asíncrona, así que la página sigue
+ * respondiendo, pero la generación no se puede cancelar.
+ *
+ * @param {number} bits - Tamaño de la clave en bits
+ * @param {number} exponente - Exponente público
+ * @param {Object|null} origen - Frase y semilla de las que derivar el par
+ * @returns {Promise<void>}
+ */
+async function generarEnHiloPrincipal(bits, exponente, origen) {
+    actualizarFase(t('generador.fase.hiloPrincipal'));
+    document.getElementById('btnCancelar').disabled = true;
+
+    try {
+        const claves = await generateKeyPair({ bits, exponent: exponente, seed: origen ? origen.semilla : undefined });
+
+        finalizarGeneracion();
+        mostrarClaves(crearObjetoClaves(claves, origen));
+    } catch (error) {
+        console.error('❌ Error al generar claves:', error);
+        finalizarGeneracion();
+        mostrarError(t('generador.errores.generar', { mensaje: escaparHTML(describirError(error) || t('generador.errores.webcrypto')) }), t('generador.sugerencias'));
+    }
+}
+
+/**
+ * Construye el objeto de claves con sus metadatos
+ *
+ * @param {Object} par - Resultado de generateKeyPair (privateKey, publicKey, bits, exponent, fingerprint)
+ * @param {Object|null} origen - Frase de la que se derivó el par, si la hay
+ * @returns {Object} - Objeto de claves para mostrarClaves()
+ */
+function crearObjetoClaves(par, origen) {
+    // Verificar que las claves se generaron correctamente
+    if (!par.privateKey || !par.publicKey) {
+        throw new Error(t('generador.errores.incompletas'));
+    }
+
+    const claves = {
+        privada: par.privateKey,
+        publica: par.publicKey,
+        huella: par.fingerprint,
+        fechaCreacion: new Date().toISOString(),
+        tamano: `${par.bits} bits`,
+        exponente: par.exponent,
+        algoritmo: 'RSA',
+        origen
+    };
+
+    return claves;
+}
+
+/**
+ * Genera una clave privada secp256k1 y muestra sus claves públicas y direcciones
+ *
+ * Basta con elegir 32 bytes (al azar o derivados de la frase con BIP32) y
+ * multiplicar el punto generador de la curva, así que no hace falta worker
+ * ni barra de progreso.
+ *
+ * @param {Object|null} origen - Frase y semilla de las que derivar la clave (null para una clave aleatoria)
+ * @returns {Promise<void>}
+ */
+async function generarClavesSecp256k1(origen) {
+    const ruta = document.getElementById('rutaDerivacion').value;
+    bloquearBotones(true);
+
+    try {
+        const claves = origen
+            ? await generateSecp256k1KeyPair({ seed: origen.semilla, path: ruta })
+            : await generateSecp256k1KeyPair();
+        mostrarClavesSecp256k1(claves, origen && { ...origen, ruta });
+    } catch (error) {
+        console.error('❌ Error al generar la clave secp256k1:', error);
+        mostrarError(t('generador.errores.generar', { mensaje: escaparHTML(describirError(error)) }), t('generador.sugerencias'));
+    } finally {
+        bloquearBotones(false);
+    }
+}
+
+/**
+ * Muestra las opciones del algoritmo elegido (tamaño y exponente para RSA,
+ * ruta de derivación para secp256k1)
+ *
+ * @returns {void}
+ */
+function cambiarAlgoritmo() {
+    const esRSA = document.getElementById('algoritmoClave').value === 'RSA';
+    document.getElementById('opcionesRSA').style.display = esRSA ? 'block' : 'none';
+    document.getElementById('opcionesSecp256k1').style.display = esRSA ? 'none' : 'block';
+}
+
+/**
+ * Habilita o deshabilita los botones de generar y recuperar
+ *
+ * @param {boolean} bloquear - true mientras se generan claves
+ * @returns {void}
+ */
+function bloquearBotones(bloquear) {
+    document.getElementById('btnGenerar').disabled = bloquear;
+    document.getElementById('btnRecuperar').disabled = bloquear;
+}
+
+/**
+ * Construye el recuadro de la frase de recuperación que acompaña a las claves
+ *
+ * Al generar se muestra la frase para escribirla en papel; al recuperar
+ * solo se recuerda de dónde salen las claves.
+ *
+ * @param {Object|null} origen - Frase de la que se derivaron las claves
+ * @param {string} opciones - Opciones necesarias para recuperarlas (p. ej. 'RSA de 2048 bits, e = 65537')
+ * @returns {string} - HTML del recuadro (vacío si no hay frase)
+ */
+function crearCajaFrase(origen, opciones) {
+    // La frase se copia desde aquí y no desde el HTML, para que no quede en ningún atributo
+    fraseMostrada = origen && !origen.recuperada ? origen.frase : null;
+    if (!origen) {
+        return '';
+    }
+
+    const palabras = origen.frase.split(' ');
+    const contrasena = origen.conContrasena ? t('generador.frase.conContrasena') : '';
+
+    if (origen.recuperada) {
+        return `
+            <div class="info-box">
+                ${t('generador.frase.regeneradas', { palabras: palabras.length, contrasena, opciones })}
+            </div>
+        `;
+    }
+
+    return `
+        <div class="output-box">
+            <span class="output-label">${t('generador.frase.titulo')}</span>
+            <div class="warning">
+                <strong>${t('comun.importante')}</strong>
+                ${t('generador.frase.aviso', { palabras: palabras.length })}
+            </div>
+            <ol class="frase-recuperacion">
+                ${palabras.map((palabra) => `<li>${palabra}</li>`).join('')}
+            </ol>
+            <p style="font-size: 0.9rem; color: #666; margin: 10px 0 0 0;">
+                ${t('generador.frase.recuperar', { contrasena, opciones })}
+            </p>
+            <button
+                onclick="copiarFrase()"
+                class="generador"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('generador.frase.copiar')}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Copia al portapapeles la frase de recuperación que se está mostrando
+ *
+ * @returns {Promise<void>}
+ */
+async function copiarFrase() {
+    if (fraseMostrada) {
+        await copiarAlPortapapeles(fraseMostrada, t('generador.frase.copiada'));
+    }
+}
+
+/**
+ * Cancela la generación de claves en curso
+ *
+ * @returns {void}
+ */
+function cancelarGeneracion() {
+    if (!workerGeneracion) {
+        return;
+    }
+
+    finalizarGeneracion();
+
+    mostrarResultado(`
+        <h3>${t('generador.cancelada.titulo')}</h3>
+        <p>${t('generador.cancelada.texto')}</p>
+    `, 'info');
+
+    mostrarNotificacion(t('generador.cancelada.notificacion'), 'error');
+}
+
+/**
+ * Detiene el worker y el temporizador y vuelve a habilitar el botón
+ *
+ * @returns {void}
+ */
+function finalizarGeneracion() {
+    if (workerGeneracion) {
+        workerGeneracion.terminate();
+        workerGeneracion = null;
+    }
+
+    clearInterval(temporizadorGeneracion);
+    temporizadorGeneracion = null;
+
+    bloquearBotones(false);
+}
+
+/**
+ * Actualiza el texto de la fase actual de la generación
+ *
+ * @param {string} fase - Descripción de la fase
+ * @returns {void}
+ */
+function actualizarFase(fase) {
+    const elemento = document.getElementById('faseGeneracion');
+    if (elemento) {
+        elemento.textContent = fase;
     }
 }
 
@@ -82,17 +446,17 @@ function generarClaves() {
  * @param {Object} claves - Objeto con las claves y metadatos
  * @param {string} claves.publica - Clave pública en formato PEM
  * @param {string} claves.privada - Clave privada en formato PEM
+ * @param {string} claves.huella - Huella SHA-256 en hexadecimal
  * @param {string} claves.fechaCreacion - Fecha ISO de creación
  * @param {string} claves.tamano - Tamaño de la clave
+ * @param {number} claves.exponente - Exponente público
  * @param {string} claves.algoritmo - Algoritmo utilizado
+ * @param {Object|null} claves.origen - Frase de la que se derivó el par, si la hay
  * @returns {void}
  */
 function mostrarClaves(claves) {
-    const resultado = document.getElementById('resultado');
-
     // Formatear fecha para mostrar
-    const fecha = new Date(claves.fechaCreacion);
-    const fechaLegible = fecha.toLocaleString('es-ES', {
+    const fechaLegible = formatearFecha(claves.fechaCreacion, {
         year: 'numeric',
         month: 'long',
         day: 'numeric',
@@ -102,22 +466,29 @@ function mostrarClaves(claves) {
     });
 
     // Construir HTML con las claves
-    resultado.innerHTML = `
-        <h3>✅ Claves Generadas con Éxito</h3>
+    mostrarResultado(`
+        <h3>${claves.origen && claves.origen.recuperada ? t('generador.claves.tituloRecuperadas') : t('generador.claves.titulo')}</h3>
         
+        ${crearCajaFrase(claves.origen, t('generador.claves.opcionesFrase', { tamano: claves.tamano, exponente: claves.exponente }))}
+
         <div class="info-box">
-            <strong>Información del par de claves:</strong>
+            <strong>${t('generador.claves.informacion')}</strong>
             <div style="margin-top: 8px;">
-                📅 <strong>Fecha de creación:</strong> ${fechaLegible}<br>
-                🔐 <strong>Algoritmo:</strong> ${claves.algoritmo}<br>
-                📏 <strong>Tamaño:</strong> ${claves.tamano}
+                📅 <strong>${t('generador.claves.fecha')}</strong> ${fechaLegible}<br>
+                🔐 <strong>${t('generador.claves.algoritmo')}</strong> ${claves.algoritmo}<br>
+                📏 <strong>${t('generador.claves.tamano')}</strong> ${claves.tamano}<br>
+                🔢 <strong>${t('generador.claves.exponente')}</strong> ${claves.exponente}<br>
+                🔏 <strong>${t('generador.claves.huella')}</strong> <code style="word-break: break-all;">${formatFingerprint(claves.huella)}</code>
             </div>
+            <small style="display: block; margin-top: 8px;">
+                ${t('generador.claves.ayudaHuella')}
+            </small>
         </div>
 
         <div class="output-box">
-            <span class="output-label">🔓 CLAVE PÚBLICA (Compartible)</span>
+            <span class="output-label">${t('generador.claves.publica')}</span>
             <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
-                Esta clave puede compartirse libremente. Se usa para descifrar mensajes.
+                ${t('generador.claves.publicaTexto')}
             </p>
             <textarea 
                 readonly 
@@ -126,22 +497,37 @@ function mostrarClaves(claves) {
                 onclick="seleccionarTexto('clavePublicaOutput')"
             >${claves.publica}</textarea>
             <button 
-                onclick="copiarTexto('clavePublicaOutput')" 
+                onclick="copiarCampo('clavePublicaOutput', 'generador.claves.publicaCopiada')\" 
+                class="generador"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('generador.claves.copiarPublica')}
+            </button>
+            <button
+                onclick="mostrarQRClavePublica()"
+                class="generador"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('comun.mostrarQR')}
+            </button>
+            <button
+                onclick="crearEnlaceClavePublica()"
                 class="generador"
                 style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
             >
-                📋 Copiar Clave Pública
+                ${t('generador.claves.enlace')}
             </button>
+            <div id="qrClavePublica" style="display: none;"></div>
+            <div id="enlaceClavePublica" style="display: none;"></div>
         </div>
 
         <div class="divider"></div>
 
         <div class="output-box">
-            <span class="output-label">🔒 CLAVE PRIVADA (¡MANTENER SECRETA!)</span>
+            <span class="output-label">${t('generador.claves.privada')}</span>
             <div class="warning">
-                <strong>⚠️ IMPORTANTE:</strong>
-                Esta clave debe mantenerse en secreto. Cualquiera que tenga acceso a ella 
-                podrá firmar mensajes en tu nombre. No la compartas con nadie.
+                <strong>${t('comun.importante')}</strong>
+                ${t('generador.claves.privadaAviso')}
             </div>
             <textarea 
                 readonly 
@@ -150,182 +536,554 @@ function mostrarClaves(claves) {
                 onclick="seleccionarTexto('clavePrivadaOutput')"
             >${claves.privada}</textarea>
             <button 
-                onclick="copiarTexto('clavePrivadaOutput')" 
+                onclick="copiarCampo('clavePrivadaOutput', 'generador.claves.privadaCopiada')\" 
+                class="generador"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('generador.claves.copiarPrivada')}
+            </button>
+            <button
+                onclick="usarEnConversor()"
                 class="generador"
                 style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
             >
-                📋 Copiar Clave Privada
+                ${t('generador.claves.convertir')}
+            </button>
+        </div>
+
+        <div class="output-box">
+            <span class="output-label">${t('generador.proteger.titulo')}</span>
+            <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
+                ${t('generador.proteger.texto')}
+            </p>
+            <input
+                type="password"
+                id="contrasenaExportar"
+                placeholder="${t('generador.proteger.contrasena')}"
+                autocomplete="new-password"
+                style="margin-top: 10px;"
+            >
+            <input
+                type="password"
+                id="contrasenaConfirmar"
+                placeholder="${t('generador.proteger.confirmar')}"
+                autocomplete="new-password"
+                style="margin-top: 10px;"
+            >
+            <button
+                onclick="exportarClavePrivadaProtegida()"
+                class="generador"
+                id="btnExportarProtegida"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('generador.proteger.boton')}
+            </button>
+            <div id="clavePrivadaCifradaContenedor" style="display: none;">
+                <textarea
+                    readonly
+                    id="clavePrivadaCifradaOutput"
+                    class="large"
+                    onclick="seleccionarTexto('clavePrivadaCifradaOutput')"
+                ></textarea>
+                <button
+                    onclick="copiarCampo('clavePrivadaCifradaOutput', 'generador.proteger.copiada')\"
+                    class="generador"
+                    style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+                >
+                    ${t('generador.proteger.copiar')}
+                </button>
+            </div>
+        </div>
+
+        <div class="output-box">
+            <span class="output-label">${t('generador.llavero.titulo')}</span>
+            <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
+                ${t('generador.llavero.texto')}
+            </p>
+            <input
+                type="text"
+                id="nombreLlavero"
+                placeholder="${t('generador.llavero.nombre')}"
+                autocomplete="off"
+                style="margin-top: 10px;"
+            >
+            <input
+                type="password"
+                id="contrasenaMaestra"
+                placeholder="${t('comun.llavero.contrasenaMaestra')}"
+                autocomplete="current-password"
+                style="margin-top: 10px;"
+            >
+            <button
+                onclick="guardarEnLlavero()"
+                class="generador"
+                id="btnGuardarLlavero"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+            >
+                ${t('generador.llavero.boton')}
             </button>
         </div>
 
         <div class="info-box" style="margin-top: 20px;">
-            <strong>📝 Próximos pasos:</strong>
+            <strong>${t('comun.proximosPasos')}</strong>
             <ol style="margin: 10px 0 0 20px; line-height: 1.8;">
-                <li>Copia ambas claves y guárdalas en un lugar seguro</li>
-                <li>Usa la <strong>clave privada</strong> en el <em>Codificador</em></li>
-                <li>Usa la <strong>clave pública</strong> en el <em>Decodificador</em></li>
+                ${t('generador.claves.pasos')}
             </ol>
         </div>
-    `;
+    `);
+}
+
+/**
+ * Muestra una clave secp256k1 con sus claves públicas y direcciones
+ *
+ * @param {Object} claves - Resultado de generateSecp256k1KeyPair
+ * @param {string} claves.privateKey - Clave privada en hexadecimal
+ * @param {string} claves.wif - Clave privada en WIF
+ * @param {string} claves.publicKey - Clave pública comprimida en hexadecimal
+ * @param {string} claves.uncompressedPublicKey - Clave pública sin comprimir en hexadecimal
+ * @param {{p2pkh: string, bech32: string, ethereum: string}} claves.addresses - Direcciones
+ * @param {Object|null} origen - Frase y ruta de derivación de la clave, si la hay
+ * @returns {void}
+ */
+function mostrarClavesSecp256k1(claves, origen) {
+    mostrarResultado(`
+        <h3>${origen && origen.recuperada ? t('generador.secp256k1.tituloRecuperada') : t('generador.secp256k1.titulo')}</h3>
+
+        ${crearCajaFrase(origen, origen ? t('generador.secp256k1.opcionesFrase', { ruta: origen.ruta }) : '')}
+
+        <div class="info-box">
+            <strong>${t('generador.secp256k1.informacion')}</strong>
+            <div style="margin-top: 8px;">
+                ${t('generador.secp256k1.detalles')}
+            </div>
+            <small style="display: block; margin-top: 8px;">
+                ${t('generador.secp256k1.ayudaDirecciones')}
+            </small>
+        </div>
 
-    // Mostrar el resultado con animación
-    resultado.className = 'resultado success';
-    resultado.style.display = 'block';
+        <div class="output-box">
+            <span class="output-label">${t('generador.secp256k1.direcciones')}</span>
+            <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
+                ${t('generador.secp256k1.p2pkhTexto')}
+            </p>
+            ${crearCampoCopiable('direccionP2PKH', claves.addresses.p2pkh, t('generador.secp256k1.p2pkh'))}
+            <p style="font-size: 0.9rem; color: #666; margin: 15px 0 5px 0;">
+                ${t('generador.secp256k1.bech32Texto')}
+            </p>
+            ${crearCampoCopiable('direccionBech32', claves.addresses.bech32, t('generador.secp256k1.bech32'))}
+            <p style="font-size: 0.9rem; color: #666; margin: 15px 0 5px 0;">
+                ${t('generador.secp256k1.ethereumTexto')}
+            </p>
+            ${crearCampoCopiable('direccionEthereum', claves.addresses.ethereum, t('generador.secp256k1.ethereum'))}
+        </div>
 
-    // Scroll suave hacia el resultado
-    setTimeout(() => {
-        resultado.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-    }, 100);
+        <div class="output-box">
+            <span class="output-label">${t('generador.claves.publica')}</span>
+            <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
+                ${t('generador.secp256k1.publicaTexto')}
+            </p>
+            ${crearCampoCopiable('clavePublicaComprimidaOutput', claves.publicKey, t('generador.secp256k1.comprimida'))}
+            ${crearCampoCopiable('clavePublicaSinComprimirOutput', claves.uncompressedPublicKey, t('generador.secp256k1.sinComprimir'))}
+        </div>
+
+        <div class="divider"></div>
+
+        <div class="output-box">
+            <span class="output-label">${t('generador.claves.privada')}</span>
+            <div class="warning">
+                <strong>${t('comun.importante')}</strong>
+                ${t('generador.secp256k1.privadaAviso')}
+            </div>
+            <p style="font-size: 0.9rem; color: #666; margin: 5px 0;">
+                ${t('generador.secp256k1.privadaTexto')}
+            </p>
+            ${crearCampoCopiable('clavePrivadaHexOutput', claves.privateKey, t('generador.secp256k1.privadaHex'))}
+            ${crearCampoCopiable('clavePrivadaWifOutput', claves.wif, t('generador.secp256k1.privadaWif'))}
+        </div>
+
+        <div class="info-box" style="margin-top: 20px;">
+            <strong>${t('comun.proximosPasos')}</strong>
+            <ol style="margin: 10px 0 0 20px; line-height: 1.8;">
+                ${t('generador.secp256k1.pasos')}
+            </ol>
+        </div>
+    `);
 }
 
 /**
- * Muestra indicador de carga mientras se generan las claves
- * 
+ * Cifra la clave privada generada con la contraseña introducida
+ *
+ * Proceso:
+ * 1. Validar la contraseña y su confirmación
+ * 2. Cifrar la clave en formato PKCS#8 cifrado (PBKDF2 + AES-256-CBC)
+ * 3. Mostrar la clave protegida para copiarla
+ *
+ * @returns {Promise<void>}
+ */
+async function exportarClavePrivadaProtegida() {
+    const contrasena = document.getElementById('contrasenaExportar').value;
+    const confirmacion = document.getElementById('contrasenaConfirmar').value;
+    const boton = document.getElementById('btnExportarProtegida');
+
+    // PASO 1: Validar contraseña
+    if (contrasena.length < 8) {
+        mostrarNotificacion(t('generador.proteger.corta'), 'error');
+        return;
+    }
+
+    if (contrasena !== confirmacion) {
+        mostrarNotificacion(t('generador.proteger.noCoinciden'), 'error');
+        return;
+    }
+
+    // PASO 2: Cifrar la clave privada (PBKDF2 tarda un momento a propósito)
+    boton.disabled = true;
+    try {
+        const clavePrivada = document.getElementById('clavePrivadaOutput').value;
+        const claveCifrada = await protectPrivateKey(clavePrivada, contrasena);
+
+        // PASO 3: Mostrar el resultado
+        document.getElementById('clavePrivadaCifradaOutput').value = claveCifrada;
+        document.getElementById('clavePrivadaCifradaContenedor').style.display = 'block';
+        document.getElementById('contrasenaExportar').value = '';
+        document.getElementById('contrasenaConfirmar').value = '';
+
+        mostrarNotificacion(t('generador.proteger.hecho'));
+        console.log('🛡️ Clave privada exportada en PKCS#8 cifrado');
+
+    } catch (error) {
+        console.error('❌ Error al proteger la clave privada:', error);
+        mostrarNotificacion(t('generador.proteger.error'), 'error');
+    } finally {
+        boton.disabled = false;
+    }
+}
+
+/**
+ * Guarda el par de claves generado en el llavero local
+ *
+ * Proceso:
+ * 1. Validar el nombre y la contraseña maestra
+ * 2. Comprobar la contraseña maestra (la primera vez, se define)
+ * 3. Guardar la clave pública y la privada cifrada en IndexedDB
+ *
+ * @returns {Promise<void>}
+ */
+async function guardarEnLlavero() {
+    const nombre = document.getElementById('nombreLlavero').value.trim();
+    const contrasenaMaestra = document.getElementById('contrasenaMaestra').value;
+    const boton = document.getElementById('btnGuardarLlavero');
+
+    // PASO 1: Validar datos
+    if (!nombre) {
+        mostrarNotificacion(t('generador.llavero.sinNombre'), 'error');
+        return;
+    }
+
+    boton.disabled = true;
+    try {
+        // PASO 2: La primera vez, la contraseña introducida pasa a ser la maestra
+        if (!await tieneContrasenaMaestra() && contrasenaMaestra.length < 8) {
+            mostrarNotificacion(t('generador.llavero.maestraCorta'), 'error');
+            return;
+        }
+
+        // PASO 3: Guardar (guardarParPropio comprueba la contraseña maestra)
+        await guardarParPropio(
+            nombre,
+            document.getElementById('clavePublicaOutput').value,
+            document.getElementById('clavePrivadaOutput').value,
+            contrasenaMaestra
+        );
+
+        document.getElementById('contrasenaMaestra').value = '';
+        mostrarNotificacion(t('comun.llavero.guardado', { nombre }));
+        console.log('💾 Par de claves guardado en el llavero');
+
+    } catch (error) {
+        console.error('❌ Error al guardar en el llavero:', error);
+        mostrarNotificacion(`❌ ${describirError(error)}`, 'error');
+    } finally {
+        boton.disabled = false;
+    }
+}
+
+/**
+ * Muestra el progreso mientras se generan las claves
+ *
+ * Incluye la fase actual, el tiempo transcurrido y un botón para cancelar.
+ *
+ * @param {number} bits - Tamaño de la clave que se está generando
+ * @param {boolean} conFrase - true si el par se deriva de una frase de recuperación
  * @returns {void}
  */
-function mostrarCargando() {
-    const resultado = document.getElementById('resultado');
-    resultado.innerHTML = `
+function mostrarCargando(bits, conFrase) {
+    mostrarResultado(`
         <div class="text-center">
             <div class="loading" style="display: inline-block; margin: 20px auto;"></div>
-            <p style="color: #666;">Generando par de claves RSA de 2048 bits...</p>
-            <p style="color: #999; font-size: 0.9rem;">Esto puede tardar unos segundos</p>
+            <p style="color: #666;">${t(conFrase ? 'generador.cargando.tituloFrase' : 'generador.cargando.titulo', { bits })}</p>
+            <div class="barra-progreso"><div class="barra-progreso-relleno"></div></div>
+            <p id="faseGeneracion" style="color: #666; font-size: 0.9rem;">${t('generador.cargando.preparando')}</p>
+            <p style="color: #999; font-size: 0.9rem;">
+                ${t('generador.cargando.tiempo')} <span id="tiempoGeneracion">0</span> s
+                ${bits >= 4096 ? t('generador.cargando.avisoGrande') : ''}
+                ${conFrase ? t('generador.cargando.avisoFrase') : ''}
+            </p>
+            <button
+                id="btnCancelar"
+                onclick="cancelarGeneracion()"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px; background: #6c757d; color: white;"
+            >
+                ${t('generador.cargando.cancelar')}
+            </button>
         </div>
-    `;
-    resultado.className = 'resultado info';
-    resultado.style.display = 'block';
+    `, 'info');
+
+    // Contador de tiempo transcurrido
+    const inicio = Date.now();
+    clearInterval(temporizadorGeneracion);
+    temporizadorGeneracion = setInterval(() => {
+        const tiempo = document.getElementById('tiempoGeneracion');
+        if (tiempo) {
+            tiempo.textContent = Math.floor((Date.now() - inicio) / 1000);
+        }
+    }, 1000);
 }
 
 /**
- * Muestra un mensaje de error en la interfaz
- * 
- * @param {string} mensaje - Mensaje de error a mostrar
+ * Muestra la clave pública generada como código QR, para leerla con otro dispositivo
+ *
+ * @returns {Promise<void>}
+ */
+async function mostrarQRClavePublica() {
+    await mostrarCodigosQR(document.getElementById('clavePublicaOutput').value, 'qrClavePublica', 'clave-publica');
+}
+
+/**
+ * Muestra un enlace "envíame mensajes cifrados" que abre el Codificador con
+ * la clave pública ya pegada
+ *
  * @returns {void}
  */
-function mostrarError(mensaje) {
-    const resultado = document.getElementById('resultado');
-    resultado.innerHTML = `
-        <h3>❌ Error</h3>
-        <p>${mensaje}</p>
-        <p style="margin-top: 15px; font-size: 0.9rem; color: #666;">
-            Por favor, recarga la página e intenta nuevamente.
-        </p>
-    `;
-    resultado.className = 'resultado error';
-    resultado.style.display = 'block';
+function crearEnlaceClavePublica() {
+    const enlace = crearEnlace('Codificador', PARAMETRO_CLAVE_PUBLICA, document.getElementById('clavePublicaOutput').value);
+    mostrarEnlace(enlace, 'enlaceClavePublica', t('generador.claves.enlaceAyuda'), 'generador');
 }
 
 /**
- * Selecciona todo el texto de un textarea para facilitar la copia
- * 
- * @param {string} elementId - ID del elemento textarea
+ * Muestra el formato de la clave pegada en el conversor
+ *
+ * Si la clave privada está protegida con contraseña, muestra también el
+ * campo para introducirla.
+ *
  * @returns {void}
  */
-function seleccionarTexto(elementId) {
-    const elemento = document.getElementById(elementId);
-    if (elemento) {
-        elemento.select();
+function actualizarFormatoDetectado() {
+    const texto = document.getElementById('claveConvertir').value;
+    const aviso = document.getElementById('formatoDetectado');
+    const campoContrasena = document.getElementById('contrasenaConvertir');
+    const tipo = texto.trim() ? detectKeyFormat(texto) : null;
+
+    if (!texto.trim()) {
+        aviso.style.display = 'none';
+    } else if (!tipo) {
+        aviso.style.display = 'block';
+        aviso.textContent = t('generador.conversion.noReconocido');
+    } else {
+        aviso.style.display = 'block';
+        aviso.textContent = t(tipo.private ? 'generador.conversion.detectadaPrivada' : 'generador.conversion.detectadaPublica', {
+            formato: NOMBRES_FORMATO[tipo.format],
+            protegida: tipo.protected ? t('generador.conversion.protegida') : ''
+        });
     }
+
+    campoContrasena.style.display = tipo && tipo.protected ? 'block' : 'none';
 }
 
 /**
- * Copia el contenido de un textarea al portapapeles
- * 
- * @param {string} elementId - ID del elemento textarea
+ * Lleva la clave privada recién generada al conversor de formatos
+ *
  * @returns {void}
  */
-function copiarTexto(elementId) {
-    const elemento = document.getElementById(elementId);
-    
-    if (!elemento) {
-        console.error('Elemento no encontrado:', elementId);
+function usarEnConversor() {
+    document.getElementById('claveConvertir').value = document.getElementById('clavePrivadaOutput').value;
+    actualizarFormatoDetectado();
+
+    const detalles = document.getElementById('detallesConversion');
+    detalles.open = true;
+    detalles.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Convierte la clave del conversor al formato elegido
+ *
+ * Proceso:
+ * 1. Detectar el formato de la clave pegada
+ * 2. Convertirla (descifrándola antes si está protegida)
+ * 3. Mostrar la clave convertida con su huella
+ *
+ * @returns {Promise<void>}
+ */
+async function convertirFormatoClave() {
+    const texto = document.getElementById('claveConvertir').value.trim();
+    const formato = document.getElementById('formatoDestino').value;
+    const soloPublica = document.getElementById('soloPublica').checked;
+    const comentario = document.getElementById('comentarioClave').value.trim();
+    const contrasena = document.getElementById('contrasenaConvertir').value;
+
+    // PASO 1: Detectar el formato de origen
+    if (!texto) {
+        mostrarError(t('generador.conversion.vacia'), t('generador.sugerenciasConversion'), 'resultadoConversion');
+        return;
+    }
+
+    const tipo = detectKeyFormat(texto);
+    if (!tipo) {
+        mostrarError(t('generador.conversion.formatoDesconocido'), t('generador.sugerenciasConversion'), 'resultadoConversion');
+        return;
+    }
+
+    if (tipo.protected && !contrasena) {
+        mostrarError(t('generador.conversion.sinContrasena'), [], 'resultadoConversion');
         return;
     }
 
     try {
-        // Seleccionar el texto
-        elemento.select();
-        elemento.setSelectionRange(0, 99999); // Para dispositivos móviles
+        // PASO 2: Convertir (la clave protegida se descifra con su contraseña)
+        const convertida = await convertKey(texto, formato, {
+            publicOnly: soloPublica,
+            comment: comentario || undefined,
+            password: tipo.protected ? contrasena : undefined
+        });
+        const huella = await fingerprint(convertida);
+        const privada = tipo.private && !soloPublica;
 
-        // Copiar al portapapeles
-        document.execCommand('copy');
+        // PASO 3: Mostrar el resultado
+        mostrarResultado(`
+            <h3>${t('generador.conversion.titulo')}</h3>
+            <div class="info-box">
+                🔄 <strong>${t('generador.conversion.conversion')}</strong> ${NOMBRES_FORMATO[tipo.format]} → ${NOMBRES_FORMATO[formato]}
+                (${privada ? t('generador.conversion.privada') : t('generador.conversion.publica')})<br>
+                🔏 <strong>${t('generador.claves.huella')}</strong> <code style="word-break: break-all;">${formatFingerprint(huella)}</code>
+                <small style="display: block; margin-top: 8px;">
+                    ${t('generador.conversion.ayudaHuella')}
+                </small>
+            </div>
+            ${privada ? `
+            <div class="warning">
+                <strong>${t('comun.importante')}</strong>
+                ${t('generador.conversion.avisoPrivada')}
+            </div>` : ''}
+            <div class="output-box">
+                <span class="output-label">${t('generador.conversion.claveEn', { formato: NOMBRES_FORMATO[formato].toUpperCase() })}</span>
+                <textarea
+                    readonly
+                    id="claveConvertidaOutput"
+                    class="large"
+                    onclick="seleccionarTexto('claveConvertidaOutput')"
+                >${escaparHTML(convertida)}</textarea>
+                <button
+                    onclick="copiarCampo('claveConvertidaOutput', 'generador.conversion.copiada')\"
+                    class="generador"
+                    style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+                >
+                    ${t('generador.conversion.copiar')}
+                </button>
+            </div>
+        `, 'success', 'resultadoConversion');
 
-        // Feedback visual
-        const tipoTexto = elementId.includes('Publica') ? 'pública' : 'privada';
-        mostrarNotificacion(`✅ Clave ${tipoTexto} copiada al portapapeles`);
+        document.getElementById('contrasenaConvertir').value = '';
+        console.log(`🔄 Clave convertida de ${tipo.format} a ${formato}`);
 
     } catch (error) {
-        console.error('Error al copiar:', error);
-        mostrarNotificacion('❌ Error al copiar. Selecciona y copia manualmente.', 'error');
+        console.error('❌ Error al convertir la clave:', error);
+        const sugerencias = error instanceof WrongPasswordError
+            ? [t('generador.sugerenciaContrasena')]
+            : t('generador.sugerenciasConversion');
+        mostrarError(escaparHTML(describirError(error)), sugerencias, 'resultadoConversion');
     }
 }
 
 /**
- * Muestra una notificación temporal
- * 
- * @param {string} mensaje - Mensaje a mostrar
- * @param {string} tipo - Tipo de notificación ('success' o 'error')
+ * Comprueba si un campo contiene una clave privada
+ *
+ * @param {string} id - ID del campo
+ * @returns {boolean}
+ */
+function contieneClavePrivada(id) {
+    const campo = document.getElementById(id);
+    const tipo = campo && campo.value.trim() ? detectKeyFormat(campo.value) : null;
+    return Boolean(tipo && tipo.private);
+}
+
+/**
+ * Comprueba si la página muestra alguna clave privada, frase o contraseña
+ *
+ * @returns {boolean}
+ */
+function haySecretos() {
+    return Boolean(document.getElementById('clavePrivadaOutput') || document.getElementById('clavePrivadaHexOutput'))
+        || contieneClavePrivada('claveConvertir')
+        || contieneClavePrivada('claveConvertidaOutput')
+        || CAMPOS_SECRETOS.some((id) => document.getElementById(id).value);
+}
+
+/**
+ * Borra de la página las claves generadas, la frase, las contraseñas y las
+ * claves privadas del conversor
+ *
+ * Si se estaba generando un par de claves, la generación se detiene.
+ *
  * @returns {void}
  */
-function mostrarNotificacion(mensaje, tipo = 'success') {
-    // Crear elemento de notificación
-    const notificacion = document.createElement('div');
-    notificacion.textContent = mensaje;
-    notificacion.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        padding: 15px 25px;
-        background: ${tipo === 'success' ? '#4caf50' : '#f44336'};
-        color: white;
-        border-radius: 8px;
-        box-shadow: 0 4px 15px rgba(0,0,0,0.3);
-        z-index: 9999;
-        animation: slideInRight 0.3s ease-out;
-        font-weight: 600;
-    `;
+function borrarClavesDePagina() {
+    finalizarGeneracion();
+    fraseMostrada = null;
 
-    // Agregar al DOM
-    document.body.appendChild(notificacion);
+    ['resultado', 'resultadoConversion'].forEach((id) => {
+        const resultado = document.getElementById(id);
+        resultado.innerHTML = '';
+        resultado.style.display = 'none';
+    });
 
-    // Eliminar después de 3 segundos
-    setTimeout(() => {
-        notificacion.style.animation = 'fadeOut 0.3s ease-out';
-        setTimeout(() => {
-            document.body.removeChild(notificacion);
-        }, 300);
-    }, 3000);
+    CAMPOS_SECRETOS.forEach((id) => {
+        document.getElementById(id).value = '';
+    });
+    if (contieneClavePrivada('claveConvertir')) {
+        document.getElementById('claveConvertir').value = '';
+    }
+    actualizarFormatoDetectado();
 }
 
 /**
  * Inicialización cuando el DOM está listo
  */
 document.addEventListener('DOMContentLoaded', function() {
+    iniciarIdioma();
+    document.getElementById('claveConvertir').addEventListener('input', actualizarFormatoDetectado);
+    document.addEventListener(EVENTO_CAMBIO_IDIOMA, actualizarFormatoDetectado);
+
+    // Vaciado del portapapeles y borrado de las claves tras un rato sin actividad
+    iniciarBorradoSecretos({ haySecretos, borrar: borrarClavesDePagina });
+
     console.log('🔐 Generador de Claves RSA inicializado');
-    console.log('📚 JSEncrypt versión:', typeof JSEncrypt !== 'undefined' ? 'Cargada' : 'No disponible');
+    console.log('📚 WebCrypto:', window.crypto && window.crypto.subtle ? 'Disponible' : 'No disponible');
 });
 
-// Animaciones CSS adicionales (inyectadas via JavaScript)
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes slideInRight {
-        from {
-            transform: translateX(400px);
-            opacity: 0;
-        }
-        to {
-            transform: translateX(0);
-            opacity: 1;
-        }
-    }
-    
-    @keyframes fadeOut {
-        from {
-            opacity: 1;
-        }
-        to {
-            opacity: 0;
-        }
-    }
-`;
-document.head.appendChild(style);
\ No newline at end of file
+// Funciones usadas desde los atributos onclick del HTML
+exponerEnPagina({
+    generarClaves,
+    recuperarClaves,
+    cambiarAlgoritmo,
+    cancelarGeneracion,
+    exportarClavePrivadaProtegida,
+    guardarEnLlavero,
+    convertirFormatoClave,
+    usarEnConversor,
+    mostrarQRClavePublica,
+    crearEnlaceClavePublica,
+    seleccionarTexto,
+    copiarCampo,
+    copiarFrase,
+    borrarSecretos
+});
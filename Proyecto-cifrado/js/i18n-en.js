@@ -0,0 +1,688 @@
+/**
+ * ============================================================================
+ * I18N-EN - Mensajes de la interfaz en inglés
+ * ============================================================================
+ *
+ * Catálogo de i18n.js en inglés, con las mismas claves que i18n-es.js.
+ * Los mensajes que acaban en un atributo onclick (avisos de copiado) no
+ * pueden llevar apóstrofos.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+export const MENSAJES_EN = {
+    comun: {
+        campo: {
+            copiado: '✅ {nombre} copied to the clipboard',
+            copiar: '📋 Copy {nombre}'
+        },
+        ayuda: '❓ Need help?',
+        llavero: {
+            contrasenaMaestra: 'Keyring master password',
+            elegir: '📒 Choose from the keyring...',
+            guardado: '✅ "{nombre}" saved to the keyring',
+            sinSeleccion: '❌ Choose a key from the keyring first',
+            confirmarEliminar: 'Delete {descripcion} from the keyring?',
+            eliminada: '✅ Key deleted from the keyring'
+        },
+        nav: {
+            codificador: '🔒 Go to the Encoder',
+            decodificador: '🔓 Go to the Decoder',
+            firmador: '✍️ Go to the Signer',
+            generador: '🔑 Key Generator',
+            merkle: '🌳 Go to the Merkle Tree',
+            acuerdo: '🤝 Go to the Key Agreement',
+            registro: '⛓️ Go to the Ledger',
+            titulo: '🔗 Move between programs:',
+            transacciones: '💸 Go to Transactions'
+        },
+        pie: 'Case Study 1 - Encryption | Blockchain - Unit 1',
+        idioma: 'Language',
+        copiado: '✅ Text copied to the clipboard',
+        errorCopiarManual: '❌ Copy failed. Select the text and copy it manually.',
+        errorCopiar: '❌ Copy failed',
+        portapapelesVaciado: '🧹 Clipboard cleared',
+        error: '❌ Error',
+        sugerencias: '💡 Suggestions:',
+        importante: '⚠️ IMPORTANT:',
+        mostrarQR: '📱 Show QR Code',
+        proximosPasos: '📝 Next steps:',
+        advertencia: '⚠️ Warning:',
+        sobre: '{etiqueta} envelope v{version}',
+        modoHibrido: 'Hybrid (RSA + AES-256-GCM)',
+        modoRSA: 'Direct RSA',
+        estadisticas: {
+            formato: 'Format:',
+            modo: 'Mode:',
+            relleno: 'RSA padding:',
+            longitudCifrada: 'Encrypted length:',
+            caracteres: '{total} characters'
+        },
+        descargarArchivo: '💾 Download {nombre}'
+    },
+    clave: {
+        resumenPrivada: '🔍 {formato} · {protegida}private key',
+        resumenPublica: '🔍 {formato} · {protegida}public key',
+        formatoDesconocido: 'Unknown format',
+        protegida: 'protected ',
+        resumenRSA: ' · {bits}-bit RSA · e = {exponente}',
+        numero: 'Key {numero} (line {linea}):',
+        variosProblemas: 'The key has several problems:',
+        noSePuedeUsar: 'The key cannot be used:',
+        huella: '🔏 Fingerprint: {huella}',
+        sinHuella: '⚠️ The fingerprint of this key cannot be calculated',
+        diagnostico: {
+            'missing-begin': 'The -----BEGIN {label}----- line is missing: the key seems to be cut off at the start.',
+            'foreign-label': {
+                'EC PRIVATE KEY': 'This is an EC (elliptic curve) private key, not an RSA key.',
+                'EC PARAMETERS': 'This is the description of an elliptic curve, not an RSA key.',
+                'DSA PRIVATE KEY': 'This is a DSA private key, not an RSA key.',
+                'CERTIFICATE': 'This is an X.509 certificate, not a key. Extract its public key with: openssl x509 -pubkey -noout -in certificate.pem',
+                'CERTIFICATE REQUEST': 'This is a certificate signing request (CSR), not a key.',
+                'PGP PUBLIC KEY BLOCK': 'This is a PGP public key, a format this application does not support.',
+                'PGP PRIVATE KEY BLOCK': 'This is a PGP private key, a format this application does not support.',
+                'SSH2 PUBLIC KEY': 'This is an SSH2 public key (RFC 4716). Convert it to OpenSSH with: ssh-keygen -i -f key.pub',
+                'RSA-DEMO MESSAGE': 'This is an encrypted text, not a key.'
+            },
+            'missing-end': 'The -----END {label}----- line is missing: the key seems to be cut off at the end.',
+            'label-mismatch': 'Line {endLine} closes "{endLabel}", but the key starts with "{label}" on line {beginLine}.',
+            'legacy-encryption': 'The key is encrypted with the old OpenSSL format (Proc-Type: 4,ENCRYPTED), which is not supported. Convert it to encrypted PKCS#8 with: openssl pkcs8 -topk8 -in key.pem -out key-pkcs8.pem',
+            'empty-body': 'The key has no content between the BEGIN and END lines (lines {beginLine} and {endLine}).',
+            'invalid-character': 'Invalid character {character} on line {line}, column {column}: the body of a PEM key only allows Base64 characters (A-Z, a-z, 0-9, +, / and =).',
+            'misplaced-padding': 'The "=" padding on line {line} is out of place: it can only appear at the end of the last line.',
+            'one-more-base64-error': '... and 1 more line with Base64 errors.',
+            'more-base64-errors': '... and {rest} more lines with Base64 errors.',
+            'base64-length': 'The Base64 body has {characters} characters, which is not a multiple of 4: the key is cut off or has extra characters.',
+            'not-a-sequence': 'The DER content does not start with a SEQUENCE (0x30) but with 0x{byte}: it is not a key or the Base64 is damaged.',
+            'truncated-der': 'The DER structure declares {declared} bytes but only contains {available}: the key is cut off ({missing} bytes missing).',
+            'trailing-der': 'There are {extra} extra bytes after the DER structure: extra data was pasted after the key.',
+            'invalid-json': 'The JSON of the key is not valid ({detail}).',
+            'missing-kty': 'The JSON is not a JWK key: the "kty" field is missing.',
+            'unsupported-ssh': 'SSH keys of type "{type}" are not supported; only ssh-rsa keys are.',
+            'missing-armor': 'This looks like the Base64 body of a key without its -----BEGIN ...----- and -----END ...----- lines. Copy the whole key, including those two lines.',
+            'unknown-format': 'The key format is not recognized. It must be PEM (PKCS#1 or PKCS#8/SPKI), JWK (JSON) or OpenSSH.',
+            'private-not-public': 'This is a private key: the recipient\'s public key is needed here. Get it in the Generator, with the format converter and the "public key only" option.',
+            'public-not-private': 'This is a public key: decrypting requires the private key of the pair.',
+            'even-modulus': 'The modulus n is even, so it is not the product of two large primes: the key is damaged.',
+            'short-modulus': 'The modulus has {bits} bits. Keys under 1024 bits are easy to factor and are not supported.',
+            'weak-modulus': 'The modulus has {bits} bits, less than the recommended 2048: fine for learning, but not for protecting real data.',
+            'invalid-exponent': 'The public exponent e = {e} is not valid: it must be odd, greater than 1 and less than the modulus.',
+            'unusual-exponent': 'Unusual public exponent (e = {e}); almost all keys use 65537.',
+            'exponent-three': 'Unusual public exponent (e = 3); almost all keys use 65537. With e = 3, OAEP padding is essential: never encrypt with unpadded RSA.',
+            'crt-exponents': 'The CRT exponents (dp and dq) do not match e, p and q: the private key is damaged.',
+            'crt-coefficient': 'The CRT coefficient qi is not the inverse of q modulo p: the private key is damaged.'
+        }
+    },
+    errores: {
+        claveNoValida: {
+            'der-truncated': 'Truncated DER structure',
+            'der-length': 'Invalid DER length',
+            'der-not-integers': 'The DER structure is not a list of integers.',
+            'invalid-private-key': 'The private key is not valid. Check that it is complete, including the BEGIN and END lines.',
+            'invalid-public-key': 'The public key is not valid. Check that it is complete, including the BEGIN and END lines.',
+            'pkcs8-damaged': 'The encrypted private key is damaged or does not have a valid PKCS#8 structure.',
+            'unknown-format': 'The key format is not recognized. It must be PEM (PKCS#1 or PKCS#8/SPKI), JWK (JSON) or OpenSSH.',
+            'damaged-key': 'The {formato} key is damaged or incomplete. Check that you copied all of it.',
+            'damaged-key-cause': 'The {formato} key is damaged or incomplete ({causa}). Check that you copied all of it.',
+            'inconsistent-components': 'The components of the private key are not consistent: p · q is not equal to the modulus n.',
+            'pkcs1-missing-exponent': 'The PKCS#1 public key is missing its exponent.',
+            'pkcs1-missing-components': 'The PKCS#1 private key is missing components.',
+            'jwk-field': 'The "{campo}" field of the JWK is missing its Base64URL value.',
+            'openssh-truncated': 'The OpenSSH key is truncated.',
+            'openssh-magic': 'The OpenSSH private key does not start with "openssh-key-v1".',
+            'openssh-check': 'The check integers of the OpenSSH key do not match: the key is damaged.',
+            'no-public-key': 'No public key was given. PEM keys ("-----BEGIN PUBLIC KEY-----" or "-----BEGIN RSA PUBLIC KEY-----"), JWK and OpenSSH (ssh-rsa) are supported.',
+            'not-a-pair': 'The private key does not match the public key: they are not a pair.'
+        },
+        claveIncorrecta: {
+            'not-a-recipient': 'Wrong key: the private key ({huella}) does not belong to any recipient of the message.',
+            'oaep-failed': 'The RSA-OAEP block could not be decrypted. Check that the private key matches the public key used to encrypt.',
+            'pkcs1-failed': 'The PKCS#1 v1.5 block could not be decrypted. Check that the private key matches the public key used to encrypt.'
+        },
+        contrasenaIncorrecta: {
+            'wrong-password': 'Wrong password: the private key could not be decrypted.',
+            'password-required': 'This private key is protected with a password. Enter the password to use it.',
+            'master-password': 'The master password is not correct.'
+        },
+        formato: {
+            'recipients-damaged': 'The recipient list of the encrypted text is damaged.',
+            'message-not-file': 'The encrypted text contains a message, not a file.',
+            'file-header': 'The encrypted file is damaged or incomplete: its name and type cannot be read.',
+            'file-not-message': 'The encrypted text contains a file: decrypt it as a file to restore it.',
+            'unknown-ciphertext': 'The encrypted text is not in a recognized format.',
+            'invalid-ciphertext': 'The encrypted text is not in a valid format. It must be a "-----BEGIN RSA-DEMO MESSAGE-----" envelope, start with RSA-OAEP., RSA-OAEP-AES., RSA-OAEP-FILE. or RSA-OAEP-MULTI., or be Base64 (old format)',
+            'pbkdf2-iterations': 'The encrypted private key asks for an invalid number of PBKDF2 iterations (1 to {maximo} are allowed).',
+            'envelope-missing-end': 'The envelope is incomplete: the "-----END {etiqueta}-----" line is missing.',
+            'envelope-header': 'Line {linea} of the envelope is not a valid header (":" is missing).',
+            'envelope-missing-version': 'The envelope is missing its Version header.',
+            'envelope-content': 'The content of the envelope is not in a recognized encrypted text format.',
+            'envelope-algorithm': 'The Algorithm header of the envelope does not match the content, which is {esquema}.',
+            'qr-too-long': 'The text is too long for a QR code ({bytes} bytes).',
+            'qr-mode': 'The QR code uses an unknown data mode.',
+            'qr-parts': 'The parts read do not form the original text: one is damaged or belongs to another text.'
+        },
+        integridad: {
+            'aes-gcm': 'The encrypted data was modified or is incomplete (AES-GCM verification failed).'
+        },
+        mensajeLargo: {
+            'message-too-long': 'The message is {longitud} bytes long and direct RSA only allows {limite} bytes with this key. Use hybrid mode.'
+        },
+        frase: {
+            length: 'The phrase has {palabras} words and must have 12, 15, 18, 21 or 24.',
+            'unknown-word': 'These words are not in the BIP39 (English) list: {palabras}.',
+            checksum: 'The checksum of the phrase does not match: a word is changed or out of order.',
+            quiza: '"{palabra}" (maybe "{sugerencia}"?)'
+        },
+        noAdmitido: {
+            'webcrypto': 'This environment does not support the WebCrypto API needed to encrypt and decrypt.',
+            'key-size': 'Unsupported key size: {bits}. Use {admitidos} bits.',
+            'exponent': 'Unsupported public exponent: {exponente}. Use {admitidos}.',
+            'word-count': 'Unsupported number of words: {palabras}. Use {admitidos}.',
+            'mode': 'Unsupported encryption mode: {modo}. Use {admitidos}.',
+            'file-single-recipient': 'Files are encrypted for a single recipient.',
+            'rsa-single-recipient': 'Direct RSA only allows one recipient. For several recipients, use automatic or hybrid mode.',
+            'pkcs8-algorithm': 'The private key uses an unsupported protection algorithm. PBKDF2 (HMAC-SHA1/SHA256) with AES-CBC is supported.',
+            'envelope-version': 'The Version header of the envelope indicates an unsupported version. This application supports version {version}.',
+            'multi-prime': 'RSA keys with more than two primes are not supported.',
+            'not-rsa': 'Only RSA keys are supported; this key is {algoritmo}.',
+            'jwk-not-rsa': 'Only RSA keys are supported; this JWK is of type "{tipo}".',
+            'jwk-missing-primes': 'The private JWK does not include the prime factors (p, q...), which the other formats need.',
+            'openssh-not-rsa': 'Only RSA keys (ssh-rsa) are supported; this OpenSSH key is {tipo}.',
+            'openssh-protected': 'The OpenSSH key is protected with a password ({cifrado}). Remove the protection with "ssh-keygen -p -N \'\' -f key" or convert it to PKCS#8 with "ssh-keygen -p -m PKCS8 -f key".',
+            'openssh-several': 'The OpenSSH file contains several keys; convert each one separately.',
+            'key-format': 'Unsupported key format: {formato}. Use {admitidos}.'
+        }
+    },
+    qr: {
+        alternativo: 'QR code {parte} of {total}',
+        parte: 'Part {parte} of {total}',
+        descargar: '⬇️ Download',
+        unCodigo: '📱 Scan it with the camera of the other device, or download it and upload it in the Encoder or the Decoder.',
+        variosCodigos: '📱 The text does not fit in a single code and has been split into {total}. They can be read in any order: once all of them are uploaded, they are joined automatically.',
+        ilegibles: ' · No readable QR code: {archivos}',
+        leido: '✅ QR code read',
+        unidas: '✅ All {total} parts read and joined',
+        faltan: '📷 Read parts {recibidas} of {total}; also upload {faltan}',
+        ninguno: '❌ No readable QR code was found',
+        leyendo: '⏳ Reading the QR codes...'
+    },
+    secretos: {
+        titulo: '🧹 Automatic wiping of secrets',
+        textoGenerador: 'Private keys, the recovery phrase and passwords are wiped from the page once it has gone unused for the chosen time; until then a countdown is shown.',
+        textoDecodificador: 'The private key, passwords and decrypted messages and files are wiped from the page once it has gone unused for the chosen time; until then a countdown is shown.',
+        portapapeles: 'Clear the clipboard after copying:',
+        inactividad: 'Wipe secrets after a period of inactivity:',
+        nunca: 'Never',
+        borrarAhora: '🧹 Wipe Now',
+        cuentaAtras: '🧹 Secrets will be wiped in {tiempo}',
+        borrados: '🧹 Secrets wiped from the page',
+        borradosInactividad: '🧹 Secrets wiped after inactivity'
+    },
+    enlace: {
+        copiar: '📋 Copy Link',
+        copiado: '✅ Link copied to the clipboard',
+        largo: '⚠️ The link is {total} characters long: some messaging and email apps cut off links this long',
+        invalido: '❌ The link is not valid: it may be cut off or modified'
+    },
+    generador: {
+        algoritmo: {
+            etiqueta: 'Algorithm:',
+            rsa: 'RSA (encrypt, decrypt and sign)',
+            secp256k1: 'secp256k1 (Bitcoin and Ethereum ECDSA, signing only)'
+        },
+        conversor: {
+            ayuda: 'Paste a public or private key in PEM (PKCS#1 or PKCS#8/SPKI), JWK or OpenSSH and choose the output format. The key is the same in every format, and so is its fingerprint.',
+            boton: '🔄 Convert Key',
+            clave: '-----BEGIN RSA PUBLIC KEY-----, { "kty": "RSA", ... } or ssh-rsa AAAAB3NzaC1yc2E...',
+            comentario: 'OpenSSH comment or JWK "kid" (optional)',
+            contrasena: 'Password of the protected private key',
+            soloPublica: 'Convert only the public key (when a private key is pasted)',
+            titulo: '🔄 Convert the format of an RSA key'
+        },
+        exponente: {
+            '3': '3 (testing only)',
+            '65537': '65537 (standard)',
+            ayuda: '💡 Almost every real RSA key uses e = 65537 (WebCrypto only supports 3 and 65537)',
+            etiqueta: 'Public exponent (e):'
+        },
+        frase: {
+            '0': 'No phrase (random keys)',
+            '12': '12 words',
+            '24': '24 words',
+            ayuda: '💡 If you use an extra password, you will need it together with the phrase to recover the keys: a different password gives different keys, without any error message',
+            contrasena: 'Extra password for the phrase (optional)',
+            etiqueta: 'Recovery phrase (BIP39):',
+            conContrasena: ' and the <strong>extra password</strong>',
+            regeneradas: '♻️ Keys regenerated from your {palabras}-word phrase{contrasena} (<strong>{opciones}</strong>). Check that they match the ones you had, for example by their fingerprint or address.',
+            titulo: '📝 RECOVERY PHRASE (BIP39) - WRITE IT DOWN ON PAPER!',
+            aviso: 'With these {palabras} words, in this order, anyone can regenerate your private key. Write them down on paper and keep them in a safe place; do not take screenshots or store them on the computer.',
+            recuperar: '♻️ To recover the keys you will need the phrase{contrasena} and the same options: <strong>{opciones}</strong>.',
+            copiada: '✅ Recovery phrase copied to the clipboard',
+            copiar: '📋 Copy Phrase'
+        },
+        generar: '🔑 Generate Key Pair',
+        info: {
+            frase: 'The keys can be derived from a 12 or 24-word <strong>recovery phrase</strong> (BIP39): with the phrase you can regenerate exactly the same keys.',
+            secp256k1: 'It also generates <strong>secp256k1</strong> keys, the ones used by Bitcoin and Ethereum, with their addresses, to sign messages in the <em>Signer</em>.',
+            tamanos: 'This program generates an RSA key pair of <strong>1024 to 4096 bits</strong> (2048 by default):',
+            titulo: 'ℹ️ About this generator:',
+            usos: '<li><strong>Private Key:</strong> Use it in the <em>Encoder</em> to encrypt messages</li> <li><strong>Public Key:</strong> Use it in the <em>Decoder</em> to decrypt messages</li>'
+        },
+        instrucciones: {
+            pasos: '<li>Choose the algorithm and, for RSA, the key size and the public exponent</li> <li>Choose whether you want a recovery phrase</li> <li>Click the "Generate Key Pair" button</li> <li>Wait while the keys are generated (you can cancel at any time)</li> <li>Copy both keys and keep them in a safe place (and the phrase, on paper)</li> <li>Use the <strong>private key</strong> in the Encoder program</li> <li>Use the <strong>public key</strong> in the Decoder program</li>',
+            titulo: '📋 Instructions:'
+        },
+        meta: {
+            descripcion: 'RSA key generator for an asymmetric encryption system',
+            titulo: 'RSA Key Generator - Encryption System'
+        },
+        navegacion: '🔗 Go to the other programs:',
+        notaSeguridad: '<strong>🔒 Security Note:</strong> The keys are generated locally in your browser and are never sent to any server. Make sure you store your keys safely and <strong>never share your private key</strong> with anyone.',
+        recuperar: {
+            ayuda: 'Choose above the same algorithm and the same options (size and exponent, or derivation path) you used when you generated the keys, and type the phrase.',
+            boton: '♻️ Recover Keys',
+            contrasena: 'Extra password for the phrase (if you used one)',
+            frase: 'Type the 12 or 24 words separated by spaces',
+            titulo: '♻️ Recover keys from a phrase'
+        },
+        ruta: {
+            ayuda: '💡 With the same phrase and the same path, Bitcoin and Ethereum wallets obtain the same key',
+            bitcoin: 'm/44\'/0\'/0\'/0/0 (Bitcoin, BIP44)',
+            ethereum: 'm/44\'/60\'/0\'/0/0 (Ethereum, BIP44)',
+            etiqueta: 'Derivation path (with a recovery phrase):'
+        },
+        subtitulo: 'Generate a cryptographic key pair for the encryption/decryption system',
+        tamano: {
+            '1024': '1024 bits (testing only, insecure)',
+            '2048': '2048 bits (recommended)',
+            '3072': '3072 bits',
+            '4096': '4096 bits (more secure, slow to generate)',
+            etiqueta: 'Key size:'
+        },
+        titulo: '🔐 RSA Key Generator',
+        sugerencias: [
+            'Reload the page and try again',
+            'If the problem persists, try another key size or another browser'
+        ],
+        sugerenciasFrase: {
+            length: [
+                'Type every word of the phrase separated by spaces',
+                'BIP39 phrases have 12, 15, 18, 21 or 24 words'
+            ],
+            'unknown-word': [
+                'Check the spelling: the words come from the English BIP39 word list',
+                'The first 4 letters of each word are enough to find it in the list'
+            ],
+            checksum: [
+                'Check that no word is missing and that they are in the same order you wrote them down',
+                'A single word swapped for another one from the list makes the checksum fail'
+            ]
+        },
+        sugerenciasConversion: [
+            'Paste the whole key: in PEM, with the -----BEGIN ...----- and -----END ...----- lines',
+            'In JWK, paste the whole JSON object; in OpenSSH, the full ssh-rsa line or the BEGIN OPENSSH PRIVATE KEY block',
+            'Only RSA keys can be converted: Ed25519, ECDSA or secp256k1 keys have no equivalent in these formats'
+        ],
+        errores: {
+            generar: 'Error generating keys: {mensaje}',
+            fraseVacia: 'Type the recovery phrase',
+            fraseNoValida: 'Invalid recovery phrase: {mensaje}',
+            recuperar: 'Error recovering keys: {mensaje}',
+            webcrypto: 'WebCrypto rejected the key parameters',
+            worker: 'Error: The key generation could not be started in the background.',
+            incompletas: 'The keys could not be generated correctly'
+        },
+        fase: {
+            semilla: 'Looking for two {bits}-bit prime numbers from the recovery phrase...',
+            candidatos: 'Looking for two {bits}-bit prime numbers from the recovery phrase: {candidatos} candidates tested',
+            webcrypto: 'Looking for two {bits}-bit prime numbers with WebCrypto...',
+            hiloPrincipal: 'Generating on the main thread (cannot be cancelled)...'
+        },
+        cancelada: {
+            titulo: '⏹️ Generation cancelled',
+            texto: 'No key pair has been generated. You can try again whenever you want.',
+            notificacion: '⏹️ Key generation cancelled'
+        },
+        claves: {
+            tituloRecuperadas: '♻️ Keys Recovered from the Phrase',
+            titulo: '✅ Keys Generated Successfully',
+            opcionesFrase: '{tamano} RSA, exponent {exponente}',
+            informacion: 'Key pair information:',
+            fecha: 'Created:',
+            algoritmo: 'Algorithm:',
+            tamano: 'Size:',
+            exponente: 'Public exponent:',
+            huella: 'SHA-256 fingerprint:',
+            ayudaHuella: '💡 The fingerprint identifies the key pair: the Encoder and the Decoder show the same fingerprint for the public and the private key',
+            publica: '🔓 PUBLIC KEY (Shareable)',
+            publicaTexto: 'This key can be shared freely. It is used to decrypt messages.',
+            publicaCopiada: '✅ Public key copied to the clipboard',
+            copiarPublica: '📋 Copy Public Key',
+            enlace: '🔗 Link to Receive Messages',
+            enlaceAyuda: 'Share this link with anyone who wants to send you encrypted messages: it opens the Encoder with your public key already pasted. The key travels inside the link, after the #, and is never sent to any server.',
+            privada: '🔒 PRIVATE KEY (KEEP IT SECRET!)',
+            privadaAviso: 'This key must be kept secret. Anyone with access to it will be able to sign messages on your behalf. Do not share it with anyone.',
+            privadaCopiada: '✅ Private key copied to the clipboard',
+            copiarPrivada: '📋 Copy Private Key',
+            convertir: '🔄 Convert to Another Format',
+            pasos: '<li>Copy both keys and keep them in a safe place</li><li>Use the <strong>private key</strong> in the <em>Encoder</em></li><li>Use the <strong>public key</strong> in the <em>Decoder</em></li><li>Sign messages with the <strong>private key</strong> in the <em>Signer</em></li>'
+        },
+        proteger: {
+            titulo: '🛡️ EXPORT A PASSWORD-PROTECTED PRIVATE KEY',
+            texto: 'Encrypt the private key with a password (encrypted PKCS#8: PBKDF2 + AES-256-CBC) so you can store or send it without exposing it. The Decoder will ask you for the password.',
+            contrasena: 'Password (at least 8 characters)',
+            confirmar: 'Repeat the password',
+            boton: '🛡️ Encrypt Private Key',
+            copiada: '✅ Protected private key copied to the clipboard',
+            copiar: '📋 Copy Protected Private Key',
+            corta: '❌ The password must be at least 8 characters long',
+            noCoinciden: '❌ The passwords do not match',
+            hecho: '✅ Private key protected with a password',
+            error: '❌ The private key could not be encrypted'
+        },
+        llavero: {
+            titulo: '💾 SAVE TO THE KEYRING',
+            texto: 'Save the key pair in this browser to choose it by name in the Encoder and the Decoder. The private key is stored encrypted with the keyring master password.',
+            nombre: 'Key pair name (e.g. My keys)',
+            boton: '💾 Save to the Keyring',
+            sinNombre: '❌ Type a name for the key pair',
+            maestraCorta: '❌ The master password must be at least 8 characters long'
+        },
+        secp256k1: {
+            tituloRecuperada: '♻️ Key Recovered from the Phrase',
+            titulo: '✅ secp256k1 Key Generated Successfully',
+            opcionesFrase: 'secp256k1, path {ruta}',
+            informacion: 'Key information:',
+            detalles: '🔐 <strong>Algorithm:</strong> ECDSA over the secp256k1 curve (Bitcoin and Ethereum)<br>📏 <strong>Private key:</strong> 256 bits · <strong>Public key:</strong> point on the curve (33 or 65 bytes)',
+            ayudaDirecciones: '💡 The addresses are calculated from the public key: anyone can check that a signature belongs to an address, but nobody can obtain the private key from it',
+            direcciones: '📬 ADDRESSES (Shareable)',
+            p2pkhTexto: '₿ <strong>Bitcoin P2PKH</strong> (starts with 1): HASH160 of the compressed public key in Base58Check.',
+            p2pkh: 'P2PKH address',
+            bech32Texto: '₿ <strong>Bitcoin Bech32</strong> (SegWit, starts with bc1q): the same HASH160 with a BCH error-detecting code.',
+            bech32: 'Bech32 address',
+            ethereumTexto: 'Ξ <strong>Ethereum</strong>: last 20 bytes of the Keccak-256 of the public key, with checksum capitalization (EIP-55).',
+            ethereum: 'Ethereum address',
+            publicaTexto: 'Compressed (02/03 + x, the one used today) and uncompressed (04 + x + y). Either of them can verify signatures in the <em>Signer</em>.',
+            comprimida: 'Compressed public key',
+            sinComprimir: 'Uncompressed public key',
+            privadaAviso: 'Whoever has this key controls the funds of the addresses above. This page is for learning: do not send real money to addresses generated here.',
+            privadaTexto: 'In hexadecimal (32 bytes) and in WIF, the format that Bitcoin wallets import.',
+            privadaHex: 'Private key (hex)',
+            privadaWif: 'Private key (WIF)',
+            pasos: '<li>Open the <em>Signer</em> and choose the <strong>ECDSA secp256k1</strong> algorithm</li><li>Sign a message with the <strong>private key</strong> (hexadecimal or WIF)</li><li>Verify the signature with the <strong>public key</strong> (compressed or uncompressed)</li>'
+        },
+        cargando: {
+            titulo: 'Generating a {bits}-bit RSA key pair...',
+            tituloFrase: 'Generating a {bits}-bit RSA key pair from the recovery phrase...',
+            preparando: 'Preparing the generation...',
+            tiempo: '⏱️ Elapsed time:',
+            avisoGrande: '· 4096-bit keys can take more than a minute',
+            avisoFrase: '· Generation from a phrase does not use WebCrypto and takes a little longer',
+            cancelar: '⏹️ Cancel'
+        },
+        conversion: {
+            noReconocido: '⚠️ The key format is not recognized',
+            detectadaPrivada: '🔍 Detected format: {formato} · {protegida}private key',
+            detectadaPublica: '🔍 Detected format: {formato} · {protegida}public key',
+            protegida: 'password-protected ',
+            vacia: 'Paste the key you want to convert',
+            formatoDesconocido: 'The key format is not recognized',
+            sinContrasena: 'The private key is protected: type its password to convert it',
+            titulo: '✅ Key Converted',
+            conversion: 'Conversion:',
+            privada: 'private key',
+            publica: 'public key',
+            ayudaHuella: '💡 The fingerprint does not change when converting: it is the same key written in another way',
+            avisoPrivada: 'The converted key is a private key and is not protected with a password. Do not share it.',
+            claveEn: '🔑 KEY IN {formato}',
+            copiada: '✅ Converted key copied to the clipboard',
+            copiar: '📋 Copy Converted Key'
+        },
+        sugerenciaContrasena: 'Check the password: it is case-sensitive'
+    },
+    codificador: {
+        enlace: {
+            boton: '🔗 Create Link',
+            ayuda: 'Whoever opens this link will see the Decoder with the ciphertext already pasted; they only need to add their private key. The text travels inside the link, after the #, and is never sent to any server.',
+            claveRecibida: '🔗 Public key loaded from the link'
+        },
+        archivo: {
+            ayuda: '💡 You will get an <strong>.enc</strong> file that keeps the name and type of the original',
+            boton: '📁 ENCRYPT FILE',
+            descripcion: 'It is encrypted with the public key from step 1',
+            titulo: '📁 Do you want to encrypt a file (image, PDF, spreadsheet...)?',
+            zona: '📁 Drop a file here or click to choose it'
+        },
+        ayuda: '<p><strong>If you have no keys:</strong></p> <ol style="margin: 10px 0 0 20px;"> <li>Go to the <strong>Key Generator</strong></li> <li>Generate a new key pair</li> <li>Keep both keys in a safe place</li> <li>Come back here and paste your private key</li> </ol> <p style="margin-top: 15px;"><strong>Common mistakes:</strong></p> <ul style="margin: 10px 0 0 20px;"> <li>Make sure you copy the whole key (including BEGIN and END)</li> <li>Do not include extra spaces at the beginning or the end</li> <li>Check that you are using the PUBLIC key (not the private one)</li> </ul>',
+        cifrar: '🔐 ENCRYPT MESSAGE',
+        clave: {
+            ayuda: '💡 Copy the whole public key you generated before, or choose it from the keyring. PEM (SPKI or PKCS#1), JWK and OpenSSH (ssh-rsa) are supported. To send the same message to several recipients, paste several public keys one after another (or choose several from the keyring, one at a time)',
+            etiqueta: 'Enter the Public Key:',
+            leerQR: '📷 Read from a QR Code'
+        },
+        info: {
+            texto: 'This program encrypts messages with the <strong>public key</strong>. The resulting encrypted message can only be decrypted with the matching <strong>private key</strong> in the Decoder.',
+            titulo: 'ℹ️ How does it work?'
+        },
+        llavero: {
+            eliminar: 'Delete the selected key from the keyring',
+            guardarContacto: '👤 Save as contact',
+            nombreContacto: 'Contact name',
+            sinNombre: '❌ Type a name for the contact',
+            unaClave: '❌ Leave exactly one public key in the field to save it'
+        },
+        meta: {
+            descripcion: 'RSA Encoder - Encrypt messages with a public key',
+            titulo: 'Encoder - RSA Encryption System'
+        },
+        modo: {
+            auto: 'Automatic (hybrid only if the message does not fit in RSA)',
+            ayuda: '💡 In hybrid mode, a random AES key encrypts the message and RSA encrypts that key',
+            etiqueta: 'Encryption mode:',
+            hibrido: 'Hybrid RSA + AES-GCM (messages of any length)',
+            rsa: 'Direct RSA (short messages)'
+        },
+        recordatorio: '<strong>⚠️ Reminder:</strong> The public key can be shared freely. Only share the resulting <strong>encrypted text</strong>. The <strong>private key</strong> must be kept secret.',
+        subtitulo: 'Encrypt your message with the RSA public key',
+        texto: {
+            ayuda: '📏 No length limit in hybrid mode | 💡 Press <kbd style="background: #eee; padding: 2px 6px; border-radius: 3px;">Ctrl</kbd> + <kbd style="background: #eee; padding: 2px 6px; border-radius: 3px;">Enter</kbd> to encrypt',
+            etiqueta: 'Type the text to encrypt:',
+            placeholder: 'Type your secret message here...'
+        },
+        titulo: '🔒 ENCODER',
+        sugerencias: [
+            'Check that you copied the whole public key: in PEM, with the BEGIN and END lines; in OpenSSH, the full ssh-rsa line; in JWK, the whole JSON',
+            'Make sure the text is not empty',
+            'If the problem persists, generate a new key pair'
+        ],
+        errores: {
+            textoVacio: 'You must enter a text to encrypt',
+            rsaVariosDestinatarios: 'Direct RSA only supports one recipient. For several recipients use automatic or hybrid mode.',
+            inesperado: 'Unexpected error: {mensaje}',
+            claveVacia: 'You must enter the public key',
+            claveNoValida: 'The public key does not have a valid format. PEM ("-----BEGIN PUBLIC KEY-----" or "-----BEGIN RSA PUBLIC KEY-----"), JWK (JSON) and OpenSSH ("ssh-rsa AAAA...") keys are supported',
+            cifrar: 'Error encrypting: {mensaje}',
+            archivoVariosDestinatarios: 'Files are encrypted for a single recipient. Leave only one public key in step 1.',
+            sinArchivo: 'You must choose a file to encrypt',
+            archivoGrande: 'The file takes {tamano} and the maximum is {maximo}',
+            cifrarArchivo: 'Error encrypting the file: {mensaje}'
+        },
+        procesando: {
+            mensaje: 'Encrypting message with RSA...',
+            archivo: 'Encrypting file with RSA + AES-GCM...'
+        },
+        advertencia: {
+            hibrido: 'The message is longer than the {limite} bytes that direct RSA supports. Hybrid RSA + AES-GCM mode will be used.'
+        },
+        cifrado: {
+            titulo: '✅ Text Encrypted Successfully',
+            estadisticas: '📊 Encryption statistics:',
+            destinatarios: 'Recipients ({total}):',
+            longitudOriginal: 'Original length:',
+            expansion: 'Expansion:',
+            original: '📝 ORIGINAL TEXT:',
+            cifrado: '🔒 ENCRYPTED TEXT:',
+            ayuda: 'This is the encrypted text. Copy it and use it in the Decoder together with the private key.',
+            copiado: '✅ Encrypted text copied to the clipboard',
+            copiar: '📋 Copy Encrypted Text',
+            registro: '⛓️ Add to the Ledger',
+            merkle: '🌳 Add to the Merkle Tree',
+            pasos: '<li>Copy the encrypted text with the button above</li><li>Open the <strong>Decoder</strong> program</li><li>Paste the matching <strong>private key</strong></li><li>Paste the <strong>encrypted text</strong> to recover the original message</li>',
+            otro: '🔄 Encrypt Another Message'
+        },
+        archivoCifrado: {
+            titulo: '✅ File Encrypted Successfully',
+            archivo: 'File:',
+            tipoDesconocido: 'unknown type',
+            tamanoOriginal: 'Original size:',
+            tamanoCifrado: 'Encrypted size:',
+            etiqueta: '🔒 ENCRYPTED FILE:',
+            ayuda: 'Download the file and open it in the Decoder together with the private key.'
+        },
+        qr: {
+            sinClave: '❌ The QR code does not contain any public key',
+            leida: '✅ Public key read from the QR code'
+        },
+        limpiado: '✅ Form cleared. You can encrypt another message.',
+        destinatarios: '👥 {total} recipients'
+    },
+    decodificador: {
+        enlace: {
+            textoRecibido: '🔗 Ciphertext loaded from the link: paste your private key'
+        },
+        archivo: {
+            ayuda: '💡 The original file will be restored with its name and type',
+            boton: '📁 DECRYPT FILE',
+            descripcion: 'It is decrypted with the private key from step 1',
+            titulo: '📁 Did you receive an encrypted file (.enc)?',
+            zona: '📁 Drop the .enc file here or click to choose it'
+        },
+        asimetrica: {
+            texto: 'This system uses <strong>RSA asymmetric cryptography</strong>. What is encrypted with the public key can only be decrypted with its matching private key. This is the fundamental principle of RSA used for <strong>secure communication</strong> and in <strong>blockchain</strong> to protect transactions.',
+            titulo: '🔐 About Asymmetric Cryptography:'
+        },
+        ayuda: '<p><strong>If decryption fails:</strong></p> <ul style="margin: 10px 0 0 20px;"> <li><strong>Check the keys:</strong> Make sure you use the right key pair</li> <li><strong>Whole encrypted text:</strong> Copy all of the encrypted text without changes</li> <li><strong>Right format:</strong> The private key must include the BEGIN and END lines</li> <li><strong>Matching pair:</strong> The private key must match the public key used for encryption</li> </ul> <p style="margin-top: 15px;"><strong>Full process:</strong></p> <ol style="margin: 10px 0 0 20px;"> <li>Generate a key pair in the <strong>Generator</strong></li> <li>Encrypt a message with the <strong>public key</strong> in the <strong>Encoder</strong></li> <li>Decrypt the message with the <strong>private key</strong> here in the <strong>Decoder</strong></li> </ol>',
+        clave: {
+            ayuda: '💡 Use the private key that matches the public key used for encryption. PEM (PKCS#8 or PKCS#1, also password-protected), JWK and OpenSSH without a password are supported',
+            etiqueta: 'Enter the Private Key:'
+        },
+        comprobar: {
+            ayuda: '💡 If the encrypted text comes in an envelope, its fingerprint is checked automatically',
+            boton: '🔍 Check Key Pair',
+            placeholder: 'Paste the recipient public key (PEM, JWK or OpenSSH) or its fingerprint (SHA256:3f:9a:...)',
+            titulo: '🔍 Check the key before decrypting (optional)'
+        },
+        contrasena: {
+            ayuda: '💡 The key is decrypted in memory only; it is never stored unprotected',
+            etiqueta: 'Private key password:',
+            placeholder: 'The private key is protected with a password'
+        },
+        descifrar: '🔓 DECRYPT MESSAGE',
+        info: {
+            texto: 'This program decrypts messages that were encrypted with a <strong>public key</strong>. To decrypt them correctly, you need the <strong>private key</strong> that matches the public key used for encryption.',
+            titulo: 'ℹ️ How does it work?'
+        },
+        llavero: {
+            desbloquear: '🔓 Unlock',
+            sinMaestra: '❌ Enter the keyring master password',
+            desbloqueada: '✅ Private key unlocked'
+        },
+        meta: {
+            descripcion: 'RSA Decoder - Decrypt messages with a private key',
+            titulo: 'Decoder - RSA Encryption System'
+        },
+        subtitulo: 'Decrypt messages with the RSA private key',
+        texto: {
+            ayuda: '🔐 This is the encrypted text produced by the Encoder | 💡 Press <kbd style="background: #eee; padding: 2px 6px; border-radius: 3px;">Ctrl</kbd> + <kbd style="background: #eee; padding: 2px 6px; border-radius: 3px;">Enter</kbd> to decrypt',
+            etiqueta: 'Paste the encrypted text:',
+            leerQR: '📷 Read from QR Codes',
+            placeholder: 'Paste here the encrypted text you got from the Encoder...'
+        },
+        titulo: '🔓 DECODER',
+        sugerencias: [
+            'Check that you copied the whole private key (including the BEGIN and END lines, or the whole JSON of the JWK)',
+            'Make sure the encrypted text is correct',
+            'Confirm that you are using the right key pair'
+        ],
+        errores: {
+            textoVacio: 'You must enter the encrypted text',
+            inesperado: 'Unexpected error: {mensaje}',
+            claveVacia: 'You must enter the private key',
+            variasClaves: 'There are {total} keys in the field. To decrypt, leave only the private key of the recipient.',
+            sinContrasena: 'This private key is protected with a password. Enter the password to use it.',
+            vacio: 'The text could not be decrypted. Check that the private key is the right one and that it matches the public key used for encryption.',
+            comprobacionNoValida: 'The "Check the key" field must contain a public key (PEM, JWK or OpenSSH) or a SHA-256 fingerprint.',
+            sinEsperada: 'Paste the recipient public key (or its fingerprint) in "Check the key", or an encrypted text with an envelope.',
+            sinArchivo: 'You must choose the .enc file you want to decrypt'
+        },
+        procesando: {
+            mensaje: 'Decrypting message with RSA...',
+            archivo: 'Decrypting file with RSA + AES-GCM...'
+        },
+        sinSobre: 'Text without an envelope (older format)',
+        fechaNoIndicada: 'Not specified',
+        modoVariosDestinatarios: 'Hybrid for several recipients (RSA + AES-256-GCM)',
+        comprobacion: {
+            titulo: '✅ The private key is the right one',
+            coincide: {
+                clave: 'Its fingerprint matches the given public key:',
+                huella: 'Its fingerprint matches the given fingerprint:',
+                sobre: 'Its fingerprint matches one of the envelope recipients:'
+            }
+        },
+        claveIncorrecta: {
+            titulo: '❌ Wrong key',
+            texto: {
+                clave: 'This private key does not match the given public key, so it cannot decrypt the message.',
+                huella: 'This private key does not match the given fingerprint, so it cannot decrypt the message.',
+                sobre: 'This private key does not match any of the envelope recipients, so it cannot decrypt the message.'
+            },
+            huellas: '🔏 SHA-256 fingerprints:',
+            tuClave: 'Your private key:',
+            esperada: 'Expected:',
+            solucion: '💡 Solution:',
+            solucionTexto: 'Use the private key of the pair whose public key was used for encryption. If you saved it in the keyring, look for its fingerprint in the drop-down list.'
+        },
+        variasClaves: '⚠️ There are {total} keys in the field: leave only your private key',
+        claveProtegida: '🔒 Password-protected key: its fingerprint will be checked when decrypting',
+        archivoDescifrado: {
+            titulo: '✅ File Decrypted Successfully',
+            recuperado: '📊 Recovered file:',
+            nombre: 'Name:',
+            tipo: 'Type:',
+            tipoDesconocido: 'unknown',
+            tamano: 'Size:'
+        },
+        otro: '🔄 Decrypt Another',
+        descifrado: {
+            titulo: '✅ Text Decrypted Successfully',
+            estadisticas: '📊 Decryption statistics:',
+            destinatarios: 'Recipients:',
+            noIndicados: 'Not specified',
+            tuClave: ' ← your key',
+            fecha: 'Encrypted on:',
+            longitudDescifrada: 'Decrypted length:',
+            reduccion: 'Reduction:',
+            mensaje: '✨ ORIGINAL MESSAGE RECOVERED:',
+            completado: '🎉 Decryption completed successfully!',
+            explicacion: 'The message has been recovered correctly. This process shows how asymmetric cryptography works: what is encrypted with the <strong>public key</strong> can only be decrypted with the matching <strong>private key</strong>.',
+            copiar: '📋 Copy Message',
+            copiado: '✅ Decrypted message copied to the clipboard'
+        },
+        fallo: {
+            titulo: '❌ The message could not be decrypted',
+            texto: 'Decryption failed. This can happen for several reasons:',
+            causas: '⚠️ Possible causes:',
+            listaCausas: '<li><strong>Keys that do not match:</strong> The private key does not match the public key used for encryption</li><li><strong>Wrong encrypted text:</strong> The encrypted text is incomplete or was modified</li><li><strong>Invalid format:</strong> The private key or the encrypted text has a wrong format</li>',
+            soluciones: '🔧 Solutions:',
+            listaSoluciones: '<li>Check that you are using the <strong>same private key</strong> that matches the public key used for encryption</li><li>Make sure you copied the <strong>whole encrypted text</strong></li><li>Generate a new key pair and repeat the whole process</li>',
+            detalles: '📋 Technical details of the error'
+        },
+        qr: {
+            leido: '✅ Encrypted text read from the QR code'
+        },
+        limpiado: '✅ Form cleared. You can decrypt another message.'
+    }
+};
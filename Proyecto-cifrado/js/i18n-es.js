@@ -0,0 +1,692 @@
+/**
+ * ============================================================================
+ * I18N-ES - Mensajes de la interfaz en español
+ * ============================================================================
+ *
+ * Catálogo de i18n.js en español, el idioma por defecto: si falta un
+ * mensaje en otro catálogo, se usa el de aquí. Los mensajes se agrupan por
+ * página (generador, codificador, decodificador) y los compartidos van en
+ * comun, clave y qr.
+ *
+ * Los {parámetros} se sustituyen al traducir. Los mensajes que acaban en
+ * un atributo onclick (avisos de copiado) no pueden llevar apóstrofos.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+export const MENSAJES_ES = {
+    comun: {
+        campo: {
+            copiado: '✅ Copiado al portapapeles: {nombre}',
+            copiar: '📋 Copiar {nombre}'
+        },
+        ayuda: '❓ ¿Necesitas ayuda?',
+        llavero: {
+            contrasenaMaestra: 'Contraseña maestra del llavero',
+            elegir: '📒 Elegir del llavero...',
+            guardado: '✅ "{nombre}" guardado en el llavero',
+            sinSeleccion: '❌ Elige primero una clave del llavero',
+            confirmarEliminar: '¿Eliminar {descripcion} del llavero?',
+            eliminada: '✅ Clave eliminada del llavero'
+        },
+        nav: {
+            codificador: '🔒 Ir al Codificador',
+            decodificador: '🔓 Ir al Decodificador',
+            firmador: '✍️ Ir al Firmador',
+            generador: '🔑 Generador de Claves',
+            merkle: '🌳 Ir al Árbol de Merkle',
+            acuerdo: '🤝 Ir al Acuerdo de Claves',
+            registro: '⛓️ Ir al Registro',
+            titulo: '🔗 Navega entre programas:',
+            transacciones: '💸 Ir a Transacciones'
+        },
+        pie: 'Caso Práctico 1 - Cifrado | Blockchain - UD1',
+        idioma: 'Idioma',
+        copiado: '✅ Texto copiado al portapapeles',
+        errorCopiarManual: '❌ Error al copiar. Selecciona y copia manualmente.',
+        errorCopiar: '❌ Error al copiar',
+        portapapelesVaciado: '🧹 Portapapeles vaciado',
+        error: '❌ Error',
+        sugerencias: '💡 Sugerencias:',
+        importante: '⚠️ IMPORTANTE:',
+        mostrarQR: '📱 Mostrar Código QR',
+        proximosPasos: '📝 Próximos pasos:',
+        advertencia: '⚠️ Advertencia:',
+        sobre: 'Sobre {etiqueta} v{version}',
+        modoHibrido: 'Híbrido (RSA + AES-256-GCM)',
+        modoRSA: 'RSA directo',
+        estadisticas: {
+            formato: 'Formato:',
+            modo: 'Modo:',
+            relleno: 'Relleno RSA:',
+            longitudCifrada: 'Longitud cifrada:',
+            caracteres: '{total} caracteres'
+        },
+        descargarArchivo: '💾 Descargar {nombre}'
+    },
+    clave: {
+        resumenPrivada: '🔍 {formato} · clave privada{protegida}',
+        resumenPublica: '🔍 {formato} · clave pública{protegida}',
+        formatoDesconocido: 'Formato desconocido',
+        protegida: ' protegida',
+        resumenRSA: ' RSA de {bits} bits · e = {exponente}',
+        numero: 'Clave {numero} (línea {linea}):',
+        variosProblemas: 'La clave tiene varios problemas:',
+        noSePuedeUsar: 'La clave no se puede usar:',
+        huella: '🔏 Huella: {huella}',
+        sinHuella: '⚠️ No se puede calcular la huella de esta clave',
+        diagnostico: {
+            'missing-begin': 'Falta la línea -----BEGIN {label}-----: la clave parece cortada al principio.',
+            'foreign-label': {
+                'EC PRIVATE KEY': 'Es una clave privada EC (curva elíptica), no RSA.',
+                'EC PARAMETERS': 'Es la descripción de una curva elíptica, no una clave RSA.',
+                'DSA PRIVATE KEY': 'Es una clave privada DSA, no RSA.',
+                'CERTIFICATE': 'Es un certificado X.509, no una clave. Extrae su clave pública con: openssl x509 -pubkey -noout -in certificado.pem',
+                'CERTIFICATE REQUEST': 'Es una solicitud de certificado (CSR), no una clave.',
+                'PGP PUBLIC KEY BLOCK': 'Es una clave pública PGP, un formato que esta aplicación no admite.',
+                'PGP PRIVATE KEY BLOCK': 'Es una clave privada PGP, un formato que esta aplicación no admite.',
+                'SSH2 PUBLIC KEY': 'Es una clave pública SSH2 (RFC 4716). Conviértela a OpenSSH con: ssh-keygen -i -f clave.pub',
+                'RSA-DEMO MESSAGE': 'Es un texto cifrado, no una clave.'
+            },
+            'missing-end': 'Falta la línea -----END {label}-----: la clave parece cortada al final.',
+            'label-mismatch': 'La línea {endLine} cierra "{endLabel}", pero la clave empieza con "{label}" en la línea {beginLine}.',
+            'legacy-encryption': 'La clave está cifrada con el formato antiguo de OpenSSL (Proc-Type: 4,ENCRYPTED), que no se admite. Conviértela a PKCS#8 cifrado con: openssl pkcs8 -topk8 -in clave.pem -out clave-pkcs8.pem',
+            'empty-body': 'La clave no tiene contenido entre las líneas BEGIN y END (líneas {beginLine} y {endLine}).',
+            'invalid-character': 'Carácter no válido {character} en la línea {line}, columna {column}: el cuerpo de una clave PEM solo admite caracteres Base64 (A-Z, a-z, 0-9, +, / y =).',
+            'misplaced-padding': 'El relleno "=" de la línea {line} está fuera de lugar: solo puede aparecer al final de la última línea.',
+            'one-more-base64-error': '... y 1 línea más con errores de Base64.',
+            'more-base64-errors': '... y {rest} líneas más con errores de Base64.',
+            'base64-length': 'El cuerpo Base64 tiene {characters} caracteres, que no es múltiplo de 4: la clave está cortada o tiene caracteres de más.',
+            'not-a-sequence': 'El contenido DER no empieza por una SEQUENCE (0x30) sino por 0x{byte}: no es una clave o el Base64 está dañado.',
+            'truncated-der': 'La estructura DER declara {declared} bytes pero solo contiene {available}: la clave está cortada (faltan {missing} bytes).',
+            'trailing-der': 'Sobran {extra} bytes después de la estructura DER: se han pegado datos de más tras la clave.',
+            'invalid-json': 'El JSON de la clave no es válido ({detail}).',
+            'missing-kty': 'El JSON no es una clave JWK: le falta el campo "kty".',
+            'unsupported-ssh': 'Las claves SSH de tipo "{type}" no se admiten; solo las ssh-rsa.',
+            'missing-armor': 'Parece el cuerpo Base64 de una clave sin sus líneas -----BEGIN ...----- y -----END ...-----. Cópiala completa, con esas dos líneas.',
+            'unknown-format': 'No se reconoce el formato de la clave. Debe ser PEM (PKCS#1 o PKCS#8/SPKI), JWK (JSON) u OpenSSH.',
+            'private-not-public': 'Es una clave privada: aquí se necesita la clave pública del destinatario. Obtenla en el Generador, con el conversor de formatos y la opción "solo la clave pública".',
+            'public-not-private': 'Es una clave pública: para descifrar hace falta la clave privada del par.',
+            'even-modulus': 'El módulo n es par, así que no es el producto de dos primos grandes: la clave está dañada.',
+            'short-modulus': 'El módulo tiene {bits} bits. Las claves de menos de 1024 bits se factorizan con facilidad y no se admiten.',
+            'weak-modulus': 'El módulo tiene {bits} bits, menos de los 2048 recomendados: sirve para aprender, pero no para proteger datos reales.',
+            'invalid-exponent': 'El exponente público e = {e} no es válido: debe ser impar, mayor que 1 y menor que el módulo.',
+            'unusual-exponent': 'Exponente público poco habitual (e = {e}); casi todas las claves usan 65537.',
+            'exponent-three': 'Exponente público poco habitual (e = 3); casi todas las claves usan 65537. Con e = 3 el relleno OAEP es imprescindible: nunca cifres con RSA sin relleno.',
+            'crt-exponents': 'Los exponentes CRT (dp y dq) no corresponden a e, p y q: la clave privada está dañada.',
+            'crt-coefficient': 'El coeficiente CRT qi no es el inverso de q módulo p: la clave privada está dañada.'
+        }
+    },
+    errores: {
+        claveNoValida: {
+            'der-truncated': 'Estructura DER truncada',
+            'der-length': 'Longitud DER no válida',
+            'der-not-integers': 'La estructura DER no es una lista de enteros.',
+            'invalid-private-key': 'La clave privada no es válida. Comprueba que esté completa, incluidas las líneas BEGIN y END.',
+            'invalid-public-key': 'La clave pública no es válida. Comprueba que esté completa, incluidas las líneas BEGIN y END.',
+            'pkcs8-damaged': 'La clave privada cifrada está dañada o no tiene una estructura PKCS#8 válida.',
+            'unknown-format': 'No se reconoce el formato de la clave. Debe ser PEM (PKCS#1 o PKCS#8/SPKI), JWK (JSON) u OpenSSH.',
+            'damaged-key': 'La clave {formato} está dañada o incompleta. Comprueba que la hayas copiado entera.',
+            'damaged-key-cause': 'La clave {formato} está dañada o incompleta ({causa}). Comprueba que la hayas copiado entera.',
+            'inconsistent-components': 'Los componentes de la clave privada no son coherentes: p · q no es igual al módulo n.',
+            'pkcs1-missing-exponent': 'A la clave pública PKCS#1 le falta el exponente.',
+            'pkcs1-missing-components': 'A la clave privada PKCS#1 le faltan componentes.',
+            'jwk-field': 'Al campo "{campo}" de la JWK le falta el valor en Base64URL.',
+            'openssh-truncated': 'La clave OpenSSH está truncada.',
+            'openssh-magic': 'La clave privada OpenSSH no empieza por "openssh-key-v1".',
+            'openssh-check': 'Los enteros de control de la clave OpenSSH no coinciden: la clave está dañada.',
+            'no-public-key': 'No se ha indicado ninguna clave pública. Se admiten claves PEM ("-----BEGIN PUBLIC KEY-----" o "-----BEGIN RSA PUBLIC KEY-----"), JWK y OpenSSH (ssh-rsa).',
+            'not-a-pair': 'La clave privada no corresponde a la clave pública: no forman un par.'
+        },
+        claveIncorrecta: {
+            'not-a-recipient': 'Clave incorrecta: la clave privada ({huella}) no corresponde a ningún destinatario del mensaje.',
+            'oaep-failed': 'No se pudo descifrar el bloque RSA-OAEP. Verifica que la clave privada corresponda a la clave pública usada para cifrar.',
+            'pkcs1-failed': 'No se pudo descifrar el bloque PKCS#1 v1.5. Verifica que la clave privada corresponda a la clave pública usada para cifrar.'
+        },
+        contrasenaIncorrecta: {
+            'wrong-password': 'Contraseña incorrecta: no se pudo descifrar la clave privada.',
+            'password-required': 'Esta clave privada está protegida con contraseña. Indica la contraseña para usarla.',
+            'master-password': 'La contraseña maestra no es correcta.'
+        },
+        formato: {
+            'recipients-damaged': 'La lista de destinatarios del texto cifrado está dañada.',
+            'message-not-file': 'El texto cifrado contiene un mensaje, no un archivo.',
+            'file-header': 'El archivo cifrado está dañado o incompleto: no se puede leer su nombre ni su tipo.',
+            'file-not-message': 'El texto cifrado contiene un archivo: descífralo como archivo para restaurarlo.',
+            'unknown-ciphertext': 'El texto cifrado no tiene un formato reconocido.',
+            'invalid-ciphertext': 'El texto cifrado no tiene un formato válido. Debe ser un sobre "-----BEGIN RSA-DEMO MESSAGE-----", empezar por RSA-OAEP., RSA-OAEP-AES., RSA-OAEP-FILE. o RSA-OAEP-MULTI., o ser Base64 (formato antiguo)',
+            'pbkdf2-iterations': 'La clave privada cifrada pide un número de iteraciones de PBKDF2 no válido (se admiten de 1 a {maximo}).',
+            'envelope-missing-end': 'El sobre está incompleto: falta la línea "-----END {etiqueta}-----".',
+            'envelope-header': 'La línea {linea} del sobre no es una cabecera válida (falta ":").',
+            'envelope-missing-version': 'Al sobre le falta la cabecera Version.',
+            'envelope-content': 'El contenido del sobre no tiene un formato de texto cifrado reconocido.',
+            'envelope-algorithm': 'La cabecera Algorithm del sobre no coincide con el contenido, que es {esquema}.',
+            'qr-too-long': 'El texto es demasiado largo para un código QR ({bytes} bytes).',
+            'qr-mode': 'El código QR usa un modo de datos desconocido.',
+            'qr-parts': 'Las partes leídas no forman el texto original: alguna está dañada o es de otro texto.'
+        },
+        integridad: {
+            'aes-gcm': 'Los datos cifrados fueron modificados o están incompletos (falló la verificación de AES-GCM).'
+        },
+        mensajeLargo: {
+            'message-too-long': 'El mensaje ocupa {longitud} bytes y RSA directo solo admite {limite} bytes con esta clave. Usa el modo híbrido.'
+        },
+        frase: {
+            length: 'La frase tiene {palabras} palabras y debe tener 12, 15, 18, 21 o 24.',
+            'unknown-word': 'Estas palabras no están en la lista BIP39 (inglés): {palabras}.',
+            checksum: 'El código de control de la frase no coincide: alguna palabra está cambiada o fuera de orden.',
+            quiza: '"{palabra}" (¿quizá "{sugerencia}"?)'
+        },
+        noAdmitido: {
+            'webcrypto': 'Este entorno no admite la API WebCrypto necesaria para cifrar y descifrar.',
+            'key-size': 'Tamaño de clave no admitido: {bits}. Usa {admitidos} bits.',
+            'exponent': 'Exponente público no admitido: {exponente}. Usa {admitidos}.',
+            'word-count': 'Número de palabras no admitido: {palabras}. Usa {admitidos}.',
+            'mode': 'Modo de cifrado no admitido: {modo}. Usa {admitidos}.',
+            'file-single-recipient': 'Los archivos se cifran para un único destinatario.',
+            'rsa-single-recipient': 'RSA directo solo admite un destinatario. Para varios destinatarios usa el modo automático o híbrido.',
+            'pkcs8-algorithm': 'La clave privada usa un algoritmo de protección no admitido. Se admiten PBKDF2 (HMAC-SHA1/SHA256) con AES-CBC.',
+            'envelope-version': 'La cabecera Version del sobre indica una versión no admitida. Esta aplicación admite la versión {version}.',
+            'multi-prime': 'Las claves RSA con más de dos primos no se admiten.',
+            'not-rsa': 'Solo se admiten claves RSA; esta clave es {algoritmo}.',
+            'jwk-not-rsa': 'Solo se admiten claves RSA; esta JWK es de tipo "{tipo}".',
+            'jwk-missing-primes': 'La JWK privada no incluye los factores primos (p, q...), necesarios en los demás formatos.',
+            'openssh-not-rsa': 'Solo se admiten claves RSA (ssh-rsa); esta clave OpenSSH es {tipo}.',
+            'openssh-protected': 'La clave OpenSSH está protegida con contraseña ({cifrado}). Quítale la protección con "ssh-keygen -p -N \'\' -f clave" o conviértela a PKCS#8 con "ssh-keygen -p -m PKCS8 -f clave".',
+            'openssh-several': 'El archivo OpenSSH contiene varias claves; convierte cada una por separado.',
+            'key-format': 'Formato de clave no admitido: {formato}. Usa {admitidos}.'
+        }
+    },
+    qr: {
+        alternativo: 'Código QR {parte} de {total}',
+        parte: 'Parte {parte} de {total}',
+        descargar: '⬇️ Descargar',
+        unCodigo: '📱 Escanéalo con la cámara del otro dispositivo, o descárgalo y súbelo en el Codificador o el Decodificador.',
+        variosCodigos: '📱 El texto no cabe en un solo código y se ha repartido en {total}. Se pueden leer en cualquier orden: al subirlos todos, se unen solos.',
+        ilegibles: ' · Sin código QR legible: {archivos}',
+        leido: '✅ Código QR leído',
+        unidas: '✅ Leídas y unidas las {total} partes',
+        faltan: '📷 Leídas las partes {recibidas} de {total}; sube también {faltan}',
+        ninguno: '❌ No se ha encontrado ningún código QR legible',
+        leyendo: '⏳ Leyendo los códigos QR...'
+    },
+    secretos: {
+        titulo: '🧹 Borrado automático de secretos',
+        textoGenerador: 'Las claves privadas, la frase de recuperación y las contraseñas se borran de la página cuando pasa el tiempo elegido sin usarla; mientras tanto se ve una cuenta atrás.',
+        textoDecodificador: 'La clave privada, las contraseñas y los mensajes y archivos descifrados se borran de la página cuando pasa el tiempo elegido sin usarla; mientras tanto se ve una cuenta atrás.',
+        portapapeles: 'Vaciar el portapapeles después de copiar:',
+        inactividad: 'Borrar los secretos tras un tiempo sin actividad:',
+        nunca: 'Nunca',
+        borrarAhora: '🧹 Borrar Ahora',
+        cuentaAtras: '🧹 Los secretos se borran en {tiempo}',
+        borrados: '🧹 Secretos borrados de la página',
+        borradosInactividad: '🧹 Secretos borrados por inactividad'
+    },
+    enlace: {
+        copiar: '📋 Copiar Enlace',
+        copiado: '✅ Enlace copiado al portapapeles',
+        largo: '⚠️ El enlace ocupa {total} caracteres: algunos programas de mensajería y correo cortan los enlaces tan largos',
+        invalido: '❌ El enlace no es válido: puede que esté cortado o modificado'
+    },
+    generador: {
+        algoritmo: {
+            etiqueta: 'Algoritmo:',
+            rsa: 'RSA (cifrar, descifrar y firmar)',
+            secp256k1: 'secp256k1 (ECDSA de Bitcoin y Ethereum, solo firmar)'
+        },
+        conversor: {
+            ayuda: 'Pega una clave pública o privada en PEM (PKCS#1 o PKCS#8/SPKI), JWK u OpenSSH y elige el formato de salida. La clave es la misma en todos los formatos, y su huella también.',
+            boton: '🔄 Convertir Clave',
+            clave: '-----BEGIN RSA PUBLIC KEY-----, { "kty": "RSA", ... } o ssh-rsa AAAAB3NzaC1yc2E...',
+            comentario: 'Comentario de OpenSSH o "kid" de JWK (opcional)',
+            contrasena: 'Contraseña de la clave privada protegida',
+            soloPublica: 'Convertir solo la clave pública (si se pega una clave privada)',
+            titulo: '🔄 Convertir el formato de una clave RSA'
+        },
+        exponente: {
+            '3': '3 (solo para pruebas)',
+            '65537': '65537 (estándar)',
+            ayuda: '💡 Casi todas las claves RSA reales usan e = 65537 (WebCrypto solo admite 3 y 65537)',
+            etiqueta: 'Exponente público (e):'
+        },
+        frase: {
+            '0': 'Sin frase (claves aleatorias)',
+            '12': '12 palabras',
+            '24': '24 palabras',
+            ayuda: '💡 Si usas contraseña adicional, la necesitarás junto con la frase para recuperar las claves: con otra contraseña se obtienen otras claves, sin ningún aviso de error',
+            contrasena: 'Contraseña adicional de la frase (opcional)',
+            etiqueta: 'Frase de recuperación (BIP39):',
+            conContrasena: ' y la <strong>contraseña adicional</strong>',
+            regeneradas: '♻️ Claves regeneradas a partir de tu frase de {palabras} palabras{contrasena} (<strong>{opciones}</strong>). Comprueba que coinciden con las que tenías, por ejemplo con la huella o la dirección.',
+            titulo: '📝 FRASE DE RECUPERACIÓN (BIP39) - ¡ESCRÍBELA EN PAPEL!',
+            aviso: 'Con estas {palabras} palabras, en este orden, cualquiera puede regenerar tu clave privada. Escríbelas en papel y guárdalas en un lugar seguro; no hagas capturas ni las guardes en el ordenador.',
+            recuperar: '♻️ Para recuperar las claves necesitarás la frase{contrasena} y las mismas opciones: <strong>{opciones}</strong>.',
+            copiada: '✅ Frase de recuperación copiada al portapapeles',
+            copiar: '📋 Copiar Frase'
+        },
+        generar: '🔑 Generar Par de Claves',
+        info: {
+            frase: 'Las claves pueden derivarse de una <strong>frase de recuperación</strong> de 12 o 24 palabras (BIP39): con la frase puedes volver a generar exactamente las mismas claves.',
+            secp256k1: 'También genera claves <strong>secp256k1</strong>, las de Bitcoin y Ethereum, con sus direcciones, para firmar mensajes en el <em>Firmador</em>.',
+            tamanos: 'Este programa genera un par de claves RSA de <strong>1024 a 4096 bits</strong> (2048 por defecto):',
+            titulo: 'ℹ️ Sobre este generador:',
+            usos: '<li><strong>Clave Privada:</strong> Úsala en el <em>Codificador</em> para cifrar mensajes</li> <li><strong>Clave Pública:</strong> Úsala en el <em>Decodificador</em> para descifrar mensajes</li>'
+        },
+        instrucciones: {
+            pasos: '<li>Elige el algoritmo y, con RSA, el tamaño de la clave y el exponente público</li> <li>Elige si quieres una frase de recuperación</li> <li>Haz clic en el botón "Generar Par de Claves"</li> <li>Espera mientras se generan las claves (puedes cancelar en cualquier momento)</li> <li>Copia y guarda ambas claves en un lugar seguro (y la frase, en papel)</li> <li>Usa la <strong>clave privada</strong> en el programa Codificador</li> <li>Usa la <strong>clave pública</strong> en el programa Decodificador</li>',
+            titulo: '📋 Instrucciones:'
+        },
+        meta: {
+            descripcion: 'Generador de claves RSA para sistema de cifrado asimétrico',
+            titulo: 'Generador de Claves RSA - Sistema de Cifrado'
+        },
+        navegacion: '🔗 Accede a los otros programas:',
+        notaSeguridad: '<strong>🔒 Nota de Seguridad:</strong> Las claves se generan localmente en tu navegador y no se envían a ningún servidor. Asegúrate de guardar tus claves de forma segura y <strong>nunca compartas tu clave privada</strong> con nadie.',
+        recuperar: {
+            ayuda: 'Elige arriba el mismo algoritmo y las mismas opciones (tamaño y exponente, o ruta de derivación) que cuando generaste las claves y escribe la frase.',
+            boton: '♻️ Recuperar Claves',
+            contrasena: 'Contraseña adicional de la frase (si la usaste)',
+            frase: 'Escribe las 12 o 24 palabras separadas por espacios',
+            titulo: '♻️ Recuperar claves desde una frase'
+        },
+        ruta: {
+            ayuda: '💡 Con la misma frase y la misma ruta, los monederos de Bitcoin y Ethereum obtienen la misma clave',
+            bitcoin: 'm/44\'/0\'/0\'/0/0 (Bitcoin, BIP44)',
+            ethereum: 'm/44\'/60\'/0\'/0/0 (Ethereum, BIP44)',
+            etiqueta: 'Ruta de derivación (con frase de recuperación):'
+        },
+        subtitulo: 'Genera un par de claves criptográficas para el sistema de cifrado/descifrado',
+        tamano: {
+            '1024': '1024 bits (solo para pruebas, inseguro)',
+            '2048': '2048 bits (recomendado)',
+            '3072': '3072 bits',
+            '4096': '4096 bits (más seguro, generación lenta)',
+            etiqueta: 'Tamaño de la clave:'
+        },
+        titulo: '🔐 Generador de Claves RSA',
+        sugerencias: [
+            'Recarga la página e intenta nuevamente',
+            'Si el problema persiste, prueba con otro tamaño de clave o con otro navegador'
+        ],
+        sugerenciasFrase: {
+            length: [
+                'Escribe todas las palabras de la frase separadas por espacios',
+                'Las frases BIP39 tienen 12, 15, 18, 21 o 24 palabras'
+            ],
+            'unknown-word': [
+                'Revisa la ortografía: las palabras son de la lista BIP39 en inglés',
+                'Basta con que las 4 primeras letras de cada palabra sean correctas para encontrarla en la lista'
+            ],
+            checksum: [
+                'Comprueba que no falta ninguna palabra y que están en el mismo orden en que las anotaste',
+                'Una sola palabra cambiada por otra de la lista hace que el código de control no coincida'
+            ]
+        },
+        sugerenciasConversion: [
+            'Pega la clave completa: en PEM, con las líneas -----BEGIN ...----- y -----END ...-----',
+            'En JWK, pega el objeto JSON entero; en OpenSSH, la línea ssh-rsa completa o el bloque BEGIN OPENSSH PRIVATE KEY',
+            'Solo se convierten claves RSA: las claves Ed25519, ECDSA o secp256k1 no tienen equivalente en estos formatos'
+        ],
+        errores: {
+            generar: 'Error al generar claves: {mensaje}',
+            fraseVacia: 'Escribe la frase de recuperación',
+            fraseNoValida: 'Frase de recuperación no válida: {mensaje}',
+            recuperar: 'Error al recuperar claves: {mensaje}',
+            webcrypto: 'WebCrypto rechazó los parámetros de la clave',
+            worker: 'Error: No se pudo iniciar la generación de claves en segundo plano.',
+            incompletas: 'No se pudieron generar las claves correctamente'
+        },
+        fase: {
+            semilla: 'Buscando dos números primos de {bits} bits a partir de la frase de recuperación...',
+            candidatos: 'Buscando dos números primos de {bits} bits a partir de la frase de recuperación: {candidatos} candidatos probados',
+            webcrypto: 'Buscando dos números primos de {bits} bits con WebCrypto...',
+            hiloPrincipal: 'Generando en el hilo principal (no se puede cancelar)...'
+        },
+        cancelada: {
+            titulo: '⏹️ Generación cancelada',
+            texto: 'No se ha generado ningún par de claves. Puedes volver a intentarlo cuando quieras.',
+            notificacion: '⏹️ Generación de claves cancelada'
+        },
+        claves: {
+            tituloRecuperadas: '♻️ Claves Recuperadas desde la Frase',
+            titulo: '✅ Claves Generadas con Éxito',
+            opcionesFrase: 'RSA de {tamano}, exponente {exponente}',
+            informacion: 'Información del par de claves:',
+            fecha: 'Fecha de creación:',
+            algoritmo: 'Algoritmo:',
+            tamano: 'Tamaño:',
+            exponente: 'Exponente público:',
+            huella: 'Huella SHA-256:',
+            ayudaHuella: '💡 La huella identifica el par de claves: el Codificador y el Decodificador muestran la misma huella para la clave pública y para la privada',
+            publica: '🔓 CLAVE PÚBLICA (Compartible)',
+            publicaTexto: 'Esta clave puede compartirse libremente. Se usa para descifrar mensajes.',
+            publicaCopiada: '✅ Clave pública copiada al portapapeles',
+            copiarPublica: '📋 Copiar Clave Pública',
+            enlace: '🔗 Enlace para Recibir Mensajes',
+            enlaceAyuda: 'Comparte este enlace con quien quiera enviarte mensajes cifrados: abre el Codificador con tu clave pública ya pegada. La clave va dentro del enlace, detrás de #, y no se envía a ningún servidor.',
+            privada: '🔒 CLAVE PRIVADA (¡MANTENER SECRETA!)',
+            privadaAviso: 'Esta clave debe mantenerse en secreto. Cualquiera que tenga acceso a ella podrá firmar mensajes en tu nombre. No la compartas con nadie.',
+            privadaCopiada: '✅ Clave privada copiada al portapapeles',
+            copiarPrivada: '📋 Copiar Clave Privada',
+            convertir: '🔄 Convertir a Otro Formato',
+            pasos: '<li>Copia ambas claves y guárdalas en un lugar seguro</li><li>Usa la <strong>clave privada</strong> en el <em>Codificador</em></li><li>Usa la <strong>clave pública</strong> en el <em>Decodificador</em></li><li>Firma mensajes con la <strong>clave privada</strong> en el <em>Firmador</em></li>'
+        },
+        proteger: {
+            titulo: '🛡️ EXPORTAR CLAVE PRIVADA PROTEGIDA CON CONTRASEÑA',
+            texto: 'Cifra la clave privada con una contraseña (PKCS#8 cifrado: PBKDF2 + AES-256-CBC) para poder guardarla o enviarla sin que quede expuesta. El Decodificador te pedirá la contraseña.',
+            contrasena: 'Contraseña (mínimo 8 caracteres)',
+            confirmar: 'Repite la contraseña',
+            boton: '🛡️ Cifrar Clave Privada',
+            copiada: '✅ Clave privada protegida copiada al portapapeles',
+            copiar: '📋 Copiar Clave Privada Protegida',
+            corta: '❌ La contraseña debe tener al menos 8 caracteres',
+            noCoinciden: '❌ Las contraseñas no coinciden',
+            hecho: '✅ Clave privada protegida con contraseña',
+            error: '❌ No se pudo cifrar la clave privada'
+        },
+        llavero: {
+            titulo: '💾 GUARDAR EN EL LLAVERO',
+            texto: 'Guarda el par de claves en este navegador para elegirlo por su nombre en el Codificador y el Decodificador. La clave privada se guarda cifrada con la contraseña maestra del llavero.',
+            nombre: 'Nombre del par de claves (p. ej. Mis claves)',
+            boton: '💾 Guardar en el Llavero',
+            sinNombre: '❌ Escribe un nombre para el par de claves',
+            maestraCorta: '❌ La contraseña maestra debe tener al menos 8 caracteres'
+        },
+        secp256k1: {
+            tituloRecuperada: '♻️ Clave Recuperada desde la Frase',
+            titulo: '✅ Clave secp256k1 Generada con Éxito',
+            opcionesFrase: 'secp256k1, ruta {ruta}',
+            informacion: 'Información de la clave:',
+            detalles: '🔐 <strong>Algoritmo:</strong> ECDSA sobre la curva secp256k1 (Bitcoin y Ethereum)<br>📏 <strong>Clave privada:</strong> 256 bits · <strong>Clave pública:</strong> punto de la curva (33 o 65 bytes)',
+            ayudaDirecciones: '💡 Las direcciones se calculan a partir de la clave pública: cualquiera puede comprobar que una firma corresponde a una dirección, pero nadie puede obtener la clave privada a partir de ella',
+            direcciones: '📬 DIRECCIONES (Compartibles)',
+            p2pkhTexto: '₿ <strong>Bitcoin P2PKH</strong> (empieza por 1): HASH160 de la clave pública comprimida en Base58Check.',
+            p2pkh: 'Dirección P2PKH',
+            bech32Texto: '₿ <strong>Bitcoin Bech32</strong> (SegWit, empieza por bc1q): el mismo HASH160 con código de errores BCH.',
+            bech32: 'Dirección Bech32',
+            ethereumTexto: 'Ξ <strong>Ethereum</strong>: últimos 20 bytes del Keccak-256 de la clave pública, con mayúsculas de control (EIP-55).',
+            ethereum: 'Dirección Ethereum',
+            publicaTexto: 'Comprimida (02/03 + x, la que se usa hoy) y sin comprimir (04 + x + y). Cualquiera de las dos sirve para verificar firmas en el <em>Firmador</em>.',
+            comprimida: 'Clave pública comprimida',
+            sinComprimir: 'Clave pública sin comprimir',
+            privadaAviso: 'Quien tenga esta clave controla los fondos de las direcciones anteriores. Esta página sirve para aprender: no envíes dinero real a direcciones generadas aquí.',
+            privadaTexto: 'En hexadecimal (32 bytes) y en WIF, el formato que importan los monederos de Bitcoin.',
+            privadaHex: 'Clave privada (hex)',
+            privadaWif: 'Clave privada (WIF)',
+            pasos: '<li>Abre el <em>Firmador</em> y elige el algoritmo <strong>ECDSA secp256k1</strong></li><li>Firma un mensaje con la <strong>clave privada</strong> (hexadecimal o WIF)</li><li>Verifica la firma con la <strong>clave pública</strong> (comprimida o sin comprimir)</li>'
+        },
+        cargando: {
+            titulo: 'Generando par de claves RSA de {bits} bits...',
+            tituloFrase: 'Generando par de claves RSA de {bits} bits a partir de la frase de recuperación...',
+            preparando: 'Preparando la generación...',
+            tiempo: '⏱️ Tiempo transcurrido:',
+            avisoGrande: '· Las claves de 4096 bits pueden tardar más de un minuto',
+            avisoFrase: '· La generación a partir de una frase no usa WebCrypto y tarda algo más',
+            cancelar: '⏹️ Cancelar'
+        },
+        conversion: {
+            noReconocido: '⚠️ No se reconoce el formato de la clave',
+            detectadaPrivada: '🔍 Formato detectado: {formato} · clave privada{protegida}',
+            detectadaPublica: '🔍 Formato detectado: {formato} · clave pública{protegida}',
+            protegida: ' protegida con contraseña',
+            vacia: 'Pega la clave que quieres convertir',
+            formatoDesconocido: 'No se reconoce el formato de la clave',
+            sinContrasena: 'La clave privada está protegida: escribe su contraseña para convertirla',
+            titulo: '✅ Clave Convertida',
+            conversion: 'Conversión:',
+            privada: 'clave privada',
+            publica: 'clave pública',
+            ayudaHuella: '💡 La huella no cambia al convertir: es la misma clave escrita de otra forma',
+            avisoPrivada: 'La clave convertida es una clave privada y no está protegida con contraseña. No la compartas.',
+            claveEn: '🔑 CLAVE EN {formato}',
+            copiada: '✅ Clave convertida copiada al portapapeles',
+            copiar: '📋 Copiar Clave Convertida'
+        },
+        sugerenciaContrasena: 'Comprueba la contraseña: se distinguen mayúsculas y minúsculas'
+    },
+    codificador: {
+        enlace: {
+            boton: '🔗 Crear Enlace',
+            ayuda: 'Quien abra este enlace verá el Decodificador con el texto cifrado ya pegado; solo tendrá que poner su clave privada. El texto va dentro del enlace, detrás de #, y no se envía a ningún servidor.',
+            claveRecibida: '🔗 Clave pública cargada desde el enlace'
+        },
+        archivo: {
+            ayuda: '💡 Obtendrás un archivo <strong>.enc</strong> que conserva el nombre y el tipo del original',
+            boton: '📁 CIFRAR ARCHIVO',
+            descripcion: 'Se cifra con la clave pública del paso 1',
+            titulo: '📁 ¿Quieres cifrar un archivo (imagen, PDF, hoja de cálculo...)?',
+            zona: '📁 Arrastra un archivo aquí o haz clic para elegirlo'
+        },
+        ayuda: '<p><strong>Si no tienes claves:</strong></p> <ol style="margin: 10px 0 0 20px;"> <li>Ve al <strong>Generador de Claves</strong></li> <li>Genera un nuevo par de claves</li> <li>Guarda ambas claves en un lugar seguro</li> <li>Regresa aquí y pega tu clave privada</li> </ol> <p style="margin-top: 15px;"><strong>Errores comunes:</strong></p> <ul style="margin: 10px 0 0 20px;"> <li>Asegúrate de copiar la clave completa (incluyendo BEGIN y END)</li> <li>No incluyas espacios extra al inicio o final</li> <li>Verifica que estés usando la clave PÚBLICA (no la privada)</li> </ul>',
+        cifrar: '🔐 CIFRAR MENSAJE',
+        clave: {
+            ayuda: '💡 Copia la clave pública completa que generaste previamente, o elígela del llavero. Se admiten PEM (SPKI o PKCS#1), JWK y OpenSSH (ssh-rsa). Para enviar el mismo mensaje a varios destinatarios, pega varias claves públicas seguidas (o elige varias del llavero, una tras otra)',
+            etiqueta: 'Ingresa la Clave Pública:',
+            leerQR: '📷 Leer desde un Código QR'
+        },
+        info: {
+            texto: 'Este programa cifra mensajes utilizando la <strong>clave pública</strong>. El mensaje cifrado resultante solo podrá ser descifrado con la <strong>clave privada</strong> correspondiente en el Decodificador.',
+            titulo: 'ℹ️ ¿Cómo funciona?'
+        },
+        llavero: {
+            eliminar: 'Eliminar la clave seleccionada del llavero',
+            guardarContacto: '👤 Guardar como contacto',
+            nombreContacto: 'Nombre del contacto',
+            sinNombre: '❌ Escribe un nombre para el contacto',
+            unaClave: '❌ Deja en el campo exactamente una clave pública para guardarla'
+        },
+        meta: {
+            descripcion: 'Codificador RSA - Cifra mensajes con clave pública',
+            titulo: 'Codificador - Sistema de Cifrado RSA'
+        },
+        modo: {
+            auto: 'Automático (híbrido solo si el mensaje no cabe en RSA)',
+            ayuda: '💡 En modo híbrido, una clave AES aleatoria cifra el mensaje y RSA cifra esa clave',
+            etiqueta: 'Modo de cifrado:',
+            hibrido: 'Híbrido RSA + AES-GCM (mensajes de cualquier longitud)',
+            rsa: 'RSA directo (mensajes cortos)'
+        },
+        recordatorio: '<strong>⚠️ Recordatorio:</strong> La clave pública puede compartirse libremente. Solo comparte el <strong>texto cifrado</strong> resultante. La <strong>clave privada</strong> debe mantenerse secreta.',
+        subtitulo: 'Cifra tu mensaje usando la clave pública RSA',
+        texto: {
+            ayuda: '📏 Sin límite de longitud en modo híbrido | 💡 Presiona <kbd style="background: #eee; padding: 2px 6px; border-radius: 3px;">Ctrl</kbd> + <kbd style="background: #eee; padding: 2px 6px; border-radius: 3px;">Enter</kbd> para cifrar',
+            etiqueta: 'Escribe el texto a cifrar:',
+            placeholder: 'Escribe aquí tu mensaje secreto...'
+        },
+        titulo: '🔒 CODIFICADOR',
+        sugerencias: [
+            'Verifica que hayas copiado la clave pública completa: en PEM, con las líneas BEGIN y END; en OpenSSH, la línea ssh-rsa entera; en JWK, todo el JSON',
+            'Asegúrate de que el texto no esté vacío',
+            'Si el problema persiste, genera un nuevo par de claves'
+        ],
+        errores: {
+            textoVacio: 'Debes ingresar un texto para cifrar',
+            rsaVariosDestinatarios: 'RSA directo solo admite un destinatario. Para varios destinatarios usa el modo automático o híbrido.',
+            inesperado: 'Error inesperado: {mensaje}',
+            claveVacia: 'Debes ingresar la clave pública',
+            claveNoValida: 'La clave pública no tiene un formato válido. Se admiten claves PEM ("-----BEGIN PUBLIC KEY-----" o "-----BEGIN RSA PUBLIC KEY-----"), JWK (JSON) y OpenSSH ("ssh-rsa AAAA...")',
+            cifrar: 'Error al cifrar: {mensaje}',
+            archivoVariosDestinatarios: 'Los archivos se cifran para un único destinatario. Deja solo una clave pública en el paso 1.',
+            sinArchivo: 'Debes elegir un archivo para cifrar',
+            archivoGrande: 'El archivo ocupa {tamano} y el máximo es {maximo}',
+            cifrarArchivo: 'Error al cifrar el archivo: {mensaje}'
+        },
+        procesando: {
+            mensaje: 'Cifrando mensaje con RSA...',
+            archivo: 'Cifrando archivo con RSA + AES-GCM...'
+        },
+        advertencia: {
+            hibrido: 'El mensaje supera los {limite} bytes que admite RSA directo. Se usará el modo híbrido RSA + AES-GCM.'
+        },
+        cifrado: {
+            titulo: '✅ Texto Cifrado Exitosamente',
+            estadisticas: '📊 Estadísticas del cifrado:',
+            destinatarios: 'Destinatarios ({total}):',
+            longitudOriginal: 'Longitud original:',
+            expansion: 'Expansión:',
+            original: '📝 TEXTO ORIGINAL:',
+            cifrado: '🔒 TEXTO CIFRADO:',
+            ayuda: 'Este es el texto cifrado. Cópialo y úsalo en el Decodificador junto con la clave privada.',
+            copiado: '✅ Texto cifrado copiado al portapapeles',
+            copiar: '📋 Copiar Texto Cifrado',
+            registro: '⛓️ Añadir al Registro',
+            merkle: '🌳 Añadir al Árbol de Merkle',
+            pasos: '<li>Copia el texto cifrado usando el botón de arriba</li><li>Abre el programa <strong>Decodificador</strong></li><li>Pega la <strong>clave privada</strong> correspondiente</li><li>Pega el <strong>texto cifrado</strong> para recuperar el mensaje original</li>',
+            otro: '🔄 Cifrar Otro Mensaje'
+        },
+        archivoCifrado: {
+            titulo: '✅ Archivo Cifrado Exitosamente',
+            archivo: 'Archivo:',
+            tipoDesconocido: 'tipo desconocido',
+            tamanoOriginal: 'Tamaño original:',
+            tamanoCifrado: 'Tamaño cifrado:',
+            etiqueta: '🔒 ARCHIVO CIFRADO:',
+            ayuda: 'Descarga el archivo y ábrelo en el Decodificador junto con la clave privada.'
+        },
+        qr: {
+            sinClave: '❌ El código QR no contiene ninguna clave pública',
+            leida: '✅ Clave pública leída del código QR'
+        },
+        limpiado: '✅ Formulario limpiado. Puedes cifrar otro mensaje.',
+        destinatarios: '👥 {total} destinatarios'
+    },
+    decodificador: {
+        enlace: {
+            textoRecibido: '🔗 Texto cifrado cargado desde el enlace: pega tu clave privada'
+        },
+        archivo: {
+            ayuda: '💡 Se restaurará el archivo original con su nombre y tipo',
+            boton: '📁 DESCIFRAR ARCHIVO',
+            descripcion: 'Se descifra con la clave privada del paso 1',
+            titulo: '📁 ¿Recibiste un archivo cifrado (.enc)?',
+            zona: '📁 Arrastra el archivo .enc aquí o haz clic para elegirlo'
+        },
+        asimetrica: {
+            texto: 'Este sistema utiliza <strong>criptografía asimétrica RSA</strong>. Lo que se cifra con la clave pública solo puede descifrarse con su clave privada correspondiente. Este es el principio fundamental de RSA usado para <strong>comunicación segura</strong> y en <strong>blockchain</strong> para proteger transacciones.',
+            titulo: '🔐 Sobre la Criptografía Asimétrica:'
+        },
+        ayuda: '<p><strong>Si el descifrado falla:</strong></p> <ul style="margin: 10px 0 0 20px;"> <li><strong>Verifica las claves:</strong> Asegúrate de usar el par de claves correcto</li> <li><strong>Texto cifrado completo:</strong> Copia todo el texto cifrado sin modificaciones</li> <li><strong>Formato correcto:</strong> La clave privada debe incluir las líneas BEGIN y END</li> <li><strong>Par correspondiente:</strong> La clave privada debe corresponder a la pública usada en el cifrado</li> </ul> <p style="margin-top: 15px;"><strong>Proceso completo:</strong></p> <ol style="margin: 10px 0 0 20px;"> <li>Genera un par de claves en el <strong>Generador</strong></li> <li>Cifra un mensaje con la <strong>clave pública</strong> en el <strong>Codificador</strong></li> <li>Descifra el mensaje con la <strong>clave privada</strong> aquí en el <strong>Decodificador</strong></li> </ol>',
+        clave: {
+            ayuda: '💡 Usa la clave privada que corresponde a la clave pública del cifrado. Se admiten PEM (PKCS#8 o PKCS#1, también protegida con contraseña), JWK y OpenSSH sin contraseña',
+            etiqueta: 'Ingresa la Clave Privada:'
+        },
+        comprobar: {
+            ayuda: '💡 Si el texto cifrado viene en un sobre, su huella se comprueba automáticamente',
+            boton: '🔍 Comprobar Par de Claves',
+            placeholder: 'Pega la clave pública del destinatario (PEM, JWK u OpenSSH) o su huella (SHA256:3f:9a:...)',
+            titulo: '🔍 Comprobar la clave antes de descifrar (opcional)'
+        },
+        contrasena: {
+            ayuda: '💡 La clave se descifra solo en memoria; nunca se guarda sin protección',
+            etiqueta: 'Contraseña de la clave privada:',
+            placeholder: 'La clave privada está protegida con contraseña'
+        },
+        descifrar: '🔓 DESCIFRAR MENSAJE',
+        info: {
+            texto: 'Este programa descifra mensajes que fueron cifrados con una <strong>clave pública</strong>. Para descifrar correctamente, necesitas usar la <strong>clave privada</strong> que corresponde a la clave pública usada en el cifrado.',
+            titulo: 'ℹ️ ¿Cómo funciona?'
+        },
+        llavero: {
+            desbloquear: '🔓 Desbloquear',
+            sinMaestra: '❌ Introduce la contraseña maestra del llavero',
+            desbloqueada: '✅ Clave privada desbloqueada'
+        },
+        meta: {
+            descripcion: 'Decodificador RSA - Descifra mensajes con clave privada',
+            titulo: 'Decodificador - Sistema de Cifrado RSA'
+        },
+        subtitulo: 'Descifra mensajes usando la clave privada RSA',
+        texto: {
+            ayuda: '🔐 Este es el texto cifrado que generó el Codificador | 💡 Presiona <kbd style="background: #eee; padding: 2px 6px; border-radius: 3px;">Ctrl</kbd> + <kbd style="background: #eee; padding: 2px 6px; border-radius: 3px;">Enter</kbd> para descifrar',
+            etiqueta: 'Pega el texto cifrado:',
+            leerQR: '📷 Leer desde Códigos QR',
+            placeholder: 'Pega aquí el texto cifrado que obtuviste del Codificador...'
+        },
+        titulo: '🔓 DECODIFICADOR',
+        sugerencias: [
+            'Verifica que hayas copiado la clave privada completa (incluyendo las líneas BEGIN y END, o todo el JSON de la JWK)',
+            'Asegúrate de que el texto cifrado sea correcto',
+            'Confirma que estás usando el par de claves correcto'
+        ],
+        errores: {
+            textoVacio: 'Debes ingresar el texto cifrado',
+            inesperado: 'Error inesperado: {mensaje}',
+            claveVacia: 'Debes ingresar la clave privada',
+            variasClaves: 'Hay {total} claves en el campo. Para descifrar, deja solo la clave privada del destinatario.',
+            sinContrasena: 'Esta clave privada está protegida con contraseña. Introduce la contraseña para usarla.',
+            vacio: 'No se pudo descifrar el texto. Verifica que la clave privada sea la correcta y que corresponda a la clave pública usada para cifrar.',
+            comprobacionNoValida: 'El campo "Comprobar la clave" debe contener una clave pública (PEM, JWK u OpenSSH) o una huella SHA-256.',
+            sinEsperada: 'Pega la clave pública del destinatario (o su huella) en "Comprobar la clave", o un texto cifrado con sobre.',
+            sinArchivo: 'Debes elegir el archivo .enc que quieres descifrar'
+        },
+        procesando: {
+            mensaje: 'Descifrando mensaje con RSA...',
+            archivo: 'Descifrando archivo con RSA + AES-GCM...'
+        },
+        sinSobre: 'Texto sin sobre (formato anterior)',
+        fechaNoIndicada: 'No indicada',
+        modoVariosDestinatarios: 'Híbrido para varios destinatarios (RSA + AES-256-GCM)',
+        comprobacion: {
+            titulo: '✅ La clave privada es la correcta',
+            coincide: {
+                clave: 'Su huella coincide con la clave pública indicada:',
+                huella: 'Su huella coincide con la huella indicada:',
+                sobre: 'Su huella coincide con uno de los destinatarios del sobre:'
+            }
+        },
+        claveIncorrecta: {
+            titulo: '❌ Clave incorrecta',
+            texto: {
+                clave: 'Esta clave privada no corresponde a la clave pública indicada, así que no puede descifrar el mensaje.',
+                huella: 'Esta clave privada no corresponde a la huella indicada, así que no puede descifrar el mensaje.',
+                sobre: 'Esta clave privada no corresponde a ninguno de los destinatarios del sobre, así que no puede descifrar el mensaje.'
+            },
+            huellas: '🔏 Huellas SHA-256:',
+            tuClave: 'Tu clave privada:',
+            esperada: 'Esperada:',
+            solucion: '💡 Solución:',
+            solucionTexto: 'Usa la clave privada del par cuya clave pública se usó para cifrar. Si la guardaste en el llavero, búscala por su huella en el desplegable.'
+        },
+        variasClaves: '⚠️ Hay {total} claves en el campo: deja solo tu clave privada',
+        claveProtegida: '🔒 Clave protegida con contraseña: su huella se comprobará al descifrar',
+        archivoDescifrado: {
+            titulo: '✅ Archivo Descifrado Exitosamente',
+            recuperado: '📊 Archivo recuperado:',
+            nombre: 'Nombre:',
+            tipo: 'Tipo:',
+            tipoDesconocido: 'desconocido',
+            tamano: 'Tamaño:'
+        },
+        otro: '🔄 Descifrar Otro',
+        descifrado: {
+            titulo: '✅ Texto Descifrado Exitosamente',
+            estadisticas: '📊 Estadísticas del descifrado:',
+            destinatarios: 'Destinatarios:',
+            noIndicados: 'No indicados',
+            tuClave: ' ← tu clave',
+            fecha: 'Cifrado el:',
+            longitudDescifrada: 'Longitud descifrada:',
+            reduccion: 'Reducción:',
+            mensaje: '✨ MENSAJE ORIGINAL RECUPERADO:',
+            completado: '🎉 ¡Descifrado completado con éxito!',
+            explicacion: 'El mensaje ha sido recuperado correctamente. Este proceso demuestra cómo funciona la criptografía asimétrica: lo que se cifra con la <strong>clave pública</strong> solo puede descifrarse con la <strong>clave privada</strong> correspondiente.',
+            copiar: '📋 Copiar Mensaje',
+            copiado: '✅ Mensaje descifrado copiado al portapapeles'
+        },
+        fallo: {
+            titulo: '❌ No se pudo descifrar el mensaje',
+            texto: 'El descifrado ha fallado. Esto puede ocurrir por varias razones:',
+            causas: '⚠️ Posibles causas:',
+            listaCausas: '<li><strong>Claves no correspondientes:</strong> La clave privada no coincide con la clave pública usada para cifrar</li><li><strong>Texto cifrado incorrecto:</strong> El texto cifrado está incompleto o fue modificado</li><li><strong>Formato inválido:</strong> La clave privada o el texto cifrado tienen un formato incorrecto</li>',
+            soluciones: '🔧 Soluciones:',
+            listaSoluciones: '<li>Verifica que estés usando la <strong>misma clave privada</strong> que corresponde a la clave pública del cifrado</li><li>Asegúrate de haber copiado el <strong>texto cifrado completo</strong></li><li>Genera un nuevo par de claves y vuelve a intentar el proceso completo</li>',
+            detalles: '📋 Detalles técnicos del error'
+        },
+        qr: {
+            leido: '✅ Texto cifrado leído del código QR'
+        },
+        limpiado: '✅ Formulario limpiado. Puedes descifrar otro mensaje.'
+    }
+};
@@ -0,0 +1,227 @@
+/**
+ * ============================================================================
+ * I18N - Idioma de la interfaz (español e inglés)
+ * ============================================================================
+ *
+ * Catálogos de mensajes por idioma (i18n-es.js e i18n-en.js), selector de
+ * idioma y fechas con el formato del idioma elegido. Lo usan el Generador,
+ * el Codificador y el Decodificador; en las demás páginas la interfaz sigue
+ * en español.
+ *
+ * Los textos del HTML se marcan con atributos que indican su mensaje:
+ *
+ *     <button data-i18n="codificador.cifrar">🔐 CIFRAR MENSAJE</button>
+ *     <input data-i18n-placeholder="codificador.llavero.nombreContacto">
+ *
+ * data-i18n cambia el texto, data-i18n-html el contenido HTML (para
+ * mensajes con <strong>, <em>...) y data-i18n-placeholder, data-i18n-title
+ * y data-i18n-content el atributo correspondiente. El HTML conserva el
+ * texto en español, que se ve hasta que se carga el módulo.
+ *
+ * Los mensajes de api.js y del resto del núcleo criptográfico (errores y
+ * diagnóstico de claves) siguen en español, igual que rsa-tool.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { MENSAJES_ES } from './i18n-es.js';
+import { MENSAJES_EN } from './i18n-en.js';
+
+/** Idiomas disponibles: nombre en el selector, locale de las fechas y catálogo */
+export const IDIOMAS = {
+    es: { nombre: 'Español', locale: 'es-ES', mensajes: MENSAJES_ES },
+    en: { nombre: 'English', locale: 'en-US', mensajes: MENSAJES_EN }
+};
+
+/** Idioma de las páginas sin selector y de los mensajes que faltan en un catálogo */
+export const IDIOMA_POR_DEFECTO = 'es';
+
+/** Clave de localStorage con el idioma elegido */
+const CLAVE_IDIOMA = 'idioma-interfaz';
+
+/** Evento que se lanza en document al cambiar de idioma */
+export const EVENTO_CAMBIO_IDIOMA = 'cambio-idioma';
+
+/** Atributos que traducen un atributo del elemento (data-i18n-placeholder → placeholder) */
+const ATRIBUTOS_TRADUCIBLES = ['placeholder', 'title', 'content'];
+
+/** Idioma de la interfaz (solo cambia en las páginas que llaman a iniciarIdioma) */
+let idiomaActual = IDIOMA_POR_DEFECTO;
+
+/**
+ * Devuelve el idioma de la interfaz
+ *
+ * @returns {string} - Código del idioma ('es' o 'en')
+ */
+export function obtenerIdioma() {
+    return idiomaActual;
+}
+
+/**
+ * Busca un mensaje en un catálogo por su clave con puntos ('comun.error')
+ *
+ * @param {Object} catalogo - Catálogo de mensajes
+ * @param {string} clave - Clave del mensaje
+ * @returns {string|string[]|undefined} - Mensaje, o undefined si no está
+ */
+function buscarMensaje(catalogo, clave) {
+    return clave.split('.').reduce((nodo, parte) => (nodo == null ? undefined : nodo[parte]), catalogo);
+}
+
+/**
+ * Sustituye los parámetros {nombre} de un mensaje
+ *
+ * @param {string} mensaje - Mensaje con parámetros
+ * @param {Object} parametros - Valores por nombre
+ * @returns {string} - Mensaje con los valores
+ */
+function interpolar(mensaje, parametros) {
+    return mensaje.replace(/\{(\w+)\}/g, (original, nombre) =>
+        (parametros[nombre] === undefined ? original : String(parametros[nombre])));
+}
+
+/**
+ * Traduce un mensaje al idioma de la interfaz
+ *
+ * Si el mensaje no está en el catálogo del idioma se usa el español, y si
+ * tampoco está ahí, la propia clave (con un aviso en la consola). Los
+ * mensajes pueden ser listas (p. ej. de sugerencias): se devuelven enteras.
+ *
+ * @param {string} clave - Clave del mensaje (p. ej. 'codificador.cifrado.titulo')
+ * @param {Object} [parametros={}] - Valores de los {parámetros} del mensaje
+ * @returns {string|string[]} - Mensaje traducido
+ */
+export function t(clave, parametros = {}) {
+    let mensaje = buscarMensaje(IDIOMAS[idiomaActual].mensajes, clave);
+    if (mensaje === undefined) {
+        mensaje = buscarMensaje(IDIOMAS[IDIOMA_POR_DEFECTO].mensajes, clave);
+    }
+    if (mensaje === undefined) {
+        console.warn(`⚠️ Mensaje sin traducir: ${clave}`);
+        return clave;
+    }
+
+    return Array.isArray(mensaje)
+        ? mensaje.map((linea) => interpolar(linea, parametros))
+        : interpolar(mensaje, parametros);
+}
+
+/**
+ * Locale de las fechas: el del navegador si es del idioma elegido (en-GB,
+ * es-MX...) y si no, el del idioma
+ *
+ * @returns {string} - Locale BCP 47
+ */
+function obtenerLocale() {
+    const navegador = (typeof navigator !== 'undefined' && navigator.languages) || [];
+    return navegador.find((locale) => locale.split('-')[0] === idiomaActual) || IDIOMAS[idiomaActual].locale;
+}
+
+/**
+ * Formatea una fecha con el formato del idioma de la interfaz
+ *
+ * @param {Date|string|number} fecha - Fecha (o algo que acepte new Date)
+ * @param {Intl.DateTimeFormatOptions} [opciones] - Opciones de Intl (por defecto, fecha y hora cortas)
+ * @returns {string} - Fecha formateada
+ */
+export function formatearFecha(fecha, opciones = { dateStyle: 'short', timeStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(obtenerLocale(), opciones).format(new Date(fecha));
+}
+
+/**
+ * Traduce los elementos marcados con atributos data-i18n
+ *
+ * @param {ParentNode} [raiz=document] - Elemento (o documento) a traducir
+ * @returns {void}
+ */
+export function traducirPagina(raiz = document) {
+    raiz.querySelectorAll('[data-i18n]').forEach((elemento) => {
+        elemento.textContent = t(elemento.dataset.i18n);
+    });
+    raiz.querySelectorAll('[data-i18n-html]').forEach((elemento) => {
+        elemento.innerHTML = t(elemento.dataset.i18nHtml);
+    });
+    ATRIBUTOS_TRADUCIBLES.forEach((atributo) => {
+        raiz.querySelectorAll(`[data-i18n-${atributo}]`).forEach((elemento) => {
+            elemento.setAttribute(atributo, t(elemento.getAttribute(`data-i18n-${atributo}`)));
+        });
+    });
+
+    if (raiz === document) {
+        document.documentElement.lang = idiomaActual;
+    }
+}
+
+/**
+ * Cambia el idioma de la interfaz y lo recuerda para las próximas visitas
+ *
+ * Traduce los textos fijos de la página y avisa con el evento
+ * EVENTO_CAMBIO_IDIOMA para que la página actualice los que genera ella.
+ * Los resultados ya mostrados se quedan en el idioma anterior.
+ *
+ * @param {string} idioma - Código del idioma ('es' o 'en')
+ * @returns {void}
+ */
+export function cambiarIdioma(idioma) {
+    if (!IDIOMAS[idioma]) {
+        return;
+    }
+
+    idiomaActual = idioma;
+    try {
+        localStorage.setItem(CLAVE_IDIOMA, idioma);
+    } catch (error) {
+        console.warn('⚠️ No se pudo guardar el idioma elegido:', error);
+    }
+
+    traducirPagina();
+    document.dispatchEvent(new CustomEvent(EVENTO_CAMBIO_IDIOMA, { detail: { idioma } }));
+}
+
+/**
+ * Lee el idioma guardado (o, la primera vez, el del navegador)
+ *
+ * @returns {string} - Código del idioma
+ */
+function leerIdiomaGuardado() {
+    let guardado = null;
+    try {
+        guardado = localStorage.getItem(CLAVE_IDIOMA);
+    } catch (error) {
+        console.warn('⚠️ Idioma guardado no disponible:', error);
+    }
+    if (IDIOMAS[guardado]) {
+        return guardado;
+    }
+
+    const navegador = (navigator.language || '').split('-')[0];
+    return IDIOMAS[navegador] ? navegador : IDIOMA_POR_DEFECTO;
+}
+
+/**
+ * Aplica el idioma guardado y añade el selector de idioma a la página
+ *
+ * Se llama al cargar la página, antes de mostrar ningún mensaje.
+ *
+ * @returns {void}
+ */
+export function iniciarIdioma() {
+    idiomaActual = leerIdiomaGuardado();
+    traducirPagina();
+
+    const selector = document.createElement('select');
+    selector.id = 'selectorIdioma';
+    selector.dataset.i18nTitle = 'comun.idioma';
+    Object.entries(IDIOMAS).forEach(([codigo, { nombre }]) => {
+        selector.add(new Option(nombre, codigo, false, codigo === idiomaActual));
+    });
+    selector.addEventListener('change', () => cambiarIdioma(selector.value));
+
+    const contenedor = document.createElement('div');
+    contenedor.className = 'selector-idioma';
+    contenedor.append('🌐 ', selector);
+    document.querySelector('.container').prepend(contenedor);
+    traducirPagina(contenedor);
+}
@@ -0,0 +1,261 @@
+/**
+ * ============================================================================
+ * LLAVERO - Almacén local de claves con nombre
+ * ============================================================================
+ *
+ * Guarda claves en IndexedDB para no tener que pegarlas cada vez:
+ *
+ * - Contactos: claves públicas de otras personas, para cifrar mensajes.
+ * - Pares propios: clave pública + clave privada, para descifrar.
+ *
+ * Las claves privadas nunca se guardan en claro: se almacenan como PKCS#8
+ * cifrado (ver cifrarClavePrivada en cripto.js) con una contraseña maestra
+ * común a todo el llavero. Cada entrada se identifica por su huella SHA-256.
+ *
+ * Módulo ES; depende de cripto.js.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import {
+    calcularHuella,
+    cifrarClavePrivada,
+    derivarClaveContrasena,
+    descifrarClavePrivada,
+    formatearHuella,
+    ITERACIONES_PBKDF2,
+    InvalidKeyError,
+    WrongPasswordError
+} from './cripto.js';
+
+/** Nombre y versión de la base de datos IndexedDB */
+const BASE_DATOS_LLAVERO = 'llavero-rsa';
+const VERSION_LLAVERO = 1;
+
+/** Texto que se cifra con la contraseña maestra para poder comprobarla */
+const TEXTO_COMPROBACION = 'llavero-rsa';
+
+/**
+ * Convierte una petición de IndexedDB en una promesa
+ *
+ * @param {IDBRequest} peticion - Petición de IndexedDB
+ * @returns {Promise<*>} - Resultado de la petición
+ */
+function peticionAPromesa(peticion) {
+    return new Promise((resolver, rechazar) => {
+        peticion.onsuccess = () => resolver(peticion.result);
+        peticion.onerror = () => rechazar(peticion.error);
+    });
+}
+
+/**
+ * Abre (y crea si hace falta) la base de datos del llavero
+ *
+ * Almacenes:
+ * - claves: { huella, nombre, tipo, clavePublica, clavePrivadaCifrada, fecha }
+ * - configuracion: { id: 'maestra', comprobacion, sal, iv }
+ *
+ * @returns {Promise<IDBDatabase>} - Base de datos abierta
+ */
+function abrirLlavero() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('Tu navegador no admite IndexedDB; el llavero no está disponible.'));
+    }
+
+    const peticion = indexedDB.open(BASE_DATOS_LLAVERO, VERSION_LLAVERO);
+    peticion.onupgradeneeded = () => {
+        const db = peticion.result;
+        db.createObjectStore('claves', { keyPath: 'huella' });
+        db.createObjectStore('configuracion', { keyPath: 'id' });
+    };
+    return peticionAPromesa(peticion);
+}
+
+/**
+ * Ejecuta una operación sobre un almacén del llavero
+ *
+ * @param {string} almacen - Nombre del almacén ('claves' o 'configuracion')
+ * @param {string} modo - 'readonly' o 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operacion - Operación a ejecutar
+ * @returns {Promise<*>} - Resultado de la operación
+ */
+async function operarLlavero(almacen, modo, operacion) {
+    const db = await abrirLlavero();
+    try {
+        return await peticionAPromesa(operacion(db.transaction(almacen, modo).objectStore(almacen)));
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Lista todas las claves guardadas, ordenadas por nombre
+ *
+ * @param {string} [tipo] - 'contacto' o 'propia' para filtrar
+ * @returns {Promise<Object[]>} - Entradas del llavero
+ */
+export async function listarClaves(tipo) {
+    const claves = await operarLlavero('claves', 'readonly', (almacen) => almacen.getAll());
+    return claves
+        .filter((clave) => !tipo || clave.tipo === tipo)
+        .sort((a, b) => a.nombre.localeCompare(b.nombre));
+}
+
+/**
+ * Obtiene una entrada del llavero por su huella
+ *
+ * @param {string} huella - Huella SHA-256 en hexadecimal
+ * @returns {Promise<Object|undefined>} - Entrada encontrada
+ */
+export function obtenerEntrada(huella) {
+    return operarLlavero('claves', 'readonly', (almacen) => almacen.get(huella));
+}
+
+/**
+ * Guarda la clave pública de un contacto
+ *
+ * Si la clave ya existe como par propio, no se sobrescribe la clave privada.
+ *
+ * @param {string} nombre - Nombre del contacto
+ * @param {string} clavePublica - Clave pública en formato PEM
+ * @returns {Promise<Object>} - Entrada guardada
+ */
+export async function guardarContacto(nombre, clavePublica) {
+    const huella = await calcularHuella(clavePublica);
+    const existente = await obtenerEntrada(huella);
+
+    if (existente && existente.tipo === 'propia') {
+        throw new Error(`Esta clave ya está en el llavero como par propio ("${existente.nombre}").`);
+    }
+
+    const entrada = {
+        huella,
+        nombre,
+        tipo: 'contacto',
+        clavePublica,
+        clavePrivadaCifrada: null,
+        fecha: new Date().toISOString()
+    };
+    await operarLlavero('claves', 'readwrite', (almacen) => almacen.put(entrada));
+    return entrada;
+}
+
+/**
+ * Guarda un par de claves propio, con la clave privada cifrada
+ *
+ * @param {string} nombre - Nombre del par de claves
+ * @param {string} clavePublica - Clave pública en formato PEM
+ * @param {string} clavePrivada - Clave privada sin cifrar en formato PEM
+ * @param {string} contrasenaMaestra - Contraseña maestra del llavero
+ * @returns {Promise<Object>} - Entrada guardada
+ * @throws {InvalidKeyError} - Si la clave privada no corresponde a la clave pública
+ */
+export async function guardarParPropio(nombre, clavePublica, clavePrivada, contrasenaMaestra) {
+    if (!await comprobarContrasenaMaestra(contrasenaMaestra)) {
+        throw new WrongPasswordError('La contraseña maestra no es correcta.', 'master-password');
+    }
+
+    // Un par mal emparejado dejaría en el llavero una clave que no descifra lo que se cifra para ella
+    const huella = await calcularHuella(clavePublica);
+    if (await calcularHuella(clavePrivada) !== huella) {
+        throw new InvalidKeyError('La clave privada no corresponde a la clave pública: no forman un par.', 'not-a-pair');
+    }
+
+    const entrada = {
+        huella,
+        nombre,
+        tipo: 'propia',
+        clavePublica,
+        clavePrivadaCifrada: await cifrarClavePrivada(clavePrivada, contrasenaMaestra),
+        fecha: new Date().toISOString()
+    };
+    await operarLlavero('claves', 'readwrite', (almacen) => almacen.put(entrada));
+    return entrada;
+}
+
+/**
+ * Elimina una entrada del llavero
+ *
+ * @param {string} huella - Huella de la clave a eliminar
+ * @returns {Promise<void>}
+ */
+export async function eliminarClave(huella) {
+    await operarLlavero('claves', 'readwrite', (almacen) => almacen.delete(huella));
+}
+
+/**
+ * Recupera la clave privada de un par propio
+ *
+ * @param {string} huella - Huella del par de claves
+ * @param {string} contrasenaMaestra - Contraseña maestra del llavero
+ * @returns {Promise<string>} - Clave privada sin cifrar en formato PEM
+ */
+export async function obtenerClavePrivada(huella, contrasenaMaestra) {
+    const entrada = await obtenerEntrada(huella);
+    if (!entrada || !entrada.clavePrivadaCifrada) {
+        throw new Error('Esta entrada del llavero no tiene clave privada.');
+    }
+
+    try {
+        return await descifrarClavePrivada(entrada.clavePrivadaCifrada, contrasenaMaestra);
+    } catch (error) {
+        throw new WrongPasswordError('La contraseña maestra no es correcta.', 'master-password');
+    }
+}
+
+/**
+ * Indica si ya se ha definido una contraseña maestra
+ *
+ * @returns {Promise<boolean>} - true si existe
+ */
+export async function tieneContrasenaMaestra() {
+    return Boolean(await operarLlavero('configuracion', 'readonly', (almacen) => almacen.get('maestra')));
+}
+
+/**
+ * Comprueba la contraseña maestra (o la define si es la primera vez)
+ *
+ * Se guarda un texto conocido cifrado con la contraseña; si se puede
+ * descifrar, la contraseña es correcta. La contraseña nunca se almacena.
+ *
+ * @param {string} contrasenaMaestra - Contraseña a comprobar
+ * @returns {Promise<boolean>} - true si es correcta (o si se acaba de definir)
+ */
+export async function comprobarContrasenaMaestra(contrasenaMaestra) {
+    const registro = await operarLlavero('configuracion', 'readonly', (almacen) => almacen.get('maestra'));
+
+    // Primera vez: definir la contraseña maestra
+    if (!registro) {
+        const sal = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(16));
+        const clave = await derivarClaveContrasena(contrasenaMaestra, sal, ITERACIONES_PBKDF2, 'SHA-256', 256, ['encrypt']);
+        const comprobacion = new Uint8Array(await crypto.subtle.encrypt(
+            { name: 'AES-CBC', iv: iv },
+            clave,
+            new TextEncoder().encode(TEXTO_COMPROBACION)
+        ));
+        await operarLlavero('configuracion', 'readwrite', (almacen) => almacen.put({ id: 'maestra', sal, iv, comprobacion }));
+        return true;
+    }
+
+    const clave = await derivarClaveContrasena(contrasenaMaestra, registro.sal, ITERACIONES_PBKDF2, 'SHA-256', 256, ['decrypt']);
+    try {
+        const texto = await crypto.subtle.decrypt({ name: 'AES-CBC', iv: registro.iv }, clave, registro.comprobacion);
+        return new TextDecoder().decode(texto) === TEXTO_COMPROBACION;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Texto de una opción de selector: nombre y huella corta
+ *
+ * @param {Object} entrada - Entrada del llavero
+ * @returns {string} - Texto para mostrar
+ */
+export function describirEntrada(entrada) {
+    const icono = entrada.tipo === 'propia' ? '🔑' : '👤';
+    return `${icono} ${entrada.nombre} (${formatearHuella(entrada.huella, true)})`;
+}
@@ -0,0 +1,352 @@
+/**
+ * ============================================================================
+ * ÁRBOL DE MERKLE - Resumen de una lista de mensajes y pruebas de inclusión
+ * ============================================================================
+ *
+ * Las hojas son los hashes SHA-256 de los mensajes; cada nodo es el hash de
+ * sus dos hijos, hasta llegar a una única raíz que resume toda la lista:
+ *
+ *                 raíz = H(0x01 ‖ N01 ‖ N23)
+ *                /                          \
+ *     N01 = H(0x01 ‖ h0 ‖ h1)      N23 = H(0x01 ‖ h2 ‖ h3)
+ *        /        \                   /        \
+ *   h0 = H(0x00 ‖ m0)  h1          h2          h3
+ *
+ * - Protección contra segundas preimágenes: las hojas llevan el prefijo
+ *   0x00 y los nodos internos 0x01 (como en RFC 6962), así que un nodo
+ *   interno nunca se puede hacer pasar por una hoja.
+ * - Número impar de nodos: el último sube sin cambios al nivel siguiente.
+ *   No se duplica (como hace Bitcoin) porque entonces las listas [a, b, c]
+ *   y [a, b, c, c] tendrían la misma raíz.
+ *
+ * Una prueba de inclusión son los hashes hermanos desde la hoja hasta la
+ * raíz: con ellos y el mensaje cualquiera recalcula la raíz sin conocer el
+ * resto de mensajes.
+ *
+ * Módulo ES; depende de cripto.js. Funciona también en Node.js 20 o superior.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { FormatError, bytesAHex, hexABytes, concatenarBytes } from './cripto.js';
+
+/** Prefijo de los hashes de hoja */
+export const PREFIJO_HOJA = 0x00;
+
+/** Prefijo de los hashes de nodos internos */
+export const PREFIJO_NODO = 0x01;
+
+/** Identificador y versión del formato de las pruebas en JSON */
+export const FORMATO_PRUEBA = 'prueba-merkle';
+export const VERSION_PRUEBA = 1;
+
+/** Clave de sessionStorage con los mensajes del árbol; el Codificador añade aquí sus textos cifrados */
+export const CLAVE_MENSAJES_ARBOL = 'merkle-mensajes';
+
+// ============================================================================
+// HASHES
+// ============================================================================
+
+/**
+ * Calcula SHA-256 de un prefijo seguido de unos datos
+ *
+ * @param {number} prefijo - PREFIJO_HOJA o PREFIJO_NODO
+ * @param {Uint8Array} datos - Datos a resumir
+ * @returns {Promise<string>} - Hash en hexadecimal (64 caracteres)
+ */
+async function resumirConPrefijo(prefijo, datos) {
+    const resumen = await crypto.subtle.digest('SHA-256', concatenarBytes(new Uint8Array([prefijo]), datos));
+    return bytesAHex(new Uint8Array(resumen));
+}
+
+/**
+ * Normaliza un mensaje para que el mismo texto dé siempre la misma hoja
+ *
+ * Se unifican los saltos de línea y se quitan los espacios de los extremos,
+ * que se pierden con facilidad al copiar y pegar.
+ *
+ * @param {string} mensaje - Mensaje o texto cifrado
+ * @returns {string} - Mensaje normalizado
+ */
+export function normalizarMensaje(mensaje) {
+    return mensaje.replace(/\r\n?/g, '\n').trim();
+}
+
+/**
+ * Calcula el hash de hoja de un mensaje: SHA-256(0x00 ‖ mensaje en UTF-8)
+ *
+ * @param {string} mensaje - Mensaje o texto cifrado
+ * @returns {Promise<string>} - Hash en hexadecimal
+ */
+export async function calcularHashHoja(mensaje) {
+    return resumirConPrefijo(PREFIJO_HOJA, new TextEncoder().encode(normalizarMensaje(mensaje)));
+}
+
+/**
+ * Calcula el hash de un nodo interno: SHA-256(0x01 ‖ izquierdo ‖ derecho)
+ *
+ * @param {string} izquierdo - Hash del hijo izquierdo en hexadecimal
+ * @param {string} derecho - Hash del hijo derecho en hexadecimal
+ * @returns {Promise<string>} - Hash en hexadecimal
+ */
+export async function calcularHashNodo(izquierdo, derecho) {
+    return resumirConPrefijo(PREFIJO_NODO, concatenarBytes(hexABytes(izquierdo), hexABytes(derecho)));
+}
+
+// ============================================================================
+// CONSTRUCCIÓN DEL ÁRBOL
+// ============================================================================
+
+/**
+ * Separa un texto en mensajes
+ *
+ * Cada bloque con armadura (de "-----BEGIN ...-----" a "-----END ...-----",
+ * como los sobres del Codificador) es un mensaje; fuera de ellos, cada línea
+ * no vacía es un mensaje.
+ *
+ * @param {string} texto - Mensajes pegados por el usuario
+ * @returns {string[]} - Mensajes en orden
+ * @throws {FormatError} Si un bloque con armadura no está cerrado
+ */
+export function separarMensajes(texto) {
+    const mensajes = [];
+    let bloque = null;
+
+    for (const linea of texto.replace(/\r\n?/g, '\n').split('\n')) {
+        if (bloque) {
+            bloque.push(linea);
+            if (linea.trim().startsWith('-----END ')) {
+                mensajes.push(bloque.join('\n'));
+                bloque = null;
+            }
+        } else if (linea.trim().startsWith('-----BEGIN ')) {
+            bloque = [linea];
+        } else if (linea.trim()) {
+            mensajes.push(linea);
+        }
+    }
+
+    if (bloque) {
+        throw new FormatError('Un bloque -----BEGIN ...----- no tiene línea END.');
+    }
+    return mensajes.map(normalizarMensaje);
+}
+
+/**
+ * Construye el árbol de Merkle de una lista de mensajes
+ *
+ * @param {string[]} mensajes - Mensajes (las hojas, en orden)
+ * @returns {Promise<{raiz: string, niveles: string[][], mensajes: string[]}>}
+ *          niveles[0] son los hashes de hoja y el último nivel contiene solo la raíz
+ * @throws {FormatError} Si no hay ningún mensaje
+ */
+export async function construirArbol(mensajes) {
+    if (!mensajes.length) {
+        throw new FormatError('Hace falta al menos un mensaje para construir el árbol.');
+    }
+
+    const niveles = [[]];
+    for (const mensaje of mensajes) {
+        niveles[0].push(await calcularHashHoja(mensaje));
+    }
+
+    // Cada nivel empareja los nodos del anterior; el último, si queda solo, sube sin cambios
+    while (niveles[niveles.length - 1].length > 1) {
+        const anterior = niveles[niveles.length - 1];
+        const nivel = [];
+        for (let i = 0; i < anterior.length; i += 2) {
+            nivel.push(i + 1 < anterior.length ? await calcularHashNodo(anterior[i], anterior[i + 1]) : anterior[i]);
+        }
+        niveles.push(nivel);
+    }
+
+    return { raiz: niveles[niveles.length - 1][0], niveles, mensajes: mensajes.map(normalizarMensaje) };
+}
+
+/**
+ * Indica si un nodo subió sin pareja desde el nivel anterior
+ *
+ * @param {string[][]} niveles - Niveles del árbol
+ * @param {number} nivel - Nivel del nodo (0 = hojas)
+ * @param {number} indice - Posición del nodo en su nivel
+ * @returns {boolean} - true si el nodo es el último de un nivel impar anterior
+ */
+export function esNodoPromovido(niveles, nivel, indice) {
+    return nivel > 0 && niveles[nivel - 1].length % 2 === 1 && indice === niveles[nivel].length - 1;
+}
+
+// ============================================================================
+// PRUEBAS DE INCLUSIÓN
+// ============================================================================
+
+/**
+ * Calcula de qué lado está el hermano de un nodo en cada nivel
+ *
+ * Depende solo de la posición de la hoja y del número de hojas, así que
+ * quien verifica puede comprobar que la prueba corresponde a esa posición.
+ *
+ * @param {number} indice - Posición de la hoja
+ * @param {number} total - Número de hojas
+ * @returns {string[]} - 'izquierda' o 'derecha' por cada nivel con hermano (de la hoja a la raíz)
+ */
+function ladosEsperados(indice, total) {
+    const lados = [];
+    let posicion = indice;
+    let tamano = total;
+
+    while (tamano > 1) {
+        if (posicion % 2 === 1) {
+            lados.push('izquierda');
+        } else if (posicion + 1 < tamano) {
+            lados.push('derecha');
+        }
+        // Si no, el nodo no tiene pareja y sube sin cambios
+        posicion = Math.floor(posicion / 2);
+        tamano = Math.ceil(tamano / 2);
+    }
+    return lados;
+}
+
+/**
+ * Genera la prueba de inclusión de una hoja
+ *
+ * @param {{raiz: string, niveles: string[][]}} arbol - Árbol de construirArbol
+ * @param {number} indice - Posición de la hoja (desde 0)
+ * @returns {{indice: number, total: number, hoja: string, pasos: {lado: string, hash: string}[], raiz: string}}
+ *          pasos: hash hermano y su lado en cada nivel, de la hoja a la raíz
+ * @throws {RangeError} Si la posición no existe
+ */
+export function generarPrueba(arbol, indice) {
+    const total = arbol.niveles[0].length;
+    if (!Number.isInteger(indice) || indice < 0 || indice >= total) {
+        throw new RangeError(`La hoja debe estar entre 0 y ${total - 1}.`);
+    }
+
+    const pasos = [];
+    let posicion = indice;
+    for (const nivel of arbol.niveles.slice(0, -1)) {
+        const hermano = posicion % 2 === 1 ? posicion - 1 : posicion + 1;
+        if (hermano < nivel.length) {
+            pasos.push({ lado: hermano < posicion ? 'izquierda' : 'derecha', hash: nivel[hermano] });
+        }
+        posicion = Math.floor(posicion / 2);
+    }
+
+    return { indice, total, hoja: arbol.niveles[0][indice], pasos, raiz: arbol.raiz };
+}
+
+/**
+ * Verifica que un mensaje está incluido en el árbol de una raíz
+ *
+ * La raíz debe venir de una fuente de confianza (no de la propia prueba):
+ * la prueba solo demuestra que el mensaje lleva a esa raíz.
+ *
+ * @param {string} mensaje - Mensaje que se dice incluido
+ * @param {Object} prueba - Prueba de generarPrueba (o de importarPrueba)
+ * @param {string} raiz - Raíz de confianza en hexadecimal
+ * @returns {Promise<{valida: boolean, motivo: string, calculos: {lado: string, hermano: string, resultado: string}[]}>}
+ *          calculos: hash obtenido en cada paso, para mostrar el recorrido
+ */
+export async function verificarPrueba(mensaje, prueba, raiz) {
+    const rechazar = (motivo, calculos = []) => ({ valida: false, motivo, calculos });
+    const esHash = (valor) => typeof valor === 'string' && /^[0-9a-f]{64}$/.test(valor);
+    const raizNormalizada = raiz.trim().toLowerCase();
+
+    // PASO 1: Formato de la prueba y de la raíz
+    if (!esHash(raizNormalizada)) {
+        return rechazar('La raíz debe tener 64 caracteres hexadecimales.');
+    }
+    if (!Number.isInteger(prueba.total) || prueba.total < 1 ||
+        !Number.isInteger(prueba.indice) || prueba.indice < 0 || prueba.indice >= prueba.total) {
+        return rechazar('La prueba no indica una posición de hoja válida (indice y total).');
+    }
+    if (!Array.isArray(prueba.pasos) || !prueba.pasos.every((paso) => paso && esHash(paso.hash) &&
+        (paso.lado === 'izquierda' || paso.lado === 'derecha'))) {
+        return rechazar('Los pasos de la prueba deben tener un lado (izquierda o derecha) y un hash de 64 caracteres hexadecimales.');
+    }
+
+    // PASO 2: La prueba debe corresponder a la posición que dice
+    const lados = ladosEsperados(prueba.indice, prueba.total);
+    if (lados.length !== prueba.pasos.length || lados.some((lado, i) => prueba.pasos[i].lado !== lado)) {
+        return rechazar(`La prueba no corresponde a la hoja ${prueba.indice} de un árbol de ${prueba.total} hojas: ` +
+            `debería tener ${lados.length} pasos con los hermanos a ${lados.join(', ') || '(ninguno)'}.`);
+    }
+
+    // PASO 3: El mensaje debe ser la hoja de la prueba
+    let hash = await calcularHashHoja(mensaje);
+    if (prueba.hoja !== undefined && prueba.hoja !== hash) {
+        return rechazar('El mensaje no es el de la prueba: su hash de hoja no coincide con el de la prueba. ' +
+            'Comprueba que no se haya modificado ningún carácter.');
+    }
+
+    // PASO 4: Recalcular la raíz
+    const calculos = [];
+    for (const paso of prueba.pasos) {
+        const hermano = paso.hash;
+        hash = paso.lado === 'izquierda' ? await calcularHashNodo(hermano, hash) : await calcularHashNodo(hash, hermano);
+        calculos.push({ lado: paso.lado, hermano, resultado: hash });
+    }
+
+    if (hash !== raizNormalizada) {
+        return rechazar('La raíz calculada no coincide con la raíz de confianza: el mensaje no está en ese árbol ' +
+            'o algún hash de la prueba se ha modificado.', calculos);
+    }
+    return {
+        valida: true,
+        motivo: `El mensaje es la hoja ${prueba.indice} de ${prueba.total} del árbol con esta raíz.`,
+        calculos
+    };
+}
+
+// ============================================================================
+// EXPORTACIÓN E IMPORTACIÓN JSON
+// ============================================================================
+
+/**
+ * Convierte una prueba de inclusión en JSON
+ *
+ * @param {Object} prueba - Prueba de generarPrueba
+ * @returns {string} - JSON con formato, versión y la prueba
+ */
+export function exportarPrueba(prueba) {
+    return JSON.stringify({
+        formato: FORMATO_PRUEBA,
+        version: VERSION_PRUEBA,
+        indice: prueba.indice,
+        total: prueba.total,
+        hoja: prueba.hoja,
+        pasos: prueba.pasos,
+        raiz: prueba.raiz
+    }, null, 2);
+}
+
+/**
+ * Lee una prueba exportada con exportarPrueba
+ *
+ * Solo se comprueba que sea JSON con el formato correcto; el contenido se
+ * comprueba en verificarPrueba, que explica qué está mal.
+ *
+ * @param {string} json - Prueba en JSON
+ * @returns {Object} - Prueba
+ * @throws {FormatError} Si el texto no es una prueba exportada
+ */
+export function importarPrueba(json) {
+    let documento;
+    try {
+        documento = JSON.parse(json);
+    } catch (error) {
+        throw new FormatError('La prueba no contiene JSON válido.');
+    }
+
+    if (!documento || documento.formato !== FORMATO_PRUEBA) {
+        throw new FormatError(`El JSON no es una prueba de Merkle (falta "formato": "${FORMATO_PRUEBA}").`);
+    }
+    if (documento.version !== VERSION_PRUEBA) {
+        throw new FormatError(`Versión de prueba no admitida: esta aplicación admite la versión ${VERSION_PRUEBA}.`);
+    }
+
+    const { indice, total, hoja, pasos, raiz } = documento;
+    return { indice, total, hoja, pasos, raiz };
+}
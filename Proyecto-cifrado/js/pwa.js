@@ -0,0 +1,25 @@
+/**
+ * ============================================================================
+ * PWA - Registro del service worker
+ * ============================================================================
+ *
+ * Registra sw.js para que la aplicación funcione sin conexión y pueda
+ * instalarse. Los service workers solo funcionan en páginas servidas por
+ * http://localhost o https://. Abiertas directamente (file://), las páginas
+ * no funcionan: los navegadores no cargan sus módulos ES (ver "Ejecuta el
+ * proyecto" en el README).
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+'use strict';
+
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+    window.addEventListener('load', function() {
+        navigator.serviceWorker.register('../sw.js')
+            .then((registro) => console.log('📦 Disponible sin conexión (service worker activo en', registro.scope + ')'))
+            .catch((error) => console.warn('⚠️ No se pudo registrar el service worker:', error));
+    });
+}
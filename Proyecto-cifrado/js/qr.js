@@ -0,0 +1,1454 @@
+/**
+ * ============================================================================
+ * QR - Códigos QR de claves públicas y textos cifrados
+ * ============================================================================
+ *
+ * Genera y lee códigos QR (ISO/IEC 18004) sin bibliotecas externas, para
+ * pasar una clave pública o un texto cifrado a otro dispositivo con la
+ * cámara en lugar de por correo o chat:
+ *
+ *     texto → bytes UTF-8 → bloques con corrección de errores Reed-Solomon
+ *           → matriz de módulos con la máscara menos penalizada → SVG
+ *
+ *     imagen → blanco y negro → tres patrones de búsqueda → transformación
+ *            de perspectiva → matriz → corrección de errores → texto
+ *
+ * Los textos que no caben en un código fácil de leer se reparten en varios,
+ * cada uno con la cabecera "RSA-DEMO-QR:parte/total:id:". Las partes se
+ * pueden leer en cualquier orden, y el id (primeros bytes del SHA-256 del
+ * texto completo) comprueba al unirlas que son del mismo texto.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { FormatError, bytesAHex } from './cripto.js';
+
+/** Bytes de texto por código; los textos más largos se reparten en varios códigos */
+export const MAX_BYTES_POR_CODIGO = 500;
+
+/** Prefijo de los códigos que son una parte de un texto repartido */
+export const PREFIJO_PARTE = 'RSA-DEMO-QR';
+
+/** Nivel de corrección de los códigos generados (M: se recupera ~15 % de los módulos) */
+const NIVEL_GENERADO = 'M';
+
+/** Módulos de margen blanco alrededor del código (la norma pide 4) */
+const MARGEN = 4;
+
+/** Niveles de corrección: sus bits en la información de formato y su fila en las tablas */
+const NIVELES = {
+    L: { bits: 1, fila: 0 },
+    M: { bits: 0, fila: 1 },
+    Q: { bits: 3, fila: 2 },
+    H: { bits: 2, fila: 3 }
+};
+
+/** Bytes de corrección por bloque para cada nivel (L, M, Q, H) y versión (1-40) */
+const CORRECCION_POR_BLOQUE = [
+    [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+/** Número de bloques de corrección para cada nivel (L, M, Q, H) y versión (1-40) */
+const NUMERO_BLOQUES = [
+    [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+/** Máscaras: un módulo de datos se invierte si la condición se cumple en su columna x y su fila y */
+const MASCARAS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/** Caracteres del modo alfanumérico, en el orden de su valor */
+const ALFANUMERICOS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// ============================================================================
+// CUERPO DE GALOIS GF(256) Y REED-SOLOMON
+// ============================================================================
+
+/** Potencias de α en GF(256) con el polinomio x⁸ + x⁴ + x³ + x² + 1 (duplicadas para no reducir) */
+const EXPONENCIAL = new Uint8Array(510);
+
+/** Logaritmo en base α de cada elemento no nulo de GF(256) */
+const LOGARITMO = new Uint8Array(256);
+
+for (let i = 0, valor = 1; i < 255; i++) {
+    EXPONENCIAL[i] = EXPONENCIAL[i + 255] = valor;
+    LOGARITMO[valor] = i;
+    valor = (valor << 1) ^ (valor & 0x80 ? 0x11d : 0);
+}
+
+/**
+ * Multiplica dos elementos de GF(256)
+ *
+ * @param {number} a - Primer factor
+ * @param {number} b - Segundo factor
+ * @returns {number} - Producto
+ */
+function multiplicar(a, b) {
+    return a && b ? EXPONENCIAL[LOGARITMO[a] + LOGARITMO[b]] : 0;
+}
+
+/**
+ * Divide dos elementos de GF(256)
+ *
+ * @param {number} a - Dividendo
+ * @param {number} b - Divisor (no nulo)
+ * @returns {number} - Cociente
+ */
+function dividir(a, b) {
+    return a ? EXPONENCIAL[LOGARITMO[a] + 255 - LOGARITMO[b]] : 0;
+}
+
+/**
+ * Evalúa un polinomio en un punto
+ *
+ * @param {number[]} polinomio - Coeficientes de menor a mayor grado
+ * @param {number} x - Punto
+ * @returns {number} - Valor del polinomio en x
+ */
+function evaluar(polinomio, x) {
+    let valor = 0;
+    for (let i = polinomio.length - 1; i >= 0; i--) {
+        valor = multiplicar(valor, x) ^ polinomio[i];
+    }
+    return valor;
+}
+
+/**
+ * Calcula los bytes de corrección Reed-Solomon de un bloque
+ *
+ * El generador es (x - α⁰)(x - α¹)···(x - α^(grado-1)) y la corrección es
+ * el resto de dividir los datos (multiplicados por x^grado) entre él.
+ *
+ * @param {number[]} datos - Bytes de datos del bloque
+ * @param {number} grado - Bytes de corrección
+ * @returns {number[]} - Bytes de corrección
+ */
+function calcularCorreccion(datos, grado) {
+    // Generador, de mayor a menor grado
+    let generador = [1];
+    for (let i = 0; i < grado; i++) {
+        const siguiente = new Array(generador.length + 1).fill(0);
+        generador.forEach((coeficiente, j) => {
+            siguiente[j] ^= coeficiente;
+            siguiente[j + 1] ^= multiplicar(coeficiente, EXPONENCIAL[i]);
+        });
+        generador = siguiente;
+    }
+
+    const resto = new Array(grado).fill(0);
+    for (const byte of datos) {
+        const factor = byte ^ resto.shift();
+        resto.push(0);
+        for (let i = 0; i < grado; i++) {
+            resto[i] ^= multiplicar(generador[i + 1], factor);
+        }
+    }
+    return resto;
+}
+
+/**
+ * Corrige los errores de un bloque leído (datos seguidos de su corrección)
+ *
+ * Proceso:
+ * 1. Calcular los síndromes; si todos son cero, no hay errores
+ * 2. Obtener el polinomio localizador de errores (Berlekamp-Massey)
+ * 3. Buscar sus raíces, que indican las posiciones erróneas (Chien)
+ * 4. Calcular el valor de cada error y corregirlo (Forney)
+ *
+ * @param {number[]} bloque - Bytes del bloque; se corrige en el sitio
+ * @param {number} grado - Bytes de corrección del bloque
+ * @returns {boolean} - false si hay más errores de los que se pueden corregir
+ */
+function corregirBloque(bloque, grado) {
+    const longitud = bloque.length;
+
+    // PASO 1: Síndromes S_i = bloque(α^i)
+    const calcularSindromes = () => Array.from({ length: grado }, (_, i) =>
+        bloque.reduce((valor, byte) => multiplicar(valor, EXPONENCIAL[i]) ^ byte, 0));
+    const sindromes = calcularSindromes();
+    if (sindromes.every((sindrome) => sindrome === 0)) {
+        return true;
+    }
+
+    // PASO 2: Berlekamp-Massey (polinomios de menor a mayor grado)
+    let localizador = [1];
+    let anterior = [1];
+    let errores = 0;
+    let desplazamiento = 1;
+    let discrepanciaAnterior = 1;
+    for (let i = 0; i < grado; i++) {
+        let discrepancia = sindromes[i];
+        for (let j = 1; j <= errores; j++) {
+            discrepancia ^= multiplicar(localizador[j] || 0, sindromes[i - j]);
+        }
+        if (discrepancia === 0) {
+            desplazamiento++;
+            continue;
+        }
+
+        const factor = dividir(discrepancia, discrepanciaAnterior);
+        const nuevo = new Array(Math.max(localizador.length, anterior.length + desplazamiento)).fill(0);
+        localizador.forEach((coeficiente, j) => { nuevo[j] = coeficiente; });
+        anterior.forEach((coeficiente, j) => { nuevo[j + desplazamiento] ^= multiplicar(factor, coeficiente); });
+
+        if (2 * errores <= i) {
+            anterior = localizador;
+            errores = i + 1 - errores;
+            discrepanciaAnterior = discrepancia;
+            desplazamiento = 1;
+        } else {
+            desplazamiento++;
+        }
+        localizador = nuevo;
+    }
+    if (2 * errores > grado) {
+        return false;
+    }
+
+    // PASO 3: El byte k es erróneo si α^-(longitud-1-k) es raíz del localizador
+    const posiciones = [];
+    for (let k = 0; k < longitud; k++) {
+        if (evaluar(localizador, EXPONENCIAL[255 - (longitud - 1 - k)]) === 0) {
+            posiciones.push(k);
+        }
+    }
+    if (posiciones.length !== errores) {
+        return false;
+    }
+
+    // PASO 4: Forney, con Ω(x) = S(x)·Λ(x) mod x^grado y Λ' su derivada formal
+    const evaluador = Array.from({ length: grado }, (_, i) => {
+        let coeficiente = 0;
+        for (let j = 0; j <= Math.min(i, localizador.length - 1); j++) {
+            coeficiente ^= multiplicar(sindromes[i - j], localizador[j]);
+        }
+        return coeficiente;
+    });
+    const derivada = localizador.slice(1).map((coeficiente, j) => (j % 2 === 0 ? coeficiente : 0));
+
+    for (const k of posiciones) {
+        const potencia = longitud - 1 - k;
+        const inversa = EXPONENCIAL[255 - potencia];
+        const denominador = evaluar(derivada, inversa);
+        if (denominador === 0) {
+            return false;
+        }
+        bloque[k] ^= multiplicar(EXPONENCIAL[potencia], dividir(evaluar(evaluador, inversa), denominador));
+    }
+
+    return calcularSindromes().every((sindrome) => sindrome === 0);
+}
+
+// ============================================================================
+// ESTRUCTURA DE LA MATRIZ
+// ============================================================================
+
+/**
+ * Cuenta los módulos de una versión que quedan para datos y corrección
+ *
+ * @param {number} version - Versión (1-40)
+ * @returns {number} - Módulos libres tras los patrones de función
+ */
+function contarModulosDatos(version) {
+    let modulos = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alineaciones = Math.floor(version / 7) + 2;
+        modulos -= (25 * alineaciones - 10) * alineaciones - 55;
+        if (version >= 7) {
+            modulos -= 36;
+        }
+    }
+    return modulos;
+}
+
+/**
+ * Describe cómo se reparten los bytes de una versión y un nivel en bloques
+ *
+ * Los primeros bloques (cortos) tienen un byte de datos menos que los demás.
+ *
+ * @param {number} version - Versión (1-40)
+ * @param {string} nivel - Nivel de corrección ('L', 'M', 'Q' o 'H')
+ * @returns {{total: number, datos: number, bloques: number, cortos: number, longitudCorta: number, correccion: number}}
+ */
+function describirBloques(version, nivel) {
+    const fila = NIVELES[nivel].fila;
+    const total = Math.floor(contarModulosDatos(version) / 8);
+    const bloques = NUMERO_BLOQUES[fila][version];
+    const correccion = CORRECCION_POR_BLOQUE[fila][version];
+    return {
+        total,
+        datos: total - correccion * bloques,
+        bloques,
+        cortos: bloques - total % bloques,
+        longitudCorta: Math.floor(total / bloques),
+        correccion
+    };
+}
+
+/**
+ * Calcula las posiciones (fila y columna) de los patrones de alineación
+ *
+ * @param {number} version - Versión (1-40)
+ * @returns {number[]} - Posiciones de sus centros
+ */
+function calcularPosicionesAlineacion(version) {
+    if (version === 1) {
+        return [];
+    }
+    const cantidad = Math.floor(version / 7) + 2;
+    const paso = Math.floor((version * 8 + cantidad * 3 + 5) / (cantidad * 4 - 4)) * 2;
+    const posiciones = [6];
+    for (let posicion = version * 4 + 10; posiciones.length < cantidad; posicion -= paso) {
+        posiciones.splice(1, 0, posicion);
+    }
+    return posiciones;
+}
+
+/**
+ * Calcula los 15 bits de formato (nivel y máscara con su código BCH)
+ *
+ * @param {string} nivel - Nivel de corrección
+ * @param {number} mascara - Máscara (0-7)
+ * @returns {number} - Bits de formato
+ */
+function calcularBitsFormato(nivel, mascara) {
+    const datos = (NIVELES[nivel].bits << 3) | mascara;
+    let resto = datos;
+    for (let i = 0; i < 10; i++) {
+        resto = (resto << 1) ^ ((resto >>> 9) * 0x537);
+    }
+    return ((datos << 10) | resto) ^ 0x5412;
+}
+
+/**
+ * Calcula los 18 bits de versión (versiones 7 a 40)
+ *
+ * @param {number} version - Versión
+ * @returns {number} - Bits de versión
+ */
+function calcularBitsVersion(version) {
+    let resto = version;
+    for (let i = 0; i < 12; i++) {
+        resto = (resto << 1) ^ ((resto >>> 11) * 0x1f25);
+    }
+    return (version << 12) | resto;
+}
+
+/**
+ * Coordenadas de los 15 bits de formato en sus dos copias
+ *
+ * @param {number} tamano - Módulos por lado
+ * @returns {Array<Array<[number, number]>>} - Para cada copia, [x, y] de cada bit (del 0 al 14)
+ */
+function posicionesFormato(tamano) {
+    const primera = [];
+    const segunda = [];
+    for (let i = 0; i < 15; i++) {
+        if (i < 6) {
+            primera.push([8, i]);
+        } else if (i < 8) {
+            primera.push([8, i + 1]);
+        } else if (i === 8) {
+            primera.push([7, 8]);
+        } else {
+            primera.push([14 - i, 8]);
+        }
+        segunda.push(i < 8 ? [tamano - 1 - i, 8] : [8, tamano - 15 + i]);
+    }
+    return [primera, segunda];
+}
+
+/**
+ * Crea una matriz vacía con los patrones de función de una versión
+ *
+ * Los patrones de función (búsqueda, separadores, temporización,
+ * alineación y las zonas de formato y versión) quedan marcados en
+ * "funcion" para que los datos los salten.
+ *
+ * @param {number} version - Versión (1-40)
+ * @returns {{version: number, tamano: number, modulos: Uint8Array, funcion: Uint8Array}}
+ */
+function crearMatriz(version) {
+    const tamano = version * 4 + 17;
+    const matriz = {
+        version,
+        tamano,
+        modulos: new Uint8Array(tamano * tamano),
+        funcion: new Uint8Array(tamano * tamano)
+    };
+
+    // Temporización
+    for (let i = 0; i < tamano; i++) {
+        fijarModulo(matriz, 6, i, i % 2 === 0);
+        fijarModulo(matriz, i, 6, i % 2 === 0);
+    }
+
+    // Patrones de búsqueda con su separador blanco
+    for (const [cx, cy] of [[3, 3], [tamano - 4, 3], [3, tamano - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < tamano && y >= 0 && y < tamano) {
+                    const distancia = Math.max(Math.abs(dx), Math.abs(dy));
+                    fijarModulo(matriz, x, y, distancia !== 2 && distancia !== 4);
+                }
+            }
+        }
+    }
+
+    // Patrones de alineación (salvo los que pisarían un patrón de búsqueda)
+    const alineacion = calcularPosicionesAlineacion(version);
+    alineacion.forEach((cy, i) => {
+        alineacion.forEach((cx, j) => {
+            const esquina = (i === 0 && j === 0) || (i === 0 && j === alineacion.length - 1) ||
+                (i === alineacion.length - 1 && j === 0);
+            if (esquina) {
+                return;
+            }
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    fijarModulo(matriz, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Zonas de formato (se rellenan al elegir la máscara) y módulo oscuro fijo
+    for (const copia of posicionesFormato(tamano)) {
+        for (const [x, y] of copia) {
+            fijarModulo(matriz, x, y, false);
+        }
+    }
+    fijarModulo(matriz, 8, tamano - 8, true);
+
+    // Información de versión
+    if (version >= 7) {
+        const bits = calcularBitsVersion(version);
+        for (let i = 0; i < 18; i++) {
+            const oscuro = ((bits >>> i) & 1) === 1;
+            const a = tamano - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            fijarModulo(matriz, a, b, oscuro);
+            fijarModulo(matriz, b, a, oscuro);
+        }
+    }
+
+    return matriz;
+}
+
+/**
+ * Fija un módulo de función
+ *
+ * @param {Object} matriz - Matriz de crearMatriz
+ * @param {number} x - Columna
+ * @param {number} y - Fila
+ * @param {boolean} oscuro - true si el módulo es negro
+ * @returns {void}
+ */
+function fijarModulo(matriz, x, y, oscuro) {
+    const indice = y * matriz.tamano + x;
+    matriz.modulos[indice] = oscuro ? 1 : 0;
+    matriz.funcion[indice] = 1;
+}
+
+/**
+ * Recorre los módulos de datos en el orden de colocación de los bits
+ *
+ * Columnas de dos en dos desde la derecha, en zigzag hacia arriba y hacia
+ * abajo, saltando la columna de temporización y los patrones de función.
+ *
+ * @param {Object} matriz - Matriz de crearMatriz
+ * @param {function(number, number): void} visitar - Recibe la columna y la fila de cada módulo
+ * @returns {void}
+ */
+function recorrerModulosDatos(matriz, visitar) {
+    const tamano = matriz.tamano;
+    for (let derecha = tamano - 1; derecha >= 1; derecha -= 2) {
+        if (derecha === 6) {
+            derecha = 5;
+        }
+        const haciaArriba = ((derecha + 1) & 2) === 0;
+        for (let paso = 0; paso < tamano; paso++) {
+            const y = haciaArriba ? tamano - 1 - paso : paso;
+            for (const x of [derecha, derecha - 1]) {
+                if (!matriz.funcion[y * tamano + x]) {
+                    visitar(x, y);
+                }
+            }
+        }
+    }
+}
+
+// ============================================================================
+// GENERACIÓN
+// ============================================================================
+
+/**
+ * Calcula la penalización de una matriz con máscara (cuanto menor, más legible)
+ *
+ * Reglas de la norma: filas y columnas con 5 o más módulos iguales seguidos,
+ * bloques de 2×2 del mismo color, secuencias que imitan un patrón de
+ * búsqueda y proporción de módulos negros lejos del 50 %.
+ *
+ * @param {Object} matriz - Matriz completa
+ * @returns {number} - Penalización
+ */
+function calcularPenalizacion(matriz) {
+    const { tamano, modulos } = matriz;
+    const modulo = (x, y) => modulos[y * tamano + x];
+    const imitaciones = ['10111010000', '00001011101'];
+    let penalizacion = 0;
+
+    for (let linea = 0; linea < tamano; linea++) {
+        for (const leer of [(i) => modulo(i, linea), (i) => modulo(linea, i)]) {
+            let texto = '';
+            let racha = 0;
+            for (let i = 0; i < tamano; i++) {
+                const valor = leer(i);
+                racha = i > 0 && valor === leer(i - 1) ? racha + 1 : 1;
+                if (racha === 5) {
+                    penalizacion += 3;
+                } else if (racha > 5) {
+                    penalizacion += 1;
+                }
+                texto += valor;
+            }
+            texto = `0000${texto}0000`;
+            for (const imitacion of imitaciones) {
+                for (let i = texto.indexOf(imitacion); i !== -1; i = texto.indexOf(imitacion, i + 1)) {
+                    penalizacion += 40;
+                }
+            }
+        }
+    }
+
+    for (let y = 0; y < tamano - 1; y++) {
+        for (let x = 0; x < tamano - 1; x++) {
+            const valor = modulo(x, y);
+            if (valor === modulo(x + 1, y) && valor === modulo(x, y + 1) && valor === modulo(x + 1, y + 1)) {
+                penalizacion += 3;
+            }
+        }
+    }
+
+    const oscuros = modulos.reduce((suma, valor) => suma + valor, 0);
+    const total = tamano * tamano;
+    penalizacion += 10 * Math.max(0, Math.ceil(Math.abs(oscuros * 20 - total * 10) / total) - 1);
+
+    return penalizacion;
+}
+
+/**
+ * Genera un código QR con un texto
+ *
+ * Proceso:
+ * 1. Elegir la versión más pequeña en la que cabe el texto (modo byte, UTF-8)
+ * 2. Codificar el segmento y rellenar hasta la capacidad de la versión
+ * 3. Repartir los datos en bloques, añadir su corrección e intercalarlos
+ * 4. Colocar los bits y quedarse con la máscara menos penalizada
+ *
+ * @param {string} texto - Texto que se codifica
+ * @returns {{version: number, tamano: number, modulos: Uint8Array}} - Módulos por filas (1 = negro)
+ * @throws {FormatError} - Si el texto no cabe en un código QR
+ */
+export function crearCodigoQR(texto) {
+    const bytes = new TextEncoder().encode(texto);
+    const nivel = NIVEL_GENERADO;
+
+    // PASO 1: Versión más pequeña con capacidad suficiente
+    let version = 1;
+    const bitsNecesarios = (v) => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+    while (version <= 40 && bitsNecesarios(version) > describirBloques(version, nivel).datos * 8) {
+        version++;
+    }
+    if (version > 40) {
+        throw new FormatError(`El texto es demasiado largo para un código QR (${bytes.length} bytes).`, 'qr-too-long', { bytes: bytes.length });
+    }
+    const estructura = describirBloques(version, nivel);
+
+    // PASO 2: Modo byte (0100), longitud, datos, terminador y relleno
+    const bits = [];
+    const anadirBits = (valor, cantidad) => {
+        for (let i = cantidad - 1; i >= 0; i--) {
+            bits.push((valor >>> i) & 1);
+        }
+    };
+    anadirBits(0b0100, 4);
+    anadirBits(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => anadirBits(byte, 8));
+    anadirBits(0, Math.min(4, estructura.datos * 8 - bits.length));
+    anadirBits(0, (8 - bits.length % 8) % 8);
+
+    const datos = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        datos.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let relleno = 0xec; datos.length < estructura.datos; relleno ^= 0xec ^ 0x11) {
+        datos.push(relleno);
+    }
+
+    // PASO 3: Bloques con su corrección, intercalados byte a byte
+    const bloques = [];
+    let inicio = 0;
+    for (let i = 0; i < estructura.bloques; i++) {
+        const longitud = estructura.longitudCorta - estructura.correccion + (i < estructura.cortos ? 0 : 1);
+        const bloque = datos.slice(inicio, inicio + longitud);
+        inicio += longitud;
+        bloques.push({ datos: bloque, correccion: calcularCorreccion(bloque, estructura.correccion) });
+    }
+
+    const palabras = [];
+    for (let i = 0; i <= estructura.longitudCorta - estructura.correccion; i++) {
+        bloques.forEach((bloque) => {
+            if (i < bloque.datos.length) {
+                palabras.push(bloque.datos[i]);
+            }
+        });
+    }
+    for (let i = 0; i < estructura.correccion; i++) {
+        bloques.forEach((bloque) => palabras.push(bloque.correccion[i]));
+    }
+
+    // PASO 4: Colocar los bits y probar las 8 máscaras
+    const matriz = crearMatriz(version);
+    let indice = 0;
+    recorrerModulosDatos(matriz, (x, y) => {
+        const palabra = palabras[indice >>> 3];
+        matriz.modulos[y * matriz.tamano + x] = indice < palabras.length * 8 ? (palabra >>> (7 - (indice & 7))) & 1 : 0;
+        indice++;
+    });
+
+    let mejor = null;
+    MASCARAS.forEach((mascara, numero) => {
+        const candidata = { ...matriz, modulos: matriz.modulos.slice() };
+        recorrerModulosDatos(candidata, (x, y) => {
+            if (mascara(x, y)) {
+                candidata.modulos[y * candidata.tamano + x] ^= 1;
+            }
+        });
+        const formato = calcularBitsFormato(nivel, numero);
+        for (const copia of posicionesFormato(candidata.tamano)) {
+            copia.forEach(([x, y], bit) => {
+                candidata.modulos[y * candidata.tamano + x] = (formato >>> bit) & 1;
+            });
+        }
+
+        const penalizacion = calcularPenalizacion(candidata);
+        if (!mejor || penalizacion < mejor.penalizacion) {
+            mejor = { penalizacion, modulos: candidata.modulos };
+        }
+    });
+
+    return { version, tamano: matriz.tamano, modulos: mejor.modulos };
+}
+
+/**
+ * Dibuja un código QR como imagen SVG
+ *
+ * @param {{tamano: number, modulos: Uint8Array}} codigo - Resultado de crearCodigoQR
+ * @param {number} [escala=8] - Píxeles por módulo del tamaño nominal de la imagen
+ * @returns {string} - Documento SVG con fondo blanco y margen de 4 módulos
+ */
+export function crearSVGQR(codigo, escala = 8) {
+    const lado = codigo.tamano + 2 * MARGEN;
+    let trazado = '';
+    for (let y = 0; y < codigo.tamano; y++) {
+        for (let x = 0; x < codigo.tamano; x++) {
+            if (codigo.modulos[y * codigo.tamano + x]) {
+                trazado += `M${x + MARGEN} ${y + MARGEN}h1v1h-1z`;
+            }
+        }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${lado} ${lado}" width="${lado * escala}" height="${lado * escala}" shape-rendering="crispEdges">` +
+        `<rect width="${lado}" height="${lado}" fill="#fff"/><path d="${trazado}" fill="#000"/></svg>`;
+}
+
+// ============================================================================
+// LECTURA DE IMÁGENES
+// ============================================================================
+
+/**
+ * Pasa una imagen RGBA a blanco y negro con un umbral global (Otsu)
+ *
+ * Funciona con capturas y con los códigos descargados, que tienen dos
+ * colores bien separados.
+ *
+ * @param {Uint8Array} luminancia - Luminancia de cada píxel
+ * @returns {Uint8Array} - 1 en los píxeles oscuros
+ */
+function binarizarGlobal(luminancia) {
+    const histograma = new Array(256).fill(0);
+    luminancia.forEach((valor) => histograma[valor]++);
+
+    const total = luminancia.length;
+    const sumaTotal = histograma.reduce((suma, cantidad, valor) => suma + cantidad * valor, 0);
+    let sumaFondo = 0;
+    let pesoFondo = 0;
+    let mejorVarianza = -1;
+    let umbral = 128;
+    for (let valor = 0; valor < 256; valor++) {
+        pesoFondo += histograma[valor];
+        if (pesoFondo === 0 || pesoFondo === total) {
+            continue;
+        }
+        sumaFondo += valor * histograma[valor];
+        const mediaFondo = sumaFondo / pesoFondo;
+        const mediaFrente = (sumaTotal - sumaFondo) / (total - pesoFondo);
+        const varianza = pesoFondo * (total - pesoFondo) * (mediaFondo - mediaFrente) ** 2;
+        if (varianza > mejorVarianza) {
+            mejorVarianza = varianza;
+            umbral = valor;
+        }
+    }
+
+    return luminancia.map((valor) => (valor <= umbral ? 1 : 0));
+}
+
+/**
+ * Pasa una imagen a blanco y negro comparando cada píxel con la media de
+ * su entorno
+ *
+ * Tolera mejor que el umbral global las fotos con sombras o reflejos.
+ *
+ * @param {Uint8Array} luminancia - Luminancia de cada píxel
+ * @param {number} ancho - Ancho en píxeles
+ * @param {number} alto - Alto en píxeles
+ * @returns {Uint8Array} - 1 en los píxeles oscuros
+ */
+function binarizarLocal(luminancia, ancho, alto) {
+    // Imagen integral: suma de la luminancia del rectángulo (0, 0)-(x, y)
+    const integral = new Float64Array((ancho + 1) * (alto + 1));
+    for (let y = 0; y < alto; y++) {
+        let fila = 0;
+        for (let x = 0; x < ancho; x++) {
+            fila += luminancia[y * ancho + x];
+            integral[(y + 1) * (ancho + 1) + x + 1] = integral[y * (ancho + 1) + x + 1] + fila;
+        }
+    }
+
+    const radio = Math.max(8, Math.floor(Math.min(ancho, alto) / 16));
+    const resultado = new Uint8Array(ancho * alto);
+    for (let y = 0; y < alto; y++) {
+        const y0 = Math.max(0, y - radio);
+        const y1 = Math.min(alto, y + radio + 1);
+        for (let x = 0; x < ancho; x++) {
+            const x0 = Math.max(0, x - radio);
+            const x1 = Math.min(ancho, x + radio + 1);
+            const suma = integral[y1 * (ancho + 1) + x1] - integral[y0 * (ancho + 1) + x1] -
+                integral[y1 * (ancho + 1) + x0] + integral[y0 * (ancho + 1) + x0];
+            const area = (x1 - x0) * (y1 - y0);
+            resultado[y * ancho + x] = luminancia[y * ancho + x] * area * 100 <= suma * 85 ? 1 : 0;
+        }
+    }
+    return resultado;
+}
+
+/**
+ * Comprueba si cinco tramos siguen la proporción 1:1:3:1:1 de un patrón de búsqueda
+ *
+ * @param {number[]} tramos - Longitudes oscuro, claro, oscuro, claro, oscuro
+ * @returns {boolean}
+ */
+function esProporcionBusqueda(tramos) {
+    const total = tramos.reduce((suma, tramo) => suma + tramo, 0);
+    if (total < 7 || tramos.some((tramo) => tramo === 0)) {
+        return false;
+    }
+    const modulo = total / 7;
+    const tolerancia = modulo / 2;
+    return Math.abs(tramos[0] - modulo) < tolerancia && Math.abs(tramos[1] - modulo) < tolerancia &&
+        Math.abs(tramos[2] - 3 * modulo) < 3 * tolerancia &&
+        Math.abs(tramos[3] - modulo) < tolerancia && Math.abs(tramos[4] - modulo) < tolerancia;
+}
+
+/**
+ * Mide los tramos oscuro-claro-oscuro-claro-oscuro que cruzan un píxel oscuro
+ *
+ * @param {Object} imagen - {binaria, ancho, alto}
+ * @param {number} x - Columna del píxel
+ * @param {number} y - Fila del píxel
+ * @param {number} dx - Dirección horizontal (0 o 1)
+ * @param {number} dy - Dirección vertical (0 o 1)
+ * @returns {{tramos: number[], centro: number}|null} - Tramos y centro del tramo central en el eje medido
+ */
+function medirCruce(imagen, x, y, dx, dy) {
+    const { binaria, ancho, alto } = imagen;
+    const dentro = (px, py) => px >= 0 && py >= 0 && px < ancho && py < alto;
+    const oscuro = (px, py) => dentro(px, py) && binaria[py * ancho + px] === 1;
+    if (!oscuro(x, y)) {
+        return null;
+    }
+
+    const tramos = [0, 0, 0, 0, 0];
+    const recorrer = (sentido, indices) => {
+        let px = sentido > 0 ? x + dx : x;
+        let py = sentido > 0 ? y + dy : y;
+        const colores = [true, false, true];
+        indices.forEach((indice, i) => {
+            while (dentro(px, py) && oscuro(px, py) === colores[i]) {
+                tramos[indice]++;
+                px += dx * sentido;
+                py += dy * sentido;
+            }
+        });
+    };
+
+    recorrer(-1, [2, 1, 0]);
+    const atras = tramos[2];
+    recorrer(1, [2, 3, 4]);
+    const adelante = tramos[2] - atras;
+
+    const posicion = dx ? x : y;
+    return { tramos, centro: posicion + 1 + (adelante - atras) / 2 };
+}
+
+/**
+ * Busca los patrones de búsqueda de la imagen
+ *
+ * Recorre las filas buscando tramos 1:1:3:1:1 y confirma cada uno con un
+ * cruce vertical y otro horizontal. Los hallazgos cercanos se agrupan.
+ *
+ * @param {Object} imagen - {binaria, ancho, alto}
+ * @returns {Array<{x: number, y: number, modulo: number, votos: number}>} - Candidatos
+ */
+function buscarPatronesBusqueda(imagen) {
+    const { binaria, ancho, alto } = imagen;
+    const candidatos = [];
+
+    for (let y = 0; y < alto; y++) {
+        // Tramos de la fila: [color, inicio, longitud]
+        const tramos = [];
+        for (let x = 0; x < ancho; x++) {
+            const color = binaria[y * ancho + x];
+            if (tramos.length && tramos[tramos.length - 1][0] === color) {
+                tramos[tramos.length - 1][2]++;
+            } else {
+                tramos.push([color, x, 1]);
+            }
+        }
+
+        for (let i = 0; i + 4 < tramos.length; i++) {
+            if (tramos[i][0] !== 1 || !esProporcionBusqueda(tramos.slice(i, i + 5).map((tramo) => tramo[2]))) {
+                continue;
+            }
+
+            const [, inicio, longitud] = tramos[i + 2];
+            const vertical = medirCruce(imagen, Math.floor(inicio + longitud / 2), y, 0, 1);
+            if (!vertical || !esProporcionBusqueda(vertical.tramos)) {
+                continue;
+            }
+            const horizontal = medirCruce(imagen, Math.floor(inicio + longitud / 2), Math.floor(vertical.centro), 1, 0);
+            if (!horizontal || !esProporcionBusqueda(horizontal.tramos)) {
+                continue;
+            }
+
+            const centroX = horizontal.centro;
+            const centroY = vertical.centro;
+            const modulo = (vertical.tramos.reduce((a, b) => a + b) + horizontal.tramos.reduce((a, b) => a + b)) / 14;
+            const cercano = candidatos.find((candidato) =>
+                Math.abs(candidato.x - centroX) <= candidato.modulo * 2 &&
+                Math.abs(candidato.y - centroY) <= candidato.modulo * 2 &&
+                Math.abs(candidato.modulo - modulo) <= Math.max(1, candidato.modulo / 2));
+
+            if (cercano) {
+                const votos = cercano.votos + 1;
+                cercano.x = (cercano.x * cercano.votos + centroX) / votos;
+                cercano.y = (cercano.y * cercano.votos + centroY) / votos;
+                cercano.modulo = (cercano.modulo * cercano.votos + modulo) / votos;
+                cercano.votos = votos;
+            } else {
+                candidatos.push({ x: centroX, y: centroY, modulo, votos: 1 });
+            }
+        }
+    }
+
+    return candidatos;
+}
+
+/**
+ * Elige entre los candidatos los tres patrones de búsqueda de un código
+ *
+ * Los tres centros forman un triángulo rectángulo isósceles; el vértice
+ * del ángulo recto es la esquina superior izquierda.
+ *
+ * @param {Array<Object>} candidatos - Resultado de buscarPatronesBusqueda
+ * @returns {{superiorIzquierdo: Object, superiorDerecho: Object, inferiorIzquierdo: Object}|null}
+ */
+function elegirPatrones(candidatos) {
+    const mejores = candidatos
+        .filter((candidato) => candidato.votos >= 2 || candidatos.length <= 3)
+        .sort((a, b) => b.votos - a.votos)
+        .slice(0, 12);
+    const distancia = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+    let elegido = null;
+    for (let i = 0; i < mejores.length; i++) {
+        for (let j = i + 1; j < mejores.length; j++) {
+            for (let k = j + 1; k < mejores.length; k++) {
+                const trio = [mejores[i], mejores[j], mejores[k]];
+                const modulos = trio.map((patron) => patron.modulo);
+                if (Math.max(...modulos) > 2 * Math.min(...modulos)) {
+                    continue;
+                }
+
+                // El lado más largo es la hipotenusa; el vértice opuesto, la esquina
+                const lados = [0, 1, 2].map((n) => ({
+                    opuesto: trio[n],
+                    extremos: trio.filter((_, m) => m !== n),
+                    longitud: distancia(...trio.filter((_, m) => m !== n))
+                })).sort((a, b) => b.longitud - a.longitud);
+                const [hipotenusa, cateto1, cateto2] = lados;
+                const modulo = modulos.reduce((a, b) => a + b) / 3;
+                if (cateto2.longitud < 10 * modulo) {
+                    continue;
+                }
+
+                const puntuacion = Math.abs(cateto1.longitud - cateto2.longitud) / cateto1.longitud +
+                    Math.abs(hipotenusa.longitud ** 2 - cateto1.longitud ** 2 - cateto2.longitud ** 2) / hipotenusa.longitud ** 2;
+                if (!elegido || puntuacion < elegido.puntuacion) {
+                    elegido = { puntuacion, esquina: hipotenusa.opuesto, otros: hipotenusa.extremos };
+                }
+            }
+        }
+    }
+    if (!elegido || elegido.puntuacion > 0.5) {
+        return null;
+    }
+
+    // Con el eje y hacia abajo, el producto vectorial es positivo si el orden es el correcto
+    const { esquina } = elegido;
+    let [derecho, inferior] = elegido.otros;
+    const producto = (derecho.x - esquina.x) * (inferior.y - esquina.y) - (derecho.y - esquina.y) * (inferior.x - esquina.x);
+    if (producto < 0) {
+        [derecho, inferior] = [inferior, derecho];
+    }
+    return { superiorIzquierdo: esquina, superiorDerecho: derecho, inferiorIzquierdo: inferior };
+}
+
+/**
+ * Calcula la transformación de perspectiva que lleva cuatro puntos a otros cuatro
+ *
+ * @param {Array<[number, number]>} origen - Cuatro puntos (coordenadas de módulo)
+ * @param {Array<[number, number]>} destino - Sus cuatro puntos en la imagen
+ * @returns {function(number, number): [number, number]|null} - Transformación, o null si los puntos están alineados
+ */
+function calcularPerspectiva(origen, destino) {
+    // Sistema de 8 ecuaciones: X = (a·x + b·y + c) / (g·x + h·y + 1), Y = (d·x + e·y + f) / (g·x + h·y + 1)
+    const filas = [];
+    origen.forEach(([x, y], i) => {
+        const [X, Y] = destino[i];
+        filas.push([x, y, 1, 0, 0, 0, -x * X, -y * X, X]);
+        filas.push([0, 0, 0, x, y, 1, -x * Y, -y * Y, Y]);
+    });
+
+    // Eliminación de Gauss con pivote parcial
+    for (let columna = 0; columna < 8; columna++) {
+        let pivote = columna;
+        for (let fila = columna + 1; fila < 8; fila++) {
+            if (Math.abs(filas[fila][columna]) > Math.abs(filas[pivote][columna])) {
+                pivote = fila;
+            }
+        }
+        if (Math.abs(filas[pivote][columna]) < 1e-10) {
+            return null;
+        }
+        [filas[columna], filas[pivote]] = [filas[pivote], filas[columna]];
+        for (let fila = 0; fila < 8; fila++) {
+            if (fila !== columna) {
+                const factor = filas[fila][columna] / filas[columna][columna];
+                for (let k = columna; k < 9; k++) {
+                    filas[fila][k] -= factor * filas[columna][k];
+                }
+            }
+        }
+    }
+    const [a, b, c, d, e, f, g, h] = filas.map((fila, i) => fila[8] / fila[i]);
+
+    return (x, y) => {
+        const divisor = g * x + h * y + 1;
+        return [(a * x + b * y + c) / divisor, (d * x + e * y + f) / divisor];
+    };
+}
+
+/**
+ * Busca el patrón de alineación inferior derecho cerca de donde se espera
+ *
+ * @param {Object} imagen - {binaria, ancho, alto}
+ * @param {number} x - Columna estimada
+ * @param {number} y - Fila estimada
+ * @param {number} modulo - Tamaño estimado de un módulo en píxeles
+ * @returns {[number, number]|null} - Centro del patrón, o null si no se encuentra
+ */
+function buscarAlineacion(imagen, x, y, modulo) {
+    const radio = Math.ceil(modulo * 4);
+    const parecido = (tramo) => Math.abs(tramo - modulo) < modulo * 0.7;
+    const oscuro = (px, py) => imagen.binaria[Math.floor(py) * imagen.ancho + Math.floor(px)] === 1;
+
+    // Alrededor del centro: anillo claro a un módulo y anillo oscuro a dos
+    const esAlineacion = (cx, cy) => [-1, 0, 1].every((i) => [-1, 0, 1].every((j) =>
+        (i === 0 && j === 0) || (!oscuro(cx + i * modulo, cy + j * modulo) && oscuro(cx + 2 * i * modulo, cy + 2 * j * modulo))));
+    let mejor = null;
+
+    for (let py = Math.round(y - radio); py <= y + radio; py++) {
+        for (let px = Math.round(x - radio); px <= x + radio; px++) {
+            const horizontal = medirCruce(imagen, px, py, 1, 0);
+            if (!horizontal || !horizontal.tramos.slice(1, 4).every(parecido) || !horizontal.tramos[0] || !horizontal.tramos[4]) {
+                continue;
+            }
+            const vertical = medirCruce(imagen, Math.floor(horizontal.centro), py, 0, 1);
+            if (!vertical || !vertical.tramos.slice(1, 4).every(parecido) || !vertical.tramos[0] || !vertical.tramos[4]) {
+                continue;
+            }
+            if (!esAlineacion(horizontal.centro, vertical.centro)) {
+                continue;
+            }
+            const distancia = Math.hypot(horizontal.centro - x, vertical.centro - y);
+            if (!mejor || distancia < mejor.distancia) {
+                mejor = { distancia, centro: [horizontal.centro, vertical.centro] };
+            }
+        }
+    }
+
+    return mejor && mejor.centro;
+}
+
+/**
+ * Lee los módulos de un código a partir de sus patrones de búsqueda
+ *
+ * @param {Object} imagen - {binaria, ancho, alto}
+ * @param {Object} patrones - Resultado de elegirPatrones
+ * @param {number} tamano - Módulos por lado que se suponen
+ * @returns {Uint8Array|null} - Módulos por filas, o null si el código se sale de la imagen
+ */
+function muestrearCodigo(imagen, patrones, tamano) {
+    const { superiorIzquierdo: si, superiorDerecho: sd, inferiorIzquierdo: ii } = patrones;
+    const modulo = (si.modulo + sd.modulo + ii.modulo) / 3;
+    const origen = [[3.5, 3.5], [tamano - 3.5, 3.5], [3.5, tamano - 3.5]];
+    const destino = [[si.x, si.y], [sd.x, sd.y], [ii.x, ii.y]];
+
+    // Cuarto punto: el patrón de alineación inferior derecho o, si no hay, la esquina estimada
+    const estimado = [sd.x + ii.x - si.x, sd.y + ii.y - si.y];
+    let transformacion = null;
+    if (tamano > 21) {
+        const proporcion = (tamano - 10) / (tamano - 7);
+        const esperado = [si.x + (estimado[0] - si.x) * proporcion, si.y + (estimado[1] - si.y) * proporcion];
+        const alineacion = buscarAlineacion(imagen, esperado[0], esperado[1], modulo);
+        if (alineacion) {
+            transformacion = calcularPerspectiva([...origen, [tamano - 6.5, tamano - 6.5]], [...destino, alineacion]);
+        }
+    }
+    transformacion = transformacion || calcularPerspectiva([...origen, [tamano - 3.5, tamano - 3.5]], [...destino, estimado]);
+    if (!transformacion) {
+        return null;
+    }
+
+    const modulos = new Uint8Array(tamano * tamano);
+    for (let fila = 0; fila < tamano; fila++) {
+        for (let columna = 0; columna < tamano; columna++) {
+            const [x, y] = transformacion(columna + 0.5, fila + 0.5);
+            const px = Math.floor(x);
+            const py = Math.floor(y);
+            if (px < 0 || py < 0 || px >= imagen.ancho || py >= imagen.alto) {
+                return null;
+            }
+            modulos[fila * tamano + columna] = imagen.binaria[py * imagen.ancho + px];
+        }
+    }
+    return modulos;
+}
+
+/**
+ * Busca el valor válido más cercano (en bits distintos) a unos bits leídos
+ *
+ * @param {number[]} leidos - Lecturas de los bits (una por copia)
+ * @param {Array<{bits: number}>} validos - Valores posibles
+ * @returns {Object|null} - El valor más cercano, si difiere en 3 bits o menos
+ */
+function buscarMasCercano(leidos, validos) {
+    const contarBits = (valor) => {
+        let cuenta = 0;
+        for (; valor; valor &= valor - 1) {
+            cuenta++;
+        }
+        return cuenta;
+    };
+
+    let mejor = null;
+    let mejorDistancia = 4;
+    for (const valido of validos) {
+        for (const leido of leidos) {
+            const distancia = contarBits(valido.bits ^ leido);
+            if (distancia < mejorDistancia) {
+                mejor = valido;
+                mejorDistancia = distancia;
+            }
+        }
+    }
+    return mejor;
+}
+
+/** Combinaciones de nivel y máscara con sus bits de formato */
+const FORMATOS = Object.keys(NIVELES).flatMap((nivel) =>
+    MASCARAS.map((_, mascara) => ({ nivel, mascara, bits: calcularBitsFormato(nivel, mascara) })));
+
+/** Versiones 7 a 40 con sus bits de versión */
+const VERSIONES = Array.from({ length: 34 }, (_, i) => ({ version: i + 7, bits: calcularBitsVersion(i + 7) }));
+
+/**
+ * Lee la versión de un código en su información de versión (versiones 7 a 40)
+ *
+ * @param {Uint8Array} modulos - Módulos por filas
+ * @param {number} tamano - Módulos por lado
+ * @returns {number|null} - Versión, o null si no se puede leer
+ */
+function leerVersion(modulos, tamano) {
+    if (tamano < 45) {
+        return null;
+    }
+    let derecha = 0;
+    let inferior = 0;
+    for (let i = 0; i < 18; i++) {
+        const a = tamano - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        derecha |= modulos[b * tamano + a] << i;
+        inferior |= modulos[a * tamano + b] << i;
+    }
+    const encontrada = buscarMasCercano([derecha, inferior], VERSIONES);
+    return encontrada && encontrada.version;
+}
+
+/**
+ * Decodifica los segmentos de datos de un código
+ *
+ * Admite los modos numérico, alfanumérico, byte (UTF-8 o, si no lo es,
+ * ISO-8859-1) y kanji, e ignora los indicadores ECI y de enlace.
+ *
+ * @param {number[]} datos - Bytes de datos corregidos
+ * @param {number} version - Versión (determina el tamaño de los contadores)
+ * @returns {string} - Texto
+ */
+function decodificarSegmentos(datos, version) {
+    let posicion = 0;
+    const quedan = () => datos.length * 8 - posicion;
+    const leerBits = (cantidad) => {
+        let valor = 0;
+        for (let i = 0; i < cantidad; i++, posicion++) {
+            valor = (valor << 1) | ((datos[posicion >>> 3] >>> (7 - (posicion & 7))) & 1);
+        }
+        return valor;
+    };
+    const grupo = version < 10 ? 0 : version < 27 ? 1 : 2;
+
+    let texto = '';
+    while (quedan() >= 4) {
+        const modo = leerBits(4);
+        if (modo === 0b0000) {
+            break;
+        } else if (modo === 0b0001) {
+            let cantidad = leerBits([10, 12, 14][grupo]);
+            for (; cantidad >= 3; cantidad -= 3) {
+                texto += String(leerBits(10)).padStart(3, '0');
+            }
+            if (cantidad) {
+                texto += String(leerBits(cantidad === 2 ? 7 : 4)).padStart(cantidad, '0');
+            }
+        } else if (modo === 0b0010) {
+            let cantidad = leerBits([9, 11, 13][grupo]);
+            for (; cantidad >= 2; cantidad -= 2) {
+                const valor = leerBits(11);
+                texto += ALFANUMERICOS[Math.floor(valor / 45)] + ALFANUMERICOS[valor % 45];
+            }
+            if (cantidad) {
+                texto += ALFANUMERICOS[leerBits(6)];
+            }
+        } else if (modo === 0b0100) {
+            const bytes = Uint8Array.from({ length: leerBits([8, 16, 16][grupo]) }, () => leerBits(8));
+            try {
+                texto += new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            } catch {
+                texto += String.fromCharCode(...bytes);
+            }
+        } else if (modo === 0b1000) {
+            const bytes = [];
+            for (let cantidad = leerBits([8, 10, 12][grupo]); cantidad > 0; cantidad--) {
+                const valor = leerBits(13);
+                const combinado = (Math.floor(valor / 0xc0) << 8) | (valor % 0xc0);
+                const codigo = combinado + (combinado < 0x1f00 ? 0x8140 : 0xc140);
+                bytes.push(codigo >>> 8, codigo & 0xff);
+            }
+            texto += new TextDecoder('shift_jis').decode(Uint8Array.from(bytes));
+        } else if (modo === 0b0111) {
+            const primero = leerBits(8);
+            leerBits((primero & 0x80) === 0 ? 0 : (primero & 0xc0) === 0x80 ? 8 : 16);
+        } else if (modo === 0b0011) {
+            leerBits(16);
+        } else if (modo === 0b1001) {
+            leerBits(8);
+        } else if (modo !== 0b0101) {
+            throw new FormatError('El código QR usa un modo de datos desconocido.', 'qr-mode');
+        }
+    }
+    return texto;
+}
+
+/**
+ * Decodifica una matriz de módulos ya muestreada
+ *
+ * Proceso:
+ * 1. Leer el nivel de corrección y la máscara (información de formato)
+ * 2. Quitar la máscara y leer los bytes en zigzag
+ * 3. Separar los bloques y corregir sus errores
+ * 4. Decodificar los segmentos de datos
+ *
+ * @param {Uint8Array} modulos - Módulos por filas (1 = negro)
+ * @param {number} tamano - Módulos por lado
+ * @returns {string|null} - Texto, o null si la matriz no es un código válido
+ */
+function decodificarMatriz(modulos, tamano) {
+    const version = (tamano - 17) / 4;
+
+    // PASO 1: Formato (las dos copias, admitiendo hasta 3 bits erróneos)
+    const leidos = posicionesFormato(tamano).map((copia) =>
+        copia.reduce((bits, [x, y], bit) => bits | (modulos[y * tamano + x] << bit), 0));
+    const formato = buscarMasCercano(leidos, FORMATOS);
+    if (!formato) {
+        return null;
+    }
+
+    // PASO 2: Bytes de datos sin máscara
+    const matriz = crearMatriz(version);
+    const estructura = describirBloques(version, formato.nivel);
+    const mascara = MASCARAS[formato.mascara];
+    const palabras = new Array(estructura.total).fill(0);
+    let indice = 0;
+    recorrerModulosDatos(matriz, (x, y) => {
+        if (indice < estructura.total * 8) {
+            const bit = modulos[y * tamano + x] ^ (mascara(x, y) ? 1 : 0);
+            palabras[indice >>> 3] |= bit << (7 - (indice & 7));
+        }
+        indice++;
+    });
+
+    // PASO 3: Deshacer el intercalado y corregir cada bloque
+    const longitudDatosCorta = estructura.longitudCorta - estructura.correccion;
+    const bloques = Array.from({ length: estructura.bloques }, (_, j) => ({
+        datos: [],
+        correccion: [],
+        longitud: longitudDatosCorta + (j < estructura.cortos ? 0 : 1)
+    }));
+    let leida = 0;
+    for (let i = 0; i <= longitudDatosCorta; i++) {
+        bloques.forEach((bloque) => {
+            if (i < bloque.longitud) {
+                bloque.datos.push(palabras[leida++]);
+            }
+        });
+    }
+    for (let i = 0; i < estructura.correccion; i++) {
+        bloques.forEach((bloque) => bloque.correccion.push(palabras[leida++]));
+    }
+
+    const datos = [];
+    for (const bloque of bloques) {
+        const completo = [...bloque.datos, ...bloque.correccion];
+        if (!corregirBloque(completo, estructura.correccion)) {
+            return null;
+        }
+        datos.push(...completo.slice(0, bloque.longitud));
+    }
+
+    // PASO 4: Segmentos
+    return decodificarSegmentos(datos, version);
+}
+
+/**
+ * Lee el código QR de una imagen
+ *
+ * Prueba primero el umbral global y, si no encuentra el código, el local.
+ * Para cada umbral localiza los patrones de búsqueda, estima el número de
+ * módulos (y lo confirma con la información de versión) y decodifica.
+ * Se lee un código por imagen.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} datosImagen - Píxeles RGBA (ImageData)
+ * @returns {string|null} - Texto del código, o null si no se encuentra ninguno legible
+ */
+export function leerCodigoQR(datosImagen) {
+    const { data, width: ancho, height: alto } = datosImagen;
+
+    // Luminancia; los píxeles transparentes cuentan como blancos
+    const luminancia = new Uint8Array(ancho * alto);
+    for (let i = 0; i < ancho * alto; i++) {
+        const p = i * 4;
+        luminancia[i] = data[p + 3] < 128 ? 255 : Math.round((data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000);
+    }
+
+    for (const binarizar of [binarizarGlobal, binarizarLocal]) {
+        const imagen = { binaria: binarizar(luminancia, ancho, alto), ancho, alto };
+        const patrones = elegirPatrones(buscarPatronesBusqueda(imagen));
+        if (!patrones) {
+            continue;
+        }
+
+        // Módulos por lado estimados por la distancia entre patrones (4·versión + 17)
+        const { superiorIzquierdo: si, superiorDerecho: sd, inferiorIzquierdo: ii } = patrones;
+        const modulo = (si.modulo + sd.modulo + ii.modulo) / 3;
+        const estimado = (Math.hypot(sd.x - si.x, sd.y - si.y) + Math.hypot(ii.x - si.x, ii.y - si.y)) / (2 * modulo) + 7;
+        const tamanos = Array.from({ length: 40 }, (_, i) => i * 4 + 21)
+            .sort((a, b) => Math.abs(a - estimado) - Math.abs(b - estimado))
+            .slice(0, 3);
+
+        for (let tamano of tamanos) {
+            let modulos = muestrearCodigo(imagen, patrones, tamano);
+            const version = modulos && leerVersion(modulos, tamano);
+            if (version && version * 4 + 17 !== tamano) {
+                tamano = version * 4 + 17;
+                modulos = muestrearCodigo(imagen, patrones, tamano);
+            }
+            if (!modulos) {
+                continue;
+            }
+
+            // Las imágenes reflejadas se leen con la matriz traspuesta
+            const traspuesta = modulos.map((_, i) => modulos[(i % tamano) * tamano + Math.floor(i / tamano)]);
+            for (const candidata of [modulos, traspuesta]) {
+                try {
+                    const texto = decodificarMatriz(candidata, tamano);
+                    if (texto !== null) {
+                        return texto;
+                    }
+                } catch (error) {
+                    if (!(error instanceof FormatError)) {
+                        throw error;
+                    }
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+// ============================================================================
+// TEXTOS REPARTIDOS EN VARIOS CÓDIGOS
+// ============================================================================
+
+/**
+ * Reparte un texto en los contenidos de uno o varios códigos QR
+ *
+ * Si el texto cabe en un código, se devuelve tal cual para que cualquier
+ * lector lo muestre sin cabeceras. Si no, cada parte lleva la cabecera
+ * "RSA-DEMO-QR:parte/total:id:".
+ *
+ * @param {string} texto - Texto completo
+ * @param {number} [maxBytes=MAX_BYTES_POR_CODIGO] - Bytes de texto por código
+ * @returns {Promise<string[]>} - Contenido de cada código
+ */
+export async function dividirEnCodigos(texto, maxBytes = MAX_BYTES_POR_CODIGO) {
+    const codificador = new TextEncoder();
+    if (codificador.encode(texto).length <= maxBytes) {
+        return [texto];
+    }
+
+    // Trozos de hasta maxBytes bytes sin partir ningún carácter
+    const fragmentos = [''];
+    let bytesFragmento = 0;
+    for (const caracter of texto) {
+        const bytes = codificador.encode(caracter).length;
+        if (bytesFragmento + bytes > maxBytes) {
+            fragmentos.push('');
+            bytesFragmento = 0;
+        }
+        fragmentos[fragmentos.length - 1] += caracter;
+        bytesFragmento += bytes;
+    }
+
+    const id = await calcularIdTexto(texto);
+    return fragmentos.map((fragmento, i) => `${PREFIJO_PARTE}:${i + 1}/${fragmentos.length}:${id}:${fragmento}`);
+}
+
+/**
+ * Calcula el identificador de un texto repartido
+ *
+ * @param {string} texto - Texto completo
+ * @returns {Promise<string>} - Primeros 4 bytes de su SHA-256 en hexadecimal
+ */
+async function calcularIdTexto(texto) {
+    const resumen = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(texto));
+    return bytesAHex(new Uint8Array(resumen).slice(0, 4));
+}
+
+/**
+ * Interpreta el contenido de un código como parte de un texto repartido
+ *
+ * @param {string} contenido - Contenido leído de un código
+ * @returns {{parte: number, total: number, id: string, fragmento: string}|null} - null si no es una parte
+ */
+export function leerParte(contenido) {
+    const coincidencia = contenido.match(new RegExp(`^${PREFIJO_PARTE}:(\\d+)/(\\d+):([0-9a-f]{8}):([\\s\\S]*)$`));
+    if (!coincidencia) {
+        return null;
+    }
+    const parte = Number(coincidencia[1]);
+    const total = Number(coincidencia[2]);
+    if (parte < 1 || parte > total) {
+        return null;
+    }
+    return { parte, total, id: coincidencia[3], fragmento: coincidencia[4] };
+}
+
+/**
+ * Une las partes leídas de un texto repartido
+ *
+ * Solo cuentan las partes del mismo texto que la última leída; las de
+ * otros textos se descartan. Cuando están todas, se comprueba que el texto
+ * unido corresponde a su identificador.
+ *
+ * @param {string[]} contenidos - Contenidos de los códigos leídos (partes)
+ * @returns {Promise<{texto: string|null, total: number, recibidas: number[], faltan: number[]}>}
+ *          texto: el texto completo, o null si faltan partes
+ * @throws {FormatError} - Si las partes no forman el texto que indica su identificador
+ */
+export async function unirCodigos(contenidos) {
+    const partes = contenidos.map(leerParte).filter(Boolean);
+    if (!partes.length) {
+        return { texto: null, total: 0, recibidas: [], faltan: [] };
+    }
+
+    const ultima = partes[partes.length - 1];
+    const fragmentos = new Map();
+    for (const parte of partes) {
+        if (parte.id === ultima.id && parte.total === ultima.total) {
+            fragmentos.set(parte.parte, parte.fragmento);
+        }
+    }
+
+    const numeros = Array.from({ length: ultima.total }, (_, i) => i + 1);
+    const recibidas = numeros.filter((numero) => fragmentos.has(numero));
+    const faltan = numeros.filter((numero) => !fragmentos.has(numero));
+    if (faltan.length) {
+        return { texto: null, total: ultima.total, recibidas, faltan };
+    }
+
+    const texto = numeros.map((numero) => fragmentos.get(numero)).join('');
+    if (await calcularIdTexto(texto) !== ultima.id) {
+        throw new FormatError('Las partes leídas no forman el texto original: alguna está dañada o es de otro texto.', 'qr-parts');
+    }
+    return { texto, total: ultima.total, recibidas, faltan };
+}
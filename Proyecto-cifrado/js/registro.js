@@ -0,0 +1,522 @@
+/**
+ * ============================================================================
+ * REGISTRO - Cadena de bloques de mensajes cifrados
+ * ============================================================================
+ *
+ * Este script añade textos cifrados a una cadena de bloques local con
+ * prueba de trabajo, la verifica bloque a bloque y la exporta o importa
+ * como JSON. La lógica de la cadena está en cadena.js.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { inspect } from './api.js';
+import {
+    crearBloque,
+    minarBloque,
+    intentosEsperados,
+    verificarCadena,
+    exportarCadena,
+    importarCadena,
+    obtenerBloques,
+    anadirBloque,
+    reemplazarCadena,
+    vaciarCadena,
+    CLAVE_TEXTO_PENDIENTE
+} from './cadena.js';
+import {
+    exponerEnPagina,
+    escaparHTML,
+    mostrarNotificacion,
+    mostrarResultado,
+    mostrarError,
+    activarAtajoEnvio,
+    copiarAlPortapapeles,
+    descargarArchivo
+} from './ui.js';
+
+/** Sugerencias que acompañan a los errores de esta página */
+const SUGERENCIAS_ERROR = [
+    'Copia el texto cifrado completo desde el Codificador (incluyendo las líneas BEGIN y END)',
+    'Comprueba que el navegador permite guardar datos (IndexedDB) para esta página',
+    'Si el problema persiste, exporta la cadena y vuelve a importarla'
+];
+
+/** Cadena mostrada en la página */
+let bloquesActuales = [];
+
+/** Worker que está minando en este momento (null si no hay ninguno) */
+let workerMineria = null;
+
+/** Temporizador que actualiza el tiempo transcurrido durante la minería */
+let temporizadorMineria = null;
+
+/** Momento en que empezó la minería en curso (para calcular la velocidad) */
+let inicioMineria = 0;
+
+/**
+ * Mina un bloque con el texto cifrado y lo añade a la cadena
+ *
+ * Flujo del proceso:
+ * 1. Validar el texto cifrado y la dificultad
+ * 2. Preparar el bloque enlazado con el último de la cadena
+ * 3. Minar en un Web Worker (se puede cancelar)
+ * 4. Guardar el bloque y mostrarlo
+ *
+ * Si el navegador no permite crear el worker se mina en el hilo principal.
+ *
+ * @returns {Promise<void>}
+ */
+async function minarYAnadir() {
+    // PASO 1: Validar los campos
+    const textoCifrado = document.getElementById('textoCifrado').value.trim();
+    const dificultad = parseInt(document.getElementById('dificultad').value, 10);
+
+    if (!textoCifrado) {
+        mostrarError('Debes pegar el texto cifrado que quieres registrar', SUGERENCIAS_ERROR);
+        return;
+    }
+
+    try {
+        inspect(textoCifrado);
+    } catch (error) {
+        mostrarError(escaparHTML(error.message), SUGERENCIAS_ERROR);
+        return;
+    }
+
+    try {
+        // PASO 2: Preparar el bloque con el hash del último bloque guardado
+        const bloque = crearBloque(await obtenerBloques(), textoCifrado, dificultad);
+
+        // PASO 3: Minar en un worker (o en el hilo principal como alternativa)
+        mostrarMinando(bloque);
+        document.getElementById('btnMinar').disabled = true;
+
+        let worker;
+        try {
+            worker = new Worker('../js/cadena-worker.js', { type: 'module' });
+        } catch (error) {
+            console.warn('⚠️ No se pudo crear el Web Worker, se minará en el hilo principal:', error);
+            minarEnHiloPrincipal(bloque);
+            return;
+        }
+
+        workerMineria = worker;
+
+        worker.onmessage = function(evento) {
+            const datos = evento.data;
+
+            if (datos.tipo === 'progreso') {
+                actualizarIntentos(datos.intentos);
+                return;
+            }
+
+            finalizarMineria();
+
+            if (datos.tipo === 'error') {
+                mostrarError(`Error al minar el bloque: ${escaparHTML(datos.mensaje)}`, SUGERENCIAS_ERROR);
+                return;
+            }
+
+            guardarBloqueMinado(datos.bloque);
+        };
+
+        worker.onerror = function(evento) {
+            evento.preventDefault();
+            finalizarMineria();
+            mostrarError('Error: No se pudo iniciar la minería en segundo plano.', SUGERENCIAS_ERROR);
+        };
+
+        worker.postMessage({ bloque });
+
+    } catch (error) {
+        console.error('❌ Error al minar el bloque:', error);
+        finalizarMineria();
+        mostrarError(`Error al minar el bloque: ${escaparHTML(error.message)}`, SUGERENCIAS_ERROR);
+    }
+}
+
+/**
+ * Mina el bloque en el hilo principal
+ *
+ * WebCrypto trabaja de forma asíncrona, así que la página sigue
+ * respondiendo, pero la minería no se puede cancelar.
+ *
+ * @param {Object} bloque - Bloque creado con crearBloque
+ * @returns {Promise<void>}
+ */
+async function minarEnHiloPrincipal(bloque) {
+    document.getElementById('btnCancelarMineria').disabled = true;
+
+    try {
+        const minado = await minarBloque(bloque, actualizarIntentos);
+        finalizarMineria();
+        await guardarBloqueMinado(minado);
+    } catch (error) {
+        console.error('❌ Error al minar el bloque:', error);
+        finalizarMineria();
+        mostrarError(`Error al minar el bloque: ${escaparHTML(error.message)}`, SUGERENCIAS_ERROR);
+    }
+}
+
+/**
+ * Guarda el bloque minado en la cadena y muestra el resultado
+ *
+ * @param {Object} bloque - Bloque minado (con nonce y hash)
+ * @returns {Promise<void>}
+ */
+async function guardarBloqueMinado(bloque) {
+    const segundos = ((Date.now() - inicioMineria) / 1000).toFixed(1);
+
+    try {
+        await anadirBloque(bloque);
+    } catch (error) {
+        console.error('❌ Error al guardar el bloque:', error);
+        mostrarError(`No se pudo añadir el bloque: ${escaparHTML(error.message)}`, SUGERENCIAS_ERROR);
+        return;
+    }
+
+    document.getElementById('textoCifrado').value = '';
+    await cargarCadena();
+
+    mostrarResultado(`
+        <h3>✅ Bloque #${bloque.indice} Añadido</h3>
+        <div class="info-box">
+            <strong>⛏️ Prueba de trabajo:</strong>
+            <div class="bloque-datos" style="margin-top: 8px;">
+                🎯 <strong>Dificultad:</strong> ${bloque.dificultad} ceros<br>
+                🔢 <strong>Nonce encontrado:</strong> ${bloque.nonce} (${bloque.nonce + 1} intentos)<br>
+                ⏱️ <strong>Tiempo:</strong> ${segundos} s<br>
+                🔏 <strong>Hash:</strong> <code>${bloque.hash}</code>
+            </div>
+        </div>
+    `);
+
+    console.log('✅ Bloque minado:', bloque.indice, 'nonce', bloque.nonce);
+}
+
+/**
+ * Cancela la minería en curso
+ *
+ * @returns {void}
+ */
+function cancelarMineria() {
+    if (!workerMineria) {
+        return;
+    }
+
+    finalizarMineria();
+
+    mostrarResultado(`
+        <h3>⏹️ Minería cancelada</h3>
+        <p>No se ha añadido ningún bloque. El texto cifrado sigue en el formulario.</p>
+    `, 'info');
+
+    mostrarNotificacion('⏹️ Minería cancelada', 'error');
+}
+
+/**
+ * Detiene el worker y el temporizador y vuelve a habilitar el botón
+ *
+ * @returns {void}
+ */
+function finalizarMineria() {
+    if (workerMineria) {
+        workerMineria.terminate();
+        workerMineria = null;
+    }
+
+    clearInterval(temporizadorMineria);
+    temporizadorMineria = null;
+
+    document.getElementById('btnMinar').disabled = false;
+}
+
+/**
+ * Muestra el número de intentos y la velocidad de la minería
+ *
+ * @param {number} intentos - Nonces probados hasta ahora
+ * @returns {void}
+ */
+function actualizarIntentos(intentos) {
+    const elemento = document.getElementById('intentosMineria');
+    if (elemento) {
+        const segundos = (Date.now() - inicioMineria) / 1000;
+        const velocidad = segundos > 0 ? Math.round(intentos / segundos) : 0;
+        elemento.textContent = `${intentos.toLocaleString('es-ES')} intentos · ${velocidad.toLocaleString('es-ES')} hashes/s`;
+    }
+}
+
+/**
+ * Muestra el progreso mientras se mina el bloque
+ *
+ * @param {Object} bloque - Bloque que se está minando
+ * @returns {void}
+ */
+function mostrarMinando(bloque) {
+    mostrarResultado(`
+        <div class="text-center">
+            <div class="loading" style="display: inline-block; margin: 20px auto;"></div>
+            <p style="color: #666;">Minando el bloque #${bloque.indice} con dificultad ${bloque.dificultad}
+                (~${intentosEsperados(bloque.dificultad).toLocaleString('es-ES')} intentos de media)...</p>
+            <div class="barra-progreso"><div class="barra-progreso-relleno"></div></div>
+            <p id="intentosMineria" style="color: #666; font-size: 0.9rem;">Preparando la minería...</p>
+            <p style="color: #999; font-size: 0.9rem;">
+                ⏱️ Tiempo transcurrido: <span id="tiempoMineria">0</span> s
+            </p>
+            <button
+                id="btnCancelarMineria"
+                onclick="cancelarMineria()"
+                style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px; background: #6c757d; color: white;"
+            >
+                ⏹️ Cancelar
+            </button>
+        </div>
+    `, 'info');
+
+    // Contador de tiempo transcurrido
+    inicioMineria = Date.now();
+    clearInterval(temporizadorMineria);
+    temporizadorMineria = setInterval(() => {
+        const tiempo = document.getElementById('tiempoMineria');
+        if (tiempo) {
+            tiempo.textContent = Math.floor((Date.now() - inicioMineria) / 1000);
+        }
+    }, 1000);
+}
+
+/**
+ * Carga la cadena guardada y la muestra
+ *
+ * @param {Map<number, string[]>} [problemas] - Motivos de fallo por índice de bloque
+ * @returns {Promise<void>}
+ */
+async function cargarCadena(problemas = new Map()) {
+    try {
+        bloquesActuales = await obtenerBloques();
+    } catch (error) {
+        console.warn('⚠️ Cadena no disponible:', error);
+        bloquesActuales = [];
+        mostrarError(escaparHTML(error.message), SUGERENCIAS_ERROR, 'resultadoCadena');
+    }
+    mostrarBloques(problemas);
+}
+
+/**
+ * Muestra los bloques de la cadena, del más reciente al primero
+ *
+ * @param {Map<number, string[]>} problemas - Motivos de fallo por índice de bloque
+ * @returns {void}
+ */
+function mostrarBloques(problemas) {
+    const lista = document.getElementById('listaBloques');
+
+    if (!bloquesActuales.length) {
+        lista.innerHTML = `
+            <p style="text-align: center; color: #999;">
+                La cadena está vacía. Añade el primer bloque con un texto cifrado.
+            </p>
+        `;
+        return;
+    }
+
+    lista.innerHTML = bloquesActuales.map((bloque, i) => {
+        const motivos = problemas.get(i) || [];
+        return `
+            <div class="bloque${motivos.length ? ' manipulado' : ''}">
+                <div class="bloque-cabecera">
+                    <strong>${motivos.length ? '❌' : '📦'} Bloque #${i}</strong>
+                    <span>📅 ${new Date(bloque.marcaTiempo).toLocaleString('es-ES')}</span>
+                </div>
+                <div class="bloque-datos">
+                    🔗 <strong>Hash anterior:</strong> <code>${escaparHTML(bloque.hashAnterior)}</code><br>
+                    🔏 <strong>Hash:</strong> <code>${escaparHTML(bloque.hash)}</code><br>
+                    🔢 <strong>Nonce:</strong> ${bloque.nonce} · 🎯 <strong>Dificultad:</strong> ${bloque.dificultad}
+                </div>
+                ${motivos.length ? `
+                <ul style="margin: 10px 0 0 20px; color: #c62828; line-height: 1.6;">
+                    ${motivos.map((motivo) => `<li>${escaparHTML(motivo)}</li>`).join('')}
+                </ul>` : ''}
+                <details style="margin-top: 10px;">
+                    <summary style="cursor: pointer; color: #666;">🔐 Texto cifrado (${bloque.textoCifrado.length} caracteres)</summary>
+                    <textarea readonly style="margin-top: 10px; font-size: 12px;">${escaparHTML(bloque.textoCifrado)}</textarea>
+                    <button
+                        onclick="copiarBloque(${i})"
+                        class="registro"
+                        style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+                    >
+                        📋 Copiar Texto Cifrado
+                    </button>
+                </details>
+            </div>
+        `;
+    }).reverse().join('');
+}
+
+/**
+ * Verifica la cadena guardada y señala los bloques manipulados
+ *
+ * @returns {Promise<void>}
+ */
+async function verificarCadenaGuardada() {
+    try {
+        const bloques = await obtenerBloques();
+        const { valida, problemas } = await verificarCadena(bloques);
+
+        // Agrupar los motivos por bloque para marcarlos en la lista
+        const porBloque = new Map();
+        problemas.forEach(({ indice, motivo }) => {
+            porBloque.set(indice, [...(porBloque.get(indice) || []), motivo]);
+        });
+        await cargarCadena(porBloque);
+
+        if (valida) {
+            mostrarResultado(`
+                <h3>✅ Cadena Íntegra</h3>
+                <p style="margin: 15px 0;">
+                    Los ${bloques.length} bloques tienen un hash correcto, cumplen la prueba de trabajo
+                    y están bien enlazados.
+                </p>
+            `, 'success', 'resultadoCadena');
+            return;
+        }
+
+        const primero = problemas[0].indice;
+        mostrarResultado(`
+            <h3>❌ Cadena Manipulada</h3>
+            <p style="margin: 15px 0;">
+                El primer bloque que falla es el <strong>#${primero}</strong>. Los bloques afectados aparecen
+                marcados en rojo en la lista.
+            </p>
+            <ul style="margin: 10px 0 0 20px; line-height: 1.8;">
+                ${problemas.map(({ indice, motivo }) => `<li><strong>Bloque #${indice}:</strong> ${escaparHTML(motivo)}</li>`).join('')}
+            </ul>
+        `, 'error', 'resultadoCadena');
+
+    } catch (error) {
+        console.error('❌ Error al verificar la cadena:', error);
+        mostrarError(`No se pudo verificar la cadena: ${escaparHTML(error.message)}`, SUGERENCIAS_ERROR, 'resultadoCadena');
+    }
+}
+
+/**
+ * Descarga la cadena guardada como archivo JSON
+ *
+ * @returns {Promise<void>}
+ */
+async function exportarCadenaJSON() {
+    try {
+        const bloques = await obtenerBloques();
+        if (!bloques.length) {
+            mostrarNotificacion('❌ La cadena está vacía, no hay nada que exportar', 'error');
+            return;
+        }
+
+        const fecha = new Date().toISOString().slice(0, 10);
+        descargarArchivo(exportarCadena(bloques), `cadena-rsa-${fecha}.json`, 'application/json');
+        mostrarNotificacion(`✅ Cadena exportada (${bloques.length} bloques)`);
+    } catch (error) {
+        console.error('❌ Error al exportar la cadena:', error);
+        mostrarError(`No se pudo exportar la cadena: ${escaparHTML(error.message)}`, SUGERENCIAS_ERROR, 'resultadoCadena');
+    }
+}
+
+/**
+ * Sustituye la cadena guardada por la de un archivo JSON y la verifica
+ *
+ * @param {File} archivo - Archivo JSON exportado con "Exportar JSON"
+ * @returns {Promise<void>}
+ */
+async function importarCadenaJSON(archivo) {
+    try {
+        const bloques = importarCadena(await archivo.text());
+
+        if (bloquesActuales.length &&
+            !confirm(`La cadena actual (${bloquesActuales.length} bloques) se sustituirá por la del archivo (${bloques.length} bloques). ¿Continuar?`)) {
+            return;
+        }
+
+        await reemplazarCadena(bloques);
+        mostrarNotificacion(`✅ Cadena importada (${bloques.length} bloques)`);
+        await verificarCadenaGuardada();
+    } catch (error) {
+        console.error('❌ Error al importar la cadena:', error);
+        mostrarError(`No se pudo importar la cadena: ${escaparHTML(error.message)}`, SUGERENCIAS_ERROR, 'resultadoCadena');
+    }
+}
+
+/**
+ * Borra todos los bloques guardados, previa confirmación
+ *
+ * @returns {Promise<void>}
+ */
+async function vaciarCadenaGuardada() {
+    if (!bloquesActuales.length || !confirm('¿Borrar todos los bloques de la cadena? Exporta antes el JSON si quieres conservarla.')) {
+        return;
+    }
+
+    try {
+        await vaciarCadena();
+        document.getElementById('resultadoCadena').style.display = 'none';
+        await cargarCadena();
+        mostrarNotificacion('🗑️ Cadena vaciada');
+    } catch (error) {
+        console.error('❌ Error al vaciar la cadena:', error);
+        mostrarError(`No se pudo vaciar la cadena: ${escaparHTML(error.message)}`, SUGERENCIAS_ERROR, 'resultadoCadena');
+    }
+}
+
+/**
+ * Copia al portapapeles el texto cifrado de un bloque
+ *
+ * @param {number} indice - Índice del bloque
+ * @returns {void}
+ */
+function copiarBloque(indice) {
+    const bloque = bloquesActuales[indice];
+    if (bloque) {
+        copiarAlPortapapeles(bloque.textoCifrado, `✅ Texto cifrado del bloque #${indice} copiado al portapapeles`);
+    }
+}
+
+/**
+ * Inicialización
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('⛓️ Registro de mensajes inicializado');
+
+    // Texto cifrado enviado desde el Codificador
+    const pendiente = sessionStorage.getItem(CLAVE_TEXTO_PENDIENTE);
+    if (pendiente) {
+        sessionStorage.removeItem(CLAVE_TEXTO_PENDIENTE);
+        document.getElementById('textoCifrado').value = pendiente;
+        mostrarNotificacion('✅ Texto cifrado recibido del Codificador. Elige la dificultad y mina el bloque.');
+    }
+
+    // Cargar la cadena guardada
+    cargarCadena();
+
+    // Importar una cadena desde un archivo JSON
+    const entrada = document.getElementById('archivoImportar');
+    entrada.addEventListener('change', () => {
+        if (entrada.files.length) {
+            importarCadenaJSON(entrada.files[0]);
+            entrada.value = '';
+        }
+    });
+
+    // Ctrl/Cmd + Enter para minar
+    activarAtajoEnvio(['textoCifrado'], minarYAnadir);
+});
+
+// Funciones usadas desde los atributos onclick del HTML
+exponerEnPagina({
+    minarYAnadir,
+    cancelarMineria,
+    verificarCadenaGuardada,
+    exportarCadenaJSON,
+    vaciarCadenaGuardada,
+    copiarBloque
+});
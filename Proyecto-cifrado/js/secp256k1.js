@@ -0,0 +1,956 @@
+/**
+ * ============================================================================
+ * SECP256K1 - Claves de curva elíptica de Bitcoin y Ethereum
+ * ============================================================================
+ *
+ * WebCrypto no admite la curva secp256k1, así que la aritmética se hace aquí
+ * con BigInt, igual que la aritmética RSA de cripto.js:
+ *
+ *     y² = x³ + 7  (mod p)      clave privada d      clave pública Q = d·G
+ *
+ * A partir de la clave privada se obtienen:
+ *
+ *     WIF            Base58Check(0x80 || d || 0x01)        clave privada de Bitcoin
+ *     P2PKH          Base58Check(0x00 || HASH160(Q))       direcciones 1...
+ *     Bech32         bc1 + testigo v0 con HASH160(Q)       direcciones bc1q...
+ *     Ethereum       0x + últimos 20 bytes de Keccak-256(Q) con mayúsculas EIP-55
+ *
+ * donde HASH160 = RIPEMD-160(SHA-256(x)). Keccak-256 y RIPEMD-160 no están
+ * en WebCrypto y también se implementan en este módulo.
+ *
+ * La clave privada puede ser aleatoria o derivarse de la semilla de una
+ * frase BIP39 con BIP32 (ruta BIP44, p. ej. m/44'/0'/0'/0/0), igual que en
+ * los monederos de Bitcoin y Ethereum.
+ *
+ * Las firmas son ECDSA sobre el hash SHA-256 del mensaje, con nonce
+ * determinista (RFC 6979) y s normalizado a la mitad inferior (como exige
+ * Bitcoin), codificadas en DER y Base64; son las mismas que genera
+ * OpenSSL con "dgst -sha256" y una clave secp256k1.
+ *
+ * Las operaciones no son de tiempo constante: sirven para aprender y
+ * probar, no para custodiar fondos reales.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import {
+    InvalidKeyError,
+    bytesABase64,
+    base64ABytes,
+    concatenarBytes,
+    codificarDER,
+    leerDER,
+    bytesABigInt,
+    bigIntABytes,
+    bytesAHex,
+    hexABytes
+} from './cripto.js';
+
+/* ==========================================================================
+   PARÁMETROS DE LA CURVA
+   ========================================================================== */
+
+/** Primo del cuerpo: 2^256 - 2^32 - 977 */
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+
+/** Orden del punto generador (número de claves privadas posibles) */
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+/** Punto generador G */
+const G = {
+    x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+
+/** Prefijos de versión de Base58Check */
+const VERSION_WIF = 0x80;
+const VERSION_P2PKH = 0x00;
+
+/** Parte legible de las direcciones Bech32 de la red principal */
+const PREFIJO_BECH32 = 'bc';
+
+/** Rutas BIP44 de la primera dirección de cada red */
+export const RUTAS_BIP44 = {
+    bitcoin: "m/44'/0'/0'/0/0",
+    ethereum: "m/44'/60'/0'/0/0"
+};
+
+/** Primer índice endurecido de BIP32 (los índices con ' en la ruta) */
+const INDICE_ENDURECIDO = 0x80000000;
+
+/* ==========================================================================
+   ARITMÉTICA DE LA CURVA
+   ========================================================================== */
+
+/**
+ * Reduce un entero al intervalo [0, modulo)
+ *
+ * @param {bigint} a - Entero (puede ser negativo)
+ * @param {bigint} [modulo=P] - Módulo
+ * @returns {bigint} - a mod modulo
+ */
+function reducir(a, modulo = P) {
+    const resto = a % modulo;
+    return resto >= 0n ? resto : resto + modulo;
+}
+
+/**
+ * Calcula el inverso modular con el algoritmo de Euclides extendido
+ *
+ * @param {bigint} a - Entero no divisible por el módulo
+ * @param {bigint} [modulo=P] - Módulo primo
+ * @returns {bigint} - a^-1 mod modulo
+ */
+function inverso(a, modulo = P) {
+    let [r0, r1] = [reducir(a, modulo), modulo];
+    let [s0, s1] = [1n, 0n];
+    while (r1 !== 0n) {
+        const cociente = r0 / r1;
+        [r0, r1] = [r1, r0 - cociente * r1];
+        [s0, s1] = [s1, s0 - cociente * s1];
+    }
+    return reducir(s0, modulo);
+}
+
+/**
+ * Calcula (base ^ exponente) mod P
+ *
+ * @param {bigint} base - Base
+ * @param {bigint} exponente - Exponente
+ * @returns {bigint} - Resultado
+ */
+function potencia(base, exponente) {
+    let resultado = 1n;
+    base = reducir(base);
+    while (exponente > 0n) {
+        if (exponente & 1n) {
+            resultado = (resultado * base) % P;
+        }
+        base = (base * base) % P;
+        exponente >>= 1n;
+    }
+    return resultado;
+}
+
+/**
+ * Suma dos puntos de la curva (null es el punto en el infinito)
+ *
+ * @param {{x: bigint, y: bigint}|null} a - Primer punto
+ * @param {{x: bigint, y: bigint}|null} b - Segundo punto
+ * @returns {{x: bigint, y: bigint}|null} - a + b
+ */
+function sumarPuntos(a, b) {
+    if (!a) {
+        return b;
+    }
+    if (!b) {
+        return a;
+    }
+
+    let pendiente;
+    if (a.x === b.x) {
+        // Puntos opuestos: la recta es vertical
+        if (reducir(a.y + b.y) === 0n) {
+            return null;
+        }
+        // Mismo punto: se usa la tangente
+        pendiente = reducir(3n * a.x * a.x * inverso(2n * a.y));
+    } else {
+        pendiente = reducir((b.y - a.y) * inverso(b.x - a.x));
+    }
+
+    const x = reducir(pendiente * pendiente - a.x - b.x);
+    return { x, y: reducir(pendiente * (a.x - x) - a.y) };
+}
+
+/**
+ * Multiplica un punto por un escalar (doblar y sumar)
+ *
+ * @param {bigint} k - Escalar
+ * @param {{x: bigint, y: bigint}} [punto=G] - Punto a multiplicar
+ * @returns {{x: bigint, y: bigint}|null} - k·punto
+ */
+function multiplicarPunto(k, punto = G) {
+    let resultado = null;
+    let sumando = punto;
+    while (k > 0n) {
+        if (k & 1n) {
+            resultado = sumarPuntos(resultado, sumando);
+        }
+        sumando = sumarPuntos(sumando, sumando);
+        k >>= 1n;
+    }
+    return resultado;
+}
+
+/**
+ * Comprueba que un punto cumpla la ecuación y² = x³ + 7
+ *
+ * @param {{x: bigint, y: bigint}} punto - Punto a comprobar
+ * @returns {boolean} - true si está en la curva
+ */
+function estaEnCurva(punto) {
+    return reducir(punto.y * punto.y - punto.x * punto.x * punto.x - 7n) === 0n;
+}
+
+/* ==========================================================================
+   RESÚMENES (HASH)
+   ========================================================================== */
+
+/**
+ * Calcula el SHA-256 de unos bytes
+ *
+ * @param {Uint8Array} datos - Datos
+ * @returns {Promise<Uint8Array>} - Resumen de 32 bytes
+ */
+async function sha256(datos) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', datos));
+}
+
+/**
+ * Calcula HMAC-SHA256 (lo usa el nonce determinista de RFC 6979)
+ *
+ * @param {Uint8Array} clave - Clave HMAC
+ * @param {...Uint8Array} partes - Partes del mensaje, concatenadas
+ * @returns {Promise<Uint8Array>} - Código de 32 bytes
+ */
+async function hmacSha256(clave, ...partes) {
+    const claveHmac = await crypto.subtle.importKey('raw', clave, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', claveHmac, concatenarBytes(...partes)));
+}
+
+/** Desplazamientos de RIPEMD-160: palabra del bloque y rotación de cada paso (línea izquierda y derecha) */
+const RIPEMD_PALABRA = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    7, 4, 13, 1, 10, 6, 15, 3, 12, 0, 9, 5, 2, 14, 11, 8,
+    3, 10, 14, 4, 9, 15, 8, 1, 2, 7, 0, 6, 13, 11, 5, 12,
+    1, 9, 11, 10, 0, 8, 12, 4, 13, 3, 7, 15, 14, 5, 6, 2,
+    4, 0, 5, 9, 7, 12, 2, 10, 14, 1, 3, 8, 11, 6, 15, 13
+];
+const RIPEMD_PALABRA_DERECHA = [
+    5, 14, 7, 0, 9, 2, 11, 4, 13, 6, 15, 8, 1, 10, 3, 12,
+    6, 11, 3, 7, 0, 13, 5, 10, 14, 15, 8, 12, 4, 9, 1, 2,
+    15, 5, 1, 3, 7, 14, 6, 9, 11, 8, 12, 2, 10, 0, 4, 13,
+    8, 6, 4, 1, 3, 11, 15, 0, 5, 12, 2, 13, 9, 7, 10, 14,
+    12, 15, 10, 4, 1, 5, 8, 7, 6, 2, 13, 14, 0, 3, 9, 11
+];
+const RIPEMD_ROTACION = [
+    11, 14, 15, 12, 5, 8, 7, 9, 11, 13, 14, 15, 6, 7, 9, 8,
+    7, 6, 8, 13, 11, 9, 7, 15, 7, 12, 15, 9, 11, 7, 13, 12,
+    11, 13, 6, 7, 14, 9, 13, 15, 14, 8, 13, 6, 5, 12, 7, 5,
+    11, 12, 14, 15, 14, 15, 9, 8, 9, 14, 5, 6, 8, 6, 5, 12,
+    9, 15, 5, 11, 6, 8, 13, 12, 5, 12, 13, 14, 11, 8, 5, 6
+];
+const RIPEMD_ROTACION_DERECHA = [
+    8, 9, 9, 11, 13, 15, 15, 5, 7, 7, 8, 11, 14, 14, 12, 6,
+    9, 13, 15, 7, 12, 8, 9, 11, 7, 7, 12, 7, 6, 15, 13, 11,
+    9, 7, 15, 11, 8, 6, 6, 14, 12, 13, 5, 14, 13, 13, 7, 5,
+    15, 5, 8, 11, 14, 14, 6, 14, 6, 9, 12, 9, 12, 5, 15, 8,
+    8, 5, 12, 9, 12, 5, 14, 6, 8, 13, 6, 5, 15, 13, 11, 11
+];
+const RIPEMD_CONSTANTE = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e];
+const RIPEMD_CONSTANTE_DERECHA = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000];
+
+/**
+ * Función no lineal de cada ronda de RIPEMD-160
+ *
+ * @param {number} ronda - Ronda (0 a 4)
+ * @param {number} x - Palabra de 32 bits
+ * @param {number} y - Palabra de 32 bits
+ * @param {number} z - Palabra de 32 bits
+ * @returns {number} - Resultado de 32 bits
+ */
+function funcionRipemd(ronda, x, y, z) {
+    switch (ronda) {
+        case 0: return x ^ y ^ z;
+        case 1: return (x & y) | (~x & z);
+        case 2: return (x | ~y) ^ z;
+        case 3: return (x & z) | (y & ~z);
+        default: return x ^ (y | ~z);
+    }
+}
+
+/**
+ * Calcula el RIPEMD-160 de unos bytes
+ *
+ * @param {Uint8Array} datos - Datos
+ * @returns {Uint8Array} - Resumen de 20 bytes
+ */
+function ripemd160(datos) {
+    // Relleno como en MD5: 0x80, ceros y la longitud en bits (little-endian)
+    const longitud = Math.ceil((datos.length + 9) / 64) * 64;
+    const bloque = new Uint8Array(longitud);
+    bloque.set(datos);
+    bloque[datos.length] = 0x80;
+    const vista = new DataView(bloque.buffer);
+    vista.setUint32(longitud - 8, (datos.length * 8) >>> 0, true);
+    vista.setUint32(longitud - 4, Math.floor(datos.length / 0x20000000), true);
+
+    const rotar = (valor, bits) => (valor << bits) | (valor >>> (32 - bits));
+    const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+
+    for (let inicio = 0; inicio < longitud; inicio += 64) {
+        const palabras = Array.from({ length: 16 }, (_, i) => vista.getUint32(inicio + i * 4, true));
+        let [a, b, c, d, e] = h;
+        let [a2, b2, c2, d2, e2] = h;
+
+        for (let j = 0; j < 80; j++) {
+            const ronda = Math.floor(j / 16);
+
+            let t = (rotar((a + funcionRipemd(ronda, b, c, d) + palabras[RIPEMD_PALABRA[j]] + RIPEMD_CONSTANTE[ronda]) | 0, RIPEMD_ROTACION[j]) + e) | 0;
+            [a, e, d, c, b] = [e, d, rotar(c, 10), b, t];
+
+            t = (rotar((a2 + funcionRipemd(4 - ronda, b2, c2, d2) + palabras[RIPEMD_PALABRA_DERECHA[j]] + RIPEMD_CONSTANTE_DERECHA[ronda]) | 0, RIPEMD_ROTACION_DERECHA[j]) + e2) | 0;
+            [a2, e2, d2, c2, b2] = [e2, d2, rotar(c2, 10), b2, t];
+        }
+
+        const t = (h[1] + c + d2) | 0;
+        h[1] = (h[2] + d + e2) | 0;
+        h[2] = (h[3] + e + a2) | 0;
+        h[3] = (h[4] + a + b2) | 0;
+        h[4] = (h[0] + b + c2) | 0;
+        h[0] = t;
+    }
+
+    const resumen = new Uint8Array(20);
+    const vistaResumen = new DataView(resumen.buffer);
+    h.forEach((palabra, i) => vistaResumen.setUint32(i * 4, palabra >>> 0, true));
+    return resumen;
+}
+
+/**
+ * Calcula HASH160 = RIPEMD-160(SHA-256(datos)), el resumen de las direcciones de Bitcoin
+ *
+ * @param {Uint8Array} datos - Datos (normalmente una clave pública)
+ * @returns {Promise<Uint8Array>} - Resumen de 20 bytes
+ */
+async function hash160(datos) {
+    return ripemd160(await sha256(datos));
+}
+
+/** Constantes de ronda de Keccak-f[1600] */
+const KECCAK_RONDAS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+/** Rotación de cada carril de Keccak, indexada por x + 5·y */
+const KECCAK_ROTACION = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+/** Bytes que absorbe Keccak-256 en cada permutación (1600 - 2·256 bits) */
+const KECCAK_TASA = 136;
+
+/**
+ * Aplica la permutación Keccak-f[1600] al estado (25 carriles de 64 bits)
+ *
+ * @param {bigint[]} estado - Estado, se modifica
+ * @returns {void}
+ */
+function permutarKeccak(estado) {
+    const rotar = (valor, bits) => bits === 0
+        ? valor
+        : BigInt.asUintN(64, (valor << BigInt(bits)) | (valor >> BigInt(64 - bits)));
+
+    for (const constante of KECCAK_RONDAS) {
+        // θ: cada carril se mezcla con la paridad de dos columnas vecinas
+        const columnas = [0, 1, 2, 3, 4].map((x) =>
+            estado[x] ^ estado[x + 5] ^ estado[x + 10] ^ estado[x + 15] ^ estado[x + 20]);
+        for (let x = 0; x < 5; x++) {
+            const d = columnas[(x + 4) % 5] ^ rotar(columnas[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) {
+                estado[x + y] ^= d;
+            }
+        }
+
+        // ρ y π: rotar cada carril y cambiarlo de posición
+        const movidos = new Array(25);
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                movidos[y + 5 * ((2 * x + 3 * y) % 5)] = rotar(estado[x + 5 * y], KECCAK_ROTACION[x + 5 * y]);
+            }
+        }
+
+        // χ: única operación no lineal
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                estado[x + y] = movidos[x + y] ^ (BigInt.asUintN(64, ~movidos[(x + 1) % 5 + y]) & movidos[(x + 2) % 5 + y]);
+            }
+        }
+
+        // ι: romper la simetría entre rondas
+        estado[0] ^= constante;
+    }
+}
+
+/**
+ * Calcula el Keccak-256 de unos bytes (el hash de Ethereum)
+ *
+ * Es la versión anterior a la estandarización de SHA3-256: solo cambia el
+ * relleno (0x01 en vez de 0x06), pero los resúmenes son distintos.
+ *
+ * @param {Uint8Array} datos - Datos
+ * @returns {Uint8Array} - Resumen de 32 bytes
+ */
+function keccak256(datos) {
+    const longitud = (Math.floor(datos.length / KECCAK_TASA) + 1) * KECCAK_TASA;
+    const relleno = new Uint8Array(longitud);
+    relleno.set(datos);
+    relleno[datos.length] ^= 0x01;
+    relleno[longitud - 1] ^= 0x80;
+
+    const estado = new Array(25).fill(0n);
+    const vista = new DataView(relleno.buffer);
+    for (let inicio = 0; inicio < longitud; inicio += KECCAK_TASA) {
+        for (let i = 0; i < KECCAK_TASA / 8; i++) {
+            estado[i] ^= vista.getBigUint64(inicio + i * 8, true);
+        }
+        permutarKeccak(estado);
+    }
+
+    const resumen = new Uint8Array(32);
+    const vistaResumen = new DataView(resumen.buffer);
+    for (let i = 0; i < 4; i++) {
+        vistaResumen.setBigUint64(i * 8, estado[i], true);
+    }
+    return resumen;
+}
+
+/* ==========================================================================
+   CODIFICACIONES DE BITCOIN
+   ========================================================================== */
+
+/** Alfabeto Base58 (sin 0, O, I ni l, que se confunden) */
+const ALFABETO_BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Codifica bytes en Base58Check (versión + datos + 4 bytes de SHA-256 doble)
+ *
+ * @param {number} version - Byte de versión
+ * @param {Uint8Array} datos - Datos
+ * @returns {Promise<string>} - Texto Base58Check
+ */
+async function codificarBase58Check(version, datos) {
+    const contenido = concatenarBytes(new Uint8Array([version]), datos);
+    const control = (await sha256(await sha256(contenido))).slice(0, 4);
+    const bytes = concatenarBytes(contenido, control);
+
+    let numero = bytesABigInt(bytes);
+    let texto = '';
+    while (numero > 0n) {
+        texto = ALFABETO_BASE58[Number(numero % 58n)] + texto;
+        numero /= 58n;
+    }
+
+    // Cada byte 0x00 inicial se escribe como '1'
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+        texto = '1' + texto;
+    }
+    return texto;
+}
+
+/**
+ * Decodifica un texto Base58Check y comprueba su código de control
+ *
+ * @param {string} texto - Texto Base58Check
+ * @returns {Promise<{version: number, datos: Uint8Array}|null>} - null si no es Base58Check válido
+ */
+async function decodificarBase58Check(texto) {
+    let numero = 0n;
+    for (const caracter of texto) {
+        const valor = ALFABETO_BASE58.indexOf(caracter);
+        if (valor === -1) {
+            return null;
+        }
+        numero = numero * 58n + BigInt(valor);
+    }
+
+    // Cada '1' inicial es un byte 0x00
+    const ceros = texto.match(/^1*/)[0].length;
+    const hex = numero === 0n ? '' : numero.toString(16);
+    const cuerpo = hex ? hexABytes(hex.length % 2 ? '0' + hex : hex) : new Uint8Array(0);
+    const bytes = concatenarBytes(new Uint8Array(ceros), cuerpo);
+    if (bytes.length < 5) {
+        return null;
+    }
+
+    const contenido = bytes.slice(0, -4);
+    const control = (await sha256(await sha256(contenido))).slice(0, 4);
+    if (!control.every((byte, i) => byte === bytes[bytes.length - 4 + i])) {
+        return null;
+    }
+    return { version: contenido[0], datos: contenido.slice(1) };
+}
+
+/** Caracteres de Bech32, uno por cada valor de 5 bits */
+const ALFABETO_BECH32 = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+/** Generador del código BCH de Bech32 (BIP 173) */
+const GENERADOR_BECH32 = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+/**
+ * Calcula el polinomio de control de Bech32
+ *
+ * @param {number[]} valores - Valores de 5 bits
+ * @returns {number} - Resto del polinomio
+ */
+function polinomioBech32(valores) {
+    let resto = 1;
+    for (const valor of valores) {
+        const alto = resto >>> 25;
+        resto = ((resto & 0x1ffffff) << 5) ^ valor;
+        GENERADOR_BECH32.forEach((generador, i) => {
+            if ((alto >>> i) & 1) {
+                resto ^= generador;
+            }
+        });
+    }
+    return resto;
+}
+
+/**
+ * Codifica una dirección de testigo (SegWit) versión 0 en Bech32
+ *
+ * @param {Uint8Array} programa - Programa del testigo (HASH160 de la clave pública)
+ * @returns {string} - Dirección bc1q...
+ */
+function codificarBech32(programa) {
+    // Reagrupar los bytes en valores de 5 bits, precedidos de la versión 0
+    const valores = [0];
+    let acumulado = 0;
+    let bits = 0;
+    for (const byte of programa) {
+        acumulado = (acumulado << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            bits -= 5;
+            valores.push((acumulado >>> bits) & 31);
+        }
+    }
+    if (bits > 0) {
+        valores.push((acumulado << (5 - bits)) & 31);
+    }
+
+    const prefijo = [...PREFIJO_BECH32].map((c) => c.charCodeAt(0));
+    const expandido = [...prefijo.map((c) => c >>> 5), 0, ...prefijo.map((c) => c & 31)];
+    const polinomio = polinomioBech32([...expandido, ...valores, 0, 0, 0, 0, 0, 0]) ^ 1;
+    const control = [0, 1, 2, 3, 4, 5].map((i) => (polinomio >>> (5 * (5 - i))) & 31);
+
+    return `${PREFIJO_BECH32}1${[...valores, ...control].map((valor) => ALFABETO_BECH32[valor]).join('')}`;
+}
+
+/**
+ * Aplica las mayúsculas de control de EIP-55 a una dirección de Ethereum
+ *
+ * Cada letra va en mayúscula si el nibble correspondiente del Keccak-256 de
+ * la dirección (en minúsculas) es 8 o más.
+ *
+ * @param {string} direccion - 40 caracteres hexadecimales en minúsculas
+ * @returns {string} - Dirección 0x... con mayúsculas de control
+ */
+function aplicarEIP55(direccion) {
+    const resumen = bytesAHex(keccak256(new TextEncoder().encode(direccion)));
+    return '0x' + [...direccion]
+        .map((caracter, i) => (parseInt(resumen[i], 16) >= 8 ? caracter.toUpperCase() : caracter))
+        .join('');
+}
+
+/* ==========================================================================
+   CLAVES
+   ========================================================================== */
+
+/**
+ * Codifica un punto como clave pública SEC1
+ *
+ * @param {{x: bigint, y: bigint}} punto - Punto de la curva
+ * @param {boolean} comprimida - true para 33 bytes (02/03 + x), false para 65 (04 + x + y)
+ * @returns {Uint8Array} - Clave pública
+ */
+function codificarPunto(punto, comprimida) {
+    if (comprimida) {
+        return concatenarBytes(new Uint8Array([punto.y & 1n ? 0x03 : 0x02]), bigIntABytes(punto.x, 32));
+    }
+    return concatenarBytes(new Uint8Array([0x04]), bigIntABytes(punto.x, 32), bigIntABytes(punto.y, 32));
+}
+
+/**
+ * Lee una clave privada en hexadecimal (64 caracteres) o en WIF
+ *
+ * @param {string} texto - Clave privada
+ * @returns {Promise<{d: bigint, comprimida: boolean}>} - Escalar secreto y si la clave WIF pide la pública comprimida
+ * @throws {InvalidKeyError} Si la clave no es válida
+ */
+export async function leerClavePrivada(texto) {
+    const clave = texto.trim();
+    let d;
+    let comprimida = true;
+
+    if (/^(0x)?[0-9a-fA-F]{64}$/.test(clave)) {
+        d = BigInt('0x' + clave.replace(/^0x/, ''));
+    } else {
+        const wif = await decodificarBase58Check(clave);
+        if (!wif) {
+            throw new InvalidKeyError('La clave privada secp256k1 debe tener 64 caracteres hexadecimales o estar en formato WIF (empieza por 5, K o L).');
+        }
+        if (wif.version !== VERSION_WIF) {
+            throw new InvalidKeyError('La clave WIF no es de la red principal de Bitcoin (debe empezar por 5, K o L).');
+        }
+        if (wif.datos.length === 33 && wif.datos[32] === 0x01) {
+            wif.datos = wif.datos.slice(0, 32);
+        } else if (wif.datos.length === 32) {
+            comprimida = false;
+        } else {
+            throw new InvalidKeyError('La clave WIF no tiene la longitud correcta.');
+        }
+        d = bytesABigInt(wif.datos);
+    }
+
+    if (d <= 0n || d >= N) {
+        throw new InvalidKeyError('La clave privada secp256k1 debe estar entre 1 y el orden de la curva.');
+    }
+    return { d, comprimida };
+}
+
+/**
+ * Lee una clave pública SEC1 en hexadecimal (comprimida o sin comprimir)
+ *
+ * @param {string} texto - 66 caracteres (02/03...) o 130 caracteres (04...)
+ * @returns {{x: bigint, y: bigint}} - Punto de la curva
+ * @throws {InvalidKeyError} Si la clave no es un punto de la curva
+ */
+export function leerClavePublica(texto) {
+    const clave = texto.trim().replace(/^0x/, '');
+    let punto;
+
+    if (/^0[23][0-9a-fA-F]{64}$/.test(clave)) {
+        // Recuperar y a partir de x: y = (x³ + 7)^((p + 1) / 4), porque p ≡ 3 (mod 4)
+        const x = BigInt('0x' + clave.slice(2));
+        let y = potencia(x * x * x + 7n, (P + 1n) / 4n);
+        if ((y & 1n) !== BigInt(parseInt(clave.slice(0, 2), 16) & 1)) {
+            y = P - y;
+        }
+        punto = { x, y };
+    } else if (/^04[0-9a-fA-F]{128}$/.test(clave)) {
+        punto = { x: BigInt('0x' + clave.slice(2, 66)), y: BigInt('0x' + clave.slice(66)) };
+    } else {
+        throw new InvalidKeyError('La clave pública secp256k1 debe estar en hexadecimal: 66 caracteres (empieza por 02 o 03) o 130 caracteres (empieza por 04).');
+    }
+
+    if (punto.x >= P || punto.y >= P || !estaEnCurva(punto)) {
+        throw new InvalidKeyError('La clave pública no es un punto de la curva secp256k1.');
+    }
+    return punto;
+}
+
+/**
+ * Genera una clave privada secp256k1 aleatoria y sus datos derivados
+ *
+ * @returns {Promise<Object>} - Mismo resultado que describirClaveSecp256k1
+ */
+export async function generarClaveSecp256k1() {
+    let d = 0n;
+    while (d === 0n || d >= N) {
+        d = bytesABigInt(crypto.getRandomValues(new Uint8Array(32)));
+    }
+    return describirClaveSecp256k1(d.toString(16).padStart(64, '0'));
+}
+
+/**
+ * Calcula a partir de una clave privada sus claves públicas y direcciones
+ *
+ * @param {string} clavePrivada - Clave privada en hexadecimal o WIF
+ * @returns {Promise<{privada: string, wif: string, publica: string, publicaSinComprimir: string,
+ *            direcciones: {p2pkh: string, bech32: string, ethereum: string}}>}
+ * @throws {InvalidKeyError} Si la clave privada no es válida
+ */
+export async function describirClaveSecp256k1(clavePrivada) {
+    const { d } = await leerClavePrivada(clavePrivada);
+    const privada = bigIntABytes(d, 32);
+
+    return {
+        privada: bytesAHex(privada),
+        wif: await codificarBase58Check(VERSION_WIF, concatenarBytes(privada, new Uint8Array([0x01]))),
+        ...await describirPunto(multiplicarPunto(d))
+    };
+}
+
+/**
+ * Calcula las dos codificaciones y las direcciones de una clave pública
+ *
+ * Sirve para comprobar a qué dirección corresponde la clave pública que
+ * acompaña a una firma.
+ *
+ * @param {string} clavePublica - Clave pública en hexadecimal (comprimida o sin comprimir)
+ * @returns {Promise<{publica: string, publicaSinComprimir: string,
+ *            direcciones: {p2pkh: string, bech32: string, ethereum: string}}>}
+ * @throws {InvalidKeyError} Si la clave no es un punto de la curva
+ */
+export async function describirClavePublicaSecp256k1(clavePublica) {
+    return describirPunto(leerClavePublica(clavePublica));
+}
+
+/**
+ * Codifica un punto como clave pública y calcula sus direcciones
+ *
+ * @param {{x: bigint, y: bigint}} punto - Clave pública
+ * @returns {Promise<Object>} - publica, publicaSinComprimir y direcciones
+ */
+async function describirPunto(punto) {
+    const publica = codificarPunto(punto, true);
+    const publicaSinComprimir = codificarPunto(punto, false);
+    const huella = await hash160(publica);
+
+    return {
+        publica: bytesAHex(publica),
+        publicaSinComprimir: bytesAHex(publicaSinComprimir),
+        direcciones: {
+            p2pkh: await codificarBase58Check(VERSION_P2PKH, huella),
+            bech32: codificarBech32(huella),
+            ethereum: aplicarEIP55(bytesAHex(keccak256(publicaSinComprimir.slice(1)).slice(12)))
+        }
+    };
+}
+
+/* ==========================================================================
+   FIRMAS ECDSA
+   ========================================================================== */
+
+/* ==========================================================================
+   DERIVACIÓN BIP32
+   ========================================================================== */
+
+/**
+ * Calcula HMAC-SHA512
+ *
+ * @param {Uint8Array} clave - Clave HMAC
+ * @param {Uint8Array} datos - Mensaje
+ * @returns {Promise<Uint8Array>} - Código de 64 bytes
+ */
+async function hmacSha512(clave, datos) {
+    const claveHmac = await crypto.subtle.importKey('raw', clave, { name: 'HMAC', hash: 'SHA-512' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', claveHmac, datos));
+}
+
+/**
+ * Lee una ruta de derivación BIP32 (p. ej. m/44'/0'/0'/0/0)
+ *
+ * @param {string} ruta - Ruta; ' o h marcan los índices endurecidos
+ * @returns {number[]} - Índices (los endurecidos ya sumados a 2^31)
+ * @throws {InvalidKeyError} Si la ruta no es válida
+ */
+function leerRutaBIP32(ruta) {
+    const partes = ruta.trim().split('/');
+    if (partes[0] !== 'm') {
+        throw new InvalidKeyError(`La ruta de derivación debe empezar por "m/" (p. ej. ${RUTAS_BIP44.bitcoin}).`);
+    }
+
+    return partes.slice(1).map((parte) => {
+        const coincidencia = /^(\d+)(['h]?)$/.exec(parte);
+        if (!coincidencia || Number(coincidencia[1]) >= INDICE_ENDURECIDO) {
+            throw new InvalidKeyError(`La ruta de derivación tiene un índice no válido: "${parte}".`);
+        }
+        return Number(coincidencia[1]) + (coincidencia[2] ? INDICE_ENDURECIDO : 0);
+    });
+}
+
+/**
+ * Deriva una clave privada de una semilla con BIP32
+ *
+ * La clave maestra es HMAC-SHA512("Bitcoin seed", semilla): la mitad
+ * izquierda es la clave y la derecha el código de cadena. Cada hijo i sale de
+ *
+ *     I = HMAC-SHA512(código de cadena, datos || i)      hijo = (I_izq + clave) mod n
+ *
+ * donde datos es la clave privada (índices endurecidos, no se pueden
+ * derivar desde la clave pública) o la clave pública comprimida.
+ *
+ * @param {Uint8Array} semilla - Semilla (64 bytes si viene de una frase BIP39)
+ * @param {string} [ruta=RUTAS_BIP44.bitcoin] - Ruta de derivación
+ * @returns {Promise<string>} - Clave privada en hexadecimal
+ * @throws {InvalidKeyError} Si la ruta no es válida o lleva a una clave no válida
+ */
+export async function derivarClaveBIP32(semilla, ruta = RUTAS_BIP44.bitcoin) {
+    const indices = leerRutaBIP32(ruta);
+
+    let resultado = await hmacSha512(new TextEncoder().encode('Bitcoin seed'), semilla);
+    let clave = bytesABigInt(resultado.slice(0, 32));
+    let codigoCadena = resultado.slice(32);
+
+    for (const indice of indices) {
+        if (clave <= 0n || clave >= N) {
+            break;
+        }
+        const datos = indice >= INDICE_ENDURECIDO
+            ? concatenarBytes(new Uint8Array([0x00]), bigIntABytes(clave, 32))
+            : codificarPunto(multiplicarPunto(clave), true);
+
+        resultado = await hmacSha512(codigoCadena, concatenarBytes(datos, bigIntABytes(BigInt(indice), 4)));
+        const ajuste = bytesABigInt(resultado.slice(0, 32));
+        clave = ajuste >= N ? 0n : reducir(ajuste + clave, N);
+        codigoCadena = resultado.slice(32);
+    }
+
+    // Probabilidad menor que 2^-127: BIP32 pide pasar al índice siguiente
+    if (clave <= 0n || clave >= N) {
+        throw new InvalidKeyError('Esta ruta de derivación no produce una clave válida. Usa el índice siguiente.');
+    }
+    return bytesAHex(bigIntABytes(clave, 32));
+}
+
+/**
+ * Calcula el nonce k determinista de RFC 6979 (sección 3.2) con HMAC-SHA256
+ *
+ * Un k repetido o predecible revela la clave privada; derivarlo de la clave
+ * y del mensaje evita depender del generador aleatorio.
+ *
+ * @param {bigint} d - Clave privada
+ * @param {Uint8Array} resumen - SHA-256 del mensaje
+ * @returns {AsyncGenerator<bigint>} - Sucesión de candidatos (se usa el primero que da una firma válida)
+ */
+async function* noncesRFC6979(d, resumen) {
+    const x = bigIntABytes(d, 32);
+    const h = bigIntABytes(reducir(bytesABigInt(resumen), N), 32);
+    let v = new Uint8Array(32).fill(0x01);
+    let k = new Uint8Array(32);
+
+    k = await hmacSha256(k, v, new Uint8Array([0x00]), x, h);
+    v = await hmacSha256(k, v);
+    k = await hmacSha256(k, v, new Uint8Array([0x01]), x, h);
+    v = await hmacSha256(k, v);
+
+    for (;;) {
+        v = await hmacSha256(k, v);
+        const candidato = bytesABigInt(v);
+        if (candidato >= 1n && candidato < N) {
+            yield candidato;
+        }
+        k = await hmacSha256(k, v, new Uint8Array([0x00]));
+        v = await hmacSha256(k, v);
+    }
+}
+
+/**
+ * Codifica una firma ECDSA como SEQUENCE { INTEGER r, INTEGER s } en DER
+ *
+ * @param {bigint} r - Componente r
+ * @param {bigint} s - Componente s
+ * @returns {Uint8Array} - Firma DER
+ */
+function codificarFirmaDER(r, s) {
+    const entero = (numero) => {
+        let bytes = bigIntABytes(numero, 33);
+        // Quitar ceros sobrantes, dejando uno si el bit alto indicaría un número negativo
+        while (bytes.length > 1 && bytes[0] === 0 && !(bytes[1] & 0x80)) {
+            bytes = bytes.slice(1);
+        }
+        return codificarDER(0x02, bytes);
+    };
+    return codificarDER(0x30, concatenarBytes(entero(r), entero(s)));
+}
+
+/**
+ * Lee una firma ECDSA en DER
+ *
+ * @param {Uint8Array} firma - Firma DER
+ * @returns {{r: bigint, s: bigint}|null} - Componentes, o null si la estructura no es válida
+ */
+function leerFirmaDER(firma) {
+    try {
+        const secuencia = leerDER(firma);
+        if (secuencia.etiqueta !== 0x30 || secuencia.fin !== firma.length) {
+            return null;
+        }
+        const r = leerDER(secuencia.contenido);
+        const s = leerDER(secuencia.contenido, r.fin);
+        if (r.etiqueta !== 0x02 || s.etiqueta !== 0x02 || s.fin !== secuencia.contenido.length) {
+            return null;
+        }
+        return { r: bytesABigInt(r.contenido), s: bytesABigInt(s.contenido) };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Firma un mensaje con ECDSA secp256k1 sobre SHA-256
+ *
+ * @param {string} clavePrivada - Clave privada en hexadecimal o WIF
+ * @param {string} mensaje - Mensaje a firmar
+ * @returns {Promise<string>} - Firma DER en Base64
+ * @throws {InvalidKeyError} Si la clave privada no es válida
+ */
+export async function firmarSecp256k1(clavePrivada, mensaje) {
+    const { d } = await leerClavePrivada(clavePrivada);
+    const resumen = await sha256(new TextEncoder().encode(mensaje));
+    const z = bytesABigInt(resumen);
+
+    for await (const k of noncesRFC6979(d, resumen)) {
+        // r = coordenada x de k·G;  s = k^-1 · (z + r·d)  (mod n)
+        const r = reducir(multiplicarPunto(k).x, N);
+        let s = reducir(inverso(k, N) * (z + r * d), N);
+        if (r === 0n || s === 0n) {
+            continue;
+        }
+
+        // (r, s) y (r, n - s) son ambas válidas: Bitcoin solo acepta la s menor
+        if (s > N / 2n) {
+            s = N - s;
+        }
+        return bytesABase64(codificarFirmaDER(r, s));
+    }
+}
+
+/**
+ * Verifica una firma ECDSA secp256k1 sobre SHA-256
+ *
+ * A diferencia de RSA, de una firma ECDSA no se puede recuperar lo que se
+ * firmó, así que no se distingue un mensaje modificado de una firma hecha
+ * con otra clave.
+ *
+ * @param {string} clavePublica - Clave pública en hexadecimal (comprimida o no)
+ * @param {string} mensaje - Mensaje recibido
+ * @param {string} firmaBase64 - Firma DER en Base64
+ * @returns {Promise<{estado: string, motivo: string}>} - estado: 'valida' o 'invalida'
+ * @throws {InvalidKeyError} Si la clave pública no es válida
+ */
+export async function verificarFirmaSecp256k1(clavePublica, mensaje, firmaBase64) {
+    const q = leerClavePublica(clavePublica);
+
+    let firma = null;
+    try {
+        firma = leerFirmaDER(base64ABytes(firmaBase64));
+    } catch (error) {
+        // Base64 no válido: se trata igual que una estructura incorrecta
+    }
+    if (!firma || firma.r <= 0n || firma.r >= N || firma.s <= 0n || firma.s >= N) {
+        return {
+            estado: 'invalida',
+            motivo: 'La firma no es una firma ECDSA válida: debe ser una SEQUENCE DER con dos enteros (r, s) entre 1 y el orden de la curva.'
+        };
+    }
+
+    // R = (z·s^-1)·G + (r·s^-1)·Q debe tener coordenada x igual a r
+    const z = bytesABigInt(await sha256(new TextEncoder().encode(mensaje)));
+    const w = inverso(firma.s, N);
+    const punto = sumarPuntos(multiplicarPunto(reducir(z * w, N)), multiplicarPunto(reducir(firma.r * w, N), q));
+
+    if (punto && reducir(punto.x, N) === firma.r) {
+        return { estado: 'valida', motivo: 'La firma corresponde a este mensaje y a esta clave pública.' };
+    }
+
+    return {
+        estado: 'invalida',
+        motivo: 'La firma no corresponde a este mensaje con esta clave pública: el mensaje fue modificado o la firma se hizo con otra clave.'
+    };
+}
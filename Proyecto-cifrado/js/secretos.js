@@ -0,0 +1,196 @@
+/**
+ * ============================================================================
+ * SECRETOS - Borrado automático de claves privadas y textos descifrados
+ * ============================================================================
+ *
+ * Las claves privadas y los mensajes descifrados no deberían quedarse en la
+ * página ni en el portapapeles cuando nadie la está usando. Este módulo:
+ *
+ * - Vacía el portapapeles unos segundos después de copiar (ver
+ *   configurarVaciadoPortapapeles en ui.js).
+ * - Borra los secretos de la página tras un tiempo sin actividad, con una
+ *   cuenta atrás visible mientras haya alguno.
+ *
+ * Cada página indica qué cuenta como secreto y cómo borrarlo; los tiempos
+ * se eligen en su panel de borrado automático y se guardan en localStorage.
+ * Lo usan el Generador y el Decodificador.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { mostrarNotificacion, configurarVaciadoPortapapeles, vaciarPortapapeles, hayCopiaEnPortapapeles } from './ui.js';
+import { t } from './i18n.js';
+
+/** Tiempos configurables: selector del panel, clave de localStorage y valor inicial en segundos */
+const AJUSTES = {
+    portapapeles: { idSelector: 'vaciadoPortapapeles', claveGuardada: 'vaciado-portapapeles', porDefecto: 0 },
+    inactividad: { idSelector: 'borradoInactividad', claveGuardada: 'borrado-inactividad', porDefecto: 300 }
+};
+
+/** Eventos que cuentan como actividad del usuario */
+const EVENTOS_ACTIVIDAD = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+/** Segundos restantes a partir de los cuales la cuenta atrás se resalta */
+const SEGUNDOS_AVISO = 30;
+
+/** Funciones de la página: { haySecretos, borrar } */
+let pagina = null;
+
+/** Segundos sin actividad tras los que se borran los secretos (0 = nunca) */
+let segundosInactividad = 0;
+
+/** Momento (Date.now) de la última actividad del usuario */
+let ultimaActividad = Date.now();
+
+/** Elemento con la cuenta atrás */
+let cuentaAtras = null;
+
+/**
+ * Lee un tiempo guardado
+ *
+ * @param {Object} ajuste - Entrada de AJUSTES
+ * @returns {number} - Segundos (el valor inicial si no hay ninguno guardado)
+ */
+function leerAjuste({ claveGuardada, porDefecto }) {
+    try {
+        const guardado = localStorage.getItem(claveGuardada);
+        if (guardado !== null && Number.isInteger(Number(guardado))) {
+            return Number(guardado);
+        }
+    } catch (error) {
+        console.warn('⚠️ Ajuste de borrado no disponible:', error);
+    }
+    return porDefecto;
+}
+
+/**
+ * Prepara el selector de un tiempo: lo pone en el valor guardado y guarda
+ * los cambios
+ *
+ * @param {Object} ajuste - Entrada de AJUSTES
+ * @param {Function} aplicar - Recibe los segundos elegidos
+ * @returns {void}
+ */
+function prepararSelector(ajuste, aplicar) {
+    const selector = document.getElementById(ajuste.idSelector);
+    const segundos = leerAjuste(ajuste);
+
+    if (selector) {
+        selector.value = String(segundos);
+        // Un valor guardado que ya no está entre las opciones vuelve al inicial
+        if (selector.value !== String(segundos)) {
+            selector.value = String(ajuste.porDefecto);
+        }
+        selector.addEventListener('change', () => {
+            try {
+                localStorage.setItem(ajuste.claveGuardada, selector.value);
+            } catch (error) {
+                console.warn('⚠️ No se pudo guardar el ajuste de borrado:', error);
+            }
+            aplicar(Number(selector.value));
+        });
+        aplicar(Number(selector.value));
+        return;
+    }
+
+    aplicar(segundos);
+}
+
+/**
+ * Anota que el usuario está usando la página
+ *
+ * @returns {void}
+ */
+function registrarActividad() {
+    ultimaActividad = Date.now();
+}
+
+/**
+ * Formatea segundos como minutos y segundos (4:05)
+ *
+ * @param {number} segundos - Segundos
+ * @returns {string} - Tiempo formateado
+ */
+function formatearTiempo(segundos) {
+    return `${Math.floor(segundos / 60)}:${String(segundos % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Actualiza la cuenta atrás y borra los secretos si se ha agotado
+ *
+ * El tiempo se calcula con el reloj y no contando llamadas: los navegadores
+ * espacian los temporizadores de las pestañas en segundo plano.
+ *
+ * @returns {void}
+ */
+function comprobarInactividad() {
+    if (segundosInactividad === 0 || !pagina.haySecretos()) {
+        cuentaAtras.hidden = true;
+        return;
+    }
+
+    const restantes = Math.ceil(segundosInactividad - (Date.now() - ultimaActividad) / 1000);
+    if (restantes <= 0) {
+        borrarSecretos(t('secretos.borradosInactividad'));
+        return;
+    }
+
+    cuentaAtras.textContent = t('secretos.cuentaAtras', { tiempo: formatearTiempo(restantes) });
+    cuentaAtras.classList.toggle('urgente', restantes <= SEGUNDOS_AVISO);
+    cuentaAtras.hidden = false;
+}
+
+/**
+ * Borra los secretos de la página y, si lo último copiado salió de ella,
+ * también el portapapeles
+ *
+ * @param {string} [mensaje] - Notificación (por defecto, "Secretos borrados")
+ * @returns {void}
+ */
+export function borrarSecretos(mensaje = t('secretos.borrados')) {
+    if (!pagina) {
+        return;
+    }
+
+    pagina.borrar();
+    if (hayCopiaEnPortapapeles()) {
+        vaciarPortapapeles(false);
+    }
+
+    registrarActividad();
+    cuentaAtras.hidden = true;
+    mostrarNotificacion(mensaje);
+}
+
+/**
+ * Activa el vaciado del portapapeles y el borrado por inactividad en la página
+ *
+ * Se llama al cargar la página, después de iniciarIdioma.
+ *
+ * @param {Object} funciones - Funciones de la página
+ * @param {Function} funciones.haySecretos - Devuelve true si hay algún secreto en la página
+ * @param {Function} funciones.borrar - Borra los secretos de la página
+ * @returns {void}
+ */
+export function iniciarBorradoSecretos({ haySecretos, borrar }) {
+    pagina = { haySecretos, borrar };
+
+    prepararSelector(AJUSTES.portapapeles, configurarVaciadoPortapapeles);
+    prepararSelector(AJUSTES.inactividad, (segundos) => {
+        segundosInactividad = segundos;
+        registrarActividad();
+    });
+
+    cuentaAtras = document.createElement('div');
+    cuentaAtras.id = 'cuentaAtrasSecretos';
+    cuentaAtras.className = 'cuenta-atras-secretos';
+    cuentaAtras.hidden = true;
+    document.body.appendChild(cuentaAtras);
+
+    EVENTOS_ACTIVIDAD.forEach((evento) => {
+        document.addEventListener(evento, registrarActividad, { passive: true });
+    });
+    setInterval(comprobarInactividad, 1000);
+}
@@ -0,0 +1,452 @@
+/**
+ * ============================================================================
+ * TRANSACCIONES FIRMADAS - Cómo autoriza una cadena de bloques un pago
+ * ============================================================================
+ *
+ * Una transacción indica quién paga (origen), a quién (destino), cuánto
+ * (cantidad), la comisión para quien la procese y un nonce, el número de
+ * orden de las transacciones de esa cuenta (0, 1, 2...):
+ *
+ *     { version, algoritmo, origen, clavePublica, destino, cantidad, comision, nonce, hash, firma }
+ *
+ * - origen = huella SHA-256 de la clave pública (RSA) o su dirección de
+ *   Ethereum (secp256k1): nadie puede pagar desde una cuenta que no es suya.
+ * - hash = SHA-256 de la serialización canónica (ver serializarTransaccion);
+ *   identifica la transacción.
+ * - firma = firma de la serialización con la clave privada del origen.
+ *
+ * Quien verifica lleva la lista de transacciones ya procesadas: una
+ * transacción repetida o un nonce ya usado se rechazan aunque la firma sea
+ * correcta (protección contra la repetición o "replay").
+ *
+ * Módulo ES; depende de api.js. Funciona también en Node.js 20 o superior.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import {
+    sign,
+    verify,
+    derivePublicKey,
+    describeSecp256k1Key,
+    describeSecp256k1PublicKey,
+    fingerprint,
+    SECP256K1_ALGORITHM,
+    FormatError
+} from './api.js';
+
+/** Versión del formato de transacción */
+export const VERSION_TRANSACCION = 1;
+
+/** Etiqueta al inicio de la serialización: una firma de transacción no vale como firma de otro mensaje */
+const ETIQUETA_TRANSACCION = 'RSA-DEMO TRANSACTION';
+
+/** Identificador del formato de exportación JSON */
+export const FORMATO_TRANSACCION = 'transaccion-rsa';
+
+/** Algoritmos de firma admitidos */
+export const ALGORITMOS_TRANSACCION = ['RSA-PSS', 'RSASSA-PKCS1-v1_5', SECP256K1_ALGORITHM];
+
+/** Decimales de las cantidades (1 unidad = 100 000 000 céntimos, como los satoshis) */
+export const DECIMALES = 8;
+
+/** Campos que se firman, con su nombre para los mensajes */
+export const CAMPOS_FIRMADOS = {
+    version: 'versión',
+    algoritmo: 'algoritmo',
+    origen: 'origen',
+    clavePublica: 'clave pública',
+    destino: 'destino',
+    cantidad: 'cantidad',
+    comision: 'comisión',
+    nonce: 'nonce'
+};
+
+// ============================================================================
+// SERIALIZACIÓN CANÓNICA Y HASH
+// ============================================================================
+
+/**
+ * Convierte una cantidad escrita por el usuario a su forma canónica
+ *
+ * Admite punto o coma decimal y hasta 8 decimales. La forma canónica tiene
+ * siempre 8 decimales, para que "1.5" y "1,50" den la misma transacción.
+ *
+ * @param {string|number} valor - Cantidad
+ * @param {string} nombre - Nombre del campo, para los mensajes de error
+ * @param {boolean} [permitirCero=false] - true si la cantidad puede ser 0 (la comisión)
+ * @returns {string} - Cantidad canónica (p. ej. '1.50000000')
+ * @throws {FormatError} Si la cantidad no es válida
+ */
+export function normalizarCantidad(valor, nombre, permitirCero = false) {
+    const texto = String(valor).trim().replace(',', '.');
+    const partes = /^(\d+)(?:\.(\d+))?$/.exec(texto);
+
+    if (!partes) {
+        throw new FormatError(`La ${nombre} debe ser un número positivo (p. ej. 1.5).`);
+    }
+    if (partes[2] && partes[2].length > DECIMALES) {
+        throw new FormatError(`La ${nombre} admite como máximo ${DECIMALES} decimales.`);
+    }
+
+    const unidades = BigInt(partes[1] + (partes[2] || '').padEnd(DECIMALES, '0'));
+    if (unidades === 0n && !permitirCero) {
+        throw new FormatError(`La ${nombre} debe ser mayor que 0.`);
+    }
+
+    const cifras = unidades.toString().padStart(DECIMALES + 1, '0');
+    return `${cifras.slice(0, -DECIMALES)}.${cifras.slice(-DECIMALES)}`;
+}
+
+/**
+ * Serializa los campos firmados de la transacción
+ *
+ * Igual que los bloques del Registro, se usa un array JSON: el orden de
+ * los campos es fijo y no hay ambigüedad entre ellos, así que los mismos
+ * datos dan siempre los mismos bytes.
+ *
+ * @param {Object} transaccion - Transacción (hash y firma se ignoran)
+ * @returns {string} - Texto que se resume y se firma
+ */
+export function serializarTransaccion(transaccion) {
+    return JSON.stringify([
+        ETIQUETA_TRANSACCION,
+        transaccion.version,
+        transaccion.algoritmo,
+        transaccion.origen,
+        transaccion.clavePublica,
+        transaccion.destino,
+        transaccion.cantidad,
+        transaccion.comision,
+        transaccion.nonce
+    ]);
+}
+
+/**
+ * Calcula el hash SHA-256 de una transacción
+ *
+ * @param {Object} transaccion - Transacción a resumir
+ * @returns {Promise<string>} - Hash en hexadecimal (64 caracteres)
+ */
+export async function calcularHashTransaccion(transaccion) {
+    const resumen = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(serializarTransaccion(transaccion)));
+    return Array.from(new Uint8Array(resumen), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Calcula la cuenta (origen) que corresponde a una clave pública
+ *
+ * @param {string} clavePublica - Clave pública en PEM (RSA) o en hexadecimal (secp256k1)
+ * @param {string} algoritmo - Algoritmo de firma
+ * @returns {Promise<string>} - Huella SHA-256 (RSA) o dirección de Ethereum (secp256k1)
+ * @throws {InvalidKeyError} Si la clave no es válida
+ */
+export async function calcularOrigen(clavePublica, algoritmo) {
+    if (algoritmo === SECP256K1_ALGORITHM) {
+        return (await describeSecp256k1PublicKey(clavePublica)).addresses.ethereum;
+    }
+    return fingerprint(clavePublica);
+}
+
+// ============================================================================
+// CREACIÓN Y VERIFICACIÓN
+// ============================================================================
+
+/**
+ * Crea y firma una transacción
+ *
+ * La clave pública y el origen se calculan a partir de la clave privada.
+ *
+ * @param {Object} datos
+ * @param {string} datos.clavePrivada - Clave privada sin proteger en PEM (RSA), o en hexadecimal o WIF (secp256k1)
+ * @param {string} datos.algoritmo - 'RSA-PSS', 'RSASSA-PKCS1-v1_5' o 'ECDSA-secp256k1'
+ * @param {string} datos.destino - Cuenta que recibe el pago
+ * @param {string|number} datos.cantidad - Cantidad a pagar
+ * @param {string|number} datos.comision - Comisión (puede ser 0)
+ * @param {number} datos.nonce - Número de orden de la transacción en la cuenta de origen
+ * @returns {Promise<Object>} - Transacción firmada, con su hash
+ * @throws {FormatError} Si algún campo no es válido
+ * @throws {InvalidKeyError} Si la clave privada no es válida
+ */
+export async function crearTransaccion({ clavePrivada, algoritmo, destino, cantidad, comision, nonce }) {
+    if (!ALGORITMOS_TRANSACCION.includes(algoritmo)) {
+        throw new FormatError(`Algoritmo de firma no admitido. Se admiten ${ALGORITMOS_TRANSACCION.join(', ')}.`);
+    }
+    if (!Number.isSafeInteger(nonce) || nonce < 0) {
+        throw new FormatError('El nonce debe ser un número entero mayor o igual que 0.');
+    }
+    if (typeof destino !== 'string' || !destino.trim()) {
+        throw new FormatError('Indica la cuenta de destino.');
+    }
+
+    // PASO 1: Clave pública y cuenta de origen
+    const clavePublica = algoritmo === SECP256K1_ALGORITHM
+        ? (await describeSecp256k1Key(clavePrivada)).publicKey
+        : await derivePublicKey(clavePrivada);
+
+    // PASO 2: Campos en forma canónica
+    const transaccion = {
+        version: VERSION_TRANSACCION,
+        algoritmo,
+        origen: await calcularOrigen(clavePublica, algoritmo),
+        clavePublica,
+        destino: destino.trim(),
+        cantidad: normalizarCantidad(cantidad, 'cantidad'),
+        comision: normalizarCantidad(comision, 'comisión', true),
+        nonce
+    };
+
+    // PASO 3: Hash y firma de la serialización
+    transaccion.hash = await calcularHashTransaccion(transaccion);
+    transaccion.firma = await sign(clavePrivada, serializarTransaccion(transaccion), { algorithm: algoritmo });
+    return transaccion;
+}
+
+/**
+ * Siguiente nonce de una cuenta según las transacciones ya procesadas
+ *
+ * @param {Object[]} procesadas - Transacciones aceptadas hasta ahora
+ * @param {string} origen - Cuenta
+ * @returns {number} - 0 si la cuenta no tiene transacciones; si no, el mayor nonce + 1
+ */
+export function siguienteNonce(procesadas, origen) {
+    return procesadas
+        .filter((transaccion) => transaccion.origen === origen)
+        .reduce((siguiente, transaccion) => Math.max(siguiente, transaccion.nonce + 1), 0);
+}
+
+/**
+ * Compara los campos firmados de dos transacciones
+ *
+ * @param {Object} original - Transacción procesada
+ * @param {Object} recibida - Transacción a verificar
+ * @returns {{campo: string, nombre: string, original: *, recibido: *}[]} - Campos distintos
+ */
+function compararCampos(original, recibida) {
+    return Object.entries(CAMPOS_FIRMADOS)
+        .filter(([campo]) => original[campo] !== recibida[campo])
+        .map(([campo, nombre]) => ({ campo, nombre, original: original[campo], recibido: recibida[campo] }));
+}
+
+/**
+ * Construye el resultado de una transacción alterada
+ *
+ * Si se conoce la transacción original (ya procesada, con el mismo hash o
+ * el mismo origen y nonce) se indica qué campos cambiaron.
+ *
+ * @param {Object} transaccion - Transacción recibida
+ * @param {Object[]} procesadas - Transacciones aceptadas hasta ahora
+ * @param {string} motivo - Explicación general
+ * @returns {Object} - Resultado de verificarTransaccion con codigo 'alterada'
+ */
+function resultadoAlterada(transaccion, procesadas, motivo) {
+    const original = procesadas.find((procesada) => procesada.hash === transaccion.hash) ||
+        procesadas.find((procesada) => procesada.origen === transaccion.origen && procesada.nonce === transaccion.nonce);
+    const campos = original ? compararCampos(original, transaccion) : [];
+
+    if (campos.length) {
+        const lista = campos.map(({ nombre }) => nombre).join(', ');
+        motivo += ` Comparada con la transacción ${original.hash.slice(0, 16)}… ya procesada, se ha modificado: ${lista}.`;
+    }
+    return { valida: false, codigo: 'alterada', motivo, campos };
+}
+
+/**
+ * Verifica una transacción y explica por qué se rechaza
+ *
+ * Comprobaciones, en orden:
+ * 1. Formato: todos los campos presentes y en forma canónica
+ * 2. El origen es la cuenta de la clave pública incluida
+ * 3. El hash coincide con los campos y la firma es de la clave pública
+ * 4. No es una repetición de una transacción ya procesada
+ * 5. El nonce es el siguiente de la cuenta de origen
+ *
+ * @param {Object} transaccion - Transacción recibida
+ * @param {Object[]} [procesadas=[]] - Transacciones aceptadas hasta ahora
+ * @returns {Promise<{valida: boolean, codigo: string, motivo: string, campos: Object[]}>}
+ *          codigo: 'valida', 'formato', 'origen', 'alterada', 'firma', 'repetida',
+ *          'nonce-usado' o 'nonce-salto'; campos: campos modificados (solo con 'alterada',
+ *          si se conoce la transacción original)
+ */
+export async function verificarTransaccion(transaccion, procesadas = []) {
+    const rechazar = (codigo, motivo) => ({ valida: false, codigo, motivo, campos: [] });
+
+    // PASO 1: Formato
+    const problema = comprobarFormato(transaccion);
+    if (problema) {
+        return rechazar('formato', problema);
+    }
+
+    // PASO 2: El origen debe ser la cuenta de la clave pública
+    let origen;
+    try {
+        origen = await calcularOrigen(transaccion.clavePublica, transaccion.algoritmo);
+    } catch (error) {
+        return rechazar('formato', `La clave pública no es válida: ${error.message}`);
+    }
+    if (origen !== transaccion.origen) {
+        return rechazar('origen',
+            `El origen de la transacción no es la cuenta de la clave pública incluida (${origen}): ` +
+            'se ha cambiado el remitente o la clave pública. Solo el dueño de una cuenta puede pagar desde ella.');
+    }
+
+    // PASO 3: Hash y firma
+    const hashCorrecto = await calcularHashTransaccion(transaccion) === transaccion.hash;
+    let firma;
+    try {
+        firma = await verify(transaccion.clavePublica, serializarTransaccion(transaccion), transaccion.firma, {
+            algorithm: transaccion.algoritmo
+        });
+    } catch (error) {
+        return rechazar('firma', `No se pudo comprobar la firma: ${error.message}`);
+    }
+
+    if (firma.status === 'tampered') {
+        return resultadoAlterada(transaccion, procesadas,
+            'La firma es de esta cuenta, pero sobre otros datos: algún campo se modificó después de firmar.');
+    }
+    if (!firma.valid && !hashCorrecto) {
+        return resultadoAlterada(transaccion, procesadas,
+            'Los campos no coinciden con el hash ni con la firma: algún campo se modificó después de firmar.');
+    }
+    if (!firma.valid) {
+        // Con ECDSA no se distingue un campo modificado (y el hash recalculado) de una firma de otra clave
+        const alterada = resultadoAlterada(transaccion, procesadas, 'La firma no corresponde a estos datos.');
+        return alterada.campos.length ? alterada : rechazar('firma', `La firma no es válida: ${firma.reason}`);
+    }
+    if (!hashCorrecto) {
+        return rechazar('alterada', 'La firma es correcta, pero el campo hash se modificó: no es el SHA-256 de los datos firmados.');
+    }
+
+    // PASO 4: Repetición de una transacción ya procesada
+    if (procesadas.some((procesada) => procesada.hash === transaccion.hash)) {
+        return rechazar('repetida',
+            `Esta transacción ya se procesó (nonce ${transaccion.nonce}). Repetirla pagaría dos veces, así que se rechaza.`);
+    }
+
+    // PASO 5: Nonce
+    const usada = procesadas.find((procesada) => procesada.origen === transaccion.origen && procesada.nonce === transaccion.nonce);
+    const esperado = siguienteNonce(procesadas, transaccion.origen);
+    if (usada || transaccion.nonce < esperado) {
+        return rechazar('nonce-usado',
+            `El nonce ${transaccion.nonce} de esta cuenta ya se usó en otra transacción` +
+            `${usada ? ` (${usada.hash.slice(0, 16)}…)` : ''}. El siguiente nonce válido es ${esperado}.`);
+    }
+    if (transaccion.nonce > esperado) {
+        return rechazar('nonce-salto',
+            `Se esperaba el nonce ${esperado} y la transacción tiene el ${transaccion.nonce}: ` +
+            'faltan transacciones anteriores de esta cuenta.');
+    }
+
+    return {
+        valida: true,
+        codigo: 'valida',
+        motivo: 'La firma es del dueño de la cuenta de origen, los datos están intactos y el nonce es el siguiente de la cuenta.',
+        campos: []
+    };
+}
+
+/**
+ * Comprueba que la transacción tenga todos los campos y en forma canónica
+ *
+ * @param {Object} transaccion - Transacción recibida
+ * @returns {string|null} - Descripción del problema, o null si el formato es correcto
+ */
+function comprobarFormato(transaccion) {
+    if (!transaccion || typeof transaccion !== 'object') {
+        return 'La transacción no es un objeto JSON.';
+    }
+    if (transaccion.version !== VERSION_TRANSACCION) {
+        return `Versión de transacción no admitida: esta aplicación admite la versión ${VERSION_TRANSACCION}.`;
+    }
+    if (!ALGORITMOS_TRANSACCION.includes(transaccion.algoritmo)) {
+        return `Algoritmo de firma no admitido. Se admiten ${ALGORITMOS_TRANSACCION.join(', ')}.`;
+    }
+
+    const textos = ['origen', 'clavePublica', 'destino', 'cantidad', 'comision', 'hash', 'firma'];
+    const falta = textos.find((campo) => typeof transaccion[campo] !== 'string' || !transaccion[campo]);
+    if (falta) {
+        return `Falta el campo ${CAMPOS_FIRMADOS[falta] || falta} o no es un texto.`;
+    }
+    if (!Number.isSafeInteger(transaccion.nonce) || transaccion.nonce < 0) {
+        return 'El nonce debe ser un número entero mayor o igual que 0.';
+    }
+    if (transaccion.destino !== transaccion.destino.trim()) {
+        return 'El destino tiene espacios al principio o al final: no está en forma canónica.';
+    }
+
+    // Una cantidad en otra forma ("1.5" en lugar de "1.50000000") daría otro hash para el mismo pago
+    for (const [campo, permitirCero] of [['cantidad', false], ['comision', true]]) {
+        try {
+            if (normalizarCantidad(transaccion[campo], CAMPOS_FIRMADOS[campo], permitirCero) !== transaccion[campo]) {
+                return `La ${CAMPOS_FIRMADOS[campo]} (${transaccion[campo]}) no está en forma canónica (${DECIMALES} decimales).`;
+            }
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    if (!/^[0-9a-f]{64}$/.test(transaccion.hash)) {
+        return 'El hash debe tener 64 caracteres hexadecimales en minúscula.';
+    }
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(transaccion.firma)) {
+        return 'La firma no está en Base64.';
+    }
+    return null;
+}
+
+// ============================================================================
+// EXPORTACIÓN E IMPORTACIÓN JSON
+// ============================================================================
+
+/**
+ * Convierte una transacción en JSON para enviarla a quien la verifica
+ *
+ * @param {Object} transaccion - Transacción firmada
+ * @returns {string} - JSON con formato y todos los campos
+ */
+export function exportarTransaccion(transaccion) {
+    const { version, algoritmo, origen, clavePublica, destino, cantidad, comision, nonce, hash, firma } = transaccion;
+    return JSON.stringify({
+        formato: FORMATO_TRANSACCION,
+        version,
+        algoritmo,
+        origen,
+        clavePublica,
+        destino,
+        cantidad,
+        comision,
+        nonce,
+        hash,
+        firma
+    }, null, 2);
+}
+
+/**
+ * Lee una transacción exportada con exportarTransaccion
+ *
+ * Solo se comprueba que sea JSON con el formato correcto; los campos se
+ * comprueban en verificarTransaccion, que explica qué está mal.
+ *
+ * @param {string} json - Transacción en JSON
+ * @returns {Object} - Transacción (sin el campo formato)
+ * @throws {FormatError} Si el texto no es una transacción exportada
+ */
+export function importarTransaccion(json) {
+    let documento;
+    try {
+        documento = JSON.parse(json);
+    } catch (error) {
+        throw new FormatError('El texto no contiene JSON válido.');
+    }
+
+    if (!documento || documento.formato !== FORMATO_TRANSACCION) {
+        throw new FormatError(`El JSON no es una transacción (falta "formato": "${FORMATO_TRANSACCION}").`);
+    }
+
+    const transaccion = { ...documento };
+    delete transaccion.formato;
+    return transaccion;
+}
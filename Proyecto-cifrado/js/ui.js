@@ -0,0 +1,730 @@
+/**
+ * ============================================================================
+ * UI - Utilidades de interfaz compartidas por las páginas
+ * ============================================================================
+ *
+ * Notificaciones, portapapeles (con vaciado automático), área de
+ * resultados, descargas, zona de arrastrar y soltar, diagnóstico de claves,
+ * y códigos QR (qr.js) para mostrar y leer. Las usan el Generador, el Codificador, el Decodificador,
+ * el Firmador, el Registro, Transacciones, el Árbol de Merkle y el
+ * Acuerdo de Claves; la lógica
+ * criptográfica está en api.js. Sus textos salen de los catálogos de
+ * i18n.js.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+import { crearCodigoQR, crearSVGQR, dividirEnCodigos, leerCodigoQR, leerParte, unirCodigos } from './qr.js';
+import { t, obtenerIdioma, IDIOMA_POR_DEFECTO } from './i18n.js';
+
+/** Lado máximo, en píxeles, con el que se analiza una imagen (las mayores se reducen) */
+const LADO_MAXIMO_IMAGEN_QR = 1200;
+
+/** Lado mínimo, en píxeles: las imágenes menores se amplían para tener varios píxeles por módulo */
+const LADO_MINIMO_IMAGEN_QR = 600;
+
+/** Grupo del catálogo (dentro de errores) de los motivos de cada código de CryptoError */
+const CLAVES_ERROR = {
+    INVALID_KEY: 'claveNoValida',
+    WRONG_KEY: 'claveIncorrecta',
+    WRONG_PASSWORD: 'contrasenaIncorrecta',
+    INVALID_FORMAT: 'formato',
+    INTEGRITY: 'integridad',
+    MESSAGE_TOO_LONG: 'mensajeLargo',
+    INVALID_MNEMONIC: 'frase',
+    UNSUPPORTED: 'noAdmitido'
+};
+
+/** Qué contiene cada campo de crearCampoCopiable, para la notificación al copiarlo */
+const NOMBRES_CAMPOS = new Map();
+
+/** Color de las notificaciones de éxito de cada página (según la clase del body) */
+const COLORES_PAGINA = {
+    generador: '#4caf50',
+    codificador: '#667eea',
+    decodificador: '#f5576c',
+    firmador: '#11998e',
+    registro: '#f7971e',
+    transacciones: '#2193b0',
+    merkle: '#56ab2f',
+    acuerdo: '#8e2de2'
+};
+
+/**
+ * Hace visibles para el HTML (atributos onclick, onchange...) las funciones
+ * de la página
+ *
+ * Las funciones de un módulo ES no son globales, así que cada página publica
+ * en window las que usan sus atributos.
+ *
+ * @param {Object<string, Function>} funciones - Funciones por nombre
+ * @returns {void}
+ */
+export function exponerEnPagina(funciones) {
+    Object.assign(window, funciones);
+}
+
+/**
+ * Escapa caracteres HTML para prevenir XSS
+ *
+ * @param {string} texto - Texto a escapar
+ * @returns {string} - Texto escapado
+ */
+export function escaparHTML(texto) {
+    const div = document.createElement('div');
+    div.textContent = texto;
+    return div.innerHTML;
+}
+
+/**
+ * Muestra una notificación temporal
+ *
+ * @param {string} mensaje - Mensaje a mostrar
+ * @param {string} [tipo='success'] - Tipo de notificación ('success' o 'error')
+ * @returns {void}
+ */
+export function mostrarNotificacion(mensaje, tipo = 'success') {
+    const pagina = Object.keys(COLORES_PAGINA).find((clase) => document.body.classList.contains(clase));
+
+    const notificacion = document.createElement('div');
+    notificacion.textContent = mensaje;
+    notificacion.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        padding: 15px 25px;
+        background: ${tipo === 'success' ? COLORES_PAGINA[pagina] || '#4caf50' : '#f44336'};
+        color: white;
+        border-radius: 8px;
+        box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+        z-index: 9999;
+        animation: slideInRight 0.3s ease-out;
+        font-weight: 600;
+    `;
+
+    document.body.appendChild(notificacion);
+
+    // Eliminar después de 3 segundos
+    setTimeout(() => {
+        notificacion.style.animation = 'fadeOut 0.3s ease-out';
+        setTimeout(() => {
+            notificacion.remove();
+        }, 300);
+    }, 3000);
+}
+
+/**
+ * Selecciona todo el texto de un elemento
+ *
+ * @param {string} elementId - ID del elemento
+ * @returns {void}
+ */
+export function seleccionarTexto(elementId) {
+    const elemento = document.getElementById(elementId);
+    if (elemento) {
+        elemento.select();
+    }
+}
+
+/** Segundos tras los que se vacía el portapapeles después de copiar (0 = nunca) */
+let segundosVaciadoPortapapeles = 0;
+
+/** Temporizador del vaciado pendiente del portapapeles */
+let temporizadorPortapapeles = null;
+
+/** Hay que vaciar el portapapeles en cuanto la página recupere el foco */
+let vaciadoPendiente = false;
+
+/** Lo último copiado salió de copiarTexto o copiarAlPortapapeles y sigue ahí */
+let copiaEnPortapapeles = false;
+
+/**
+ * Indica cuántos segundos después de copiar se vacía el portapapeles
+ *
+ * Afecta a lo que se copie a partir de ahora; un vaciado ya programado se
+ * mantiene.
+ *
+ * @param {number} segundos - Segundos de espera (0 para no vaciarlo nunca)
+ * @returns {void}
+ */
+export function configurarVaciadoPortapapeles(segundos) {
+    segundosVaciadoPortapapeles = Math.max(0, Number(segundos) || 0);
+}
+
+/**
+ * Indica si el portapapeles guarda todavía algo copiado desde la página
+ *
+ * @returns {boolean}
+ */
+export function hayCopiaEnPortapapeles() {
+    return copiaEnPortapapeles;
+}
+
+/**
+ * Anula el vaciado programado del portapapeles
+ *
+ * @returns {void}
+ */
+function cancelarVaciadoPortapapeles() {
+    clearTimeout(temporizadorPortapapeles);
+    temporizadorPortapapeles = null;
+    vaciadoPendiente = false;
+}
+
+/**
+ * Vacía el portapapeles sobrescribiéndolo con un texto vacío
+ *
+ * No se lee antes para comprobar qué contiene (pediría permiso al usuario),
+ * pero si desde la página se ha copiado otra cosa con Ctrl+C el vaciado
+ * programado se anula. El navegador solo deja escribir en el portapapeles
+ * con la página en primer plano: si no lo está, se vacía al volver a ella.
+ *
+ * @param {boolean} [avisar=true] - Mostrar una notificación al vaciarlo
+ * @returns {Promise<void>}
+ */
+export async function vaciarPortapapeles(avisar = true) {
+    cancelarVaciadoPortapapeles();
+
+    if (!navigator.clipboard) {
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText('');
+        copiaEnPortapapeles = false;
+        if (avisar) {
+            mostrarNotificacion(t('comun.portapapelesVaciado'));
+        }
+    } catch (error) {
+        // Página sin foco: se reintenta al volver a ella
+        vaciadoPendiente = true;
+    }
+}
+
+/**
+ * Escribe un texto en el portapapeles y programa su vaciado
+ *
+ * @param {string} texto - Texto a copiar
+ * @returns {Promise<void>}
+ * @throws {Error} - Si el navegador no tiene la API del portapapeles o no da permiso
+ */
+async function escribirEnPortapapeles(texto) {
+    if (!navigator.clipboard || !window.isSecureContext) {
+        throw new Error('API del portapapeles no disponible (hace falta HTTPS o localhost)');
+    }
+
+    await navigator.clipboard.writeText(texto);
+
+    cancelarVaciadoPortapapeles();
+    copiaEnPortapapeles = true;
+    if (segundosVaciadoPortapapeles > 0) {
+        temporizadorPortapapeles = setTimeout(vaciarPortapapeles, segundosVaciadoPortapapeles * 1000);
+    }
+}
+
+/**
+ * Olvida la copia pendiente de vaciar cuando se copia otra cosa con Ctrl+C
+ * o Ctrl+X: lo que hay ahora en el portapapeles no es lo que había que borrar
+ *
+ * @returns {void}
+ */
+function olvidarCopia() {
+    cancelarVaciadoPortapapeles();
+    copiaEnPortapapeles = false;
+}
+
+document.addEventListener('copy', olvidarCopia);
+document.addEventListener('cut', olvidarCopia);
+
+window.addEventListener('focus', () => {
+    if (vaciadoPendiente) {
+        vaciarPortapapeles();
+    }
+});
+
+/**
+ * Copia al portapapeles el contenido de un campo de texto
+ *
+ * Si el navegador no permite copiar, deja el texto seleccionado para
+ * copiarlo a mano.
+ *
+ * @param {string} elementId - ID del elemento a copiar
+ * @param {string} [mensaje] - Notificación al copiar (por defecto, "Texto copiado al portapapeles")
+ * @returns {Promise<void>}
+ */
+export async function copiarTexto(elementId, mensaje = t('comun.copiado')) {
+    const elemento = document.getElementById(elementId);
+
+    if (!elemento) {
+        console.error('Elemento no encontrado:', elementId);
+        return;
+    }
+
+    try {
+        await escribirEnPortapapeles(elemento.value);
+        mostrarNotificacion(mensaje);
+    } catch (error) {
+        console.error('Error al copiar:', error);
+        elemento.select();
+        mostrarNotificacion(t('comun.errorCopiarManual'), 'error');
+    }
+}
+
+/**
+ * Copia el contenido de un campo con una notificación del catálogo
+ *
+ * La usan los botones de copiar de las páginas traducidas: su atributo
+ * onclick lleva la clave del mensaje y no el texto traducido, que podría
+ * tener comillas. En los campos de crearCampoCopiable el mensaje recibe
+ * como {nombre} lo que contiene el campo.
+ *
+ * @param {string} elementId - ID del elemento a copiar
+ * @param {string} [clave='comun.copiado'] - Clave del mensaje de la notificación
+ * @returns {Promise<void>}
+ */
+export function copiarCampo(elementId, clave = 'comun.copiado') {
+    return copiarTexto(elementId, t(clave, { nombre: NOMBRES_CAMPOS.get(elementId) }));
+}
+
+/**
+ * Copia al portapapeles un texto que no está en ningún campo
+ *
+ * @param {string} texto - Texto a copiar
+ * @param {string} [mensaje] - Notificación al copiar (por defecto, "Texto copiado al portapapeles")
+ * @returns {Promise<void>}
+ */
+export async function copiarAlPortapapeles(texto, mensaje = t('comun.copiado')) {
+    try {
+        await escribirEnPortapapeles(texto);
+        mostrarNotificacion(mensaje);
+    } catch (error) {
+        console.error('Error al copiar:', error);
+        mostrarNotificacion(t('comun.errorCopiar'), 'error');
+    }
+}
+
+/**
+ * Construye un campo de solo lectura con su botón de copiar
+ *
+ * Es el que usa el Generador para las claves secp256k1 y las direcciones, y
+ * el Acuerdo de claves para las claves ECDH. Las claves PEM van en un área
+ * de texto para conservar los saltos de línea.
+ *
+ * @param {string} id - ID del campo
+ * @param {string} valor - Contenido (clave, dirección...)
+ * @param {string} nombre - Qué se copia, para el botón y la notificación (p. ej. 'Dirección P2PKH')
+ * @param {Object} [opciones={}] - Opciones del campo
+ * @param {string} [opciones.clase='generador'] - Clase del botón, con el color de la página
+ * @param {boolean} [opciones.multilinea=false] - true para un área de texto en lugar de una línea
+ * @returns {string} - HTML del campo
+ */
+export function crearCampoCopiable(id, valor, nombre, { clase = 'generador', multilinea = false } = {}) {
+    const campo = multilinea
+        ? `<textarea
+            readonly
+            id="${id}"
+            onclick="seleccionarTexto('${id}')"
+            style="margin-top: 10px; background: white; font-size: 12px;"
+            spellcheck="false"
+        >${escaparHTML(valor)}</textarea>`
+        : `<input
+            type="text"
+            readonly
+            id="${id}"
+            value="${escaparHTML(valor)}"
+            onclick="seleccionarTexto('${id}')"
+            style="margin-top: 10px; background: white; font-size: 12px;"
+        >`;
+
+    NOMBRES_CAMPOS.set(id, nombre);
+    return `
+        ${campo}
+        <button
+            onclick="copiarCampo('${id}', 'comun.campo.copiado')"
+            class="${clase}"
+            style="margin-top: 10px; width: auto; padding: 8px 16px; font-size: 14px;"
+        >
+            ${t('comun.campo.copiar', { nombre })}
+        </button>
+    `;
+}
+
+/**
+ * Muestra contenido en el área de resultados
+ *
+ * @param {string} html - Contenido HTML
+ * @param {string} [tipo='success'] - 'success', 'error' o 'info'
+ * @param {string} [idResultado='resultado'] - ID del área de resultados
+ * @returns {void}
+ */
+export function mostrarResultado(html, tipo = 'success', idResultado = 'resultado') {
+    const resultado = document.getElementById(idResultado);
+    resultado.innerHTML = html;
+    resultado.className = `resultado ${tipo}`;
+    resultado.style.display = 'block';
+
+    // Scroll suave hacia los resultados que hay que leer
+    if (tipo !== 'info') {
+        setTimeout(() => {
+            resultado.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }, 100);
+    }
+}
+
+/**
+ * Describe un error en el idioma de la interfaz
+ *
+ * Los mensajes de la API (CryptoError) están en español: en otro idioma se
+ * traducen por su código y su motivo (reason), con sus params. Los errores
+ * sin motivo, y los de las páginas (ya traducidos con t()), se dan tal cual.
+ *
+ * @param {Error} error - Error capturado
+ * @returns {string} - Texto plano (hay que escaparlo para insertarlo como HTML)
+ */
+export function describirError(error) {
+    const grupo = CLAVES_ERROR[error.code];
+    if (obtenerIdioma() === IDIOMA_POR_DEFECTO || !grupo || !error.reason) {
+        return error.message;
+    }
+
+    // Un error puede llevar otro como causa: se traduce también
+    const parametros = Object.fromEntries(Object.entries(error.params || {}).map(([nombre, valor]) =>
+        [nombre, valor instanceof Error ? describirError(valor).replace(/\.$/, '') : valor]));
+    if (error.reason === 'unknown-word') {
+        parametros.palabras = error.unknownWords.map((palabra, i) => (parametros.sugerencias[i]
+            ? t('errores.frase.quiza', { palabra, sugerencia: parametros.sugerencias[i] })
+            : `"${palabra}"`)).join(', ');
+    }
+    return t(`errores.${grupo}.${error.reason}`, parametros);
+}
+
+/**
+ * Muestra un mensaje de error con sugerencias
+ *
+ * El mensaje y las sugerencias se insertan como HTML: los textos que no
+ * salen de la aplicación (error.message, contenido pegado o importado) hay
+ * que pasarlos por escaparHTML.
+ *
+ * @param {string} mensaje - Mensaje de error (HTML)
+ * @param {string[]} [sugerencias=[]] - Sugerencias para resolverlo
+ * @param {string} [idResultado='resultado'] - ID del área de resultados
+ * @returns {void}
+ */
+export function mostrarError(mensaje, sugerencias = [], idResultado = 'resultado') {
+    mostrarResultado(`
+        <h3>${t('comun.error')}</h3>
+        <p style="font-size: 1.1rem; margin: 15px 0;">${mensaje}</p>
+        ${sugerencias.length ? `
+        <div class="info-box" style="margin-top: 20px;">
+            <strong>${t('comun.sugerencias')}</strong>
+            <ul style="margin: 10px 0 0 20px; line-height: 1.8;">
+                ${sugerencias.map((sugerencia) => `<li>${sugerencia}</li>`).join('')}
+            </ul>
+        </div>` : ''}
+    `, 'error', idResultado);
+}
+
+/**
+ * Traduce un problema de inspectKeys (errorDetails o warningDetails)
+ *
+ * @param {{code: string, params: Object}} problema - Código y parámetros del problema
+ * @returns {string} - Texto plano en el idioma de la interfaz
+ */
+function traducirProblema({ code, params }) {
+    if (code === 'unreadable') {
+        return describirError({ message: params.detail, code: params.code, reason: params.reason, params: params.params });
+    }
+    if (code === 'foreign-label') {
+        return t(`clave.diagnostico.foreign-label.${params.label}`);
+    }
+    return t(`clave.diagnostico.${code}`, params);
+}
+
+/**
+ * Resume en líneas de texto una clave analizada con inspectKeys
+ *
+ * La primera línea da el formato, el tipo, el tamaño del módulo y el
+ * exponente; después van los avisos (⚠️) y los errores (❌).
+ *
+ * @param {Object} informe - Informe de inspectKeys para una clave
+ * @returns {string[]} - Líneas de texto plano
+ */
+export function describirInformeClave(informe) {
+    let resumen = t(informe.private ? 'clave.resumenPrivada' : 'clave.resumenPublica', {
+        formato: informe.format ? informe.formatName : t('clave.formatoDesconocido'),
+        protegida: informe.protected ? t('clave.protegida') : ''
+    });
+    if (informe.bits) {
+        resumen += t('clave.resumenRSA', { bits: informe.bits, exponente: informe.exponent });
+    }
+    if (informe.comment) {
+        resumen += ` · "${informe.comment}"`;
+    }
+
+    return [
+        resumen,
+        ...informe.warningDetails.map((aviso) => `⚠️ ${traducirProblema(aviso)}`),
+        ...informe.errorDetails.map((error) => `❌ ${traducirProblema(error)}`)
+    ];
+}
+
+/**
+ * Muestra los errores de las claves analizadas con inspectKeys
+ *
+ * Con varias claves, cada error indica de qué clave es y en qué línea
+ * del campo empieza.
+ *
+ * @param {Object[]} informes - Informes de inspectKeys (solo se muestran los que tienen errores)
+ * @param {string[]} [sugerencias=[]] - Sugerencias para resolverlos
+ * @param {string} [idResultado='resultado'] - ID del área de resultados
+ * @returns {void}
+ */
+export function mostrarErroresClaves(informes, sugerencias = [], idResultado = 'resultado') {
+    const errores = informes.flatMap((informe, indice) => informe.errorDetails.map(traducirProblema).map((error) =>
+        informes.length > 1 ? t('clave.numero', { numero: indice + 1, linea: informe.line }) + ` ${error}` : error));
+
+    mostrarError(`
+        ${errores.length > 1 ? t('clave.variosProblemas') : t('clave.noSePuedeUsar')}
+        <ul style="margin: 10px 0 0 20px; line-height: 1.8; font-size: 1rem;">
+            ${errores.map((error) => `<li>${escaparHTML(error)}</li>`).join('')}
+        </ul>
+    `, sugerencias, idResultado);
+}
+
+/**
+ * Muestra el indicador de procesamiento
+ *
+ * @param {string} mensaje - Texto a mostrar
+ * @param {string} [idResultado='resultado'] - ID del área de resultados
+ * @returns {void}
+ */
+export function mostrarProcesando(mensaje, idResultado = 'resultado') {
+    mostrarResultado(`
+        <div class="text-center">
+            <div class="loading" style="display: inline-block; margin: 20px auto;"></div>
+            <p style="color: #666;">${mensaje}</p>
+        </div>
+    `, 'info', idResultado);
+}
+
+/**
+ * Ejecuta una acción con Ctrl/Cmd + Enter desde los campos indicados
+ *
+ * @param {string[]} ids - IDs de los campos
+ * @param {Function} accion - Acción a ejecutar
+ * @returns {void}
+ */
+export function activarAtajoEnvio(ids, accion) {
+    ids.forEach((id) => {
+        const campo = document.getElementById(id);
+        if (campo) {
+            campo.addEventListener('keydown', function(e) {
+                if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                    accion();
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Ofrece un contenido como archivo descargable
+ *
+ * @param {BlobPart} contenido - Contenido del archivo
+ * @param {string} nombre - Nombre del archivo
+ * @param {string} [tipo] - Tipo MIME
+ * @returns {void}
+ */
+export function descargarArchivo(contenido, nombre, tipo) {
+    const url = URL.createObjectURL(new Blob([contenido], { type: tipo || 'application/octet-stream' }));
+    const enlace = document.createElement('a');
+    enlace.href = url;
+    enlace.download = nombre;
+    document.body.appendChild(enlace);
+    enlace.click();
+    enlace.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Formatea un tamaño en bytes de forma legible
+ *
+ * @param {number} bytes - Tamaño en bytes
+ * @returns {string} - Tamaño formateado (p. ej. '1.5 MB')
+ */
+export function formatearTamano(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} bytes`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Activa el arrastrar y soltar en una zona de archivos
+ *
+ * @param {string} idZona - ID de la zona donde se sueltan los archivos
+ * @param {string} idEntrada - ID del input type="file" asociado
+ * @param {function(File): void} alElegir - Se llama con el archivo elegido o soltado
+ * @returns {void}
+ */
+export function prepararZonaArchivo(idZona, idEntrada, alElegir) {
+    const zona = document.getElementById(idZona);
+    const entrada = document.getElementById(idEntrada);
+
+    entrada.addEventListener('change', () => {
+        if (entrada.files.length) {
+            alElegir(entrada.files[0]);
+        }
+    });
+
+    zona.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        zona.classList.add('arrastrando');
+    });
+
+    zona.addEventListener('dragleave', () => {
+        zona.classList.remove('arrastrando');
+    });
+
+    zona.addEventListener('drop', (e) => {
+        e.preventDefault();
+        zona.classList.remove('arrastrando');
+        if (e.dataTransfer.files.length) {
+            alElegir(e.dataTransfer.files[0]);
+        }
+    });
+}
+
+/**
+ * Muestra un texto como uno o varios códigos QR, cada uno con su descarga
+ *
+ * @param {string} texto - Texto (clave pública o texto cifrado)
+ * @param {string} idContenedor - ID del elemento donde se muestran
+ * @param {string} nombreArchivo - Base del nombre de las imágenes descargadas (p. ej. 'clave-publica')
+ * @returns {Promise<void>}
+ */
+export async function mostrarCodigosQR(texto, idContenedor, nombreArchivo) {
+    const contenidos = await dividirEnCodigos(texto);
+    const total = contenidos.length;
+
+    const codigos = contenidos.map((contenido, i) => {
+        const url = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(crearSVGQR(crearCodigoQR(contenido)))}`;
+        const nombre = total === 1 ? `${nombreArchivo}.svg` : `${nombreArchivo}-${i + 1}-de-${total}.svg`;
+        return `
+            <figure style="margin: 0; text-align: center;">
+                <img
+                    src="${url}"
+                    alt="${t('qr.alternativo', { parte: i + 1, total })}"
+                    style="width: 300px; max-width: 100%; image-rendering: pixelated; border: 1px solid #ddd; border-radius: 8px;"
+                >
+                <figcaption style="font-size: 0.85rem; color: #666; margin-top: 5px;">
+                    ${total > 1 ? `${t('qr.parte', { parte: i + 1, total })} · ` : ''}<a href="${url}" download="${nombre}">${t('qr.descargar')}</a>
+                </figcaption>
+            </figure>
+        `;
+    });
+
+    const contenedor = document.getElementById(idContenedor);
+    contenedor.innerHTML = `
+        <p style="font-size: 0.9rem; color: #666; margin: 10px 0;">
+            ${total === 1 ? t('qr.unCodigo') : t('qr.variosCodigos', { total })}
+        </p>
+        <div style="display: flex; flex-wrap: wrap; gap: 15px; justify-content: center;">
+            ${codigos.join('')}
+        </div>
+    `;
+    contenedor.style.display = 'block';
+}
+
+/**
+ * Lee el código QR de una imagen
+ *
+ * La imagen se dibuja en un lienzo (reducida si es muy grande, o ampliada
+ * sin suavizar si es muy pequeña) y se analizan sus píxeles con qr.js.
+ *
+ * @param {File} archivo - Imagen (PNG, JPEG, SVG...)
+ * @returns {Promise<string|null>} - Contenido del código, o null si no hay ninguno legible
+ * @throws {Error} - Si el navegador no puede abrir el archivo como imagen
+ */
+async function leerImagenQR(archivo) {
+    const url = URL.createObjectURL(archivo);
+    try {
+        const imagen = new Image();
+        imagen.src = url;
+        await imagen.decode();
+
+        const ancho = imagen.naturalWidth || LADO_MINIMO_IMAGEN_QR;
+        const alto = imagen.naturalHeight || LADO_MINIMO_IMAGEN_QR;
+        const lado = Math.max(ancho, alto);
+        const escala = Math.min(LADO_MAXIMO_IMAGEN_QR / lado, Math.max(1, LADO_MINIMO_IMAGEN_QR / lado));
+
+        const lienzo = document.createElement('canvas');
+        lienzo.width = Math.round(ancho * escala);
+        lienzo.height = Math.round(alto * escala);
+        const contexto = lienzo.getContext('2d', { willReadFrequently: true });
+        contexto.imageSmoothingEnabled = escala < 1;
+        contexto.drawImage(imagen, 0, 0, lienzo.width, lienzo.height);
+
+        return leerCodigoQR(contexto.getImageData(0, 0, lienzo.width, lienzo.height));
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Lee los códigos QR de varias imágenes y une las partes de un texto repartido
+ *
+ * Las partes se acumulan en "partes" entre llamadas, así que se pueden subir
+ * en varias veces. Un código con un texto completo (sin cabecera de parte)
+ * se devuelve directamente.
+ *
+ * @param {FileList|File[]} archivos - Imágenes elegidas
+ * @param {string[]} partes - Partes leídas antes; se añaden las nuevas y se vacía al completar el texto
+ * @returns {Promise<{texto: string|null, mensaje: string}>} - Texto completo (o null si faltan partes) y un resumen de la lectura
+ * @throws {FormatError} - Si las partes no forman el texto que indica su identificador
+ */
+export async function leerCodigosQR(archivos, partes) {
+    const ilegibles = [];
+    let texto = null;
+
+    for (const archivo of archivos) {
+        let contenido = null;
+        try {
+            contenido = await leerImagenQR(archivo);
+        } catch (error) {
+            console.warn(`⚠️ No se pudo abrir ${archivo.name} como imagen:`, error);
+        }
+
+        if (contenido === null) {
+            ilegibles.push(archivo.name);
+        } else if (leerParte(contenido)) {
+            partes.push(contenido);
+        } else {
+            texto = contenido;
+        }
+    }
+
+    const aviso = ilegibles.length ? t('qr.ilegibles', { archivos: ilegibles.join(', ') }) : '';
+    if (texto !== null) {
+        partes.length = 0;
+        return { texto, mensaje: t('qr.leido') + aviso };
+    }
+
+    const union = await unirCodigos(partes);
+    if (union.texto !== null) {
+        partes.length = 0;
+        return { texto: union.texto, mensaje: t('qr.unidas', { total: union.total }) + aviso };
+    }
+    if (union.total) {
+        return {
+            texto: null,
+            mensaje: t('qr.faltan', { recibidas: union.recibidas.join(', '), total: union.total, faltan: union.faltan.join(', ') }) + aviso
+        };
+    }
+    return { texto: null, mensaje: t('qr.ninguno') + aviso };
+}
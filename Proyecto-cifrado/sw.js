@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * SERVICE WORKER - Funcionamiento sin conexión
+ * ============================================================================
+ *
+ * Guarda en caché todos los archivos de la aplicación al instalarse, de modo
+ * que el Generador, el Codificador, el Decodificador, el Firmador y el
+ * Registro funcionan sin conexión (por ejemplo, en un equipo aislado de la red, que es donde
+ * conviene generar las claves).
+ *
+ * Estrategia: primero la caché y, si el archivo no está, la red. Al cambiar
+ * cualquier archivo de la lista hay que incrementar VERSION_CACHE para que
+ * los navegadores descarguen la versión nueva.
+ *
+ * @author [Santiago de Pablo de Castro]
+ * @date [Noviembre 2025]
+ * @version 1.0.0
+ */
+
+'use strict';
+
+/** Nombre de la caché; cambiarlo obliga a volver a descargar todo */
+const VERSION_CACHE = 'cifrado-rsa-v14';
+
+/** Archivos necesarios para funcionar sin conexión (relativos a este script) */
+const ARCHIVOS_APLICACION = [
+    'Generador/index.html',
+    'Codificador/index.html',
+    'Decodificador/index.html',
+    'Firmador/index.html',
+    'Registro/index.html',
+    'Transacciones/index.html',
+    'Merkle/index.html',
+    'Acuerdo/index.html',
+    'css/styles.css',
+    'js/api.js',
+    'js/cripto.js',
+    'js/formatos.js',
+    'js/qr.js',
+    'js/secp256k1.js',
+    'js/bip39.js',
+    'js/bip39-palabras.js',
+    'js/ui.js',
+    'js/i18n.js',
+    'js/i18n-es.js',
+    'js/i18n-en.js',
+    'js/secretos.js',
+    'js/enlaces.js',
+    'js/llavero.js',
+    'js/pwa.js',
+    'js/generador.js',
+    'js/generador-worker.js',
+    'js/codificador.js',
+    'js/decodificador.js',
+    'js/firmador.js',
+    'js/cadena.js',
+    'js/cadena-worker.js',
+    'js/registro.js',
+    'js/transaccion.js',
+    'js/transacciones.js',
+    'js/merkle.js',
+    'js/arbol.js',
+    'js/ecdh.js',
+    'js/acuerdo.js',
+    'js/vendor/jsencrypt.min.js',
+    'manifest.webmanifest',
+    'iconos/icono-192.png',
+    'iconos/icono-512.png'
+];
+
+/**
+ * Instalación: descargar y guardar todos los archivos de la aplicación
+ */
+self.addEventListener('install', (evento) => {
+    evento.waitUntil(
+        caches.open(VERSION_CACHE)
+            .then((cache) => cache.addAll(ARCHIVOS_APLICACION))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Activación: borrar las cachés de versiones anteriores
+ */
+self.addEventListener('activate', (evento) => {
+    evento.waitUntil(
+        caches.keys()
+            .then((nombres) => Promise.all(
+                nombres.filter((nombre) => nombre !== VERSION_CACHE).map((nombre) => caches.delete(nombre))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Peticiones: responder desde la caché y, si no está, desde la red
+ */
+self.addEventListener('fetch', (evento) => {
+    if (evento.request.method !== 'GET') {
+        return;
+    }
+
+    evento.respondWith(
+        caches.match(evento.request, { ignoreSearch: true })
+            .then((respuesta) => respuesta || fetch(evento.request))
+    );
+});